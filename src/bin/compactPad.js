@@ -0,0 +1,44 @@
+'use strict';
+/*
+ * Compacts the history of pads: the revisions that are older than the retention limits are
+ * squashed into the first revision of each pad (saved revisions are kept). Without limits, the
+ * retention policies of the groups and the historyRetention setting are used. Stop Etherpad before
+ * running this.
+ */
+
+// As of v14, Node.js does not exit when there is an unhandled Promise rejection. Convert an
+// unhandled rejection into an uncaught exception, which does cause Node.js to exit.
+process.on('unhandledRejection', (err) => { throw err; });
+
+const usage =
+    'Use: node src/bin/compactPad.js [--keep-revisions=N] [--keep-days=N] ($PADID... | --all)';
+const policy = {};
+let padIds = [];
+let all = false;
+for (const arg of process.argv.slice(2)) {
+  const [, name, value] = /^--([a-z-]+)(?:=(.*))?$/.exec(arg) || [];
+  if (name == null) padIds.push(arg);
+  else if (name === 'all' && value == null) all = true;
+  else if (name === 'keep-revisions' && value) policy.keepRevisions = value;
+  else if (name === 'keep-days' && value) policy.keepDays = value;
+  else throw new Error(usage);
+}
+if (all === (padIds.length > 0)) throw new Error(usage);
+
+(async () => {
+  const db = require('../node/db/DB');
+  await db.init();
+  const historyManager = require('../node/db/HistoryManager');
+  const padManager = require('../node/db/PadManager');
+  if (all) ({padIDs: padIds} = await padManager.listAllPads());
+  let removedRevisions = 0;
+  for (const padId of padIds) {
+    if (!await padManager.doesPadExists(padId)) throw new Error(`Pad ${padId} does not exist`);
+    const removed = await historyManager.compactPad(
+        padId, Object.keys(policy).length > 0 ? policy : null);
+    if (removed > 0) console.log(`Removed ${removed} revisions from pad ${padId}`);
+    removedRevisions += removed;
+  }
+  console.log(`Finished. Removed ${removedRevisions} revisions.`);
+  await db.shutdown();
+})();
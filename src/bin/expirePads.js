@@ -0,0 +1,46 @@
+'use strict';
+
+/*
+ * Removes the expired pads (see the padExpiry setting and the group expiry policies) now. With
+ * --dry-run, only lists the pads that would be removed. Etherpad must be running: the pads are
+ * removed by the server (expirePads HTTP API function) so that the plugins and the search index
+ * are told about it.
+ */
+
+// As of v14, Node.js does not exit when there is an unhandled Promise rejection. Convert an
+// unhandled rejection into an uncaught exception, which does cause Node.js to exit.
+process.on('unhandledRejection', (err) => { throw err; });
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('../node/utils/Settings');
+const superagent = require('superagent');
+
+const args = process.argv.slice(2);
+if (args.length > 1 || (args.length === 1 && args[0] !== '--dry-run')) {
+  throw new Error('Use: node src/bin/expirePads.js [--dry-run]');
+}
+const dryRun = args.length === 1;
+
+(async () => {
+  const baseUrl = `http://${settings.ip}:${settings.port}`;
+
+  const filePath = path.join(__dirname, '../../APIKEY.txt');
+  const apikey = fs.readFileSync(filePath, {encoding: 'utf-8'});
+
+  let res = await superagent.get(`${baseUrl}/api/`);
+  const apiVersion = res.body.currentVersion;
+  if (!apiVersion) throw new Error('No version set in API');
+
+  res = await superagent.post(`${baseUrl}/api/${apiVersion}/expirePads`)
+      .query({apikey})
+      .send({dryRun: dryRun ? 'true' : ''});
+  if (res.body.code !== 0) throw new Error(`Error removing the expired pads: ${res.body.message}`);
+  const {pads} = res.body.data;
+  for (const {padID, reason, expires, archive} of pads) {
+    console.log(`${dryRun ? 'Would remove' : 'Removed'} ${reason} pad ${padID} ` +
+                `(expired ${new Date(expires).toISOString()})` +
+                `${archive ? `, archived to ${archive}` : ''}`);
+  }
+  console.log(`Finished. ${dryRun ? 'Would remove' : 'Removed'} ${pads.length} pads.`);
+})();
@@ -0,0 +1,49 @@
+'use strict';
+
+/*
+ * Prints a hash of a password for the "passwordHash" property of a user in settings.json.
+ *
+ * Usage: node src/bin/hashPassword.js
+ *
+ * The password is read from the terminal (without echoing it) or from standard input, e.g.:
+ *   printf %s 'my password' | node src/bin/hashPassword.js
+ */
+
+// As of v14, Node.js does not exit when there is an unhandled Promise rejection. Convert an
+// unhandled rejection into an uncaught exception, which does cause Node.js to exit.
+process.on('unhandledRejection', (err) => { throw err; });
+
+const password = require('../node/utils/password');
+const readline = require('readline');
+const {Writable} = require('stream');
+
+const readFromTerminal = async () => {
+  let muted = false;
+  // Hide the typed characters, but not the prompt.
+  const output = new Writable({
+    write: (chunk, encoding, cb) => {
+      if (!muted) process.stderr.write(chunk, encoding);
+      cb();
+    },
+  });
+  const rl = readline.createInterface({input: process.stdin, output, terminal: true});
+  const pw = await new Promise((resolve) => {
+    rl.question('Password: ', resolve);
+    muted = true;
+  });
+  rl.close();
+  process.stderr.write('\n');
+  return pw;
+};
+
+const readFromStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+};
+
+(async () => {
+  const pw = process.stdin.isTTY ? await readFromTerminal() : await readFromStdin();
+  if (pw === '') throw new Error('The password must not be empty');
+  console.log(await password.hash(pw));
+})();
@@ -0,0 +1,22 @@
+'use strict';
+/*
+ * Rebuilds the full-text search index from the pads in the database. Stop Etherpad before running
+ * this.
+ */
+
+// As of v14, Node.js does not exit when there is an unhandled Promise rejection. Convert an
+// unhandled rejection into an uncaught exception, which does cause Node.js to exit.
+process.on('unhandledRejection', (err) => { throw err; });
+
+if (process.argv.length !== 2) throw new Error('Use: node src/bin/rebuildSearchIndex.js');
+
+(async () => {
+  const db = require('../node/db/DB');
+  await db.init();
+  const searchManager = require('../node/db/SearchManager');
+  const {padCount} = await searchManager.rebuild((done, total) => {
+    if (done % 100 === 0 || done === total) console.log(`Indexed ${done} of ${total} pads`);
+  });
+  console.log(`Finished. Indexed ${padCount} pads.`);
+  await db.shutdown();
+})();
@@ -0,0 +1,394 @@
+'use strict';
+/**
+ * A realtime client for bots and integrations that edit pads live from Node.js. It speaks the same
+ * socket.io protocol as the browser (see static/js/collab_client.js): it keeps a copy of the pad's
+ * attributed text in sync with the server, sends local changes as USER_CHANGES messages and rebases
+ * them over the changes of other users with Changeset.follow(), and resumes after reconnecting.
+ *
+ * Example:
+ *
+ *     const client = require('ep_etherpad-lite/node/client');
+ *     const pad = await client.connect('http://localhost:9001', 'test');
+ *     pad.on('change', ({author}) => console.log(`${author} changed the pad: ${pad.text()}`));
+ *     pad.appendLine('Hello from a bot');
+ *     await pad.flush();
+ *     pad.disconnect();
+ */
+
+const AttributePool = require('../static/js/AttributePool');
+const Changeset = require('../static/js/Changeset');
+const ChatMessage = require('../static/js/ChatMessage');
+const EventEmitter = require('events');
+const io = require('socket.io-client');
+const randomString = require('./utils/randomstring');
+
+/**
+ * A connection to a pad. Emits these events:
+ *   - change({changeset, author, rev}): Another user (or the server) has changed the pad. The
+ *     changeset is relative to the text before the change, which is already applied to `atext`.
+ *   - chat(chatMessage): A chat message was sent to the pad.
+ *   - userJoin(userInfo), userUpdate(userInfo), userLeave(userInfo): Another user has joined the
+ *     pad, changed their name or color, or left the pad.
+ *   - clientMessage(payload): A CLIENT_MESSAGE from the server (e.g. comment updates).
+ *   - disconnected(reason): The connection was lost. It is re-established automatically.
+ *   - reconnected(): The connection was re-established and the pad is in sync again.
+ *   - close(reason): The server has closed the connection (e.g. because the pad was deleted) or
+ *     disconnect() was called. The client does not reconnect.
+ */
+class PadClient extends EventEmitter {
+  constructor(socket, padId, options) {
+    super();
+    this._socket = socket;
+    this._options = options;
+    this.padId = padId;
+    // Set once the CLIENT_VARS message has arrived.
+    this.userId = null;
+    this.rev = null;
+    this.pool = new AttributePool();
+    this.atext = null;
+    // The other users on the pad, by author ID.
+    this.users = new Map();
+    this.closed = false;
+    // The pad's text as of this.rev.
+    this._base = null;
+    // The changeset that was sent to the server but not yet accepted, relative to this._base.
+    this._pending = null;
+    // The local changes that have not been sent yet, relative to this._base after this._pending.
+    this._unsent = null;
+    this._reconnecting = false;
+    this._flushWaiters = [];
+    this._socket.on('message', (msg) => this._handleMessage(msg));
+    this._socket.on('disconnect', (reason) => {
+      if (this.closed) return;
+      this._reconnecting = true;
+      this.emit('disconnected', reason);
+      // The socket.io client reconnects automatically unless the server has disconnected it.
+      if (reason === 'io server disconnect') this._socket.connect();
+    });
+    this._socket.on('reconnect', () => this._sendClientReady(true));
+  }
+
+  /**
+   * Returns the pad's text (including local changes that the server has not accepted yet).
+   */
+  text() {
+    return this.atext.text;
+  }
+
+  /**
+   * Inserts text.
+   *
+   * @param {number} pos - The position of the new text.
+   * @param {string} text - The text to insert.
+   * @param {Attribute[]} [attribs] - Attributes of the new text, such as [['bold', 'true']]. The
+   *     new text is always attributed to this client's author.
+   */
+  insertText(pos, text, attribs = []) {
+    this._checkRange(pos, pos);
+    if (!text) return;
+    this._applyLocal(Changeset.makeSplice(
+        this.text(), pos, 0, text, [['author', this.userId], ...attribs], this.pool));
+  }
+
+  /**
+   * Deletes the text between start (inclusive) and end (exclusive).
+   */
+  deleteText(start, end) {
+    this._checkRange(start, end);
+    if (start === end) return;
+    this._applyLocal(Changeset.makeSplice(this.text(), start, end - start, ''));
+  }
+
+  /**
+   * Replaces the text between start (inclusive) and end (exclusive).
+   */
+  replaceText(start, end, text, attribs = []) {
+    this._checkRange(start, end);
+    this._applyLocal(Changeset.makeSplice(
+        this.text(), start, end - start, text, [['author', this.userId], ...attribs], this.pool));
+  }
+
+  /**
+   * Sets attributes on the text between start (inclusive) and end (exclusive). An attribute with
+   * an empty value is removed, for example [['bold', '']].
+   */
+  setAttributes(start, end, attribs) {
+    this._checkRange(start, end);
+    if (start === end) return;
+    const text = this.text();
+    const builder = Changeset.builder(text.length);
+    builder.keepText(text.slice(0, start));
+    builder.keepText(text.slice(start, end), attribs, this.pool);
+    this._applyLocal(builder.toString());
+  }
+
+  /**
+   * Adds a line of text at the end of the pad. If the last line is empty, it is filled.
+   */
+  appendLine(line, attribs = []) {
+    const text = this.text();
+    const lastLineEmpty = text === '\n' || text.endsWith('\n\n');
+    this.insertText(text.length - 1, lastLineEmpty ? line : `\n${line}`, attribs);
+  }
+
+  /**
+   * Sends a chat message.
+   */
+  sendChat(text) {
+    this._send({
+      type: 'COLLABROOM',
+      component: 'pad',
+      data: {type: 'CHAT_MESSAGE', message: new ChatMessage(text, this.userId, Date.now())},
+    });
+  }
+
+  /**
+   * Resolves once the server has accepted all local changes.
+   */
+  async flush() {
+    if (this._pending == null && this._unsent == null) return;
+    if (this.closed) throw new Error('the connection to the pad is closed');
+    await new Promise((resolve, reject) => this._flushWaiters.push({resolve, reject}));
+  }
+
+  /**
+   * Closes the connection. Local changes that the server has not accepted yet are lost.
+   */
+  disconnect() {
+    this._close('disconnect');
+  }
+
+  _checkRange(start, end) {
+    if (!(start >= 0 && start <= end && end < this.text().length)) {
+      throw new RangeError(`invalid range ${start}-${end} (text length: ${this.text().length})`);
+    }
+  }
+
+  _send(msg) {
+    this._socket.send(msg);
+  }
+
+  _sendClientReady(reconnect) {
+    const {token, sessionID, name, colorId} = this._options;
+    const msg = {
+      component: 'pad',
+      type: 'CLIENT_READY',
+      padId: this.padId,
+      sessionID,
+      token,
+      userInfo: {name, colorId},
+    };
+    if (reconnect) {
+      msg.reconnect = true;
+      msg.client_rev = this.rev;
+    }
+    this._send(msg);
+  }
+
+  _applyLocal(changeset) {
+    if (this.closed) throw new Error('the connection to the pad is closed');
+    if (Changeset.isIdentity(changeset)) return;
+    this.atext = Changeset.applyToAText(changeset, this.atext, this.pool);
+    this._unsent = this._unsent == null
+      ? changeset : Changeset.compose(this._unsent, changeset, this.pool);
+    // Collect the changes made in the same tick into one USER_CHANGES message.
+    process.nextTick(() => this._sendChanges());
+  }
+
+  _sendChanges() {
+    if (this.closed || this._reconnecting || this._pending != null || this._unsent == null) {
+      return;
+    }
+    this._pending = this._unsent;
+    this._unsent = null;
+    this._sendPending();
+  }
+
+  _sendPending() {
+    const wire = Changeset.prepareForWire(this._pending, this.pool);
+    this._send({
+      type: 'COLLABROOM',
+      component: 'pad',
+      data: {
+        type: 'USER_CHANGES',
+        baseRev: this.rev,
+        changeset: wire.translated,
+        apool: wire.pool.toJsonable(),
+      },
+    });
+  }
+
+  _acceptCommit(newRev) {
+    this._base = Changeset.applyToAText(this._pending, this._base, this.pool);
+    this._pending = null;
+    this.rev = newRev;
+    if (this._unsent == null) {
+      for (const {resolve} of this._flushWaiters.splice(0)) resolve();
+    }
+  }
+
+  // Applies a changeset from the server and rebases the local changes over it.
+  _applyRemote(newRev, wireChangeset, wireApool, author) {
+    const changeset = Changeset.moveOpsToNewPool(
+        wireChangeset, new AttributePool().fromJsonable(wireApool), this.pool);
+    this._base = Changeset.applyToAText(changeset, this._base, this.pool);
+    this.rev = newRev;
+    let c = changeset;
+    if (this._pending != null) {
+      const pending = this._pending;
+      this._pending = Changeset.follow(c, pending, false, this.pool);
+      c = Changeset.follow(pending, c, true, this.pool);
+    }
+    if (this._unsent != null) {
+      const unsent = this._unsent;
+      this._unsent = Changeset.follow(c, unsent, true, this.pool);
+      c = Changeset.follow(unsent, c, false, this.pool);
+    }
+    this.atext = Changeset.applyToAText(c, this.atext, this.pool);
+    this.emit('change', {changeset: c, author, rev: newRev});
+  }
+
+  // Called when the server has sent all revisions that this client missed while it was
+  // disconnected.
+  _reconnected() {
+    this._reconnecting = false;
+    // The server did not get the pending changeset before the connection was lost.
+    if (this._pending != null) this._sendPending();
+    else this._sendChanges();
+    this.emit('reconnected');
+  }
+
+  _handleMessage(msg) {
+    if (this.closed) return;
+    if (msg.disconnect) return this._close(msg.disconnect);
+    if (msg.accessStatus) return this._close(`access ${msg.accessStatus}`);
+    if (msg.type === 'CLIENT_VARS') return this._handleClientVars(msg.data);
+    if (msg.type !== 'COLLABROOM' || this.atext == null) return;
+    const data = msg.data;
+    switch (data.type) {
+      case 'NEW_CHANGES':
+        if (data.newRev !== this.rev + 1) return;
+        this._applyRemote(data.newRev, data.changeset, data.apool, data.author);
+        break;
+      case 'ACCEPT_COMMIT':
+        if (this._pending == null) return;
+        this._acceptCommit(data.newRev);
+        this._sendChanges();
+        break;
+      case 'CLIENT_RECONNECT':
+        if (data.noChanges) return this._reconnected();
+        if (data.newRev !== this.rev + 1) return;
+        if (data.author === this.userId && this._pending != null) {
+          this._acceptCommit(data.newRev);
+        } else {
+          this._applyRemote(data.newRev, data.changeset, data.apool, data.author);
+        }
+        if (data.newRev === data.headRev) this._reconnected();
+        break;
+      case 'USER_NEWINFO': {
+        const {userInfo} = data;
+        if (userInfo.userId === this.userId) return;
+        const known = this.users.has(userInfo.userId);
+        this.users.set(userInfo.userId, userInfo);
+        this.emit(known ? 'userUpdate' : 'userJoin', userInfo);
+        break;
+      }
+      case 'USER_LEAVE': {
+        const {userInfo} = data;
+        if (!this.users.delete(userInfo.userId)) return;
+        this.emit('userLeave', userInfo);
+        break;
+      }
+      case 'CHAT_MESSAGE':
+        this.emit('chat', ChatMessage.fromObject(data.message));
+        break;
+      case 'CLIENT_MESSAGE':
+        this.emit('clientMessage', data.payload);
+        break;
+      default:
+        break;
+    }
+  }
+
+  _handleClientVars(clientVars) {
+    const {collab_client_vars: {initialAttributedText, apool, rev}} = clientVars;
+    this.userId = clientVars.userId;
+    this.rev = rev;
+    this.pool = new AttributePool().fromJsonable(apool);
+    this._base = Changeset.makeAText(initialAttributedText.text, initialAttributedText.attribs);
+    this.atext = Changeset.cloneAText(this._base);
+    this.clientVars = clientVars;
+    this.emit('clientVars', clientVars);
+  }
+
+  _close(reason) {
+    if (this.closed) return;
+    this.closed = true;
+    this._socket.close();
+    const err = new Error(`the connection to the pad was closed: ${reason}`);
+    for (const {reject} of this._flushWaiters.splice(0)) reject(err);
+    this.emit('close', reason);
+  }
+}
+exports.PadClient = PadClient;
+
+/**
+ * Connects to a pad.
+ *
+ * @param {string} url - The Etherpad URL, such as http://localhost:9001 or
+ *     https://example.com/etherpad/.
+ * @param {string} padId - The ID of the pad (or its read-only ID).
+ * @param {object} [options] - Options:
+ *   - token: The author token that identifies the user. Defaults to a random token, i.e., a new
+ *     author.
+ *   - sessionID: A session created with the createSession() HTTP API function.
+ *   - cookie: Cookies to send with the socket.io connection, e.g. the express_sid session cookie
+ *     of a logged in user.
+ *   - name, colorId: The name and color shown to the other users.
+ *   - timeout: Milliseconds to wait for the pad to load. Defaults to 10000.
+ * @returns {Promise<PadClient>} The connection, once the pad has loaded.
+ */
+exports.connect = async (url, padId, options = {}) => {
+  options = {
+    token: `t.${randomString(10)}`,
+    timeout: 10000,
+    ...options,
+  };
+  // The URL's path part is the socket.io namespace, which is always '/'. Etherpad's socket.io
+  // endpoint is at socket.io/ relative to the Etherpad URL.
+  const baseUrl = new URL(url.endsWith('/') ? url : `${url}/`);
+  const socket = io(new URL('/', baseUrl).href, {
+    forceNew: true,
+    path: new URL('socket.io', baseUrl).pathname,
+    // socket.io-client on Node.js doesn't support cookies, so they are passed as a query parameter.
+    query: {padId, ...(options.cookie ? {cookie: options.cookie} : {})},
+    reconnection: true,
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 5000,
+  });
+  const pad = new PadClient(socket, padId, options);
+  const handlers = {};
+  let timeout;
+  try {
+    await new Promise((resolve, reject) => {
+      timeout = setTimeout(
+          () => reject(new Error('timed out waiting for the pad')), options.timeout);
+      handlers.connect = () => pad._sendClientReady(false);
+      handlers.connectError = reject;
+      handlers.close = (reason) => reject(new Error(`failed to load the pad: ${reason}`));
+      handlers.clientVars = resolve;
+      socket.once('connect', handlers.connect);
+      socket.once('connect_error', handlers.connectError);
+      pad.once('close', handlers.close);
+      pad.once('clientVars', handlers.clientVars);
+    });
+  } catch (err) {
+    pad._close('error');
+    throw err;
+  } finally {
+    clearTimeout(timeout);
+    socket.off('connect_error', handlers.connectError);
+    pad.off('close', handlers.close);
+  }
+  return pad;
+};
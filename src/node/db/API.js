@@ -21,18 +21,35 @@
 
 const Changeset = require('../../static/js/Changeset');
 const ChatMessage = require('../../static/js/ChatMessage');
+const suggestions = require('../../static/js/suggestions');
+const apiTokenManager = require('./APITokenManager');
 const CustomError = require('../utils/customError');
 const padManager = require('./PadManager');
 const padMessageHandler = require('../handler/PadMessageHandler');
 const readOnlyManager = require('./ReadOnlyManager');
+const searchManager = require('./SearchManager');
+const securityManager = require('./SecurityManager');
 const groupManager = require('./GroupManager');
+const historyManager = require('./HistoryManager');
+const mergeManager = require('./MergeManager');
+const expiryManager = require('./ExpiryManager');
 const authorManager = require('./AuthorManager');
+const commentManager = require('./CommentManager');
 const sessionManager = require('./SessionManager');
+const suggestionManager = require('./SuggestionManager');
+const templateManager = require('./TemplateManager');
+const trashManager = require('./TrashManager');
+const settings = require('../utils/Settings');
 const exportHtml = require('../utils/ExportHtml');
+const exportMarkdown = require('../utils/ExportMarkdown');
 const exportTxt = require('../utils/ExportTxt');
 const importHtml = require('../utils/ImportHtml');
+const importMarkdown = require('../utils/ImportMarkdown');
 const cleanText = require('./Pad').cleanText;
 const PadDiff = require('../utils/padDiff');
+const padCompare = require('../utils/PadCompare');
+const hooks = require('../../static/js/pluginfw/hooks');
+const webhookManager = require('./WebhookManager');
 
 /* ********************
  * GROUP FUNCTIONS ****
@@ -51,6 +68,38 @@ exports.createGroupPad = groupManager.createGroupPad;
 
 exports.listAllPads = padManager.listAllPads;
 
+/**
+searchPads(query, [groupID]) returns the pads whose current text contains all words of the query
+(or, if the query is enclosed in double quotes, the phrase), best matches first. If groupID is
+given, only the pads of that group are searched. At most 100 pads are returned.
+
+Example returns:
+
+{code: 0, message:"ok", data: {results: [{padID: "meeting-notes", readOnlyID: "r.s8oes9dhwrvt0zif",
+  snippet: "…the budget for next year was approved…"}]}}
+{code: 1, message:"query is empty", data: null}
+{code: 1, message:"groupID does not exist", data: null}
+{code: 1, message:"search is disabled", data: null}
+*/
+exports.searchPads = async (query, groupID) => {
+  if (!settings.search.enabled) throw new CustomError('search is disabled', 'apierror');
+  let filter;
+  if (groupID) {
+    if (!await groupManager.doesGroupExist(groupID)) {
+      throw new CustomError('groupID does not exist', 'apierror');
+    }
+    filter = async (padID) => padID.startsWith(`${groupID}$`);
+  }
+  const results = await searchManager.search(query, {filter});
+  return {
+    results: await Promise.all(results.map(async ({padID, snippet}) => ({
+      padID,
+      readOnlyID: await readOnlyManager.getReadOnlyId(padID),
+      snippet,
+    }))),
+  };
+};
+
 /* ********************
  * AUTHOR FUNCTIONS ***
  ******************** */
@@ -72,6 +121,42 @@ exports.getSessionInfo = sessionManager.getSessionInfo;
 exports.listSessionsOfGroup = sessionManager.listSessionsOfGroup;
 exports.listSessionsOfAuthor = sessionManager.listSessionsOfAuthor;
 
+/* ***********************
+ * API TOKEN FUNCTIONS ***
+ *********************** */
+
+/**
+createAPIToken(name, scopes, [groupID], [validUntil]) creates a new scoped API token. scopes is a
+comma-separated list of read, write and admin. The token is only returned once.
+
+Example returns:
+
+{code: 0, message:"ok", data: {tokenID: "k.7f3c...", token: "k.7f3c....d8e1..."}}
+{code: 1, message:"unknown scope: foo", data: null}
+*/
+exports.createAPIToken = apiTokenManager.createToken;
+exports.listAPITokens = apiTokenManager.listTokens;
+exports.getAPITokenInfo = apiTokenManager.getTokenInfo;
+exports.revokeAPIToken = apiTokenManager.revokeToken;
+
+/* ***********************
+ * WEBHOOK FUNCTIONS *****
+ *********************** */
+
+/**
+createWebhook(url, [events], [secret]) registers a webhook. events is a comma-separated list of
+events (all events if empty). A secret is generated if none is given.
+
+Example returns:
+
+{code: 0, message:"ok", data: {webhookID: "w.5d1e...", secret: "0f9a..."}}
+{code: 1, message:"unknown event: pad.foo", data: null}
+*/
+exports.createWebhook = webhookManager.createWebhook;
+exports.listWebhooks = webhookManager.listWebhooks;
+exports.deleteWebhook = webhookManager.deleteWebhook;
+exports.listWebhookDeliveries = webhookManager.listWebhookDeliveries;
+
 /* ***********************
  * PAD CONTENT FUNCTIONS *
  *********************** */
@@ -201,7 +286,9 @@ exports.setText = async (padID, text) => {
   // get the pad
   const pad = await getPadSafe(padID, true);
 
-  await pad.setText(text);
+  // The changes are queued like the changes of the pad's users so that they do not race with
+  // compactHistory() and the other functions that rewrite the pad's history.
+  await padMessageHandler.enqueuePadTask(padID, async () => await pad.setText(text));
   await padMessageHandler.updatePadClients(pad);
 };
 
@@ -221,7 +308,7 @@ exports.appendText = async (padID, text) => {
   }
 
   const pad = await getPadSafe(padID, true);
-  await pad.appendText(text);
+  await padMessageHandler.enqueuePadTask(padID, async () => await pad.appendText(text));
   await padMessageHandler.updatePadClients(pad);
 };
 
@@ -276,7 +363,8 @@ exports.setHTML = async (padID, html) => {
 
   // add a new changeset with the new html to the pad
   try {
-    await importHtml.setPadHTML(pad, cleanText(html));
+    await padMessageHandler.enqueuePadTask(
+        padID, async () => await importHtml.setPadHTML(pad, cleanText(html)));
   } catch (e) {
     throw new CustomError('HTML is malformed', 'apierror');
   }
@@ -285,6 +373,59 @@ exports.setHTML = async (padID, html) => {
   padMessageHandler.updatePadClients(pad);
 };
 
+/**
+getMarkdown(padID, [rev]) returns the text of a pad formatted as Markdown
+
+Example returns:
+
+{code: 0, message:"ok", data: {markdown:"# Welcome\n\nSome **bold** text\n"}}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.getMarkdown = async (padID, rev) => {
+  if (rev !== undefined) {
+    rev = checkValidRev(rev);
+  }
+
+  const pad = await getPadSafe(padID, true);
+
+  // the client asked for a special revision
+  if (rev !== undefined) {
+    // check if this is a valid revision
+    const head = pad.getHeadRevisionNumber();
+    if (rev > head) {
+      throw new CustomError('rev is higher than the head revision of the pad', 'apierror');
+    }
+  }
+
+  const markdown = await exportMarkdown.getPadMarkdown(pad, rev);
+  return {markdown};
+};
+
+/**
+setMarkdown(padID, markdown) sets the text of a pad based on Markdown
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.setMarkdown = async (padID, markdown) => {
+  // markdown string is required
+  if (typeof markdown !== 'string') {
+    throw new CustomError('markdown is not a string', 'apierror');
+  }
+
+  // get the pad
+  const pad = await getPadSafe(padID, true);
+
+  // add a new changeset with the new text and formatting to the pad
+  await padMessageHandler.enqueuePadTask(
+      padID, async () => await importMarkdown.setPadMarkdown(pad, cleanText(markdown)));
+
+  // update the clients on the pad
+  padMessageHandler.updatePadClients(pad);
+};
+
 /* ****************
  * CHAT FUNCTIONS *
  **************** */
@@ -366,6 +507,242 @@ exports.appendChatMessage = async (padID, text, authorID, time) => {
   await padMessageHandler.sendChatMessageToPadClients(new ChatMessage(text, authorID, time), padID);
 };
 
+/* *******************
+ * COMMENT FUNCTIONS *
+ ******************* */
+
+/**
+listComments(padID) returns the comments of a pad with their replies, oldest first
+
+Example returns:
+
+{code: 0, message:"ok", data: {comments: [{commentID: "c.8c2e1f0b9d4a7e63",
+  authorID: "a.s8oes9dhwrvt0zif", authorName: "John", text: "Needs a source",
+  timestamp: 1637012345678, resolved: false,
+  replies: [{replyID: "cr.1d0f3c5e7a9b2c4d", authorID: "a.7df9hp3ksq0ntg2w", authorName: "Jane",
+  text: "Added one", timestamp: 1637012399999}]}]}}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.listComments = async (padID) => {
+  await getPadSafe(padID, true);
+  return {comments: await commentManager.getComments(padID)};
+};
+
+/**
+getComment(padID, commentID) returns a comment with its replies
+
+Example returns:
+
+{code: 0, message:"ok", data: {comment: {commentID: "c.8c2e1f0b9d4a7e63", ...}}}
+{code: 1, message:"commentID does not exist", data: null}
+*/
+exports.getComment = async (padID, commentID) => {
+  await getPadSafe(padID, true);
+  const comment = await commentManager.getComment(padID, commentID);
+  if (comment == null) throw new CustomError('commentID does not exist', 'apierror');
+  return {comment};
+};
+
+/**
+createComment(padID, text, start, end, [authorID]) adds a comment to a pad and anchors it to the
+text between the character offsets start and end
+
+Example returns:
+
+{code: 0, message:"ok", data: {commentID: "c.8c2e1f0b9d4a7e63"}}
+{code: 1, message:"text is empty", data: null}
+{code: 1, message:"start and end do not describe a range of the pad text", data: null}
+*/
+exports.createComment = async (padID, text, start, end, authorID) => {
+  const pad = await getPadSafe(padID, true);
+  start = toOffset(start);
+  end = toOffset(end);
+  commentManager.checkRange(pad, start, end);
+  await checkAuthorID(authorID);
+  const commentID = await commentManager.createComment(padID, text, authorID);
+  await commentManager.anchorComment(pad, commentID, start, end, authorID);
+  await padMessageHandler.updatePadClients(pad);
+  await padMessageHandler.sendCommentUpdate(padID, commentID);
+  return {commentID};
+};
+
+/**
+updateComment(padID, commentID, text) changes the text of a comment
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"commentID does not exist", data: null}
+*/
+exports.updateComment = async (padID, commentID, text) => {
+  await getPadSafe(padID, true);
+  await commentManager.updateComment(padID, commentID, text);
+  await padMessageHandler.sendCommentUpdate(padID, commentID);
+};
+
+/**
+deleteComment(padID, commentID) deletes a comment with its replies and removes its anchors from the
+pad text
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"commentID does not exist", data: null}
+*/
+exports.deleteComment = async (padID, commentID) => {
+  const pad = await getPadSafe(padID, true);
+  await commentManager.deleteComment(pad, commentID);
+  await padMessageHandler.updatePadClients(pad);
+  await padMessageHandler.sendCommentUpdate(padID, commentID);
+};
+
+/**
+resolveComment(padID, commentID) marks a comment as resolved
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"commentID does not exist", data: null}
+*/
+exports.resolveComment = async (padID, commentID) => {
+  await getPadSafe(padID, true);
+  await commentManager.setResolved(padID, commentID, true);
+  await padMessageHandler.sendCommentUpdate(padID, commentID);
+};
+
+/**
+reopenComment(padID, commentID) marks a resolved comment as unresolved again
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"commentID does not exist", data: null}
+*/
+exports.reopenComment = async (padID, commentID) => {
+  await getPadSafe(padID, true);
+  await commentManager.setResolved(padID, commentID, false);
+  await padMessageHandler.sendCommentUpdate(padID, commentID);
+};
+
+/**
+createCommentReply(padID, commentID, text, [authorID]) adds a reply to a comment
+
+Example returns:
+
+{code: 0, message:"ok", data: {replyID: "cr.1d0f3c5e7a9b2c4d"}}
+{code: 1, message:"commentID does not exist", data: null}
+*/
+exports.createCommentReply = async (padID, commentID, text, authorID) => {
+  await getPadSafe(padID, true);
+  await checkAuthorID(authorID);
+  const replyID = await commentManager.createReply(padID, commentID, text, authorID);
+  await padMessageHandler.sendCommentUpdate(padID, commentID);
+  return {replyID};
+};
+
+/**
+updateCommentReply(padID, commentID, replyID, text) changes the text of a reply
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"replyID does not exist", data: null}
+*/
+exports.updateCommentReply = async (padID, commentID, replyID, text) => {
+  await getPadSafe(padID, true);
+  await commentManager.updateReply(padID, commentID, replyID, text);
+  await padMessageHandler.sendCommentUpdate(padID, commentID);
+};
+
+/**
+deleteCommentReply(padID, commentID, replyID) deletes a reply
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"replyID does not exist", data: null}
+*/
+exports.deleteCommentReply = async (padID, commentID, replyID) => {
+  await getPadSafe(padID, true);
+  await commentManager.deleteReply(padID, commentID, replyID);
+  await padMessageHandler.sendCommentUpdate(padID, commentID);
+};
+
+/* **********************
+ * SUGGESTION FUNCTIONS *
+ ********************** */
+
+/**
+listSuggestions(padID) returns the suggested changes of a pad in the order of their first
+appearance in the text
+
+Example returns:
+
+{code: 0, message:"ok", data: {suggestions: [{suggestionID: "s.3b9d5f7a1c2e4g6h",
+  authorID: "a.s8oes9dhwrvt0zif", authorName: "John", inserted: "brown", deleted: "red"}]}}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.listSuggestions = async (padID) => {
+  const pad = await getPadSafe(padID, true);
+  return {suggestions: await suggestionManager.getSuggestions(pad)};
+};
+
+/**
+acceptSuggestion(padID, suggestionID) applies a suggested change
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"suggestionID does not exist", data: null}
+*/
+exports.acceptSuggestion = async (padID, suggestionID) => {
+  const pad = await getPadSafe(padID, true);
+  await suggestionManager.acceptSuggestion(pad, checkSuggestionID(suggestionID));
+  await padMessageHandler.updatePadClients(pad);
+};
+
+/**
+rejectSuggestion(padID, suggestionID) discards a suggested change
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"suggestionID does not exist", data: null}
+*/
+exports.rejectSuggestion = async (padID, suggestionID) => {
+  const pad = await getPadSafe(padID, true);
+  await suggestionManager.rejectSuggestion(pad, checkSuggestionID(suggestionID));
+  await padMessageHandler.updatePadClients(pad);
+};
+
+/**
+acceptAllSuggestions(padID) applies all suggested changes of a pad
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.acceptAllSuggestions = async (padID) => {
+  const pad = await getPadSafe(padID, true);
+  await suggestionManager.acceptSuggestion(pad, null);
+  await padMessageHandler.updatePadClients(pad);
+};
+
+/**
+rejectAllSuggestions(padID) discards all suggested changes of a pad
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.rejectAllSuggestions = async (padID) => {
+  const pad = await getPadSafe(padID, true);
+  await suggestionManager.rejectSuggestion(pad, null);
+  await padMessageHandler.updatePadClients(pad);
+};
+
 /* ***************
  * PAD FUNCTIONS *
  *************** */
@@ -413,14 +790,42 @@ exports.listSavedRevisions = async (padID) => {
 };
 
 /**
-saveRevision(padID) returns the list of saved revisions of this pad
+getSavedRevisions(padID) returns the saved revisions of this pad with their labels, authors,
+timestamps and metadata
 
 Example returns:
 
-{code: 0, message:"ok", data: null}
+{code: 0, message:"ok", data: {savedRevisions: [{savedRevisionID: "ae3f9c81b2", rev: 42,
+  label: "Published", authorID: "a.s8oes9dhwrvt0zif", timestamp: 1640995200000,
+  metadata: {publishID: 7}}]}}
 {code: 1, message:"padID does not exist", data: null}
 */
-exports.saveRevision = async (padID, rev) => {
+exports.getSavedRevisions = async (padID) => {
+  const pad = await getPadSafe(padID, true);
+  const savedRevisions = pad.getSavedRevisions()
+      .map((savedRev) => ({
+        savedRevisionID: savedRev.id,
+        rev: savedRev.revNum,
+        label: savedRev.label,
+        authorID: savedRev.savedById,
+        timestamp: savedRev.timestamp,
+        metadata: savedRev.metadata == null ? null : savedRev.metadata,
+      }))
+      .sort((a, b) => a.rev - b.rev);
+  return {savedRevisions};
+};
+
+/**
+saveRevision(padID, [rev], [label], [metadata], [authorID]) marks a revision (the head revision by
+default) as saved. metadata is free-form JSON. If the revision is already saved, its ID is returned
+and nothing changes.
+
+Example returns:
+
+{code: 0, message:"ok", data: {savedRevisionID: "ae3f9c81b2"}}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.saveRevision = async (padID, rev, label, metadata, authorID) => {
   // check if rev is a number
   if (rev !== undefined) {
     rev = checkValidRev(rev);
@@ -439,8 +844,48 @@ exports.saveRevision = async (padID, rev) => {
     rev = pad.getHeadRevisionNumber();
   }
 
-  const author = await authorManager.createAuthor('API');
-  await pad.addSavedRevision(rev, author.authorID, 'Saved through API call');
+  label = checkLabel(label);
+  metadata = parseMetadata(metadata);
+  await checkAuthorID(authorID);
+  if (!authorID) authorID = (await authorManager.createAuthor('API')).authorID;
+  const savedRev =
+      await pad.addSavedRevision(rev, authorID, label || 'Saved through API call', metadata);
+  await padMessageHandler.sendSavedRevisions(padID);
+  return {savedRevisionID: savedRev.id};
+};
+
+/**
+updateSavedRevision(padID, savedRevisionID, [label], [metadata]) changes the label and/or the
+metadata of a saved revision. Set metadata to null to remove it.
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"savedRevisionID does not exist", data: null}
+*/
+exports.updateSavedRevision = async (padID, savedRevisionID, label, metadata) => {
+  const pad = await getPadSafe(padID, true);
+  checkSavedRevisionID(pad, savedRevisionID);
+  await pad.updateSavedRevision(savedRevisionID, {
+    label: label === undefined ? undefined : checkLabel(label),
+    metadata: parseMetadata(metadata),
+  });
+  await padMessageHandler.sendSavedRevisions(padID);
+};
+
+/**
+deleteSavedRevision(padID, savedRevisionID) unmarks a saved revision. The revision itself is kept.
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"savedRevisionID does not exist", data: null}
+*/
+exports.deleteSavedRevision = async (padID, savedRevisionID) => {
+  const pad = await getPadSafe(padID, true);
+  checkSavedRevisionID(pad, savedRevisionID);
+  await pad.removeSavedRevision(savedRevisionID);
+  await padMessageHandler.sendSavedRevisions(padID);
 };
 
 /**
@@ -484,7 +929,8 @@ exports.createPad = async (padID, text) => {
 };
 
 /**
-deletePad(padID) deletes a pad
+deletePad(padID) deletes a pad. The pad is moved to the trash, from which it can be restored with
+restorePad until it is purged.
 
 Example returns:
 
@@ -492,8 +938,62 @@ Example returns:
 {code: 1, message:"padID does not exist", data: null}
 */
 exports.deletePad = async (padID) => {
-  const pad = await getPadSafe(padID, true);
-  await pad.remove();
+  await getPadSafe(padID, true);
+  await trashManager.deletePad(padID);
+};
+
+/**
+listDeletedPads([groupID]) lists the pads in the trash (only the pads of the given group if
+groupID is set), most recently deleted first. expires is the time when the pad will be purged, or
+null if it is kept until it is purged with purgePad.
+
+Example returns:
+
+{code: 0, message:"ok", data: {pads: [{padID: "notes", deletedAt: 1640995200000,
+  expires: 1643587200000}]}}
+{code: 1, message:"groupID does not exist", data: null}
+*/
+exports.listDeletedPads = async (groupID) => {
+  if (groupID === '') groupID = null;
+  const pads = await trashManager.listDeletedPads(groupID);
+  // The trash can still contain the pads of a deleted group.
+  if (groupID != null && pads.length === 0 && !await groupManager.doesGroupExist(groupID)) {
+    throw new CustomError('groupID does not exist', 'apierror');
+  }
+  return {pads};
+};
+
+/**
+restorePad(padID) restores a pad from the trash. If the pad belongs to a group that has been
+deleted, the group is restored too (without its sessions).
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID is not in the trash", data: null}
+{code: 1, message:"padID already exists", data: null}
+*/
+exports.restorePad = async (padID) => {
+  if (typeof padID !== 'string' || padID === '') {
+    throw new CustomError('padID is not in the trash', 'apierror');
+  }
+  await trashManager.restorePad(padID);
+};
+
+/**
+purgePad(padID) permanently deletes a pad from the trash. If a pad with this ID exists outside the
+trash, it is permanently deleted too.
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.purgePad = async (padID) => {
+  if (typeof padID !== 'string' || padID === '') {
+    throw new CustomError('padID does not exist', 'apierror');
+  }
+  await trashManager.purgePad(padID);
 };
 
 /**
@@ -514,49 +1014,245 @@ exports.restoreRevision = async (padID, rev) => {
   // get the pad
   const pad = await getPadSafe(padID, true);
 
-  // check if this is a valid revision
-  if (rev > pad.getHeadRevisionNumber()) {
-    throw new CustomError('rev is higher than the head revision of the pad', 'apierror');
-  }
+  // The revision is restored after the changes that are already queued for the pad.
+  await padMessageHandler.enqueuePadTask(padID, async () => {
+    // check if this is a valid revision
+    if (rev > pad.getHeadRevisionNumber()) {
+      throw new CustomError('rev is higher than the head revision of the pad', 'apierror');
+    }
+
+    const atext = await pad.getInternalRevisionAText(rev);
+
+    const oldText = pad.text();
+    atext.text += '\n';
+
+    const eachAttribRun = (attribs, func) => {
+      let textIndex = 0;
+      const newTextStart = 0;
+      const newTextEnd = atext.text.length;
+      for (const op of Changeset.deserializeOps(attribs)) {
+        const nextIndex = textIndex + op.chars;
+        if (!(nextIndex <= newTextStart || textIndex >= newTextEnd)) {
+          func(Math.max(newTextStart, textIndex), Math.min(newTextEnd, nextIndex), op.attribs);
+        }
+        textIndex = nextIndex;
+      }
+    };
+
+    // create a new changeset with a helper builder object
+    const builder = Changeset.builder(oldText.length);
+
+    // assemble each line into the builder
+    eachAttribRun(atext.attribs, (start, end, attribs) => {
+      builder.insert(atext.text.substring(start, end), attribs);
+    });
+
+    const lastNewlinePos = oldText.lastIndexOf('\n');
+    if (lastNewlinePos < 0) {
+      builder.remove(oldText.length - 1, 0);
+    } else {
+      builder.remove(lastNewlinePos, oldText.match(/\n/g).length - 1);
+      builder.remove(oldText.length - lastNewlinePos - 1, 0);
+    }
+
+    const changeset = builder.toString();
 
-  const atext = await pad.getInternalRevisionAText(rev);
+    await pad.appendRevision(changeset);
+  });
+  await padMessageHandler.updatePadClients(pad);
+};
 
-  const oldText = pad.text();
-  atext.text += '\n';
+/**
+revertAuthorChanges(padID, authorID, [startRev], [endRev]) reverts the changes that an author made
+in the revisions startRev to endRev (by default all revisions) as a new revision. Unlike
+restoreRevision, the changes of the other authors are kept, including the changes they made after
+the author's.
 
-  const eachAttribRun = (attribs, func) => {
-    let textIndex = 0;
-    const newTextStart = 0;
-    const newTextEnd = atext.text.length;
-    for (const op of Changeset.deserializeOps(attribs)) {
-      const nextIndex = textIndex + op.chars;
-      if (!(nextIndex <= newTextStart || textIndex >= newTextEnd)) {
-        func(Math.max(newTextStart, textIndex), Math.min(newTextEnd, nextIndex), op.attribs);
-      }
-      textIndex = nextIndex;
+Example returns:
+
+{code: 0, message:"ok", data: {revertedRevisions: 3}}
+{code: 1, message:"padID does not exist", data: null}
+{code: 1, message:"rev is higher than the head revision of the pad", data: null}
+*/
+exports.revertAuthorChanges = async (padID, authorID, startRev, endRev) => {
+  const pad = await getPadSafe(padID, true);
+  if (typeof authorID !== 'string' || !authorID) {
+    throw new CustomError('authorID is not a string', 'apierror');
+  }
+  const getRev = (rev, defaultRev) => {
+    if (rev == null || rev === '') return defaultRev;
+    rev = checkValidRev(rev);
+    if (rev > pad.getHeadRevisionNumber()) {
+      throw new CustomError('rev is higher than the head revision of the pad', 'apierror');
     }
+    return rev;
   };
+  startRev = getRev(startRev, 0);
+  endRev = getRev(endRev, null);
+  if (endRev != null && endRev < startRev) {
+    throw new CustomError('endRev is lower than startRev', 'apierror');
+  }
+  return {revertedRevisions: await pad.revertAuthorChanges(authorID, startRev, endRev)};
+};
 
-  // create a new changeset with a helper builder object
-  const builder = Changeset.builder(oldText.length);
+/**
+compactPad(padID, [keepRevisions], [keepDays]) squashes the old revisions of a pad into its first
+revision. The newest keepRevisions revisions and the revisions of the last keepDays days are kept,
+as well as the saved revisions. Without limits, the retention policy of the pad's group or the
+global policy (settings.json) is used. Users of the pad are disconnected and the remaining revisions
+are renumbered.
 
-  // assemble each line into the builder
-  eachAttribRun(atext.attribs, (start, end, attribs) => {
-    builder.insert(atext.text.substring(start, end), attribs);
-  });
+Example returns:
 
-  const lastNewlinePos = oldText.lastIndexOf('\n');
-  if (lastNewlinePos < 0) {
-    builder.remove(oldText.length - 1, 0);
-  } else {
-    builder.remove(lastNewlinePos, oldText.match(/\n/g).length - 1);
-    builder.remove(oldText.length - lastNewlinePos - 1, 0);
+{code: 0, message:"ok", data: {removedRevisions: 42}}
+{code: 1, message:"padID does not exist", data: null}
+{code: 1, message:"keepRevisions must be a positive integer", data: null}
+*/
+exports.compactPad = async (padID, keepRevisions, keepDays) => {
+  await getPadSafe(padID, true);
+  const noLimit = (limit) => limit == null || limit === '';
+  const policy = noLimit(keepRevisions) && noLimit(keepDays) ? null : {keepRevisions, keepDays};
+  return {removedRevisions: await historyManager.compactPad(padID, policy)};
+};
+
+/**
+getGroupRetentionPolicy(groupID) returns the history retention policy of a group, or null if the
+group uses the global policy
+
+Example returns:
+
+{code: 0, message:"ok", data: {retentionPolicy: {keepRevisions: 1000, keepDays: null}}}
+{code: 0, message:"ok", data: {retentionPolicy: null}}
+{code: 1, message:"groupID does not exist", data: null}
+*/
+exports.getGroupRetentionPolicy = async (groupID) => ({
+  retentionPolicy: await historyManager.getGroupRetentionPolicy(groupID),
+});
+
+/**
+setGroupRetentionPolicy(groupID, [retentionPolicy]) sets the history retention policy of the pads of
+a group. retentionPolicy is a JSON object with the keepRevisions and keepDays limits (see
+compactPad); an object without limits keeps the whole history. Without a policy, the group uses the
+global policy again.
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"groupID does not exist", data: null}
+{code: 1, message:"retentionPolicy is not valid JSON", data: null}
+*/
+exports.setGroupRetentionPolicy = async (groupID, retentionPolicy) => {
+  if (retentionPolicy === '') retentionPolicy = null;
+  if (typeof retentionPolicy === 'string') {
+    try {
+      retentionPolicy = JSON.parse(retentionPolicy);
+    } catch (err) {
+      throw new CustomError('retentionPolicy is not valid JSON', 'apierror');
+    }
   }
+  await historyManager.setGroupRetentionPolicy(groupID, retentionPolicy);
+};
 
-  const changeset = builder.toString();
+/**
+getGroupExpiryPolicy(groupID) returns the expiry policy of the pads of a group, or null if the group
+uses the global policy
 
-  await pad.appendRevision(changeset);
-  await padMessageHandler.updatePadClients(pad);
+Example returns:
+
+{code: 0, message:"ok", data: {expiryPolicy: {staleDays: 365, unchangedDays: 7}}}
+{code: 0, message:"ok", data: {expiryPolicy: null}}
+{code: 1, message:"groupID does not exist", data: null}
+*/
+exports.getGroupExpiryPolicy = async (groupID) => ({
+  expiryPolicy: await expiryManager.getGroupExpiryPolicy(groupID),
+});
+
+/**
+setGroupExpiryPolicy(groupID, [expiryPolicy]) sets when the pads of a group are deleted
+automatically. expiryPolicy is a JSON object with the staleDays and unchangedDays limits; an object
+without limits keeps the group's pads forever. Without a policy, the group uses the global policy
+again.
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"groupID does not exist", data: null}
+{code: 1, message:"expiryPolicy is not valid JSON", data: null}
+*/
+exports.setGroupExpiryPolicy = async (groupID, expiryPolicy) => {
+  if (expiryPolicy === '') expiryPolicy = null;
+  if (typeof expiryPolicy === 'string') {
+    try {
+      expiryPolicy = JSON.parse(expiryPolicy);
+    } catch (err) {
+      throw new CustomError('expiryPolicy is not valid JSON', 'apierror');
+    }
+  }
+  await expiryManager.setGroupExpiryPolicy(groupID, expiryPolicy);
+};
+
+/**
+getPadExpiry(padID) returns when a pad will be deleted automatically and whether it is exempt. The
+reason is "stale" (not edited for too long) or "unchanged" (still has the default text).
+
+Example returns:
+
+{code: 0, message:"ok", data: {exempt: false, expiry: {reason: "stale", lastEdited: 1640995200000,
+  expires: 1672531200000}}}
+{code: 0, message:"ok", data: {exempt: true, expiry: null}}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.getPadExpiry = async (padID) => {
+  const pad = await getPadSafe(padID, true);
+  const expiry = await expiryManager.getPadExpiry(padID);
+  if (expiry != null) delete expiry.padID;
+  return {exempt: !!pad.expiryExempt, expiry};
+};
+
+/**
+setPadExpiryExempt(padID, exempt) exempts a pad from automatic deletion (or removes the exemption)
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.setPadExpiryExempt = async (padID, exempt) => {
+  const pad = await getPadSafe(padID, true);
+  if (typeof exempt === 'string') exempt = exempt.toLowerCase() === 'true';
+  await pad.setExpiryExempt(!!exempt);
+};
+
+/**
+listExpiringPads([days]) lists the pads that will be deleted automatically within the given number
+of days (default: 0, the pads that have already expired), sorted by expiry time
+
+Example returns:
+
+{code: 0, message:"ok", data: {pads: [{padID: "old", reason: "stale", lastEdited: 1640995200000,
+  expires: 1672531200000}]}}
+{code: 1, message:"days must be a number", data: null}
+*/
+exports.listExpiringPads = async (days) => {
+  days = days == null || days === '' ? 0 : Number(days);
+  if (!Number.isFinite(days)) throw new CustomError('days must be a number', 'apierror');
+  const before = Date.now() + days * 24 * 60 * 60 * 1000;
+  return {pads: await expiryManager.listExpiringPads(before)};
+};
+
+/**
+expirePads([dryRun]) deletes the expired pads that have no users now instead of waiting for the
+scheduler, and returns them. If settings.padExpiry.archiveDir is set, the path of the .etherpad file
+of each pad is returned in its archive property. With dryRun, nothing is deleted.
+
+Example returns:
+
+{code: 0, message:"ok", data: {pads: [{padID: "old", reason: "stale", lastEdited: 1640995200000,
+  expires: 1672531200000, archive: null}]}}
+*/
+exports.expirePads = async (dryRun) => {
+  if (typeof dryRun === 'string') dryRun = dryRun.toLowerCase() === 'true';
+  return {pads: await expiryManager.expirePads({dryRun: !!dryRun})};
 };
 
 /**
@@ -600,6 +1296,134 @@ exports.movePad = async (sourceID, destinationID, force) => {
   const pad = await getPadSafe(sourceID, true);
   await pad.copy(destinationID, force);
   await pad.remove();
+  await hooks.aCallAll('padMove', {sourceID, destinationID});
+};
+
+/**
+forkPad(sourceID, destinationID[, force=false]) copies a pad without its history and records the
+  pad and revision it was forked from, so that the changes made in the copy can be merged back with
+  mergePad. If force is true, the destination will be overwritten if it exists.
+
+Example returns:
+
+{code: 0, message:"ok", data: {padID: destinationID}}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.forkPad = async (sourceID, destinationID, force) => {
+  const pad = await getPadSafe(sourceID, true);
+  return await mergeManager.forkPad(pad, destinationID, force);
+};
+
+/**
+getMergeConflicts(sourceID, targetID) returns the number of changed line ranges of the fork sourceID
+  that mergePad would merge into targetID (the pad that sourceID was forked from), and the conflicts
+  with changes that were made in targetID in the meantime. Each conflict has the text of the lines
+  when the pad was forked or last merged (base), in the fork (source) and in targetID (target).
+
+Example returns:
+
+{code: 0, message:"ok", data: {changes: 2, conflicts: [
+  {base: "Hello world\n", source: "Hello fork\n", target: "Hello pad\n"}
+]}}
+{code: 1, message:"sourceID is not a fork of targetID", data: null}
+*/
+exports.getMergeConflicts = async (sourceID, targetID) => {
+  const source = await getPadSafe(sourceID, true);
+  const target = await getPadSafe(targetID, true);
+  return await mergeManager.getMerge(source, target);
+};
+
+/**
+mergePad(sourceID, targetID[, resolutions][, authorID]) merges the changes that were made in the
+  fork sourceID since it was forked or last merged into the pad it was forked from (targetID). The
+  changes are rebased onto the changes made in targetID in the meantime. If there are conflicts (see
+  getMergeConflicts), resolutions must be a JSON array with the resolution of each conflict:
+  "source" (the fork's version), "target" (targetID's version) or "both" (targetID's version
+  followed by the fork's version).
+
+Example returns:
+
+{code: 0, message:"ok", data: {rev: 12, changes: 2, conflicts: 1}}
+{code: 1, message:"the number of resolutions does not match the number of conflicts", data: null}
+*/
+exports.mergePad = async (sourceID, targetID, resolutions, authorID) => {
+  const source = await getPadSafe(sourceID, true);
+  const target = await getPadSafe(targetID, true);
+  await checkAuthorID(authorID);
+  if (resolutions == null || resolutions === '') resolutions = [];
+  if (typeof resolutions === 'string') {
+    try {
+      resolutions = JSON.parse(resolutions);
+    } catch (err) {
+      throw new CustomError('resolutions is not valid JSON', 'apierror');
+    }
+  }
+  return await mergeManager.merge(source, target, resolutions, authorID || '');
+};
+
+/**
+createPadFromTemplate(padID, template) creates a new pad with the text and formatting of a template
+pad. padID can be a group pad ID, in which case the templates of the group are searched before the
+global templates.
+
+Example returns:
+
+{code: 0, message:"ok", data: {padID: "meeting-2021-11-04"}}
+{code: 1, message:"padID does already exist", data: null}
+{code: 1, message:"template does not exist", data: null}
+*/
+exports.createPadFromTemplate = async (padID, template) => {
+  if (typeof padID !== 'string') throw new CustomError('padID is not a string', 'apierror');
+  if (!padManager.isValidPadId(padID)) {
+    throw new CustomError('padID did not match requirements', 'apierror');
+  }
+  await templateManager.createPadFromTemplate(padID, template);
+  return {padID};
+};
+
+/**
+setPadTemplate(padID, name) makes a pad a template with the given name, or renames it if it is
+already a template. Group pads are templates of their group, other pads are global templates.
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID does not exist", data: null}
+{code: 1, message:"name is already used by another template", data: null}
+*/
+exports.setPadTemplate = async (padID, name) => {
+  await getPadSafe(padID, true);
+  await templateManager.setPadTemplate(padID, name);
+};
+
+/**
+unsetPadTemplate(padID) turns a template back into a regular pad
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID is not a template", data: null}
+*/
+exports.unsetPadTemplate = async (padID) => {
+  await getPadSafe(padID, true);
+  if (!await templateManager.unsetPadTemplate(padID)) {
+    throw new CustomError('padID is not a template', 'apierror');
+  }
+};
+
+/**
+listPadTemplates([groupID]) lists the global templates, or the templates of a group
+
+Example returns:
+
+{code: 0, message:"ok", data: {templates: [{name: "Meeting notes", padID: "meeting-template"}]}}
+{code: 1, message:"groupID does not exist", data: null}
+*/
+exports.listPadTemplates = async (groupID) => {
+  if (groupID && !await groupManager.doesGroupExist(groupID)) {
+    throw new CustomError('groupID does not exist', 'apierror');
+  }
+  return {templates: await templateManager.listTemplates(groupID || null)};
 };
 
 /**
@@ -678,6 +1502,62 @@ exports.getPublicStatus = async (padID) => {
   return {publicStatus: pad.getPublicStatus()};
 };
 
+/**
+getPadACL(padID) returns the access control list of a pad. An empty list means that access to the
+pad is not restricted by an access control list.
+
+Example returns:
+
+{code: 0, message:"ok", data: {acl: {"user:alice": "owner", "group:g.s8oes9dhwrvt0zif": "viewer"}}}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.getPadACL = async (padID) => {
+  const pad = await getPadSafe(padID, true);
+  return {acl: pad.getAccessControlList()};
+};
+
+/**
+grantPadAccess(padID, principal, role) grants a role (owner, editor, commenter or viewer) to a
+principal (`author:<authorID>`, `group:<groupID>`, `user:<username>` or `*` for everyone) in the
+access control list of a pad, replacing the principal's previous role
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID does not exist", data: null}
+{code: 1, message:"principal is invalid", data: null}
+{code: 1, message:"role is invalid", data: null}
+*/
+exports.grantPadAccess = async (padID, principal, role) => {
+  if (!securityManager.isValidPrincipal(principal)) {
+    throw new CustomError('principal is invalid', 'apierror');
+  }
+  if (!securityManager.padRoles.includes(role)) {
+    throw new CustomError('role is invalid', 'apierror');
+  }
+  const pad = await getPadSafe(padID, true);
+  await pad.setAccessRole(principal, role);
+  await padMessageHandler.updatePadAccess(padID);
+};
+
+/**
+revokePadAccess(padID, principal) removes a principal from the access control list of a pad
+
+Example returns:
+
+{code: 0, message:"ok", data: null}
+{code: 1, message:"padID does not exist", data: null}
+{code: 1, message:"principal is invalid", data: null}
+*/
+exports.revokePadAccess = async (padID, principal) => {
+  if (!securityManager.isValidPrincipal(principal)) {
+    throw new CustomError('principal is invalid', 'apierror');
+  }
+  const pad = await getPadSafe(padID, true);
+  await pad.setAccessRole(principal, null);
+  await padMessageHandler.updatePadAccess(padID);
+};
+
 /**
 listAuthorsOfPad(padID) returns an array of authors who contributed to this pad
 
@@ -790,6 +1670,36 @@ exports.createDiffHTML = async (padID, startRev, endRev) => {
   return {html, authors};
 };
 
+/**
+createDiffJSON(padID, [startRev], [endRev], [endPadID]) compares revision startRev of a pad with
+revision endRev of the same pad or, if endPadID is given, of another pad (e.g. a copy of the pad).
+Missing revisions default to the head revision. The differences are returned as hunks of equal,
+inserted, deleted and reformatted text with their attributes and authors (see
+node/utils/PadCompare.js).
+
+Example returns:
+
+{code: 0, message:"ok", data: {hunks: [
+  {type: "equal", text: "Hello ", attribs: {author: "a.x"}, author: "a.x"},
+  {type: "insert", text: "world", attribs: {author: "a.y", bold: "true"}, author: "a.y"}
+], authors: ["a.y"]}}
+{code: 1, message:"padID does not exist", data: null}
+*/
+exports.createDiffJSON = async (padID, startRev, endRev, endPadID) => {
+  const startPad = await getPadSafe(padID, true);
+  const endPad = endPadID ? await getPadSafe(endPadID, true) : startPad;
+  const getRev = (rev, pad) => {
+    if (rev == null || rev === '') return pad.getHeadRevisionNumber();
+    rev = checkValidRev(rev);
+    if (rev > pad.getHeadRevisionNumber()) {
+      throw new CustomError('rev is higher than the head revision of the pad', 'apierror');
+    }
+    return rev;
+  };
+  return await padCompare.comparePads(
+      startPad, getRev(startRev, startPad), endPad, getRev(endRev, endPad));
+};
+
 /* ********************
  ** GLOBAL FUNCTIONS **
  ******************** */
@@ -854,6 +1764,54 @@ const getPadSafe = async (padID, shouldExist, text) => {
   return padManager.getPad(padID, text);
 };
 
+// checks that an optional authorID exists
+const checkAuthorID = async (authorID) => {
+  if (authorID && !await authorManager.doesAuthorExist(authorID)) {
+    throw new CustomError('authorID does not exist', 'apierror');
+  }
+};
+
+const checkSavedRevisionID = (pad, savedRevisionID) => {
+  if (typeof savedRevisionID !== 'string' || pad.getSavedRevision(savedRevisionID) == null) {
+    throw new CustomError('savedRevisionID does not exist', 'apierror');
+  }
+};
+
+const checkLabel = (label) => {
+  if (label == null) return '';
+  if (typeof label !== 'string') throw new CustomError('label is not a string', 'apierror');
+  if (label.length > 200) throw new CustomError('label is too long', 'apierror');
+  return label.trim();
+};
+
+// parses the metadata of a saved revision, which is a JSON string unless the parameters were sent
+// as JSON. Returns undefined if no metadata was given and null if it should be removed.
+const parseMetadata = (metadata) => {
+  if (metadata === undefined || metadata === '') return undefined;
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (err) {
+      throw new CustomError('metadata is not valid JSON', 'apierror');
+    }
+  }
+  if (JSON.stringify(metadata).length > 10000) {
+    throw new CustomError('metadata is too large', 'apierror');
+  }
+  return metadata;
+};
+
+// converts a character offset, which is a string unless the parameters were sent as JSON
+const toOffset = (offset) => typeof offset === 'number' ? offset : parseInt(offset, 10);
+
+// checks that a suggestionID is given, so that a missing ID does not resolve all suggestions
+const checkSuggestionID = (suggestionID) => {
+  if (!suggestions.isValidSuggestionID(suggestionID)) {
+    throw new CustomError('suggestionID does not exist', 'apierror');
+  }
+  return suggestionID;
+};
+
 // checks if a rev is a legal number
 // pre-condition is that `rev` is not undefined
 const checkValidRev = (rev) => {
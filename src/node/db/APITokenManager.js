@@ -0,0 +1,156 @@
+'use strict';
+/**
+ * The API Token Manager provides functions to manage scoped HTTP API tokens in the database
+ */
+
+const CustomError = require('../utils/customError');
+const crypto = require('crypto');
+const db = require('./DB');
+const randomString = require('../utils/randomstring');
+
+/**
+ * The scopes a token can be granted:
+ *   - read: functions that only read pad, author or group data
+ *   - write: functions that modify pad content or pads
+ *   - admin: functions that manage groups, authors and sessions
+ */
+exports.scopes = Object.freeze(['read', 'write', 'admin']);
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Compares two hex digests without leaking timing information about where they differ.
+const digestsEqual = (a, b) => {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Converts a comma-separated list (as received from the HTTP API) or an array to an array of
+// validated scope names.
+const parseScopes = (scopes) => {
+  if (typeof scopes === 'string') scopes = scopes.split(',');
+  if (!Array.isArray(scopes)) throw new CustomError('scopes is not a list', 'apierror');
+  scopes = [...new Set(scopes.map((s) => `${s}`.trim()).filter((s) => s))];
+  if (scopes.length === 0) throw new CustomError('at least one scope is required', 'apierror');
+  for (const scope of scopes) {
+    if (!exports.scopes.includes(scope)) {
+      throw new CustomError(`unknown scope: ${scope}`, 'apierror');
+    }
+  }
+  return scopes;
+};
+
+// Strips the secret hash from a token record before it is handed out.
+const publicInfo = (tokenID, token) => {
+  const info = {tokenID, ...token};
+  delete info.secretHash;
+  return info;
+};
+
+/**
+ * Creates a new API token.
+ *
+ * @param {string} name - Human readable name of the integration that uses the token.
+ * @param {string|string[]} scopes - Comma-separated list (or array) of scopes, see `scopes`.
+ * @param {string} [groupID] - If set, the token may only be used on this group and its pads.
+ * @param {number|string} [validUntil] - Unix timestamp in seconds after which the token expires.
+ * @returns {{tokenID: string, token: string}} The token is only returned here; only a hash of its
+ *     secret part is stored.
+ */
+exports.createToken = async (name, scopes, groupID, validUntil) => {
+  if (typeof name !== 'string' || !name) {
+    throw new CustomError('name is not a string', 'apierror');
+  }
+  scopes = parseScopes(scopes);
+
+  if (groupID) {
+    if (!/^g\.[A-Za-z0-9]+$/.test(groupID)) {
+      throw new CustomError('groupID is not a valid group ID', 'apierror');
+    }
+    if (await db.get(`group:${groupID}`) == null) {
+      throw new CustomError('groupID does not exist', 'apierror');
+    }
+  } else {
+    groupID = null;
+  }
+
+  if (validUntil != null && validUntil !== '') {
+    if (typeof validUntil !== 'number') validUntil = Number(validUntil);
+    if (!Number.isInteger(validUntil) || validUntil < 0) {
+      throw new CustomError('validUntil is not a valid timestamp', 'apierror');
+    }
+    if (validUntil < Math.floor(Date.now() / 1000)) {
+      throw new CustomError('validUntil is in the past', 'apierror');
+    }
+  } else {
+    validUntil = null;
+  }
+
+  const tokenID = `k.${randomString(16)}`;
+  const secret = randomString(32);
+  await db.set(`apitoken:${tokenID}`, {
+    name,
+    scopes,
+    groupID,
+    validUntil,
+    created: Date.now(),
+    lastUsed: null,
+    revoked: null,
+    secretHash: hashSecret(secret),
+  });
+  // Add the token to the `apitokens` record after the token's individual record is created so that
+  // the state is consistent.
+  await db.setSub('apitokens', [tokenID], 1);
+  return {tokenID, token: `${tokenID}.${secret}`};
+};
+
+/**
+ * Returns information about all tokens, including revoked and expired ones.
+ */
+exports.listTokens = async () => {
+  const tokenIDs = Object.keys(await db.get('apitokens') || {});
+  const tokens = await Promise.all(tokenIDs.map(async (tokenID) => {
+    const token = await db.get(`apitoken:${tokenID}`);
+    return token == null ? null : publicInfo(tokenID, token);
+  }));
+  return {tokens: tokens.filter((t) => t != null)};
+};
+
+/**
+ * Returns information about a single token.
+ */
+exports.getTokenInfo = async (tokenID) => {
+  const token = await db.get(`apitoken:${tokenID}`);
+  if (token == null) throw new CustomError('tokenID does not exist', 'apierror');
+  return publicInfo(tokenID, token);
+};
+
+/**
+ * Revokes a token. The record is kept (with a revocation timestamp) so that the admin can still
+ * see when the token was last used.
+ */
+exports.revokeToken = async (tokenID) => {
+  const token = await db.get(`apitoken:${tokenID}`);
+  if (token == null) throw new CustomError('tokenID does not exist', 'apierror');
+  if (token.revoked != null) return;
+  await db.setSub(`apitoken:${tokenID}`, ['revoked'], Date.now());
+};
+
+/**
+ * Looks up the token that matches the given secret token string.
+ *
+ * @returns The token info (see `getTokenInfo`) if the token exists, has not been revoked and has
+ *     not expired. Otherwise null. On success the token's last-used timestamp is updated.
+ */
+exports.authenticate = async (tokenString) => {
+  if (typeof tokenString !== 'string') return null;
+  const [tokenID, secret] = tokenString.split(/\.(?=[^.]*$)/);
+  if (!tokenID || !secret || !tokenID.startsWith('k.')) return null;
+  const token = await db.get(`apitoken:${tokenID}`);
+  if (token == null || !digestsEqual(token.secretHash, hashSecret(secret))) return null;
+  if (token.revoked != null) return null;
+  if (token.validUntil != null && token.validUntil < Math.floor(Date.now() / 1000)) return null;
+  const lastUsed = Date.now();
+  await db.setSub(`apitoken:${tokenID}`, ['lastUsed'], lastUsed);
+  return publicInfo(tokenID, {...token, lastUsed});
+};
@@ -0,0 +1,166 @@
+'use strict';
+/**
+ * The Ban Manager keeps the list of banned authors and IP addresses. Banned users are denied access
+ * to all pads (see SecurityManager.checkAccess()), and banned IP addresses cannot connect to the
+ * socket.io server.
+ *
+ * The bans are stored in the `bans` record, which maps ban IDs to `{authorID, ipRange, reason,
+ * created, until}` objects. A ban has either an author ID or an IP range. IP ranges are single IPv4
+ * or IPv6 addresses or CIDR blocks such as `192.0.2.0/24` or `2001:db8::/32`. A ban expires at
+ * `until` (in milliseconds since the epoch), or never if `until` is null. Expired bans are removed
+ * when the bans are listed.
+ */
+
+const CustomError = require('../utils/customError');
+const db = require('./DB');
+const net = require('net');
+const randomString = require('../utils/randomstring');
+
+// Returns the address as a BigInt, or null if it is not a valid IP address. IPv4-mapped IPv6
+// addresses (`::ffff:192.0.2.1`, as reported by socket.io for IPv4 clients) are treated as IPv4.
+const parseAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped != null) address = mapped[1];
+  const version = net.isIP(address);
+  if (version === 4) {
+    const value = address.split('.')
+        .reduce((acc, part) => (acc << BigInt(8)) + BigInt(part), BigInt(0));
+    return {version, bits: 32, value};
+  }
+  if (version !== 6) return null;
+  // Expand the `::` and an embedded IPv4 address to get 8 groups of 16 bits.
+  const ipv4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(address);
+  if (ipv4 != null) {
+    const [, a, b, c, d] = ipv4.map(Number);
+    address = `${address.slice(0, ipv4.index)}${((a << 8) + b).toString(16)}:` +
+        `${((c << 8) + d).toString(16)}`;
+  }
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail == null ? headGroups : [
+    ...headGroups,
+    ...Array(8 - headGroups.length - tailGroups.length).fill('0'),
+    ...tailGroups,
+  ];
+  const value =
+      groups.reduce((acc, group) => (acc << BigInt(16)) + BigInt(parseInt(group, 16)), BigInt(0));
+  return {version, bits: 128, value};
+};
+
+/**
+ * Parses an IP range (an IP address or a CIDR block).
+ *
+ * @param {string} range - The range.
+ * @returns {?{version: number, bits: number, value: BigInt, prefix: number}} Null if the range is
+ *     invalid.
+ */
+exports.parseIPRange = (range) => {
+  if (typeof range !== 'string') return null;
+  const [address, prefixString, ...rest] = range.trim().split('/');
+  if (rest.length > 0) return null;
+  const parsed = parseAddress(address);
+  if (parsed == null) return null;
+  const prefix = prefixString == null ? parsed.bits : Number(prefixString);
+  if (!/^\d+$/.test(prefixString == null ? '0' : prefixString) || prefix > parsed.bits) return null;
+  return {...parsed, prefix};
+};
+
+/**
+ * Returns whether an IP address is in an IP range.
+ *
+ * @param {string} ip - The IP address.
+ * @param {string} range - The range (an IP address or a CIDR block).
+ */
+exports.ipInRange = (ip, range) => {
+  const address = parseAddress(ip);
+  const parsedRange = exports.parseIPRange(range);
+  if (address == null || parsedRange == null) return false;
+  if (address.version !== parsedRange.version) return false;
+  const shift = BigInt(address.bits - parsedRange.prefix);
+  return (address.value >> shift) === (parsedRange.value >> shift);
+};
+
+/**
+ * Bans an author or an IP range.
+ *
+ * @param {object} ban
+ * @param {string} [ban.authorID] - The author to ban.
+ * @param {string} [ban.ipRange] - The IP address or CIDR block to ban.
+ * @param {?number} [ban.until] - When the ban expires (in milliseconds since the epoch). Null for a
+ *     permanent ban.
+ * @param {string} [ban.reason] - A note for the admins.
+ * @returns {Promise<object>} The ban, with its ID in the `banID` property.
+ */
+exports.addBan = async ({authorID = null, ipRange = null, until = null, reason = ''}) => {
+  if (!authorID === !ipRange) {
+    throw new CustomError('either authorID or ipRange must be given', 'apierror');
+  }
+  if (authorID != null && (typeof authorID !== 'string' || !authorID.startsWith('a.'))) {
+    throw new CustomError('authorID is not valid', 'apierror');
+  }
+  if (ipRange != null) {
+    if (exports.parseIPRange(ipRange) == null) {
+      throw new CustomError('ipRange is not a valid IP address or CIDR block', 'apierror');
+    }
+    ipRange = ipRange.trim();
+  }
+  if (until != null && !Number.isFinite(until)) {
+    throw new CustomError('until must be a timestamp', 'apierror');
+  }
+  const banID = `b.${randomString(16)}`;
+  const ban = {authorID, ipRange, reason: `${reason || ''}`, created: Date.now(), until};
+  await db.setSub('bans', [banID], ban);
+  return {banID, ...ban};
+};
+
+/**
+ * Lists the bans that have not expired, newest first. Expired bans are removed.
+ *
+ * @returns {Promise<object[]>} The bans, with their IDs in the `banID` property.
+ */
+exports.listBans = async () => {
+  const now = Date.now();
+  const bans = [];
+  for (const [banID, ban] of Object.entries(await db.get('bans') || {})) {
+    // Removed entries are kept as properties with an undefined value until the record is reloaded.
+    if (ban == null) continue;
+    if (ban.until != null && ban.until <= now) {
+      await db.setSub('bans', [banID], undefined);
+      continue;
+    }
+    bans.push({banID, ...ban});
+  }
+  return bans.sort((a, b) => b.created - a.created);
+};
+
+/**
+ * Lifts a ban.
+ */
+exports.removeBan = async (banID) => {
+  if (await db.getSub('bans', [banID]) == null) {
+    throw new CustomError('banID does not exist', 'apierror');
+  }
+  await db.setSub('bans', [banID], undefined);
+};
+
+/**
+ * Returns the ban that applies to an author or an IP address.
+ *
+ * @param {object} user
+ * @param {?string} [user.authorID] - The user's author ID.
+ * @param {?string} [user.ip] - The user's IP address.
+ * @returns {Promise<?object>} The ban (see listBans()), or null if the user is not banned.
+ */
+exports.getBan = async ({authorID = null, ip = null}) => {
+  if (authorID == null && ip == null) return null;
+  const now = Date.now();
+  for (const [banID, ban] of Object.entries(await db.get('bans') || {})) {
+    if (ban == null || (ban.until != null && ban.until <= now)) continue;
+    if ((authorID != null && ban.authorID === authorID) ||
+        (ip != null && ban.ipRange != null && exports.ipInRange(ip, ban.ipRange))) {
+      return {banID, ...ban};
+    }
+  }
+  return null;
+};
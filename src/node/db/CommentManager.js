@@ -0,0 +1,271 @@
+'use strict';
+/**
+ * The Comment Manager stores the comments of pads.
+ *
+ * A comment is anchored to the text it is about by a `comment` attribute whose value is the
+ * comment ID. Because the anchor is part of the pad's attributed text, it follows edits like any
+ * other formatting (concurrent edits are rebased with Changeset.follow) and is copied, exported and
+ * restored along with the text. The comments themselves (text, state and replies) are stored in
+ * the `pad:<padID>:comments` record.
+ */
+
+const AttributeMap = require('../../static/js/AttributeMap');
+const Changeset = require('../../static/js/Changeset');
+const CustomError = require('../utils/customError');
+const authorManager = require('./AuthorManager');
+const db = require('./DB');
+const padMessageHandler = require('../handler/PadMessageHandler');
+const randomString = require('../utils/randomstring');
+
+// Maximum length of the text of a comment or reply.
+const maxTextLength = 10000;
+
+const getKey = (padID) => `pad:${padID}:comments`;
+
+// Removed comments and replies are kept as properties with an undefined value until the record is
+// reloaded.
+const present = (obj) => Object.values(obj || {}).filter((v) => v != null);
+
+const checkText = (text) => {
+  if (typeof text !== 'string') throw new CustomError('text is not a string', 'apierror');
+  if (!text.trim()) throw new CustomError('text is empty', 'apierror');
+  if (text.length > maxTextLength) throw new CustomError('text is too long', 'apierror');
+};
+
+const getRecord = async (padID, commentID) => {
+  const comment = await db.getSub(getKey(padID), [commentID]);
+  if (comment == null) throw new CustomError('commentID does not exist', 'apierror');
+  return comment;
+};
+
+const toReply = async ({replyID, authorID, text, timestamp}) => ({
+  replyID,
+  authorID,
+  authorName: authorID ? await authorManager.getAuthorName(authorID) : null,
+  text,
+  timestamp,
+});
+
+const toComment = async ({commentID, authorID, text, timestamp, resolved, replies}) => ({
+  commentID,
+  authorID,
+  authorName: authorID ? await authorManager.getAuthorName(authorID) : null,
+  text,
+  timestamp,
+  resolved,
+  replies: await Promise.all(
+      present(replies).sort((a, b) => a.timestamp - b.timestamp).map(toReply)),
+});
+
+/**
+ * Returns whether the given string can be used as a comment ID. Clients choose the IDs of the
+ * comments they add so that they can anchor them before the server has seen the comment.
+ */
+exports.isValidCommentID = (id) => typeof id === 'string' && /^c\.[0-9A-Za-z]{16}$/.test(id);
+
+/**
+ * Returns whether the given string can be used as a reply ID.
+ */
+exports.isValidReplyID = (id) => typeof id === 'string' && /^cr\.[0-9A-Za-z]{16}$/.test(id);
+
+/**
+ * Returns the comments of a pad, oldest first. Replies are sorted the same way.
+ */
+exports.getComments = async (padID) => {
+  const comments = present(await db.get(getKey(padID)));
+  comments.sort((a, b) => a.timestamp - b.timestamp);
+  return await Promise.all(comments.map(toComment));
+};
+
+/**
+ * Returns a comment, or null if the pad does not have a comment with the given ID.
+ */
+exports.getComment = async (padID, commentID) => {
+  const comment = await db.getSub(getKey(padID), [commentID]);
+  return comment == null ? null : await toComment(comment);
+};
+
+/**
+ * Adds a comment to a pad. The comment is not anchored; see anchorComment.
+ *
+ * @param {string} padID - The pad's ID.
+ * @param {string} text - The text of the comment.
+ * @param {?string} authorID - The author of the comment.
+ * @param {?string} [commentID] - The ID of the new comment. A new ID is generated if null.
+ * @returns {Promise<string>} The ID of the new comment.
+ */
+exports.createComment = async (padID, text, authorID, commentID = null) => {
+  checkText(text);
+  if (commentID == null) commentID = `c.${randomString(8)}`;
+  if (!exports.isValidCommentID(commentID)) {
+    throw new CustomError('commentID is invalid', 'apierror');
+  }
+  if (await db.getSub(getKey(padID), [commentID]) != null) {
+    throw new CustomError('commentID does already exist', 'apierror');
+  }
+  await db.setSub(getKey(padID), [commentID], {
+    commentID,
+    authorID: authorID || null,
+    text,
+    timestamp: Date.now(),
+    resolved: false,
+    replies: {},
+  });
+  return commentID;
+};
+
+exports.updateComment = async (padID, commentID, text) => {
+  checkText(text);
+  await getRecord(padID, commentID);
+  await db.setSub(getKey(padID), [commentID, 'text'], text);
+};
+
+exports.setResolved = async (padID, commentID, resolved) => {
+  await getRecord(padID, commentID);
+  await db.setSub(getKey(padID), [commentID, 'resolved'], !!resolved);
+};
+
+/**
+ * Removes a comment, its replies and its anchors.
+ *
+ * @param {Pad} pad - The pad.
+ * @param {string} commentID - The ID of the comment.
+ * @param {?string} [authorID] - The author of the pad revision that removes the anchors.
+ */
+exports.deleteComment = async (pad, commentID, authorID = null) => {
+  await getRecord(pad.id, commentID);
+  // Setting a property to `undefined` deletes the property.
+  await db.setSub(getKey(pad.id), [commentID], undefined);
+  await exports.removeAnchors(pad, commentID, authorID);
+};
+
+/**
+ * Adds a reply to a comment.
+ *
+ * @returns {Promise<string>} The ID of the new reply.
+ */
+exports.createReply = async (padID, commentID, text, authorID, replyID = null) => {
+  checkText(text);
+  const comment = await getRecord(padID, commentID);
+  if (replyID == null) replyID = `cr.${randomString(8)}`;
+  if (!exports.isValidReplyID(replyID)) throw new CustomError('replyID is invalid', 'apierror');
+  if (comment.replies != null && comment.replies[replyID] != null) {
+    throw new CustomError('replyID does already exist', 'apierror');
+  }
+  await db.setSub(getKey(padID), [commentID, 'replies', replyID], {
+    replyID,
+    authorID: authorID || null,
+    text,
+    timestamp: Date.now(),
+  });
+  return replyID;
+};
+
+/**
+ * Returns a reply to a comment, or null if there is no such comment or reply.
+ */
+exports.getReply = async (padID, commentID, replyID) => {
+  const reply = await db.getSub(getKey(padID), [commentID, 'replies', replyID]);
+  return reply == null ? null : await toReply(reply);
+};
+
+const checkReplyExists = async (padID, commentID, replyID) => {
+  const {replies} = await getRecord(padID, commentID);
+  if (replies == null || replies[replyID] == null) {
+    throw new CustomError('replyID does not exist', 'apierror');
+  }
+};
+
+exports.updateReply = async (padID, commentID, replyID, text) => {
+  checkText(text);
+  await checkReplyExists(padID, commentID, replyID);
+  await db.setSub(getKey(padID), [commentID, 'replies', replyID, 'text'], text);
+};
+
+exports.deleteReply = async (padID, commentID, replyID) => {
+  await checkReplyExists(padID, commentID, replyID);
+  await db.setSub(getKey(padID), [commentID, 'replies', replyID], undefined);
+};
+
+/**
+ * Throws if start and end (see anchorComment) do not describe a non-empty range of the pad's text.
+ */
+exports.checkRange = (pad, start, end) => {
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || start >= end ||
+      end > pad.text().length - 1) {
+    throw new CustomError('start and end do not describe a range of the pad text', 'apierror');
+  }
+};
+
+/**
+ * Anchors a comment to a range of the pad's text by appending a revision that sets the `comment`
+ * attribute on the range. Line breaks within the range are not anchored, like in the editor.
+ *
+ * @param {Pad} pad - The pad.
+ * @param {string} commentID - The ID of the comment.
+ * @param {number} start - Offset of the first anchored character.
+ * @param {number} end - Offset just past the last anchored character. The pad's final newline
+ *     cannot be anchored.
+ * @param {?string} [authorID] - The author of the new revision.
+ */
+exports.anchorComment = async (pad, commentID, start, end, authorID = null) => {
+  // The changes that the users of the pad have already sent are applied first.
+  await padMessageHandler.enqueuePadTask(pad.id, async () => {
+    exports.checkRange(pad, start, end);
+    const text = pad.text();
+    const builder = Changeset.builder(text.length);
+    builder.keepText(text.slice(0, start));
+    text.slice(start, end).split('\n').forEach((line, i) => {
+      if (i > 0) builder.keepText('\n');
+      builder.keepText(line, [['comment', commentID]], pad.pool);
+    });
+    await pad.appendRevision(builder.toString(), authorID);
+  });
+};
+
+/**
+ * Removes the anchors of a comment from the pad's text.
+ */
+exports.removeAnchors = async (pad, commentID, authorID = null) => {
+  await padMessageHandler.enqueuePadTask(pad.id, async () => {
+    const builder = Changeset.builder(pad.text().length);
+    let found = false;
+    for (const op of Changeset.deserializeOps(pad.atext.attribs)) {
+      if (AttributeMap.fromString(op.attribs, pad.pool).get('comment') === commentID) {
+        found = true;
+        builder.keep(op.chars, op.lines, [['comment', '']], pad.pool);
+      } else {
+        builder.keep(op.chars, op.lines);
+      }
+    }
+    if (found) await pad.appendRevision(builder.toString(), authorID);
+  });
+};
+
+/**
+ * Returns whether a changeset only adds or removes comment anchors. Such changesets may be
+ * submitted by users who can comment on a pad but not edit it.
+ *
+ * @param {string} changeset - The changeset.
+ * @param {AttributePool} pool - The pool of the changeset's attributes.
+ */
+exports.isAnchorChangeset = (changeset, pool) => {
+  const {oldLen, newLen, ops, charBank} = Changeset.unpack(changeset);
+  if (oldLen !== newLen || charBank !== '') return false;
+  for (const op of Changeset.deserializeOps(ops)) {
+    if (op.opcode !== '=') return false;
+    for (const [key] of AttributeMap.fromString(op.attribs, pool)) {
+      if (key !== 'comment') return false;
+    }
+  }
+  return true;
+};
+
+exports.copyComments = async (sourceID, destinationID) => {
+  const comments = await db.get(getKey(sourceID));
+  if (comments != null) await db.set(getKey(destinationID), comments);
+};
+
+exports.removeComments = async (padID) => {
+  await db.remove(getKey(padID));
+};
@@ -27,15 +27,30 @@ const log4js = require('log4js');
 const stats = require('../stats');
 const util = require('util');
 
-// set database settings
-const db =
-    new ueberDB.Database(settings.dbType, settings.dbSettings, null, log4js.getLogger('ueberDB'));
+// set database settings. In cluster mode, other processes write to the database too, so values must
+// not be cached or written with a delay.
+const db = new ueberDB.Database(settings.dbType, settings.dbSettings,
+    settings.cluster.enabled ? {cache: 0, writeInterval: 0} : null, log4js.getLogger('ueberDB'));
 
 /**
  * The UeberDB Object that provides the database functions
  */
 exports.db = null;
 
+// Work that must be finished before the database is closed at shutdown.
+const beforeClose = new Set();
+
+/**
+ * Makes the shutdown hook wait for a Promise to settle before it closes the database. This is for
+ * shutdown hook functions that still use the database; their ep.json parts must come before the DB
+ * part ("post": ["ep_etherpad-lite/DB"]) so that they are called first.
+ *
+ * @param {Promise} p - The work that uses the database.
+ */
+exports.closeAfter = (p) => {
+  beforeClose.add(p);
+};
+
 /**
  * Initializes the database with the settings provided by the settings module
  * @param {Function} callback
@@ -81,6 +96,8 @@ exports.init = async () => await new Promise((resolve, reject) => {
 });
 
 exports.shutdown = async (hookName, context) => {
+  await Promise.allSettled(beforeClose);
+  beforeClose.clear();
   await util.promisify(db.close.bind(db))();
   console.log('Database closed');
 };
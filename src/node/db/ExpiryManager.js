@@ -0,0 +1,177 @@
+'use strict';
+/**
+ * The Expiry Manager finds and removes abandoned pads.
+ *
+ * An expiry policy has two limits: pads expire `staleDays` days after their last edit, and pads
+ * that still have the default text (they have never been edited) expire `unchangedDays` days after
+ * they were created. A null limit does not expire any pads. Group pads use the policy of their
+ * group (the `expiryPolicy` property of the group record) if it has one, other pads use
+ * settings.padExpiry.
+ * Pads with the `expiryExempt` flag never expire.
+ *
+ * Expired pads are deleted like pads deleted with the deletePad HTTP API function (they are moved
+ * to the trash, see TrashManager). If settings.padExpiry.archiveDir is set, they are first exported
+ * to that directory as .etherpad files, which can be imported again.
+ */
+
+const absolutePaths = require('../utils/AbsolutePaths');
+const cluster = require('../hooks/cluster');
+const CustomError = require('../utils/customError');
+const db = require('./DB');
+const exportEtherpad = require('../utils/ExportEtherpad');
+const fs = require('fs').promises;
+const groupManager = require('./GroupManager');
+const padManager = require('./PadManager');
+const padMessageHandler = require('../handler/PadMessageHandler');
+const path = require('path');
+const settings = require('../utils/Settings');
+const trashManager = require('./TrashManager');
+const {cleanText} = require('./Pad');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+const getGroupID = (padID) => padID.includes('$') ? padID.split('$')[0] : null;
+
+// Parses a limit, which is a string unless the parameters were sent as JSON.
+const parseLimit = (value, name) => {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) {
+    throw new CustomError(`${name} must be a positive number`, 'apierror');
+  }
+  return n;
+};
+
+/**
+ * Validates an expiry policy and returns it without unknown properties.
+ *
+ * @param {object} policy - The policy (`{staleDays, unchangedDays}`).
+ * @returns {{staleDays: ?number, unchangedDays: ?number}}
+ */
+exports.normalizePolicy = (policy) => {
+  if (policy == null || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new CustomError('expiryPolicy must be an object', 'apierror');
+  }
+  return {
+    staleDays: parseLimit(policy.staleDays, 'staleDays'),
+    unchangedDays: parseLimit(policy.unchangedDays, 'unchangedDays'),
+  };
+};
+
+/**
+ * Returns the expiry policy of a group, or null if the group uses the global policy.
+ */
+exports.getGroupExpiryPolicy = async (groupID) => {
+  if (!await groupManager.doesGroupExist(groupID)) {
+    throw new CustomError('groupID does not exist', 'apierror');
+  }
+  return await db.getSub(`group:${groupID}`, ['expiryPolicy']) || null;
+};
+
+/**
+ * Sets the expiry policy of a group. A null policy makes the group use the global policy.
+ */
+exports.setGroupExpiryPolicy = async (groupID, policy) => {
+  if (!await groupManager.doesGroupExist(groupID)) {
+    throw new CustomError('groupID does not exist', 'apierror');
+  }
+  if (policy != null) policy = exports.normalizePolicy(policy);
+  // Setting a property to `undefined` deletes the property.
+  await db.setSub(`group:${groupID}`, ['expiryPolicy'], policy || undefined);
+};
+
+/**
+ * Returns the expiry policy that applies to a pad.
+ */
+exports.getPadExpiryPolicy = async (padID) => {
+  const groupID = getGroupID(padID);
+  const groupPolicy = groupID == null ? null
+    : await db.getSub(`group:${groupID}`, ['expiryPolicy']);
+  const {staleDays, unchangedDays} = groupPolicy || settings.padExpiry;
+  return exports.normalizePolicy({staleDays, unchangedDays});
+};
+
+/**
+ * Returns when a pad expires. The pad record is read from the database so that checking all pads
+ * does not load them.
+ *
+ * @returns {Promise<?{padID: string, reason: string, lastEdited: number, expires: number}>} The
+ *     reason is 'stale' or 'unchanged'. Null if the pad does not expire.
+ */
+exports.getPadExpiry = async (padID) => {
+  const pad = await db.get(`pad:${padID}`);
+  if (pad == null || pad.expiryExempt) return null;
+  const {staleDays, unchangedDays} = await exports.getPadExpiryPolicy(padID);
+  if (staleDays == null && unchangedDays == null) return null;
+  const lastEdited = await db.getSub(`pad:${padID}:revs:${pad.head}`, ['meta', 'timestamp']);
+  const expiries = [];
+  if (staleDays != null) {
+    expiries.push({reason: 'stale', expires: lastEdited + staleDays * dayMs});
+  }
+  const unchanged =
+      pad.head === 0 && pad.atext.text === `${cleanText(settings.defaultPadText)}\n`;
+  if (unchangedDays != null && unchanged) {
+    expiries.push({reason: 'unchanged', expires: lastEdited + unchangedDays * dayMs});
+  }
+  if (expiries.length === 0) return null;
+  const {reason, expires} = expiries.reduce((a, b) => b.expires < a.expires ? b : a);
+  return {padID, reason, lastEdited, expires};
+};
+
+/**
+ * Lists the pads that expire before the given time.
+ *
+ * @param {number} [before] - The time (in milliseconds since the epoch). Defaults to now, which
+ *     lists the pads that have already expired.
+ * @returns {Promise<object[]>} The results of getPadExpiry(), sorted by expiry time.
+ */
+exports.listExpiringPads = async (before = Date.now()) => {
+  const {padIDs} = await padManager.listAllPads();
+  const pads = [];
+  for (const padID of padIDs) {
+    const expiry = await exports.getPadExpiry(padID);
+    if (expiry != null && expiry.expires <= before) pads.push(expiry);
+  }
+  return pads.sort((a, b) => a.expires - b.expires);
+};
+
+/**
+ * Deletes a pad (moves it to the trash), after exporting it to settings.padExpiry.archiveDir if
+ * that is set.
+ *
+ * @returns {Promise<?string>} The path of the archive file, or null.
+ */
+exports.removePad = async (padID) => {
+  let file = null;
+  if (settings.padExpiry.archiveDir) {
+    const dir = absolutePaths.makeAbsolute(settings.padExpiry.archiveDir);
+    await fs.mkdir(dir, {recursive: true});
+    file = path.join(dir, `${encodeURIComponent(padID)}-${Date.now()}.etherpad`);
+    await fs.writeFile(file, JSON.stringify(await exportEtherpad.getPadRaw(padID, null)));
+  }
+  await trashManager.deletePad(padID);
+  return file;
+};
+
+/**
+ * Removes the expired pads. Pads that have users are skipped. In cluster mode, pads that are owned
+ * by another node are also skipped (that node removes them).
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only report the pads that would be removed.
+ * @returns {Promise<object[]>} The results of getPadExpiry() for the removed pads, with the path of
+ *     the archive file (or null) in the `archive` property unless dryRun is true.
+ */
+exports.expirePads = async ({dryRun = false} = {}) => {
+  const pads = [];
+  for (const expiry of await exports.listExpiringPads()) {
+    const {padID} = expiry;
+    if (padMessageHandler.padUsersCount(padID).padUsersCount > 0) continue;
+    if (!dryRun) {
+      if (await cluster.getOwner(padID) !== cluster.nodeId) continue;
+      expiry.archive = await exports.removePad(padID);
+    }
+    pads.push(expiry);
+  }
+  return pads;
+};
@@ -24,6 +24,7 @@ const randomString = require('../../static/js/pad_utils').randomString;
 const db = require('./DB');
 const padManager = require('./PadManager');
 const sessionManager = require('./SessionManager');
+const trashManager = require('./TrashManager');
 
 exports.listAllGroups = async () => {
   let groups = await db.get('groups');
@@ -42,11 +43,11 @@ exports.deleteGroup = async (groupID) => {
     throw new CustomError('groupID does not exist', 'apierror');
   }
 
-  // iterate through all pads of this group and delete them (in parallel)
+  // iterate through all pads of this group and move them to the trash (in parallel)
   await Promise.all(Object.keys(group.pads).map(async (padId) => {
-    const pad = await padManager.getPad(padId);
-    await pad.remove();
+    await trashManager.deletePad(padId);
   }));
+  await trashManager.deleteGroup(groupID, group);
 
   // Delete associated sessions in parallel. This should be done before deleting the group2sessions
   // record because deleting a session updates the group2sessions record.
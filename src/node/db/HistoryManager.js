@@ -0,0 +1,123 @@
+'use strict';
+/**
+ * The History Manager compacts the history of pads according to retention policies.
+ *
+ * A retention policy is an object with two limits: `keepRevisions` (the number of newest revisions
+ * to keep) and `keepDays` (the age of the oldest revision to keep, in days). Revisions that are
+ * kept by neither limit are squashed by Pad.compactHistory(). A null limit does not keep anything,
+ * so nothing is removed if both limits are null. Group pads use the policy of their group (the
+ * `retentionPolicy` property of the group record) if it has one, other pads use
+ * settings.historyRetention.
+ */
+
+const CustomError = require('../utils/customError');
+const db = require('./DB');
+const groupManager = require('./GroupManager');
+const padManager = require('./PadManager');
+const settings = require('../utils/Settings');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+const getGroupID = (padID) => padID.includes('$') ? padID.split('$')[0] : null;
+
+// Parses a limit, which is a string unless the parameters were sent as JSON.
+const parseLimit = (value, name, integer) => {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!(integer ? Number.isInteger(n) : Number.isFinite(n)) || n <= 0) {
+    throw new CustomError(`${name} must be a positive ${integer ? 'integer' : 'number'}`,
+        'apierror');
+  }
+  return n;
+};
+
+/**
+ * Validates a retention policy and returns it without unknown properties.
+ *
+ * @param {object} policy - The policy (`{keepRevisions, keepDays}`).
+ * @returns {{keepRevisions: ?number, keepDays: ?number}}
+ */
+exports.normalizePolicy = (policy) => {
+  if (policy == null || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new CustomError('retentionPolicy must be an object', 'apierror');
+  }
+  return {
+    keepRevisions: parseLimit(policy.keepRevisions, 'keepRevisions', true),
+    keepDays: parseLimit(policy.keepDays, 'keepDays', false),
+  };
+};
+
+/**
+ * Returns the retention policy of a group, or null if the group uses the global policy.
+ */
+exports.getGroupRetentionPolicy = async (groupID) => {
+  if (!await groupManager.doesGroupExist(groupID)) {
+    throw new CustomError('groupID does not exist', 'apierror');
+  }
+  return await db.getSub(`group:${groupID}`, ['retentionPolicy']) || null;
+};
+
+/**
+ * Sets the retention policy of a group. A null policy makes the group use the global policy.
+ */
+exports.setGroupRetentionPolicy = async (groupID, policy) => {
+  if (!await groupManager.doesGroupExist(groupID)) {
+    throw new CustomError('groupID does not exist', 'apierror');
+  }
+  if (policy != null) policy = exports.normalizePolicy(policy);
+  // Setting a property to `undefined` deletes the property.
+  await db.setSub(`group:${groupID}`, ['retentionPolicy'], policy || undefined);
+};
+
+/**
+ * Returns the retention policy that applies to a pad.
+ */
+exports.getPadRetentionPolicy = async (padID) => {
+  const groupID = getGroupID(padID);
+  const groupPolicy = groupID == null ? null
+    : await db.getSub(`group:${groupID}`, ['retentionPolicy']);
+  const {keepRevisions, keepDays} = groupPolicy || settings.historyRetention;
+  return exports.normalizePolicy({keepRevisions, keepDays});
+};
+
+/**
+ * Returns the oldest revision of a pad that a policy keeps, or -1 if the policy keeps all
+ * revisions. Compacting the history at this revision removes the revisions before it (except
+ * saved revisions).
+ */
+exports.getCutoff = async (pad, {keepRevisions, keepDays}, now = Date.now()) => {
+  if (keepRevisions == null && keepDays == null) return -1;
+  const head = pad.getHeadRevisionNumber();
+  let cutoff = keepRevisions == null ? head : Math.max(head - keepRevisions + 1, 0);
+  if (keepDays != null) {
+    // Binary search for the oldest revision that is not older than the limit. The head revision is
+    // always kept.
+    const limit = now - keepDays * dayMs;
+    let lo = 0;
+    let hi = cutoff;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await pad.getRevisionDate(mid) >= limit) hi = mid;
+      else lo = mid + 1;
+    }
+    cutoff = lo;
+  }
+  return cutoff;
+};
+
+/**
+ * Compacts the history of a pad.
+ *
+ * @param {string} padID - The ID of the pad.
+ * @param {object} [policy] - The retention policy. Defaults to the policy that applies to the pad.
+ * @returns {Promise<number>} The number of removed revisions.
+ */
+exports.compactPad = async (padID, policy = null) => {
+  policy = policy == null
+    ? await exports.getPadRetentionPolicy(padID) : exports.normalizePolicy(policy);
+  if (policy.keepRevisions == null && policy.keepDays == null) return 0;
+  const pad = await padManager.getPad(padID);
+  const cutoff = await exports.getCutoff(pad, policy);
+  if (cutoff <= 0) return 0;
+  return await pad.compactHistory(cutoff);
+};
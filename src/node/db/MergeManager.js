@@ -0,0 +1,479 @@
+'use strict';
+/**
+ * The Merge Manager forks pads and merges the changes made in a fork back into the pad that it was
+ * forked from (its origin pad).
+ *
+ * A fork is a copy of a pad without its history. It records the origin pad and the merge base in
+ * `pad.forkedFrom = {padID, rev, forkRev}`: `forkRev` is the revision of the fork that the changes
+ * are merged from, and `rev` the revision of the origin pad that had the same text when the pad was
+ * forked or last merged.
+ *
+ * The changes that were made in the fork since the merge base are rebased onto the head revision of
+ * the origin pad with Changeset.follow. The changes of the origin pad since the merge base are
+ * found by comparing its text with the text of the merge base, so they do not depend on its
+ * revision numbers (which change when its history is compacted). Changes of both pads to the same
+ * lines conflict. They are not merged unless each conflict is resolved with the version of the fork
+ * ('source'), the version of the origin pad ('target') or both versions, the fork's after the
+ * origin pad's ('both').
+ */
+
+const AttributeMap = require('../../static/js/AttributeMap');
+const Changeset = require('../../static/js/Changeset');
+const CustomError = require('../utils/customError');
+const padCompare = require('../utils/PadCompare');
+const padManager = require('./PadManager');
+const padMessageHandler = require('../handler/PadMessageHandler');
+
+const resolutionTypes = ['source', 'target', 'both'];
+
+const countLines = (text) => (text.match(/\n/g) || []).length;
+
+// Removes text with ops that do not span line breaks (which the builder requires).
+const removeText = (builder, text) => {
+  const end = text.lastIndexOf('\n') + 1;
+  if (end > 0) builder.remove(end, countLines(text));
+  if (end < text.length) builder.remove(text.length - end, 0);
+};
+
+// Returns a function that yields the [start, end, attribs] runs of the ranges of an atext. The
+// ranges must be requested in ascending order.
+const attribReader = (atext) => {
+  const ops = [...Changeset.deserializeOps(atext.attribs)];
+  let i = 0;
+  let opStart = 0;
+  return function* (start, end) {
+    while (i < ops.length && opStart + ops[i].chars <= start) opStart += ops[i++].chars;
+    for (let pos = start; pos < end; ++i) {
+      const opEnd = opStart + ops[i].chars;
+      yield [pos, Math.min(end, opEnd), ops[i].attribs];
+      if (opEnd > end) break;
+      pos = opEnd;
+      opStart = opEnd;
+    }
+  };
+};
+
+// Inserts a range of an atext with its attributes.
+const insertRange = (builder, atext, start, end) => {
+  const read = attribReader(atext);
+  for (const [from, to, attribs] of read(start, end)) {
+    builder.insert(atext.text.slice(from, to), attribs);
+  }
+};
+
+// Returns the text of a range of an atext without the line markers (of lists, headings, ...).
+const getRangeText = (atext, pool, start, end) => {
+  const read = attribReader(atext);
+  let text = '';
+  for (const [from, to, attribs] of read(start, end)) {
+    if (!AttributeMap.fromString(attribs, pool).has('lmkr')) text += atext.text.slice(from, to);
+  }
+  return text;
+};
+
+/**
+ * Returns a changeset that turns atextA into atextB (both use `pool`). The texts are compared with
+ * a text diff, and the changed attributes of the equal text (except the author) are set by keep
+ * operations.
+ */
+const diffATexts = (atextA, atextB, pool) => {
+  const builder = Changeset.builder(atextA.text.length);
+  const readA = attribReader(atextA);
+  const readB = attribReader(atextB);
+  for (const {type, aStart, aEnd, bStart, bEnd} of padCompare.diffText(atextA.text, atextB.text)) {
+    if (type === 'delete') {
+      removeText(builder, atextA.text.slice(aStart, aEnd));
+    } else if (type === 'insert') {
+      for (const [from, to, attribs] of readB(bStart, bEnd)) {
+        builder.insert(atextB.text.slice(from, to), attribs);
+      }
+    } else {
+      const runsB = [...readB(bStart, bEnd)].map(([from, to, attribs]) => [
+        from - bStart + aStart,
+        to - bStart + aStart,
+        AttributeMap.fromString(attribs, pool),
+      ]);
+      let j = 0;
+      for (const [from, to, attribs] of readA(aStart, aEnd)) {
+        const attribsA = AttributeMap.fromString(attribs, pool);
+        for (let pos = from; pos < to;) {
+          while (runsB[j][1] <= pos) ++j;
+          const [, end, attribsB] = runsB[j];
+          const changed = new AttributeMap(pool);
+          for (const [key, value] of attribsB) {
+            if (key !== 'author' && attribsA.get(key) !== value) changed.set(key, value);
+          }
+          for (const key of attribsA.keys()) {
+            if (key !== 'author' && !attribsB.has(key)) changed.set(key, '');
+          }
+          const next = Math.min(to, end);
+          builder.keepText(atextA.text.slice(pos, next), changed.toString());
+          pos = next;
+        }
+      }
+    }
+  }
+  return builder.toString();
+};
+
+// Calls fn(op, run, text) for each op of a changeset. `run` is the index of the run of consecutive
+// ops that change the text or its attributes (null for ops that keep the text unchanged), and
+// `text` the text that '+' ops insert.
+const forEachOp = (cs, fn) => {
+  const {ops, charBank} = Changeset.unpack(cs);
+  let bankPos = 0;
+  let run = -1;
+  let inRun = false;
+  for (const op of Changeset.deserializeOps(ops)) {
+    let text = null;
+    if (op.opcode === '+') {
+      text = charBank.slice(bankPos, bankPos + op.chars);
+      bankPos += op.chars;
+    }
+    const unchanged = op.opcode === '=' && !op.attribs;
+    if (!unchanged && !inRun) ++run;
+    inRun = !unchanged;
+    fn(op, unchanged ? null : run, text);
+  }
+};
+
+/**
+ * Returns the changes of a changeset that applies to `text`, extended to whole lines: each change
+ * replaces whole lines of the text with whole lines. A change has its offsets in the old text
+ * (start, end), its offsets in the new text (newStart, newEnd) and the range of lines of the old
+ * text that it replaces (startLine, endLine; they are equal if lines are only inserted).
+ *
+ * @returns {{changes: object[], runs: object[]}} The changes, and the change of each run of ops
+ *     (see forEachOp).
+ */
+const getChanges = (cs, text) => {
+  const runs = [];
+  let pos = 0;
+  let newPos = 0;
+  forEachOp(cs, (op, run) => {
+    if (run != null && runs[run] == null) runs[run] = {start: pos, end: pos, newStart: newPos};
+    if (op.opcode !== '+') pos += op.chars;
+    if (op.opcode !== '-') newPos += op.chars;
+    if (run != null) Object.assign(runs[run], {end: pos, newEnd: newPos});
+  });
+  const newText = Changeset.applyToText(cs, text);
+  for (const run of runs) {
+    // Lines inserted at the end of a line (before its line break, which is how the editor inserts
+    // them) are the same as lines inserted before the next line.
+    if (run.start === run.end && text[run.start] === '\n' && newText[run.newStart] === '\n') {
+      ++run.start;
+      ++run.end;
+      ++run.newStart;
+      ++run.newEnd;
+    }
+  }
+  const lineStarts = [0];
+  for (let i = text.indexOf('\n'); i !== -1 && i + 1 < text.length; i = text.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+  const lineOf = (offset) => {
+    if (offset === text.length) return lineStarts.length;
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  };
+  const changes = [];
+  for (let i = 0; i < runs.length;) {
+    const change = {...runs[i]};
+    runs[i++] = change;
+    const line = lineOf(change.start);
+    const lineStart = line < lineStarts.length ? lineStarts[line] : text.length;
+    change.newStart -= change.start - lineStart;
+    change.start = lineStart;
+    for (;;) {
+      // The change must end at the end of a line of the old text and of the new text.
+      const atLineStart = change.end === 0 || text[change.end - 1] === '\n';
+      const newAtLineStart =
+          change.newEnd === change.newStart || newText[change.newEnd - 1] === '\n';
+      if (atLineStart && newAtLineStart) break;
+      const end = text.indexOf('\n', change.end) + 1;
+      change.newEnd += end - change.end;
+      change.end = end;
+      // Runs that start before the end belong to the change.
+      while (i < runs.length && runs[i].start < change.end) {
+        const run = runs[i];
+        runs[i++] = change;
+        if (run.end >= change.end) {
+          change.newEnd = run.newEnd;
+          change.end = run.end;
+        } else {
+          change.newEnd = run.newEnd + change.end - run.end;
+        }
+      }
+    }
+    change.startLine = lineOf(change.start);
+    change.endLine = lineOf(change.end);
+    changes.push(change);
+  }
+  return {changes, runs};
+};
+
+/**
+ * Returns a changeset without some of its changes (see getChanges), with ranges of atexts inserted
+ * at some offsets of the old text.
+ *
+ * @param {string} cs - The changeset.
+ * @param {string} text - The old text.
+ * @param {object[]} runs - The change of each run of ops of the changeset.
+ * @param {Set<object>} dropped - The changes to remove.
+ * @param {Array<{offset: number, atext: object, start: number, end: number}>} insertions - The
+ *     ranges to insert, in ascending order of their offset in the old text.
+ */
+const dropChanges = (cs, text, runs, dropped, insertions = []) => {
+  const builder = Changeset.builder(text.length);
+  let pos = 0;
+  let i = 0;
+  // Keeps the text up to `end`, with the insertions in it.
+  const keepTo = (end) => {
+    for (; i < insertions.length && insertions[i].offset <= end; ++i) {
+      const {offset, atext, start, end: rangeEnd} = insertions[i];
+      builder.keepText(text.slice(pos, offset));
+      pos = offset;
+      insertRange(builder, atext, start, rangeEnd);
+    }
+    builder.keepText(text.slice(pos, end));
+    pos = end;
+  };
+  forEachOp(cs, (op, run, insertedText) => {
+    if (run == null) return keepTo(pos + op.chars);
+    keepTo(pos);
+    if (dropped.has(runs[run])) {
+      if (op.opcode !== '+') builder.keep(op.chars, op.lines);
+    } else if (op.opcode === '+') {
+      builder.insert(insertedText, op.attribs);
+    } else if (op.opcode === '-') {
+      builder.remove(op.chars, op.lines);
+    } else {
+      builder.keep(op.chars, op.lines, op.attribs);
+    }
+    if (op.opcode !== '+') pos += op.chars;
+  });
+  keepTo(text.length);
+  return builder.toString();
+};
+
+const overlap = (a, b) => {
+  if (a.startLine === a.endLine && b.startLine === b.endLine) return a.startLine === b.startLine;
+  if (a.startLine === a.endLine) return b.startLine < a.startLine && a.startLine < b.endLine;
+  if (b.startLine === b.endLine) return a.startLine < b.startLine && b.startLine < a.endLine;
+  return a.startLine < b.endLine && b.startLine < a.endLine;
+};
+
+// Groups the changes of the fork and of the origin pad that change the same lines into conflicts.
+const findConflicts = (sourceChanges, targetChanges) => {
+  const conflictOf = new Map();
+  const conflicts = [];
+  for (const s of sourceChanges) {
+    for (const t of targetChanges) {
+      if (t.startLine > s.endLine) break;
+      if (!overlap(s, t)) continue;
+      let conflict = conflictOf.get(s) || conflictOf.get(t);
+      if (conflict == null) {
+        conflict = {source: new Set(), target: new Set()};
+        conflicts.push(conflict);
+      }
+      for (const other of [conflictOf.get(s), conflictOf.get(t)]) {
+        if (other == null || other === conflict) continue;
+        for (const c of other.source) conflict.source.add(c);
+        for (const c of other.target) conflict.target.add(c);
+        conflicts.splice(conflicts.indexOf(other), 1);
+      }
+      conflict.source.add(s);
+      conflict.target.add(t);
+      for (const c of [...conflict.source, ...conflict.target]) conflictOf.set(c, conflict);
+    }
+  }
+  for (const conflict of conflicts) {
+    const changes = [...conflict.source, ...conflict.target];
+    conflict.start = Math.min(...changes.map((c) => c.start));
+    conflict.end = Math.max(...changes.map((c) => c.end));
+  }
+  return conflicts.sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+// Returns the offsets in the new text of a range of the old text that contains the changes in
+// `members` and no other changes.
+const mapRange = (changes, start, end, members) => {
+  let delta = 0;
+  let memberDelta = 0;
+  for (const c of changes) {
+    const d = (c.newEnd - c.newStart) - (c.end - c.start);
+    if (members.has(c)) memberDelta += d;
+    else if (c.start < start || (c.start === start && c.end === start)) delta += d;
+  }
+  return [start + delta, end + delta + memberDelta];
+};
+
+/**
+ * Computes the changes of a fork since the merge base, the changes of its origin pad and their
+ * conflicts.
+ *
+ * @param {Pad} source - The fork.
+ * @param {Pad} target - The origin pad.
+ * @param {AttributePool} pool - The pool of the changesets. The attributes of the fork are added to
+ *     it.
+ */
+const prepareMerge = async (source, target, pool) => {
+  const {forkedFrom} = source;
+  if (forkedFrom == null || forkedFrom.padID !== target.id) {
+    throw new CustomError('sourceID is not a fork of targetID', 'apierror');
+  }
+  const sourceRev = source.getHeadRevisionNumber();
+  const baseAText = await source.getInternalRevisionAText(forkedFrom.forkRev);
+  const base = {
+    text: baseAText.text,
+    attribs: Changeset.moveOpsToNewPool(baseAText.attribs, source.pool, pool),
+  };
+  let sourceCs = Changeset.identity(base.text.length);
+  for (let rev = forkedFrom.forkRev + 1; rev <= sourceRev; ++rev) {
+    sourceCs = Changeset.compose(sourceCs, await source.getRevisionChangeset(rev), source.pool);
+  }
+  sourceCs = Changeset.moveOpsToNewPool(sourceCs, source.pool, pool);
+  const sourceAText = Changeset.applyToAText(sourceCs, base, pool);
+  const targetAText = Changeset.cloneAText(target.atext);
+  const targetCs = diffATexts(base, targetAText, pool);
+  const sourceChanges = getChanges(sourceCs, base.text);
+  const targetChanges = getChanges(targetCs, base.text);
+  const conflicts = findConflicts(sourceChanges.changes, targetChanges.changes);
+  for (const conflict of conflicts) {
+    const {start, end} = conflict;
+    const [sourceStart, sourceEnd] = mapRange(sourceChanges.changes, start, end, conflict.source);
+    const [targetStart, targetEnd] = mapRange(targetChanges.changes, start, end, conflict.target);
+    Object.assign(conflict, {sourceStart, sourceEnd});
+    conflict.texts = {
+      base: getRangeText(base, pool, start, end),
+      source: getRangeText(sourceAText, pool, sourceStart, sourceEnd),
+      target: getRangeText(targetAText, pool, targetStart, targetEnd),
+    };
+  }
+  return {
+    sourceRev, base, sourceCs, sourceAText, targetAText, targetCs, sourceChanges, targetChanges,
+    conflicts,
+  };
+};
+
+/**
+ * Forks a pad: copies it without its history and records the pad and revision it was forked from.
+ *
+ * @param {Pad} pad - The pad to fork.
+ * @param {string} destinationID - The ID of the fork.
+ * @param {boolean|string} [force] - Whether to overwrite the destination pad if it exists.
+ * @returns {Promise<{padID: string}>}
+ */
+exports.forkPad = async (pad, destinationID, force) => {
+  // The changes that the users of the pad have already sent are applied first so that the recorded
+  // revision has the copied text.
+  await padMessageHandler.enqueuePadTask(pad.id, async () => {
+    const rev = pad.getHeadRevisionNumber();
+    await pad.copyPadWithoutHistory(destinationID, force);
+    const fork = await padManager.getPad(destinationID);
+    // copyPadWithoutHistory() adds a line break at the end of the copy.
+    const text = pad.text();
+    if (fork.text() !== text && fork.text().startsWith(text)) {
+      await fork.spliceText(text.length, fork.text().length - text.length, '');
+    }
+    fork.forkedFrom = {padID: pad.id, rev, forkRev: fork.getHeadRevisionNumber()};
+    await fork.saveToDatabase();
+  });
+  return {padID: destinationID};
+};
+
+/**
+ * Returns the changes of a fork that would be merged into its origin pad, and their conflicts.
+ *
+ * @param {Pad} source - The fork.
+ * @param {Pad} target - The pad that it was forked from.
+ * @returns {Promise<{changes: number, conflicts: object[]}>} The number of changed line ranges of
+ *     the fork, and the conflicts with the text of the merge base, the fork and the origin pad
+ *     (`{base, source, target}`, without line markers).
+ */
+exports.getMerge = async (source, target) => {
+  const {sourceChanges, conflicts} = await prepareMerge(source, target, target.pool.clone());
+  return {
+    changes: sourceChanges.changes.length,
+    conflicts: conflicts.map(({texts}) => texts),
+  };
+};
+
+/**
+ * Merges the changes of a fork since the merge base into its origin pad. The head revision of the
+ * fork becomes the new merge base.
+ *
+ * @param {Pad} source - The fork.
+ * @param {Pad} target - The pad that it was forked from.
+ * @param {string[]} [resolutions] - The resolution of each conflict (see getMerge): 'source',
+ *     'target' or 'both'.
+ * @param {string} [authorID] - The author of the new revision of the origin pad.
+ * @returns {Promise<{rev: number, changes: number, conflicts: number}>} The head revision of the
+ *     origin pad, the number of changed line ranges of the fork and the number of conflicts.
+ */
+exports.merge = async (source, target, resolutions = [], authorID = '') => {
+  if (!Array.isArray(resolutions) || resolutions.some((r) => !resolutionTypes.includes(r))) {
+    throw new CustomError('resolutions must be "source", "target" or "both"', 'apierror');
+  }
+  // The changes that the users of the origin pad have already sent are applied first.
+  return await padMessageHandler.enqueuePadTask(target.id, async () => {
+    const pool = target.apool();
+    const merge = await prepareMerge(source, target, pool);
+    const {base, conflicts, sourceChanges, targetChanges} = merge;
+    if (resolutions.length !== conflicts.length) {
+      throw new CustomError(
+          'the number of resolutions does not match the number of conflicts', 'apierror');
+    }
+    // The fork's changes are kept where its version is chosen, and the origin pad's changes where
+    // its version is chosen. With both versions, the fork's version is inserted after the origin
+    // pad's.
+    const droppedSource = new Set();
+    const droppedTarget = new Set();
+    const insertions = [];
+    conflicts.forEach((conflict, i) => {
+      if (resolutions[i] === 'source') {
+        for (const c of conflict.target) droppedTarget.add(c);
+        return;
+      }
+      for (const c of conflict.source) droppedSource.add(c);
+      if (resolutions[i] === 'both') {
+        const {end, sourceStart, sourceEnd} = conflict;
+        insertions.push(
+            {offset: end, atext: merge.sourceAText, start: sourceStart, end: sourceEnd});
+      }
+    });
+    const sourceCs =
+        dropChanges(merge.sourceCs, base.text, sourceChanges.runs, droppedSource, insertions);
+    const targetCs = dropChanges(merge.targetCs, base.text, targetChanges.runs, droppedTarget);
+    // The origin pad's changes that are replaced by the fork's are reverted first.
+    const kept = new Set(targetChanges.changes.filter((c) => !droppedTarget.has(c)));
+    const revertedCs = Changeset.follow(targetCs,
+        dropChanges(merge.targetCs, base.text, targetChanges.runs, kept), false, pool);
+    const keptAText = Changeset.applyToAText(targetCs, base, pool);
+    const revert = Changeset.inverse(revertedCs, Changeset.splitTextLines(keptAText.text),
+        Changeset.splitAttributionLines(keptAText.attribs, keptAText.text), pool);
+    const changeset = Changeset.compose(
+        revert, Changeset.follow(targetCs, sourceCs, false, pool), pool);
+    if (!Changeset.isIdentity(changeset)) {
+      await target.appendRevision(changeset, authorID);
+      await padMessageHandler.updatePadClients(target);
+    }
+    source.forkedFrom = {
+      padID: target.id,
+      rev: target.getHeadRevisionNumber(),
+      forkRev: merge.sourceRev,
+    };
+    await source.saveToDatabase();
+    return {
+      rev: target.getHeadRevisionNumber(),
+      changes: sourceChanges.changes.length,
+      conflicts: conflicts.length,
+    };
+  });
+};
@@ -11,11 +11,13 @@ const assert = require('assert').strict;
 const db = require('./DB');
 const settings = require('../utils/Settings');
 const authorManager = require('./AuthorManager');
+const commentManager = require('./CommentManager');
 const padManager = require('./PadManager');
 const padMessageHandler = require('../handler/PadMessageHandler');
 const groupManager = require('./GroupManager');
 const CustomError = require('../utils/customError');
 const readOnlyManager = require('./ReadOnlyManager');
+const templateManager = require('./TemplateManager');
 const randomString = require('../utils/randomstring');
 const hooks = require('../../static/js/pluginfw/hooks');
 const promises = require('../utils/promises');
@@ -76,6 +78,19 @@ Pad.prototype.getPublicStatus = function () {
   return this.publicStatus;
 };
 
+/**
+ * Returns the pad's access control list as an object that maps principals (see
+ * SecurityManager.isValidPrincipal) to roles. An empty object means that the pad has no access
+ * control list.
+ */
+Pad.prototype.getAccessControlList = function () {
+  return {...this.acl};
+};
+
+Pad.prototype.hasAccessControlList = function () {
+  return this.acl != null && Object.keys(this.acl).length > 0;
+};
+
 Pad.prototype.appendRevision = async function (aChangeset, author) {
   if (!author) {
     author = '';
@@ -380,6 +395,9 @@ Pad.prototype.init = async function (text) {
         this[attr] = value[attr];
       }
     }
+    // Finish a compaction of the history that was interrupted (see compactHistory()).
+    const compaction = await this._db.get(`pad:${this.id}:compaction`);
+    if (compaction != null) await this._finishCompaction(compaction);
   } else {
     // this pad doesn't exist, so create it
     const firstChangeset = Changeset.makeSplice('\n', 0, 0, exports.cleanText(text));
@@ -413,6 +431,7 @@ Pad.prototype.copy = async function (destinationID, force) {
     for (let i = 0; i <= this.head; ++i) yield copyRecord(`:revs:${i}`);
     for (let i = 0; i <= this.chatHead; ++i) yield copyRecord(`:chat:${i}`);
     yield this.copyAuthorInfoToDestinationPad(destinationID);
+    yield commentManager.copyComments(this.id, destinationID);
     if (destGroupID) yield db.setSub(`group:${destGroupID}`, ['pads', destinationID], 1);
   }).call(this));
 
@@ -486,6 +505,9 @@ Pad.prototype.copyPadWithoutHistory = async function (destinationID, force) {
   // add the new sourcePad to all authors who contributed to the old one
   await this.copyAuthorInfoToDestinationPad(destinationID);
 
+  // the comment anchors are copied with the text
+  await commentManager.copyComments(sourceID, destinationID);
+
   // Group pad? Add it to the group's list
   if (destGroupID) {
     await db.setSub(`group:${destGroupID}`, ['pads', destinationID], 1);
@@ -527,6 +549,10 @@ Pad.prototype.remove = async function () {
   // kick everyone from this pad
   padMessageHandler.kickSessionsFromPad(padID);
 
+  // remove the pad from the templates. This must finish before the group record is read below
+  // because group templates are stored in the group record.
+  await templateManager.unsetPadTemplate(padID);
+
   // delete all relations - the original code used async.parallel but
   // none of the operations except getting the group depended on callbacks
   // so the database operations here are just started and then left to
@@ -561,6 +587,9 @@ Pad.prototype.remove = async function () {
     await this._db.remove(`pad:${this.id}:revs:${i}`, null);
   }));
 
+  // delete the comments
+  p.push(commentManager.removeComments(padID));
+
   // remove pad from all authors who contributed
   this.getAllAuthors().forEach((authorID) => {
     p.push(authorManager.removePad(authorID, padID));
@@ -578,13 +607,41 @@ Pad.prototype.setPublicStatus = async function (publicStatus) {
   await this.saveToDatabase();
 };
 
-Pad.prototype.addSavedRevision = async function (revNum, savedById, label) {
-  // if this revision is already saved, return silently
-  for (const i in this.savedRevisions) {
-    if (this.savedRevisions[i] && this.savedRevisions[i].revNum === revNum) {
-      return;
-    }
-  }
+/**
+ * Exempts the pad from automatic expiry (see ExpiryManager), or removes the exemption.
+ */
+Pad.prototype.setExpiryExempt = async function (exempt) {
+  if (exempt) this.expiryExempt = true;
+  else delete this.expiryExempt;
+  await this.saveToDatabase();
+};
+
+/**
+ * Grants a role to a principal in the pad's access control list, or removes the principal from the
+ * list if role is null.
+ */
+Pad.prototype.setAccessRole = async function (principal, role) {
+  const acl = this.getAccessControlList();
+  if (role == null) delete acl[principal];
+  else acl[principal] = role;
+  this.acl = acl;
+  await this.saveToDatabase();
+};
+
+/**
+ * Marks a revision as saved. If the revision is already saved, nothing changes.
+ *
+ * @param {number} revNum - The revision number.
+ * @param {string} savedById - The ID of the author who saves the revision.
+ * @param {string} [label] - The name of the saved revision. Defaults to "Revision <revNum>".
+ * @param {*} [metadata] - Free-form data (for example the ID of the revision in another system).
+ *     Must be serializable to JSON.
+ * @returns {Promise<object>} The saved revision.
+ */
+Pad.prototype.addSavedRevision = async function (revNum, savedById, label, metadata = null) {
+  // if this revision is already saved, return it
+  const existing = this.savedRevisions.find((savedRev) => savedRev && savedRev.revNum === revNum);
+  if (existing != null) return existing;
 
   // build the saved revision object
   const savedRevision = {};
@@ -593,16 +650,199 @@ Pad.prototype.addSavedRevision = async function (revNum, savedById, label) {
   savedRevision.label = label || `Revision ${revNum}`;
   savedRevision.timestamp = Date.now();
   savedRevision.id = randomString(10);
+  if (metadata != null) savedRevision.metadata = metadata;
 
   // save this new saved revision
   this.savedRevisions.push(savedRevision);
   await this.saveToDatabase();
+  await hooks.aCallAll('padSavedRevision', {pad: this, savedRevision});
+  return savedRevision;
 };
 
 Pad.prototype.getSavedRevisions = function () {
   return this.savedRevisions;
 };
 
+Pad.prototype.getSavedRevision = function (id) {
+  return this.savedRevisions.find((savedRev) => savedRev.id === id) || null;
+};
+
+/**
+ * Changes the label and/or the metadata of a saved revision.
+ *
+ * @param {string} id - The ID of the saved revision.
+ * @param {object} changes - The new `label` and/or `metadata`. A null metadata removes it.
+ */
+Pad.prototype.updateSavedRevision = async function (id, {label, metadata}) {
+  const savedRevision = this.getSavedRevision(id);
+  if (savedRevision == null) throw new Error(`no saved revision with ID ${id}`);
+  if (label !== undefined) savedRevision.label = label || `Revision ${savedRevision.revNum}`;
+  if (metadata !== undefined) {
+    if (metadata == null) delete savedRevision.metadata;
+    else savedRevision.metadata = metadata;
+  }
+  await this.saveToDatabase();
+};
+
+Pad.prototype.removeSavedRevision = async function (id) {
+  this.savedRevisions = this.savedRevisions.filter((savedRev) => savedRev.id !== id);
+  await this.saveToDatabase();
+};
+
+/**
+ * Squashes the history before a revision so that the pad's history starts at that revision. Saved
+ * revisions before the cutoff are kept (as the squashed changes since the previous kept revision),
+ * and the revisions after the cutoff are renumbered. Everyone is kicked from the pad because the
+ * revision numbers known to the clients are no longer valid.
+ *
+ * The new revisions are first written under separate keys (`pad:<padID>:compacted:<rev>`). Then
+ * a record of the compaction (`pad:<padID>:compaction`) is written and the new revisions replace
+ * the old ones. If Etherpad stops before the record is written, the old history is still intact;
+ * if it stops after that, the switch is finished when the pad is loaded again.
+ *
+ * @param {number} cutoff - The oldest revision whose text must still be available.
+ * @returns {Promise<number>} The number of removed revisions.
+ */
+Pad.prototype.compactHistory = async function (cutoff) {
+  // The changes that the users of the pad have already sent are applied first.
+  return await padMessageHandler.enqueuePadTask(this.id, async () => {
+    const head = this.getHeadRevisionNumber();
+    assert(Number.isInteger(cutoff) && cutoff <= head);
+    // The merge base of a fork (see MergeManager) is kept like a saved revision.
+    const forkRev = this.forkedFrom == null ? null : this.forkedFrom.forkRev;
+    const kept = [...new Set([...this.getSavedRevisionsList(), forkRev])]
+        .filter((rev) => rev != null && rev < cutoff)
+        .sort((a, b) => a - b);
+    kept.push(cutoff);
+    const removed = cutoff + 1 - kept.length;
+    if (cutoff < 0 || removed === 0) return 0;
+
+    padMessageHandler.kickSessionsFromPad(this.id, 'compacted');
+
+    const pool = this.apool();
+    let atext = Changeset.makeAText('\n');
+    const writeRevision = async (rev, changeset, {author, timestamp}) => {
+      atext = Changeset.applyToAText(changeset, atext, pool);
+      const meta = {author, timestamp};
+      if (rev % 100 === 0) {
+        meta.pool = pool;
+        meta.atext = atext;
+      }
+      await this._db.set(`pad:${this.id}:compacted:${rev}`, {changeset, meta});
+    };
+
+    // the new first revision inserts the text of the oldest kept revision (like
+    // copyPadWithoutHistory does)
+    const baseAText = await this.getInternalRevisionAText(kept[0]);
+    const assem = Changeset.smartOpAssembler();
+    for (const op of Changeset.opsFromAText(baseAText)) assem.append(op);
+    assem.endDocument();
+    const baseChangeset =
+        Changeset.pack(1, baseAText.text.length, assem.toString(), baseAText.text.slice(0, -1));
+    await writeRevision(0, baseChangeset, (await this.getRevision(kept[0])).meta);
+
+    for (let i = 1; i < kept.length; ++i) {
+      let changeset = await this.getRevisionChangeset(kept[i - 1] + 1);
+      for (let rev = kept[i - 1] + 2; rev <= kept[i]; ++rev) {
+        changeset = Changeset.compose(changeset, await this.getRevisionChangeset(rev), pool);
+      }
+      await writeRevision(i, changeset, (await this.getRevision(kept[i])).meta);
+    }
+
+    for (let rev = cutoff + 1; rev <= head; ++rev) {
+      const {changeset, meta} = await this.getRevision(rev);
+      await writeRevision(rev - removed, changeset, meta);
+    }
+
+    const newRevNum = (rev) => rev <= cutoff ? kept.indexOf(rev) : rev - removed;
+    const compaction = {
+      head: head - removed,
+      oldHead: head,
+      savedRevisions: this.savedRevisions.map((r) => ({...r, revNum: newRevNum(r.revNum)})),
+      forkedFrom:
+          forkRev == null ? this.forkedFrom : {...this.forkedFrom, forkRev: newRevNum(forkRev)},
+    };
+    await this._db.set(`pad:${this.id}:compaction`, compaction);
+    await this._finishCompaction(compaction);
+    await hooks.aCallAll('padCompact', {pad: this, removedRevisions: removed});
+    return removed;
+  });
+};
+
+/**
+ * Replaces the revisions of the pad with the revisions written by compactHistory(). This can be
+ * repeated if it is interrupted.
+ *
+ * @param {object} compaction - The record of the compaction.
+ */
+Pad.prototype._finishCompaction = async function (compaction) {
+  const {head, oldHead} = compaction;
+  if (!compaction.switched) {
+    await promises.timesLimit(head + 1, 500, async (rev) => {
+      const revision = await this._db.get(`pad:${this.id}:compacted:${rev}`);
+      await this._db.set(`pad:${this.id}:revs:${rev}`, revision);
+    });
+    await promises.timesLimit(oldHead - head, 500, async (i) => {
+      await this._db.remove(`pad:${this.id}:revs:${oldHead - i}`, null);
+    });
+    this.savedRevisions = compaction.savedRevisions;
+    if (compaction.forkedFrom != null) this.forkedFrom = compaction.forkedFrom;
+    this.head = head;
+    await this.saveToDatabase();
+    compaction.switched = true;
+    await this._db.set(`pad:${this.id}:compaction`, compaction);
+  }
+  await promises.timesLimit(head + 1, 500, async (rev) => {
+    await this._db.remove(`pad:${this.id}:compacted:${rev}`, null);
+  });
+  await this._db.remove(`pad:${this.id}:compaction`, null);
+};
+
+/**
+ * Reverts the changes that an author made in a range of revisions, keeping the changes of the other
+ * authors (including later changes to the reverted text). The inverses of the author's revisions
+ * are composed and followed through the later revisions, and the result is appended as a new
+ * revision.
+ *
+ * @param {string} authorID - The ID of the author whose changes are reverted.
+ * @param {number} [startRev] - The first revision to revert. Defaults to 0.
+ * @param {?number} [endRev] - The last revision to revert. Defaults to the head revision.
+ * @param {string} [revertedBy] - The author of the new revision.
+ * @returns {Promise<number>} The number of reverted revisions. No revision is appended if it is 0.
+ */
+Pad.prototype.revertAuthorChanges = async function (
+    authorID, startRev = 0, endRev = null, revertedBy = '') {
+  // The changes that the users of the pad have already sent are applied first.
+  return await padMessageHandler.enqueuePadTask(this.id, async () => {
+    const head = this.getHeadRevisionNumber();
+    if (endRev == null || endRev > head) endRev = head;
+    assert(Number.isInteger(startRev) && startRev >= 0);
+    assert(Number.isInteger(endRev));
+    const pool = this.apool();
+    let atext = startRev === 0
+      ? Changeset.makeAText('\n') : await this.getInternalRevisionAText(startRev - 1);
+    // `undo` reverts the author's changes so far. It applies to the text of revision `rev`.
+    let undo = Changeset.identity(atext.text.length);
+    let reverted = 0;
+    for (let rev = startRev; rev <= head; ++rev) {
+      const {changeset, meta: {author}} = await this.getRevision(rev);
+      if (rev <= endRev && author === authorID) {
+        const inverse = Changeset.inverse(changeset, Changeset.splitTextLines(atext.text),
+            Changeset.splitAttributionLines(atext.attribs, atext.text), pool);
+        undo = Changeset.compose(inverse, undo, pool);
+        ++reverted;
+      } else {
+        undo = Changeset.follow(changeset, undo, false, pool);
+      }
+      atext = Changeset.applyToAText(changeset, atext, pool);
+    }
+    if (reverted === 0) return 0;
+    await this.appendRevision(undo, revertedBy);
+    await padMessageHandler.updatePadClients(this);
+    return reverted;
+  });
+};
+
 /**
  * Asserts that all pad data is consistent. Throws if inconsistent.
  */
@@ -0,0 +1,107 @@
+'use strict';
+/**
+ * The Pad Stats Manager lists pads with their statistics (time of the last edit, number of
+ * revisions, length of the text and number of connected users) for the admin pad list.
+ *
+ * The statistics are read from the raw pad records so that listing does not load the pads, and they
+ * are cached until the pad changes (see the hooks in node/hooks/express/adminpads.js). The number
+ * of users is not cached; it is kept in memory by PadMessageHandler.
+ */
+
+const CustomError = require('../utils/customError');
+const db = require('./DB');
+const padManager = require('./PadManager');
+const padMessageHandler = require('../handler/PadMessageHandler');
+
+const cache = new Map();
+
+const sortKeys = ['padID', 'lastEdited', 'revisionCount', 'size', 'userCount'];
+
+const userCount = (padID) => padMessageHandler.padUsersCount(padID).padUsersCount;
+
+/**
+ * Forgets the cached statistics of a pad. Called when a pad changes.
+ */
+exports.invalidate = (padID) => { cache.delete(padID); };
+
+/**
+ * Returns the statistics of a pad, or null if the pad does not exist.
+ *
+ * @returns {Promise<?{padID: string, lastEdited: number, revisionCount: number, size: number,
+ *     userCount: number}>}
+ */
+exports.getPadStats = async (padID) => {
+  let stats = cache.get(padID);
+  if (stats == null) {
+    const pad = await db.get(`pad:${padID}`);
+    if (pad == null) return null;
+    stats = {
+      lastEdited: await db.getSub(`pad:${padID}:revs:${pad.head}`, ['meta', 'timestamp']),
+      revisionCount: pad.head,
+      size: pad.atext.text.length,
+    };
+    cache.set(padID, stats);
+  }
+  return {padID, ...stats, userCount: userCount(padID)};
+};
+
+/**
+ * Returns a page of the list of pads.
+ *
+ * Sorting by ID or by number of users only reads the statistics of the pads on the page. The other
+ * sort orders need the statistics of all matching pads, which are read once and then cached.
+ *
+ * @param {object} [options]
+ * @param {string} [options.query] - Only list the pads whose ID contains this string (ignoring
+ *     case).
+ * @param {string} [options.sortBy] - One of 'padID', 'lastEdited', 'revisionCount', 'size' and
+ *     'userCount'. Pads with equal values are sorted by ID.
+ * @param {boolean} [options.descending]
+ * @param {number} [options.offset] - The number of pads to skip.
+ * @param {number} [options.limit] - The maximum number of pads to return.
+ * @returns {Promise<{total: number, pads: object[]}>} The number of matching pads and the results
+ *     of getPadStats() for the pads on the page.
+ */
+exports.listPads = async ({
+  query = '',
+  sortBy = 'padID',
+  descending = false,
+  offset = 0,
+  limit = 50,
+} = {}) => {
+  if (!sortKeys.includes(sortBy)) {
+    throw new CustomError(`sortBy must be one of ${sortKeys.join(', ')}`, 'apierror');
+  }
+  let {padIDs} = await padManager.listAllPads();
+  if (query) {
+    query = query.toLowerCase();
+    padIDs = padIDs.filter((padID) => padID.toLowerCase().includes(query));
+  }
+  const total = padIDs.length;
+  const direction = descending ? -1 : 1;
+  const byID = (a, b) => direction * (a.padID < b.padID ? -1 : a.padID > b.padID ? 1 : 0);
+  const by = (key) => (a, b) => direction * (a[key] - b[key]) || byID(a, b);
+  let page;
+  if (sortBy === 'padID') {
+    // listAllPads() returns the pads sorted by ID.
+    page = (descending ? [...padIDs].reverse() : padIDs).slice(offset, offset + limit);
+  } else if (sortBy === 'userCount') {
+    page = padIDs.map((padID) => ({padID, userCount: userCount(padID)}))
+        .sort(by('userCount'))
+        .slice(offset, offset + limit)
+        .map(({padID}) => padID);
+  } else {
+    const all = [];
+    for (const padID of padIDs) {
+      const stats = await exports.getPadStats(padID);
+      if (stats != null) all.push(stats);
+    }
+    return {total, pads: all.sort(by(sortBy)).slice(offset, offset + limit)};
+  }
+  const pads = [];
+  for (const padID of page) {
+    const stats = await exports.getPadStats(padID);
+    if (stats != null) pads.push(stats);
+  }
+  return {total, pads};
+};
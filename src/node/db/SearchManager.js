@@ -0,0 +1,180 @@
+'use strict';
+/**
+ * The Search Manager maintains a full-text index of the current text of every pad and answers
+ * search queries.
+ *
+ * The index consists of one `searchindex:<padID>` record per pad with the pad's text and its terms,
+ * and one `searchterm:<term>` record per term with the IDs of the pads that contain the term. Terms
+ * are runs of letters and digits, compared case-insensitively and without diacritics.
+ *
+ * The index is updated by the hooks in node/hooks/searchindex.js. Updates must not run
+ * concurrently because term records are shared between pads, so they are serialized here.
+ */
+
+const CustomError = require('../utils/customError');
+const db = require('./DB');
+const padManager = require('./PadManager');
+
+// Longer terms (e.g., base64 data) are not indexed.
+const maxTermLength = 64;
+// The number of characters of context on each side of the match in result snippets.
+const snippetContext = 80;
+
+let updates = Promise.resolve();
+
+// Runs index updates one at a time, in the order they were requested.
+const serialize = (fn) => {
+  const p = updates.then(fn);
+  updates = p.catch(() => {});
+  return p;
+};
+
+// Lowercases a string and strips its diacritics. Also returns, for each UTF-16 code unit of the
+// result, the index of the character of the original string it came from.
+const normalize = (text) => {
+  let normalized = '';
+  const offsets = [];
+  let i = 0;
+  for (const c of text) {
+    const n = c.normalize('NFKD').replace(/\p{M}+/gu, '').toLowerCase();
+    normalized += n;
+    for (let k = 0; k < n.length; k++) offsets.push(i);
+    i += c.length;
+  }
+  offsets.push(text.length);
+  return {normalized, offsets};
+};
+
+const getTerms = (text) => new Set((normalize(text).normalized.match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((term) => term.length <= maxTermLength));
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getSnippet = (text, start, end) => {
+  const from = Math.max(0, start - snippetContext);
+  const to = Math.min(text.length, end + snippetContext);
+  const snippet = text.slice(from, to).replace(/\s+/g, ' ').trim();
+  return `${from > 0 ? '…' : ''}${snippet}${to < text.length ? '…' : ''}`;
+};
+
+const setIndex = async (padID, text) => {
+  const old = await db.get(`searchindex:${padID}`);
+  const oldTerms = new Set(old == null ? [] : old.terms);
+  const terms = text == null ? new Set() : getTerms(text);
+  for (const term of oldTerms) {
+    if (terms.has(term)) continue;
+    const pads = await db.get(`searchterm:${term}`) || {};
+    delete pads[padID];
+    if (Object.keys(pads).length === 0) await db.remove(`searchterm:${term}`);
+    else await db.set(`searchterm:${term}`, pads);
+  }
+  for (const term of terms) {
+    if (!oldTerms.has(term)) await db.setSub(`searchterm:${term}`, [padID], 1);
+  }
+  if (text == null) {
+    await db.remove(`searchindex:${padID}`);
+  } else {
+    await db.set(`searchindex:${padID}`, {text, terms: [...terms]});
+  }
+};
+
+/**
+ * Adds a pad to the index or updates its entry with the pad's current text.
+ */
+exports.indexPad = async (padID) => await serialize(async () => {
+  if (!await padManager.doesPadExist(padID)) return await setIndex(padID, null);
+  const pad = await padManager.getPad(padID);
+  await setIndex(padID, pad.text());
+});
+
+/**
+ * Removes a pad from the index.
+ */
+exports.removePad = async (padID) => await serialize(async () => await setIndex(padID, null));
+
+/**
+ * Removes all entries from the index and indexes every pad again.
+ *
+ * @param {Function} [progress] - Called with the number of indexed pads and the total.
+ */
+exports.rebuild = async (progress = () => {}) => {
+  await serialize(async () => {
+    const keys = [
+      ...await db.findKeys('searchterm:*', null),
+      ...await db.findKeys('searchindex:*', null),
+    ];
+    for (const key of keys) await db.remove(key);
+  });
+  const {padIDs} = await padManager.listAllPads();
+  for (const [i, padID] of padIDs.entries()) {
+    await exports.indexPad(padID);
+    progress(i + 1, padIDs.length);
+  }
+  await db.set('searchindex', {built: Date.now()});
+  return {padCount: padIDs.length};
+};
+
+/**
+ * Returns whether the index has been built by `rebuild()`. It is incomplete until then.
+ */
+exports.isBuilt = async () => await db.get('searchindex') != null;
+
+/**
+ * Searches the current text of all pads.
+ *
+ * All words of the query must appear in a pad for it to match. If the query is enclosed in double
+ * quotes, the words must appear as a phrase. Pads that contain the words as a phrase are ranked
+ * first, then pads with more occurrences of the words.
+ *
+ * @param {string} query - The words to search for.
+ * @param {object} [options]
+ * @param {Function} [options.filter] - Async predicate that is called with the pad ID of each
+ *     match (in order of rank) until `limit` pads were accepted. Can be used to filter out pads the
+ *     user cannot access.
+ * @param {number} [options.limit] - The maximum number of results.
+ * @returns {Promise<{padID: string, snippet: string}[]>} The snippet is an excerpt of the pad's
+ *     text around the first match.
+ */
+exports.search = async (query, {filter = async () => true, limit = 100} = {}) => {
+  if (typeof query !== 'string') throw new CustomError('query is not a string', 'apierror');
+  const terms = [...getTerms(query)];
+  if (terms.length === 0) throw new CustomError('query is empty', 'apierror');
+  const requirePhrase = /^\s*".*"\s*$/s.test(query);
+
+  // Pads that contain all terms.
+  const termPads = await Promise.all(terms.map(async (t) => await db.get(`searchterm:${t}`) || {}));
+  termPads.sort((a, b) => Object.keys(a).length - Object.keys(b).length);
+  const candidates = Object.keys(termPads[0]).filter((padID) => termPads.every((p) => p[padID]));
+
+  const nonWord = '[^\\p{L}\\p{N}]+';
+  const phraseRe = new RegExp(`(?<![\\p{L}\\p{N}])${terms.map(escapeRegExp).join(nonWord)}` +
+                              '(?![\\p{L}\\p{N}])', 'gu');
+  const termRe = new RegExp(
+      `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+  const matches = [];
+  for (const padID of candidates) {
+    const entry = await db.get(`searchindex:${padID}`);
+    if (entry == null) continue;
+    const {normalized, offsets} = normalize(entry.text);
+    const phrases = [...normalized.matchAll(phraseRe)];
+    if (requirePhrase && phrases.length === 0) continue;
+    const words = [...normalized.matchAll(termRe)];
+    const [first] = phrases.length > 0 ? phrases : words;
+    const start = first == null ? 0 : offsets[first.index];
+    const end = first == null ? 0 : offsets[first.index + first[0].length];
+    matches.push({
+      padID,
+      snippet: getSnippet(entry.text, start, end),
+      rank: [phrases.length, words.length],
+    });
+  }
+  matches.sort((a, b) => b.rank[0] - a.rank[0] || b.rank[1] - a.rank[1] ||
+                         (a.padID < b.padID ? -1 : a.padID > b.padID ? 1 : 0));
+
+  const results = [];
+  for (const {padID, snippet} of matches) {
+    if (results.length >= limit) break;
+    if (await filter(padID)) results.push({padID, snippet});
+  }
+  return results;
+};
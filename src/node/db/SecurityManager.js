@@ -20,6 +20,7 @@
  */
 
 const authorManager = require('./AuthorManager');
+const banManager = require('./BanManager');
 const hooks = require('../../static/js/pluginfw/hooks.js');
 const padManager = require('./PadManager');
 const readOnlyManager = require('./ReadOnlyManager');
@@ -31,6 +32,66 @@ const authLogger = log4js.getLogger('auth');
 
 const DENY = Object.freeze({accessStatus: 'deny'});
 
+/**
+ * The roles that can be granted in a pad's access control list, from least to most privileged.
+ * Viewers and commenters can only read the pad, suggesters can only suggest changes (see
+ * static/js/suggestions.js), editors can also modify it, and owners can also change the access
+ * control list.
+ */
+exports.padRoles = Object.freeze(['viewer', 'commenter', 'suggester', 'editor', 'owner']);
+
+/**
+ * Returns whether the given string can be used as a principal in a pad's access control list:
+ *   - `*` matches everyone,
+ *   - `author:<authorID>` matches an author (e.g., `author:a.s8oes9dhwrvt0zif`),
+ *   - `group:<groupID>` matches users with an HTTP API session for the group,
+ *   - `user:<username>` matches an authenticated user.
+ */
+exports.isValidPrincipal = (principal) => typeof principal === 'string' &&
+    /^(?:\*|author:a\.[a-zA-Z0-9]+|group:g\.[a-zA-Z0-9]+|user:.+)$/.test(principal);
+
+/**
+ * Returns whether a user with the given role (as returned by checkAccess) may modify the pad. A
+ * role of null means that the pad has no access control list.
+ */
+exports.roleCanEdit = (role) => role == null || ['editor', 'owner'].includes(role);
+
+/**
+ * Returns whether a user with the given role may suggest changes to the pad.
+ */
+exports.roleCanSuggest = (role) => exports.roleCanEdit(role) || role === 'suggester';
+
+/**
+ * Determines the most privileged role granted to a user by a pad's access control list.
+ *
+ * @param {Pad} pad - The pad. It must have an access control list.
+ * @param {?string} authorID - The user's author ID.
+ * @param {?string} sessionCookie - The user's HTTP API session IDs (see checkAccess).
+ * @param {?object} userSettings - The settings of the authenticated user (see checkAccess).
+ * @return {Promise<?string>} The role, or null if none of the entries match the user.
+ */
+exports.getPadRole = async (pad, authorID, sessionCookie, userSettings) => {
+  if (userSettings != null && userSettings.is_admin) return 'owner';
+  let best = -1;
+  for (const [principal, role] of Object.entries(pad.getAccessControlList())) {
+    const rank = exports.padRoles.indexOf(role);
+    if (rank <= best) continue;
+    const [type, id] = principal.split(/:(.*)/s);
+    let matches = false;
+    if (type === '*') {
+      matches = true;
+    } else if (type === 'author') {
+      matches = authorID != null && id === authorID;
+    } else if (type === 'user') {
+      matches = userSettings != null && id === userSettings.username;
+    } else if (type === 'group') {
+      matches = await sessionManager.findAuthorID(id, sessionCookie) != null;
+    }
+    if (matches) best = rank;
+  }
+  return best === -1 ? null : exports.padRoles[best];
+};
+
 /**
  * Determines whether the user can access a pad.
  *
@@ -41,15 +102,22 @@ const DENY = Object.freeze({accessStatus: 'deny'});
  *     when using the web UI (not the HTTP API). This token is only used if settings.requireSession
  *     is false and the user is accessing a public pad. If there is not an author already associated
  *     with this token then a new author object is created (including generating an author ID) and
- *     associated with this token.
+ *     associated with this token. If the token is null, no author is looked up or created (the
+ *     returned author ID is null unless there is an HTTP API session).
  * @param userSettings is the settings.users[username] object (or equivalent from an authn plugin).
- * @return {accessStatus: grant|deny, authorID: a.xxxxxx}. The caller must use the author ID
- *     returned in this object when making any changes associated with the author.
+ * @param ip is the user's IP address, if known. Users whose author ID or IP address is banned (see
+ *     BanManager) are denied access.
+ * @return {accessStatus: grant|deny, authorID: a.xxxxxx, role: viewer|commenter|suggester|editor|
+ *     owner|null}. The caller must use the author ID returned in this object when making any
+ *     changes associated with the author. The role is the user's role in the pad's access control
+ *     list, or null if the pad does not have one. Callers must not let the user modify the pad
+ *     unless roleCanEdit(role) returns true, or suggest changes unless roleCanSuggest(role) returns
+ *     true.
  *
  * WARNING: Tokens and session IDs MUST be kept secret, otherwise users will be able to impersonate
  * each other (which might allow them to gain privileges).
  */
-exports.checkAccess = async (padID, sessionCookie, token, userSettings) => {
+exports.checkAccess = async (padID, sessionCookie, token, userSettings, ip = null) => {
   if (!padID) {
     authLogger.debug('access denied: missing padID');
     return DENY;
@@ -97,7 +165,7 @@ exports.checkAccess = async (padID, sessionCookie, token, userSettings) => {
 
   // start fetching the info we may need
   const p_sessionAuthorID = sessionManager.findAuthorID(padID.split('$')[0], sessionCookie);
-  const p_tokenAuthorID = authorManager.getAuthor4Token(token);
+  const p_tokenAuthorID = token == null ? null : authorManager.getAuthor4Token(token);
   const p_padExists = padManager.doesPadExist(padID);
 
   const padExists = await p_padExists;
@@ -115,8 +183,27 @@ exports.checkAccess = async (padID, sessionCookie, token, userSettings) => {
   const grant = {
     accessStatus: 'grant',
     authorID: (sessionAuthorID != null) ? sessionAuthorID : await p_tokenAuthorID,
+    role: null,
   };
 
+  if (await banManager.getBan({authorID: grant.authorID, ip}) != null) {
+    authLogger.debug('access denied: the author or the IP address is banned');
+    return DENY;
+  }
+
+  const pad = padExists ? await padManager.getPad(padID) : null;
+
+  // Users that are not in the access control list of a pad that has one are denied access.
+  // Viewers and commenters are granted read-only access (see roleCanSuggest), even if they use the
+  // read-write pad ID.
+  if (pad != null && pad.hasAccessControlList()) {
+    grant.role = await exports.getPadRole(pad, grant.authorID, sessionCookie, userSettings);
+    if (grant.role == null) {
+      authLogger.debug('access denied: not in the access control list of the pad');
+      return DENY;
+    }
+  }
+
   if (!padID.includes('$')) {
     // Only group pads can be private, so there is nothing more to check for this non-group pad.
     return grant;
@@ -131,8 +218,6 @@ exports.checkAccess = async (padID, sessionCookie, token, userSettings) => {
     return grant;
   }
 
-  const pad = await padManager.getPad(padID);
-
   if (!pad.getPublicStatus() && sessionAuthorID == null) {
     authLogger.debug('access denied: must have an HTTP API session to access private group pads');
     return DENY;
@@ -0,0 +1,134 @@
+'use strict';
+/**
+ * The Suggestion Manager accepts and rejects the suggestions in pads and checks the changes of
+ * users who may only suggest. Suggestions are part of the pad's attributed text; see
+ * static/js/suggestions.js.
+ */
+
+const AttributeMap = require('../../static/js/AttributeMap');
+const Changeset = require('../../static/js/Changeset');
+const CustomError = require('../utils/customError');
+const authorManager = require('./AuthorManager');
+const padMessageHandler = require('../handler/PadMessageHandler');
+const suggestions = require('../../static/js/suggestions');
+
+/**
+ * Returns the suggestions in a pad, in the order of their first appearance in the text.
+ *
+ * @param {Pad} pad - The pad.
+ * @returns {Promise<object[]>} The suggestions with their ID, author and inserted and deleted text.
+ */
+exports.getSuggestions = async (pad) => await Promise.all(
+    suggestions.getSuggestions(pad.atext, pad.pool).map(async (suggestion) => ({
+      ...suggestion,
+      authorName: suggestion.authorID
+        ? await authorManager.getAuthorName(suggestion.authorID) : null,
+    })));
+
+// Accepting a suggestion keeps the inserted text and removes the deleted text, rejecting it does
+// the opposite. It is called from the pad's queue (see PadMessageHandler.enqueuePadTask()) so that
+// the changes that the users of the pad have already sent are applied first.
+const resolve = async (pad, suggestionID, accept, authorID) => {
+  const builder = Changeset.builder(pad.text().length);
+  let found = false;
+  for (const op of Changeset.deserializeOps(pad.atext.attribs)) {
+    const attribs = AttributeMap.fromString(op.attribs, pad.pool);
+    const id = suggestions.getSuggestionID(attribs);
+    if (id == null || (suggestionID != null && id !== suggestionID)) {
+      builder.keep(op.chars, op.lines);
+      continue;
+    }
+    found = true;
+    if ((attribs.get(suggestions.insertKey) === id) === accept) {
+      builder.keep(op.chars, op.lines, suggestions.clearAttribs(), pad.pool);
+    } else {
+      builder.remove(op.chars, op.lines);
+    }
+  }
+  if (suggestionID != null && !found) {
+    throw new CustomError('suggestionID does not exist', 'apierror');
+  }
+  if (found) await pad.appendRevision(builder.toString(), authorID);
+};
+
+/**
+ * Accepts a suggestion.
+ *
+ * @param {Pad} pad - The pad.
+ * @param {?string} suggestionID - The ID of the suggestion, or null to accept all suggestions.
+ * @param {?string} [authorID] - The author of the new revision.
+ */
+exports.acceptSuggestion = async (pad, suggestionID, authorID = null) => {
+  await padMessageHandler.enqueuePadTask(
+      pad.id, async () => await resolve(pad, suggestionID, true, authorID));
+};
+
+/**
+ * Rejects a suggestion.
+ *
+ * @param {Pad} pad - The pad.
+ * @param {?string} suggestionID - The ID of the suggestion, or null to reject all suggestions.
+ * @param {?string} [authorID] - The author of the new revision.
+ */
+exports.rejectSuggestion = async (pad, suggestionID, authorID = null) => {
+  await padMessageHandler.enqueuePadTask(
+      pad.id, async () => await resolve(pad, suggestionID, false, authorID));
+};
+
+// Splits an attributed text into runs of [text, attributes] that a user who may only suggest
+// cannot change: all text except their own suggested insertions, with all attributes except comment
+// anchors and their own suggestion marks.
+const getFixedRuns = (atext, pool, authorID) => {
+  const runs = [];
+  let pos = 0;
+  for (const op of Changeset.deserializeOps(atext.attribs)) {
+    const text = atext.text.slice(pos, pos + op.chars);
+    pos += op.chars;
+    const attribs = AttributeMap.fromString(op.attribs, pool);
+    const ownSuggestion = attribs.get(suggestions.authorKey) === authorID;
+    if (attribs.get(suggestions.insertKey) && ownSuggestion) continue;
+    attribs.delete('comment');
+    if (!attribs.get(suggestions.insertKey) &&
+        (ownSuggestion || !attribs.get(suggestions.deleteKey))) {
+      attribs.delete(suggestions.deleteKey);
+      attribs.delete(suggestions.authorKey);
+    }
+    runs.push([text, attribs.toString()]);
+  }
+  return runs;
+};
+
+const sameRuns = (a, b) => {
+  let i = 0;
+  let j = 0;
+  let aPos = 0;
+  let bPos = 0;
+  for (;;) {
+    while (i < a.length && aPos === a[i][0].length) [i, aPos] = [i + 1, 0];
+    while (j < b.length && bPos === b[j][0].length) [j, bPos] = [j + 1, 0];
+    if (i === a.length || j === b.length) return i === a.length && j === b.length;
+    const [aText, aAttribs] = a[i];
+    const [bText, bAttribs] = b[j];
+    const n = Math.min(aText.length - aPos, bText.length - bPos);
+    if (aAttribs !== bAttribs || aText.slice(aPos, aPos + n) !== bText.slice(bPos, bPos + n)) {
+      return false;
+    }
+    aPos += n;
+    bPos += n;
+  }
+};
+
+/**
+ * Returns whether a changeset does nothing but make, change or withdraw suggestions of the given
+ * author (and anchor comments). Only such changesets are accepted from users who may only suggest.
+ *
+ * @param {Pad} pad - The pad.
+ * @param {string} changeset - The changeset, relative to the pad's head revision. Its attributes
+ *     must be in the pad's pool.
+ * @param {string} authorID - The author of the changeset.
+ */
+exports.isSuggestion = (pad, changeset, authorID) => {
+  const atext = Changeset.applyToAText(changeset, pad.atext, pad.pool);
+  return sameRuns(
+      getFixedRuns(pad.atext, pad.pool, authorID), getFixedRuns(atext, pad.pool, authorID));
+};
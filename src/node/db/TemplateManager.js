@@ -0,0 +1,124 @@
+'use strict';
+/**
+ * The Template Manager keeps track of template pads, which are regular pads that new pads can be
+ * created from.
+ *
+ * Templates are identified by name. Pads outside of groups are global templates (listed in the
+ * `padtemplates` record) that can be used for any new pad. Group pads are templates of their group
+ * (listed in the `templates` property of the group record) and can only be used for new pads of
+ * the same group. If a group template and a global template have the same name, the group template
+ * wins.
+ */
+
+const CustomError = require('../utils/customError');
+const db = require('./DB');
+const groupManager = require('./GroupManager');
+const padManager = require('./PadManager');
+
+const getGroupID = (padID) => padID.includes('$') ? padID.split('$')[0] : null;
+
+// The record (and the path within the record) that lists the templates of a group, or the global
+// templates if groupID is null.
+const getLocation = (groupID) => groupID == null
+  ? {key: 'padtemplates', path: []}
+  : {key: `group:${groupID}`, path: ['templates']};
+
+const getTemplates = async (groupID) => {
+  const {key, path} = getLocation(groupID);
+  const templates = await db.getSub(key, path) || {};
+  // Removed templates are kept as properties with an undefined value until the record is reloaded.
+  return Object.fromEntries(Object.entries(templates).filter(([, padID]) => padID != null));
+};
+
+const setTemplate = async (groupID, name, padID) => {
+  const {key, path} = getLocation(groupID);
+  // Setting a property to `undefined` deletes the property.
+  await db.setSub(key, [...path, name], padID);
+};
+
+/**
+ * Returns whether the given string can be used as the name of a template.
+ */
+exports.isValidName = (name) => typeof name === 'string' &&
+    /^[\p{L}\p{N}][\p{L}\p{N} ._-]{0,49}$/u.test(name);
+
+/**
+ * Returns the name of the template that the given pad is, or null if it is not a template.
+ */
+exports.getTemplateName = async (padID) => {
+  const templates = await getTemplates(getGroupID(padID));
+  const [name] = Object.entries(templates).find(([, id]) => id === padID) || [null];
+  return name;
+};
+
+/**
+ * Makes a pad a template with the given name, or renames it if it is already a template.
+ */
+exports.setPadTemplate = async (padID, name) => {
+  if (!exports.isValidName(name)) throw new CustomError('name is invalid', 'apierror');
+  if (!await padManager.doesPadExist(padID)) {
+    throw new CustomError('padID does not exist', 'apierror');
+  }
+  const groupID = getGroupID(padID);
+  const templates = await getTemplates(groupID);
+  if (Object.prototype.hasOwnProperty.call(templates, name) && templates[name] !== padID) {
+    throw new CustomError('name is already used by another template', 'apierror');
+  }
+  const oldName = await exports.getTemplateName(padID);
+  if (oldName === name) return;
+  await setTemplate(groupID, name, padID);
+  if (oldName != null) await setTemplate(groupID, oldName, undefined);
+};
+
+/**
+ * Turns a template back into a regular pad. Returns false if the pad is not a template.
+ */
+exports.unsetPadTemplate = async (padID) => {
+  const name = await exports.getTemplateName(padID);
+  if (name == null) return false;
+  await setTemplate(getGroupID(padID), name, undefined);
+  return true;
+};
+
+/**
+ * Lists the global templates, or the templates of a group.
+ *
+ * @returns {Promise<{name: string, padID: string}[]>} The templates, sorted by name.
+ */
+exports.listTemplates = async (groupID = null) => Object.entries(await getTemplates(groupID))
+    .map(([name, padID]) => ({name, padID}))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Returns the ID of the template pad with the given name that can be used for the given new pad, or
+ * null if there is none.
+ */
+exports.findTemplate = async (padID, name) => {
+  const groupID = getGroupID(padID);
+  for (const templates of [
+    ...(groupID == null ? [] : [await getTemplates(groupID)]),
+    await getTemplates(null),
+  ]) {
+    if (Object.prototype.hasOwnProperty.call(templates, name)) return templates[name];
+  }
+  return null;
+};
+
+/**
+ * Creates a new pad with the text and formatting (but not the history) of a template.
+ */
+exports.createPadFromTemplate = async (padID, name) => {
+  const templateID = await exports.findTemplate(padID, name);
+  if (templateID == null || !await padManager.doesPadExist(templateID)) {
+    throw new CustomError('template does not exist', 'apierror');
+  }
+  const groupID = getGroupID(padID);
+  if (groupID != null && !await groupManager.doesGroupExist(groupID)) {
+    throw new CustomError('groupID does not exist', 'apierror');
+  }
+  if (await padManager.doesPadExist(padID)) {
+    throw new CustomError('padID does already exist', 'apierror');
+  }
+  const template = await padManager.getPad(templateID);
+  await template.copyPadWithoutHistory(padID, false);
+};
@@ -0,0 +1,183 @@
+'use strict';
+/**
+ * The Trash Manager keeps deleted pads for settings.trash.retentionDays days so that they can be
+ * restored.
+ *
+ * Deleting a pad moves its records (the pad record, the revisions, the chat messages and the
+ * comments) from `pad:<padID>...` to `deletedpad:<padID>...` before the pad is removed, and adds
+ * the pad to the `deletedpads` record, which maps the IDs of the deleted pads to their deletion
+ * time and read-only ID. Restoring the pad moves the records back. A pad ID can only be in the
+ * trash once: deleting a pad whose ID is already in the trash purges the older copy.
+ *
+ * Deleting a group moves its pads to the trash. The group record is kept in the
+ * `deletedgroup:<groupID>` record as long as the trash contains pads of the group, and restoring
+ * one of them restores the group.
+ */
+
+const CustomError = require('../utils/customError');
+const authorManager = require('./AuthorManager');
+const db = require('./DB');
+const hooks = require('../../static/js/pluginfw/hooks');
+const padManager = require('./PadManager');
+const promises = require('../utils/promises');
+const settings = require('../utils/Settings');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+const getGroupID = (padID) => padID.includes('$') ? padID.split('$')[0] : null;
+
+// Calls fn with the suffix of each record of a pad (see Pad.copy()).
+const forEachRecord = async ({head, chatHead}, fn) => {
+  await Promise.all([fn(''), fn(':comments')]);
+  await promises.timesLimit(head + 1, 500, async (i) => await fn(`:revs:${i}`));
+  await promises.timesLimit(chatHead + 1, 500, async (i) => await fn(`:chat:${i}`));
+};
+
+const moveRecords = async (from, to, padRecord) => {
+  await forEachRecord(padRecord, async (suffix) => {
+    const val = await db.get(`${from}${suffix}`);
+    if (val != null) await db.set(`${to}${suffix}`, val);
+  });
+};
+
+// Removes a pad from the trash, and its group if the trash has no other pads of the group.
+const forget = async (padID) => {
+  const padRecord = await db.get(`deletedpad:${padID}`);
+  if (padRecord != null) {
+    await forEachRecord(
+        padRecord, async (suffix) => await db.remove(`deletedpad:${padID}${suffix}`));
+  }
+  await db.setSub('deletedpads', [padID], undefined);
+  const groupID = getGroupID(padID);
+  if (groupID != null && (await exports.listDeletedPads(groupID)).length === 0) {
+    await db.remove(`deletedgroup:${groupID}`);
+  }
+};
+
+const restoreGroup = async (groupID) => {
+  const group = await db.get(`deletedgroup:${groupID}`);
+  if (group == null) throw new CustomError('groupID does not exist', 'apierror');
+  // Mappers that have been mapped to a new group in the meantime stay with the new group.
+  for (const mapper of Object.keys(group.mappings || {})) {
+    if (await db.get(`mapper2group:${mapper}`) == null) {
+      await db.set(`mapper2group:${mapper}`, groupID);
+    } else {
+      delete group.mappings[mapper];
+    }
+  }
+  await db.set(`group:${groupID}`, group);
+  // See GroupManager.createGroup().
+  await db.setSub('groups', [groupID], 1);
+  await db.remove(`deletedgroup:${groupID}`);
+};
+
+/**
+ * Returns whether deleted pads are moved to the trash. A retention of 0 days disables the trash.
+ */
+exports.isEnabled = () => settings.trash.retentionDays !== 0;
+
+/**
+ * Moves a pad to the trash, or removes it if the trash is disabled. The pad must exist.
+ */
+exports.deletePad = async (padID) => {
+  const pad = await padManager.getPad(padID);
+  if (!exports.isEnabled()) return await pad.remove();
+  if (await db.getSub('deletedpads', [padID]) != null) await forget(padID);
+  await pad.saveToDatabase();
+  const readOnlyID = await db.get(`pad2readonly:${padID}`);
+  await moveRecords(`pad:${padID}`, `deletedpad:${padID}`, pad);
+  await pad.remove();
+  await db.setSub('deletedpads', [padID], {deletedAt: Date.now(), readOnlyID: readOnlyID || null});
+};
+
+/**
+ * Keeps the record of a group that is being deleted if the trash contains pads of the group.
+ */
+exports.deleteGroup = async (groupID, group) => {
+  if ((await exports.listDeletedPads(groupID)).length === 0) return;
+  await db.set(`deletedgroup:${groupID}`, {...group, pads: {}});
+};
+
+/**
+ * Lists the pads in the trash, most recently deleted first.
+ *
+ * @param {string} [groupID] - Only list the pads of this group.
+ * @returns {Promise<{padID: string, deletedAt: number, expires: ?number}[]>} `expires` is the time
+ *     when the pad is purged, or null if it is kept until it is purged explicitly.
+ */
+exports.listDeletedPads = async (groupID = null) => {
+  const {retentionDays} = settings.trash;
+  const pads = [];
+  for (const [padID, entry] of Object.entries(await db.get('deletedpads') || {})) {
+    // Removed entries are kept as properties with an undefined value until the record is reloaded.
+    if (entry == null) continue;
+    if (groupID != null && getGroupID(padID) !== groupID) continue;
+    const {deletedAt} = entry;
+    const expires = retentionDays == null ? null : deletedAt + retentionDays * dayMs;
+    pads.push({padID, deletedAt, expires});
+  }
+  return pads.sort((a, b) => b.deletedAt - a.deletedAt);
+};
+
+/**
+ * Restores a pad from the trash, and its group if the group has been deleted.
+ */
+exports.restorePad = async (padID) => {
+  const entry = await db.getSub('deletedpads', [padID]);
+  if (entry == null) throw new CustomError('padID is not in the trash', 'apierror');
+  if (await padManager.doesPadExist(padID)) {
+    throw new CustomError('padID already exists', 'apierror');
+  }
+  const groupID = getGroupID(padID);
+  if (groupID != null && await db.get(`group:${groupID}`) == null) await restoreGroup(groupID);
+  await moveRecords(`deletedpad:${padID}`, `pad:${padID}`, await db.get(`deletedpad:${padID}`));
+  const {readOnlyID} = entry;
+  if (readOnlyID != null) {
+    await Promise.all([
+      db.set(`pad2readonly:${padID}`, readOnlyID),
+      db.set(`readonly2pad:${readOnlyID}`, padID),
+    ]);
+  }
+  if (groupID != null) await db.setSub(`group:${groupID}`, ['pads', padID], 1);
+  const pad = await padManager.getPad(padID);
+  await Promise.all(pad.getAllAuthors().map((authorID) => authorManager.addPad(authorID, padID)));
+  await forget(padID);
+  await hooks.aCallAll('padRestore', {pad});
+};
+
+/**
+ * Permanently deletes a pad from the trash.
+ */
+exports.purgeDeletedPad = async (padID) => {
+  if (await db.getSub('deletedpads', [padID]) == null) {
+    throw new CustomError('padID is not in the trash', 'apierror');
+  }
+  await forget(padID);
+};
+
+/**
+ * Permanently deletes a pad and its copy in the trash.
+ */
+exports.purgePad = async (padID) => {
+  const inTrash = await db.getSub('deletedpads', [padID]) != null;
+  const exists = await padManager.doesPadExist(padID);
+  if (!inTrash && !exists) throw new CustomError('padID does not exist', 'apierror');
+  if (exists) await (await padManager.getPad(padID)).remove();
+  if (inTrash) await forget(padID);
+};
+
+/**
+ * Purges the pads that have been in the trash for longer than settings.trash.retentionDays days.
+ *
+ * @returns {Promise<string[]>} The IDs of the purged pads.
+ */
+exports.purgeExpiredPads = async () => {
+  const now = Date.now();
+  const purged = [];
+  for (const {padID, expires} of await exports.listDeletedPads()) {
+    if (expires == null || expires > now) continue;
+    await forget(padID);
+    purged.push(padID);
+  }
+  return purged;
+};
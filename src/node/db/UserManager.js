@@ -0,0 +1,146 @@
+'use strict';
+/**
+ * The User Manager provides functions to manage the user accounts of the database-backed user
+ * store. These accounts are used for HTTP basic authentication in addition to the accounts in the
+ * `users` setting if `userStore.enabled` is true.
+ */
+
+const CustomError = require('../utils/customError');
+const db = require('./DB');
+const password = require('../utils/password');
+const randomString = require('../utils/randomstring');
+const settings = require('../utils/Settings');
+
+// Usernames are sent in HTTP basic authentication headers, which cannot contain colons.
+const isValidUsername = (username) => typeof username === 'string' &&
+    username.length <= 64 && /^[^\s:]+$/.test(username);
+
+const checkPassword = (pw) => {
+  if (typeof pw !== 'string' || pw === '') {
+    throw new CustomError('password is not a string', 'apierror');
+  }
+};
+
+const getRecord = async (username) => {
+  if (!isValidUsername(username)) throw new CustomError('username is invalid', 'apierror');
+  const user = await db.get(`user:${username}`);
+  if (user == null) throw new CustomError('username does not exist', 'apierror');
+  return user;
+};
+
+// Records without a password version have not had a password reset yet.
+const getPasswordVersion = (user) => user.passwordVersion || 0;
+
+// Strips the password hash from a user record before it is handed out.
+const publicInfo = (username, user) => {
+  const info = {username, ...user};
+  delete info.passwordHash;
+  return info;
+};
+
+/**
+ * Creates a user.
+ *
+ * @param {string} username - The name the user logs in with.
+ * @param {string} [pw] - The user's password. If not given, a random password is generated.
+ * @param {object} [options] - `is_admin` and `readOnly` (see the `users` setting).
+ * @returns {{username: string, password: string}} The password is only returned here; only a hash
+ *     of it is stored.
+ */
+exports.createUser = async (username, pw, {is_admin: isAdmin = false, readOnly = false} = {}) => {
+  if (!isValidUsername(username)) throw new CustomError('username is invalid', 'apierror');
+  if (Object.prototype.hasOwnProperty.call(settings.users || {}, username)) {
+    throw new CustomError('username is already used in settings.json', 'apierror');
+  }
+  if (await db.get(`user:${username}`) != null) {
+    throw new CustomError('username already exists', 'apierror');
+  }
+  if (pw == null || pw === '') pw = randomString(16);
+  checkPassword(pw);
+  await db.set(`user:${username}`, {
+    passwordHash: await password.hash(pw),
+    is_admin: !!isAdmin,
+    readOnly: !!readOnly,
+    disabled: null,
+    created: Date.now(),
+    lastLogin: null,
+  });
+  await db.setSub('users', [username], 1);
+  return {username, password: pw};
+};
+
+/**
+ * Returns information about all users, including disabled ones.
+ */
+exports.listUsers = async () => {
+  const usernames = Object.keys(await db.get('users') || {});
+  const users = await Promise.all(usernames.map(async (username) => {
+    const user = await db.get(`user:${username}`);
+    return user == null ? null : publicInfo(username, user);
+  }));
+  return {users: users.filter((u) => u != null)};
+};
+
+/**
+ * Returns information about a single user.
+ */
+exports.getUser = async (username) => publicInfo(username, await getRecord(username));
+
+/**
+ * Replaces a user's password. The sessions that were started with the old password end with their
+ * next request.
+ *
+ * @param {string} [pw] - The new password. If not given, a random password is generated.
+ * @returns {{username: string, password: string}}
+ */
+exports.resetPassword = async (username, pw) => {
+  const user = await getRecord(username);
+  if (pw == null || pw === '') pw = randomString(16);
+  checkPassword(pw);
+  await db.setSub(`user:${username}`, ['passwordHash'], await password.hash(pw));
+  await db.setSub(`user:${username}`, ['passwordVersion'], getPasswordVersion(user) + 1);
+  return {username, password: pw};
+};
+
+/**
+ * Disables or re-enables a user. Disabled users cannot log in, and their existing sessions end with
+ * their next request.
+ */
+exports.setDisabled = async (username, disabled) => {
+  const user = await getRecord(username);
+  if (!!disabled === (user.disabled != null)) return;
+  await db.setSub(`user:${username}`, ['disabled'], disabled ? Date.now() : null);
+};
+
+/**
+ * Checks a username and password.
+ *
+ * @returns The user settings object to store in the session (see the `users` setting) if the user
+ *     exists, is not disabled and the password matches. Otherwise null.
+ */
+exports.authenticate = async (username, pw) => {
+  if (!isValidUsername(username)) return null;
+  const user = await db.get(`user:${username}`);
+  if (user == null || user.disabled != null) return null;
+  if (!await password.verify(pw, user.passwordHash)) return null;
+  await db.setSub(`user:${username}`, ['lastLogin'], Date.now());
+  return {
+    username,
+    is_admin: user.is_admin,
+    readOnly: user.readOnly,
+    fromUserStore: true,
+    passwordVersion: getPasswordVersion(user),
+  };
+};
+
+/**
+ * Returns whether a user that was authenticated by `authenticate()` may still use their session,
+ * i.e. whether the user is not disabled and has not had their password reset since.
+ *
+ * @param {object} sessionUser - The user settings object that `authenticate()` returned.
+ */
+exports.isActive = async ({username, passwordVersion = 0}) => {
+  if (!settings.userStore.enabled || !isValidUsername(username)) return false;
+  const user = await db.get(`user:${username}`);
+  return user != null && user.disabled == null && getPasswordVersion(user) === passwordVersion;
+};
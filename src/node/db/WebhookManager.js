@@ -0,0 +1,162 @@
+'use strict';
+/**
+ * The Webhook Manager provides functions to manage outgoing webhooks and their delivery log
+ */
+
+const CustomError = require('../utils/customError');
+const db = require('./DB');
+const randomString = require('../utils/randomstring');
+const settings = require('../utils/Settings');
+
+/**
+ * The events a webhook can subscribe to.
+ */
+exports.events = Object.freeze([
+  'pad.create',
+  'pad.update',
+  'pad.remove',
+  'pad.copy',
+  'pad.move',
+  'pad.savedRevision',
+  'chat.message',
+]);
+
+// Number of delivery log entries that are kept per webhook.
+const maxLogEntries = 100;
+
+const parseEvents = (events) => {
+  if (events == null || events === '' || events === '*') return [...exports.events];
+  if (typeof events === 'string') events = events.split(',');
+  if (!Array.isArray(events)) throw new CustomError('events is not a list', 'apierror');
+  events = [...new Set(events.map((e) => `${e}`.trim()).filter((e) => e))];
+  for (const event of events) {
+    if (!exports.events.includes(event)) {
+      throw new CustomError(`unknown event: ${event}`, 'apierror');
+    }
+  }
+  return events;
+};
+
+const checkUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new CustomError('url is not a valid URL', 'apierror');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new CustomError('url must be a http or https URL', 'apierror');
+  }
+};
+
+// Webhooks configured in settings.json get a stable ID derived from their position.
+const settingsWebhooks = () => (settings.webhooks.endpoints || []).map((endpoint, i) => ({
+  webhookID: `settings.${i}`,
+  url: endpoint.url,
+  secret: endpoint.secret || '',
+  events: parseEvents(endpoint.events),
+  source: 'settings',
+}));
+
+// Removes the secret before a webhook is handed out through the API or the admin page.
+const publicInfo = (webhook) => {
+  const info = {...webhook};
+  delete info.secret;
+  return info;
+};
+
+/**
+ * Returns the webhook with the given ID, including its secret, or null if there is none.
+ */
+exports.getWebhook = async (webhookID) => {
+  if (typeof webhookID !== 'string') return null;
+  if (webhookID.startsWith('settings.')) {
+    return settingsWebhooks().find((w) => w.webhookID === webhookID) || null;
+  }
+  const webhook = await db.get(`webhook:${webhookID}`);
+  return webhook == null ? null : {webhookID, ...webhook, source: 'api'};
+};
+
+/**
+ * Returns all webhooks (including their secrets) that are subscribed to the given event.
+ */
+exports.getSubscribers = async (event) => {
+  const webhookIDs = Object.keys(await db.get('webhooks') || {});
+  const webhooks = await Promise.all(webhookIDs.map(exports.getWebhook));
+  return [...settingsWebhooks(), ...webhooks]
+      .filter((w) => w != null && w.events.includes(event));
+};
+
+/**
+ * Creates a new webhook.
+ *
+ * @param {string} url - The http(s) URL the events are POSTed to.
+ * @param {string|string[]} [events] - Comma-separated list (or array) of events. All events if
+ *     empty.
+ * @param {string} [secret] - Secret used to sign the payloads. Generated if empty.
+ * @returns {{webhookID: string, secret: string}}
+ */
+exports.createWebhook = async (url, events, secret) => {
+  if (typeof url !== 'string') throw new CustomError('url is not a string', 'apierror');
+  checkUrl(url);
+  events = parseEvents(events);
+  if (!secret) secret = randomString(32);
+  if (typeof secret !== 'string') throw new CustomError('secret is not a string', 'apierror');
+
+  const webhookID = `w.${randomString(16)}`;
+  await db.set(`webhook:${webhookID}`, {url, secret, events, created: Date.now()});
+  // Add the webhook to the `webhooks` record after the webhook's individual record is created so
+  // that the state is consistent.
+  await db.setSub('webhooks', [webhookID], 1);
+  return {webhookID, secret};
+};
+
+/**
+ * Returns all webhooks (without their secrets).
+ */
+exports.listWebhooks = async () => {
+  const webhookIDs = Object.keys(await db.get('webhooks') || {});
+  const webhooks = await Promise.all(webhookIDs.map(exports.getWebhook));
+  return {
+    webhooks: [...settingsWebhooks(), ...webhooks].filter((w) => w != null).map(publicInfo),
+  };
+};
+
+/**
+ * Deletes a webhook and its delivery log. Pending deliveries are dropped when they are next
+ * attempted. Webhooks configured in settings.json can not be deleted.
+ */
+exports.deleteWebhook = async (webhookID) => {
+  const webhook = await exports.getWebhook(webhookID);
+  if (webhook == null) throw new CustomError('webhookID does not exist', 'apierror');
+  if (webhook.source === 'settings') {
+    throw new CustomError('webhooks configured in settings.json can not be deleted', 'apierror');
+  }
+  // UeberDB's setSub() method atomically reads the record, updates the appropriate property, and
+  // writes the result. Setting a property to `undefined` deletes that property.
+  await db.setSub('webhooks', [webhookID], undefined);
+  await Promise.all([
+    db.remove(`webhook:${webhookID}`),
+    db.remove(`webhooklog:${webhookID}`),
+  ]);
+};
+
+/**
+ * Returns the most recent delivery attempts of a webhook, newest first.
+ */
+exports.listWebhookDeliveries = async (webhookID) => {
+  if (await exports.getWebhook(webhookID) == null) {
+    throw new CustomError('webhookID does not exist', 'apierror');
+  }
+  const deliveries = await db.get(`webhooklog:${webhookID}`) || [];
+  return {deliveries};
+};
+
+/**
+ * Records a delivery attempt in the webhook's delivery log.
+ */
+exports.logDelivery = async (webhookID, entry) => {
+  const log = await db.get(`webhooklog:${webhookID}`) || [];
+  log.unshift(entry);
+  await db.set(`webhooklog:${webhookID}`, log.slice(0, maxLogEntries));
+};
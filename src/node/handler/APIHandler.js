@@ -22,11 +22,16 @@
 const absolutePaths = require('../utils/AbsolutePaths');
 const fs = require('fs');
 const api = require('../db/API');
+const apiTokenManager = require('../db/APITokenManager');
+const cluster = require('../hooks/cluster');
 const log4js = require('log4js');
 const padManager = require('../db/PadManager');
 const randomString = require('../utils/randomstring');
+const readOnlyManager = require('../db/ReadOnlyManager');
+const sessionManager = require('../db/SessionManager');
 const argv = require('../utils/Cli').argv;
 const createHTTPError = require('http-errors');
+const CustomError = require('../utils/customError');
 
 const apiHandlerLogger = log4js.getLogger('APIHandler');
 
@@ -134,20 +139,297 @@ version['1.2.15'] = Object.assign({}, version['1.2.14'],
     {copyPadWithoutHistory: ['sourceID', 'destinationID', 'force']}
 );
 
+version['1.3.0'] = Object.assign({}, version['1.2.15'],
+    {createAPIToken: ['name', 'scopes', 'groupID', 'validUntil'],
+      listAPITokens: [],
+      getAPITokenInfo: ['tokenID'],
+      revokeAPIToken: ['tokenID']}
+);
+
+version['1.3.1'] = Object.assign({}, version['1.3.0'],
+    {createWebhook: ['url', 'events', 'secret'],
+      listWebhooks: [],
+      deleteWebhook: ['webhookID'],
+      listWebhookDeliveries: ['webhookID']}
+);
+
+version['1.3.2'] = Object.assign({}, version['1.3.1'],
+    {getMarkdown: ['padID', 'rev'],
+      setMarkdown: ['padID', 'markdown']}
+);
+
+version['1.3.3'] = Object.assign({}, version['1.3.2'],
+    {getPadACL: ['padID'],
+      grantPadAccess: ['padID', 'principal', 'role'],
+      revokePadAccess: ['padID', 'principal']}
+);
+
+version['1.3.4'] = Object.assign({}, version['1.3.3'],
+    {searchPads: ['query', 'groupID']}
+);
+
+version['1.3.5'] = Object.assign({}, version['1.3.4'],
+    {createPadFromTemplate: ['padID', 'template'],
+      setPadTemplate: ['padID', 'name'],
+      unsetPadTemplate: ['padID'],
+      listPadTemplates: ['groupID']}
+);
+
+version['1.3.6'] = Object.assign({}, version['1.3.5'],
+    {listComments: ['padID'],
+      getComment: ['padID', 'commentID'],
+      createComment: ['padID', 'text', 'start', 'end', 'authorID'],
+      updateComment: ['padID', 'commentID', 'text'],
+      deleteComment: ['padID', 'commentID'],
+      resolveComment: ['padID', 'commentID'],
+      reopenComment: ['padID', 'commentID'],
+      createCommentReply: ['padID', 'commentID', 'text', 'authorID'],
+      updateCommentReply: ['padID', 'commentID', 'replyID', 'text'],
+      deleteCommentReply: ['padID', 'commentID', 'replyID']}
+);
+
+version['1.3.7'] = Object.assign({}, version['1.3.6'],
+    {listSuggestions: ['padID'],
+      acceptSuggestion: ['padID', 'suggestionID'],
+      rejectSuggestion: ['padID', 'suggestionID'],
+      acceptAllSuggestions: ['padID'],
+      rejectAllSuggestions: ['padID']}
+);
+
+// streamPadChanges is served by hooks/express/padchanges.js because it streams its response.
+version['1.3.8'] = Object.assign({}, version['1.3.7'],
+    {streamPadChanges: ['padID', 'since', 'text']}
+);
+
+version['1.3.9'] = Object.assign({}, version['1.3.8'],
+    {batch: ['calls', 'stopOnError', 'atomic']}
+);
+
+version['1.3.10'] = Object.assign({}, version['1.3.9'],
+    {getSavedRevisions: ['padID'],
+      saveRevision: ['padID', 'rev', 'label', 'metadata', 'authorID'],
+      updateSavedRevision: ['padID', 'savedRevisionID', 'label', 'metadata'],
+      deleteSavedRevision: ['padID', 'savedRevisionID']}
+);
+
+version['1.3.11'] = Object.assign({}, version['1.3.10'],
+    {compactPad: ['padID', 'keepRevisions', 'keepDays'],
+      getGroupRetentionPolicy: ['groupID'],
+      setGroupRetentionPolicy: ['groupID', 'retentionPolicy']}
+);
+
+version['1.3.12'] = Object.assign({}, version['1.3.11'],
+    {getGroupExpiryPolicy: ['groupID'],
+      setGroupExpiryPolicy: ['groupID', 'expiryPolicy'],
+      getPadExpiry: ['padID'],
+      setPadExpiryExempt: ['padID', 'exempt'],
+      listExpiringPads: ['days'],
+      expirePads: ['dryRun']}
+);
+
+version['1.3.13'] = Object.assign({}, version['1.3.12'],
+    {listDeletedPads: ['groupID'],
+      restorePad: ['padID'],
+      purgePad: ['padID']}
+);
+
+version['1.3.14'] = Object.assign({}, version['1.3.13'],
+    {createDiffJSON: ['padID', 'startRev', 'endRev', 'endPadID']}
+);
+
+version['1.3.15'] = Object.assign({}, version['1.3.14'],
+    {forkPad: ['sourceID', 'destinationID', 'force'],
+      getMergeConflicts: ['sourceID', 'targetID'],
+      mergePad: ['sourceID', 'targetID', 'resolutions', 'authorID']}
+);
+
+version['1.3.16'] = Object.assign({}, version['1.3.15'],
+    {revertAuthorChanges: ['padID', 'authorID', 'startRev', 'endRev']}
+);
+
 // set the latest available API version here
-exports.latestApiVersion = '1.2.15';
+exports.latestApiVersion = '1.3.16';
 
 // exports the versions so it can be used by the new Swagger endpoint
 exports.version = version;
 
+// The scope an API token must have been granted to call a function. A scope of null means that any
+// valid token may call the function. Functions that are not listed here (such as the token
+// management functions) can only be called with the legacy API key from APIKEY.txt.
+const functionScopes = {
+  batch: null,
+  checkToken: null,
+
+  getAttributePool: 'read',
+  getAuthorName: 'read',
+  getChatHead: 'read',
+  getChatHistory: 'read',
+  getComment: 'read',
+  getHTML: 'read',
+  getLastEdited: 'read',
+  getMarkdown: 'read',
+  getMergeConflicts: 'read',
+  getPadID: 'read',
+  getPublicStatus: 'read',
+  getReadOnlyID: 'read',
+  getRevisionChangeset: 'read',
+  getRevisionsCount: 'read',
+  getSavedRevisions: 'read',
+  getSavedRevisionsCount: 'read',
+  getStats: 'read',
+  getText: 'read',
+  createDiffHTML: 'read',
+  createDiffJSON: 'read',
+  listAllPads: 'read',
+  listAuthorsOfPad: 'read',
+  listComments: 'read',
+  listDeletedPads: 'read',
+  listPads: 'read',
+  listPadsOfAuthor: 'read',
+  listPadTemplates: 'read',
+  listSavedRevisions: 'read',
+  listSuggestions: 'read',
+  padUsers: 'read',
+  padUsersCount: 'read',
+  searchPads: 'read',
+  streamPadChanges: 'read',
+
+  acceptAllSuggestions: 'write',
+  acceptSuggestion: 'write',
+  appendChatMessage: 'write',
+  appendText: 'write',
+  copyPad: 'write',
+  copyPadWithoutHistory: 'write',
+  createComment: 'write',
+  createCommentReply: 'write',
+  createGroupPad: 'write',
+  createPad: 'write',
+  createPadFromTemplate: 'write',
+  deleteComment: 'write',
+  deleteCommentReply: 'write',
+  deletePad: 'write',
+  deleteSavedRevision: 'write',
+  forkPad: 'write',
+  mergePad: 'write',
+  movePad: 'write',
+  rejectAllSuggestions: 'write',
+  rejectSuggestion: 'write',
+  reopenComment: 'write',
+  resolveComment: 'write',
+  restorePad: 'write',
+  restoreRevision: 'write',
+  revertAuthorChanges: 'write',
+  saveRevision: 'write',
+  sendClientsMessage: 'write',
+  setHTML: 'write',
+  setMarkdown: 'write',
+  setPadTemplate: 'write',
+  setPublicStatus: 'write',
+  setText: 'write',
+  unsetPadTemplate: 'write',
+  updateComment: 'write',
+  updateCommentReply: 'write',
+  updateSavedRevision: 'write',
+
+  compactPad: 'admin',
+  createAuthor: 'admin',
+  createAuthorIfNotExistsFor: 'admin',
+  createGroup: 'admin',
+  createGroupIfNotExistsFor: 'admin',
+  createSession: 'admin',
+  deleteGroup: 'admin',
+  deleteSession: 'admin',
+  expirePads: 'admin',
+  getGroupExpiryPolicy: 'admin',
+  getGroupRetentionPolicy: 'admin',
+  getPadACL: 'admin',
+  getPadExpiry: 'admin',
+  getSessionInfo: 'admin',
+  grantPadAccess: 'admin',
+  listAllGroups: 'admin',
+  listExpiringPads: 'admin',
+  listSessionsOfAuthor: 'admin',
+  listSessionsOfGroup: 'admin',
+  purgePad: 'admin',
+  revokePadAccess: 'admin',
+  setGroupExpiryPolicy: 'admin',
+  setGroupRetentionPolicy: 'admin',
+  setPadExpiryExempt: 'admin',
+};
+
+// Functions that do not refer to a group or pad but may still be called with a token that is
+// restricted to a group. Everything else needs at least one parameter that identifies something
+// inside the token's group.
+const groupNeutralFunctions = new Set([
+  'batch',
+  'checkToken',
+  'createAuthor',
+  'createAuthorIfNotExistsFor',
+  'getAuthorName',
+]);
+
 /**
- * Handles a HTTP API call
- * @param functionName the name of the called function
- * @param fields the params of the called function
- * @req express request object
- * @res express response object
+ * Throws a 403 error if the given API token is not allowed to call the function with the given
+ * parameters.
  */
-exports.handle = async function (apiVersion, functionName, fields, req, res) {
+const checkTokenAccess = async (token, apiVersion, functionName, fields) => {
+  const scope = functionScopes[functionName];
+  if (scope === undefined || (scope != null && !token.scopes.includes(scope))) {
+    throw new createHTTPError.Forbidden(`API token is not allowed to call ${functionName}`);
+  }
+  const {groupID} = token;
+  if (groupID == null) return;
+  const inGroup = (padID) => typeof padID === 'string' && padID.startsWith(`${groupID}$`);
+  let checked = groupNeutralFunctions.has(functionName);
+  for (const param of version[apiVersion][functionName]) {
+    const value = fields[param];
+    if (value == null) continue;
+    let allowed = true;
+    switch (param) {
+      case 'padID':
+      case 'sourceID':
+      case 'destinationID':
+      case 'endPadID':
+      case 'targetID':
+        allowed = inGroup(value);
+        break;
+      case 'groupID':
+        allowed = value === groupID;
+        break;
+      case 'roID': {
+        const padID = await readOnlyManager.getPadId(value);
+        allowed = padID == null || inGroup(padID);
+        break;
+      }
+      case 'sessionID': {
+        let session = null;
+        try {
+          session = await sessionManager.getSessionInfo(value);
+        } catch (err) {
+          if (err.name !== 'apierror') throw err;
+        }
+        allowed = session == null || session.groupID === groupID;
+        break;
+      }
+      default:
+        continue;
+    }
+    if (!allowed) {
+      throw new createHTTPError.Forbidden(`API token is restricted to group ${groupID}`);
+    }
+    checked = true;
+  }
+  if (!checked) {
+    throw new createHTTPError.Forbidden(`API token is restricted to group ${groupID}`);
+  }
+};
+
+/**
+ * Checks that an API function exists in the given API version and that the caller's API key or
+ * token may call it with the given parameters, and sanitizes the pad IDs in the parameters. Throws
+ * an HTTP error if the call is not allowed.
+ */
+exports.checkCall = async (apiVersion, functionName, fields) => {
   // say goodbye if this is an unknown API version
   if (!(apiVersion in version)) {
     throw new createHTTPError.NotFound('no such api version');
@@ -161,8 +443,12 @@ exports.handle = async function (apiVersion, functionName, fields, req, res) {
   // check the api key!
   fields.apikey = fields.apikey || fields.api_key;
 
+  // The key from APIKEY.txt is a legacy token with full access. Anything else must be a valid API
+  // token created with createAPIToken.
+  let token = null;
   if (fields.apikey !== apikey.trim()) {
-    throw new createHTTPError.Unauthorized('no or wrong API Key');
+    token = await apiTokenManager.authenticate(fields.apikey);
+    if (token == null) throw new createHTTPError.Unauthorized('no or wrong API Key');
   }
 
   // sanitize any padIDs before continuing
@@ -176,13 +462,167 @@ exports.handle = async function (apiVersion, functionName, fields, req, res) {
     fields.padName = await padManager.sanitizePadId(fields.padName);
   }
 
-  // put the function parameters in an array
-  const functionParams = version[apiVersion][functionName].map((field) => fields[field]);
+  if (token != null) await checkTokenAccess(token, apiVersion, functionName, fields);
+};
+
+// Returns the pad that an API call changes (or reads), whose owner must handle the call in cluster
+// mode. Merges change the target pad, and copies that overwrite an existing pad change the
+// destination.
+const getWrittenPadId = (functionName, fields) => {
+  switch (functionName) {
+    case 'getMergeConflicts':
+    case 'mergePad':
+      return fields.targetID;
+    case 'copyPad':
+    case 'copyPadWithoutHistory':
+    case 'movePad':
+    case 'forkPad': {
+      const {force} = fields;
+      const overwrites = typeof force === 'string' ? force.toLowerCase() === 'true' : !!force;
+      return overwrites ? fields.destinationID : fields.sourceID;
+    }
+    default:
+      return fields.padID;
+  }
+};
+
+/**
+ * Calls an API function whose call has already been checked with checkCall().
+ */
+const callFunction = async (apiVersion, functionName, fields) => {
+  const names = version[apiVersion][functionName];
+
+  // In cluster mode, calls concerning a pad are handled by the node that owns the pad. The
+  // parameters are sent by name because JSON has no undefined in arrays.
+  const padID = getWrittenPadId(functionName, fields);
+  if (cluster.isEnabled() && typeof padID === 'string') {
+    const owner = await cluster.getOwner(padID);
+    if (owner !== cluster.nodeId) {
+      const params = Object.fromEntries(names.map((name) => [name, fields[name]]));
+      return await cluster.request(owner, {type: 'api', padID, apiVersion, functionName, params});
+    }
+  }
 
   // call the api function
-  return api[functionName].apply(this, functionParams);
+  return await api[functionName](...names.map((name) => fields[name]));
 };
 
+// Functions that can not be called from a batch.
+const unbatchableFunctions = new Set(['batch', 'streamPadChanges']);
+
+// How to undo the calls of an atomic batch that create something. Each function gets the call's
+// fields and result and returns the call that removes what was created. Pads are purged so that
+// they do not end up in the trash.
+const batchUndo = {
+  copyPad: ({destinationID}) => ['purgePad', {padID: destinationID}],
+  copyPadWithoutHistory: ({destinationID}) => ['purgePad', {padID: destinationID}],
+  createGroup: (fields, {groupID}) => ['deleteGroup', {groupID}],
+  createGroupPad: (fields, {padID}) => ['purgePad', {padID}],
+  createPad: ({padID}) => ['purgePad', {padID}],
+  createPadFromTemplate: ({padID}) => ['purgePad', {padID}],
+  createSession: (fields, {sessionID}) => ['deleteSession', {sessionID}],
+  forkPad: ({destinationID}) => ['purgePad', {padID: destinationID}],
+};
+
+// Converts an error thrown by a call in a batch to the response format of the HTTP API.
+const errorResponse = (err) => {
+  if (createHTTPError.isHttpError(err)) {
+    const code = {401: 4, 403: 4, 404: 3}[err.statusCode] || 1;
+    return {code, message: err.message, data: null};
+  }
+  if (err.name === 'apierror') return {code: 1, message: err.message, data: null};
+  apiHandlerLogger.error(err.stack || err.toString());
+  return {code: 2, message: 'internal error', data: null};
+};
+
+/**
+ * Runs the calls of a batch one after the other. Each call is checked like a separate request with
+ * the batch's API key. If a call fails, the batch stops if stopOnError or atomic is true; in atomic
+ * mode, the pads, groups and sessions that earlier calls of the batch have created are deleted.
+ */
+const handleBatch = async (apiVersion, {apikey, calls, stopOnError, atomic}) => {
+  if (typeof calls === 'string') {
+    try {
+      calls = JSON.parse(calls);
+    } catch (err) {
+      calls = null;
+    }
+  }
+  if (!Array.isArray(calls) || calls.length === 0 || !calls.every(
+      (call) => call != null && typeof call.function === 'string' &&
+          (call.params == null || typeof call.params === 'object'))) {
+    throw new CustomError(
+        'calls must be a non-empty JSON array of {"function", "params"} objects', 'apierror');
+  }
+  for (const call of calls) {
+    if (unbatchableFunctions.has(call.function)) {
+      throw new CustomError(`${call.function} can not be called in a batch`, 'apierror');
+    }
+  }
+  const toBool = (value) => typeof value === 'string' ? value.toLowerCase() === 'true' : !!value;
+  atomic = toBool(atomic);
+  stopOnError = atomic || toBool(stopOnError);
+
+  const results = [];
+  const undo = [];
+  for (const call of calls) {
+    const fields = {...call.params, apikey};
+    let response;
+    try {
+      await exports.checkCall(apiVersion, call.function, fields);
+      const getUndo = batchUndo[call.function];
+      // Pads that are overwritten (copyPad with force) are not deleted on rollback.
+      const existed = ['copyPad', 'copyPadWithoutHistory', 'forkPad'].includes(call.function) &&
+          await padManager.doesPadExist(fields.destinationID);
+      const data = await callFunction(apiVersion, call.function, fields);
+      if (getUndo != null && !existed) undo.push(getUndo(fields, data || {}));
+      response = {code: 0, message: 'ok', data: data || null};
+    } catch (err) {
+      response = errorResponse(err);
+    }
+    results.push(response);
+    if (response.code !== 0 && stopOnError) break;
+  }
+  const failed = results.some((response) => response.code !== 0);
+  if (!atomic || !failed) return {results};
+  for (const [functionName, fields] of undo.reverse()) {
+    try {
+      // The undo functions might be newer than the API version of the batch.
+      await callFunction(exports.latestApiVersion, functionName, fields);
+    } catch (err) {
+      // The thing to remove might already have been removed by a later call of the batch.
+      if (err.name !== 'apierror') throw err;
+    }
+  }
+  return {results, rolledBack: true};
+};
+
+/**
+ * Handles a HTTP API call
+ * @param functionName the name of the called function
+ * @param fields the params of the called function
+ * @req express request object
+ * @res express response object
+ */
+exports.handle = async (apiVersion, functionName, fields, req, res) => {
+  await exports.checkCall(apiVersion, functionName, fields);
+  if (functionName === 'batch') return await handleBatch(apiVersion, fields);
+  return await callFunction(apiVersion, functionName, fields);
+};
+
+/**
+ * Calls a function of the latest API version without checking an API key, e.g. for the admin pages.
+ * Like the HTTP API calls, calls concerning a pad are handled by its owner in cluster mode.
+ */
+exports.callFunction = async (functionName, fields) => await callFunction(
+    exports.latestApiVersion, functionName, fields);
+
+cluster.handle('api', async ({padID, apiVersion, functionName, params}) => {
+  const owner = await cluster.getOwner(padID);
+  if (owner !== cluster.nodeId) throw new Error(`pad ${padID} is owned by node ${owner}`);
+  return await api[functionName](...version[apiVersion][functionName].map((name) => params[name]));
+});
+
 exports.exportedForTestingOnly = {
   apiKey: apikey,
 };
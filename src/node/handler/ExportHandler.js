@@ -20,13 +20,16 @@
  * limitations under the License.
  */
 
+const exportHistory = require('../utils/ExportHistory');
 const exporthtml = require('../utils/ExportHtml');
 const exporttxt = require('../utils/ExportTxt');
+const exportmarkdown = require('../utils/ExportMarkdown');
 const exportEtherpad = require('../utils/ExportEtherpad');
 const fs = require('fs');
 const settings = require('../utils/Settings');
 const os = require('os');
 const hooks = require('../../static/js/pluginfw/hooks');
+const padManager = require('../db/PadManager');
 const TidyHtml = require('../utils/TidyHtml');
 const util = require('util');
 
@@ -50,8 +53,33 @@ exports.doExport = async (req, res, padId, readOnlyId, type) => {
     fileName = hookFileName;
   }
 
+  if (type === 'history.jsonl' || type === 'history.html') {
+    const pad = await padManager.getPad(padId);
+    const range = exportHistory.getRange(pad, req.query);
+    if (range == null) {
+      res.status(400).send('Invalid revision range');
+      return;
+    }
+    const {startRev, endRev} = range;
+    res.attachment(`${fileName}.${type}`);
+    if (type === 'history.html') {
+      res.send(await exportHistory.getReplayHTMLDocument(
+          pad, readOnlyId || padId, startRev, endRev));
+      return;
+    }
+    // One JSON object per line, written as the revisions are read so that long histories do not
+    // have to be kept in memory.
+    res.type('application/x-ndjson');
+    const withText = ['1', 'true'].includes(req.query.text);
+    for await (const revision of exportHistory.getRevisions(pad, startRev, endRev, withText)) {
+      res.write(`${JSON.stringify(revision)}\n`);
+    }
+    res.end();
+    return;
+  }
+
   // tell the browser that this is a downloadable file
-  res.attachment(`${fileName}.${type}`);
+  res.attachment(`${fileName}.${type === 'markdown' ? 'md' : type}`);
 
   // if this is a plain text export, we can do this directly
   // We have to over engineer this because tabs are stored as attributes and not plain text
@@ -61,6 +89,9 @@ exports.doExport = async (req, res, padId, readOnlyId, type) => {
   } else if (type === 'txt') {
     const txt = await exporttxt.getPadTXTDocument(padId, req.params.rev);
     res.send(txt);
+  } else if (type === 'markdown') {
+    const markdown = await exportmarkdown.getPadMarkdownDocument(padId, req.params.rev);
+    res.send(markdown);
   } else {
     // render the html document
     let html = await exporthtml.getPadHTMLDocument(padId, req.params.rev, readOnlyId);
@@ -22,6 +22,7 @@
  */
 
 const padManager = require('../db/PadManager');
+const cleanText = require('../db/Pad').cleanText;
 const padMessageHandler = require('./PadMessageHandler');
 const fs = require('fs').promises;
 const path = require('path');
@@ -30,6 +31,7 @@ const formidable = require('formidable');
 const os = require('os');
 const importHtml = require('../utils/ImportHtml');
 const importEtherpad = require('../utils/ImportEtherpad');
+const importMarkdown = require('../utils/ImportMarkdown');
 const log4js = require('log4js');
 const hooks = require('../../static/js/pluginfw/hooks.js');
 
@@ -123,7 +125,7 @@ const doImport = async (req, res, padId) => {
   // this allows us to accept source code files like .c or .java
   const fileEnding = path.extname(srcFile).toLowerCase();
   const knownFileEndings =
-    ['.txt', '.doc', '.docx', '.pdf', '.odt', '.html', '.htm', '.etherpad', '.rtf'];
+    ['.txt', '.doc', '.docx', '.pdf', '.odt', '.html', '.htm', '.etherpad', '.rtf', '.md'];
   const fileEndingUnknown = (knownFileEndings.indexOf(fileEnding) < 0);
 
   if (fileEndingUnknown) {
@@ -147,6 +149,7 @@ const doImport = async (req, res, padId) => {
   const fileIsEtherpad = (fileEnding === '.etherpad');
   const fileIsHTML = (fileEnding === '.html' || fileEnding === '.htm');
   const fileIsTXT = (fileEnding === '.txt');
+  const fileIsMarkdown = (fileEnding === '.md');
 
   let directDatabaseAccess = false;
   if (fileIsEtherpad) {
@@ -161,13 +164,14 @@ const doImport = async (req, res, padId) => {
 
     const _text = await fs.readFile(srcFile, 'utf8');
     directDatabaseAccess = true;
-    await importEtherpad.setPadRaw(padId, _text);
+    await padMessageHandler.enqueuePadTask(
+        padId, async () => await importEtherpad.setPadRaw(padId, _text));
   }
 
   // convert file to html if necessary
   if (!importHandledByPlugin && !directDatabaseAccess) {
-    if (fileIsTXT) {
-      // Don't use converter for text files
+    if (fileIsTXT || fileIsMarkdown) {
+      // Don't use converter for text and Markdown files
       useConverter = false;
     }
 
@@ -214,17 +218,22 @@ const doImport = async (req, res, padId) => {
     }
   }
 
-  // change text of the pad and broadcast the changeset
+  // change text of the pad and broadcast the changeset. The changes that the users of the pad have
+  // already sent are applied first.
   if (!directDatabaseAccess) {
-    if (importHandledByPlugin || useConverter || fileIsHTML) {
-      try {
-        await importHtml.setPadHTML(pad, text);
-      } catch (err) {
-        logger.warn(`Error importing, possibly caused by malformed HTML: ${err.stack || err}`);
+    await padMessageHandler.enqueuePadTask(padId, async () => {
+      if (importHandledByPlugin || useConverter || fileIsHTML) {
+        try {
+          await importHtml.setPadHTML(pad, text);
+        } catch (err) {
+          logger.warn(`Error importing, possibly caused by malformed HTML: ${err.stack || err}`);
+        }
+      } else if (fileIsMarkdown) {
+        await importMarkdown.setPadMarkdown(pad, cleanText(text));
+      } else {
+        await pad.setText(text);
       }
-    } else {
-      await pad.setText(text);
-    }
+    });
   }
 
   // Load the Pad into memory then broadcast updates to all clients
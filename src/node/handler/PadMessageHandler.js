@@ -26,10 +26,14 @@ const ChatMessage = require('../../static/js/ChatMessage');
 const AttributePool = require('../../static/js/AttributePool');
 const AttributeManager = require('../../static/js/AttributeManager');
 const authorManager = require('../db/AuthorManager');
+const banManager = require('../db/BanManager');
+const commentManager = require('../db/CommentManager');
 const {padutils} = require('../../static/js/pad_utils');
 const readOnlyManager = require('../db/ReadOnlyManager');
 const settings = require('../utils/Settings');
 const securityManager = require('../db/SecurityManager');
+const suggestionManager = require('../db/SuggestionManager');
+const templateManager = require('../db/TemplateManager');
 const plugins = require('../../static/js/pluginfw/plugin_defs.js');
 const log4js = require('log4js');
 const messageLogger = log4js.getLogger('message');
@@ -39,6 +43,7 @@ const stats = require('../stats');
 const assert = require('assert').strict;
 const {RateLimiterMemory} = require('rate-limiter-flexible');
 const webaccess = require('../hooks/express/webaccess');
+const cluster = require('../hooks/cluster');
 
 let rateLimiter;
 let socketio = null;
@@ -83,6 +88,37 @@ stats.gauge('activePads', () => {
   return padIds.size;
 });
 
+// Number of processed edits per pad group. Only counted if settings.metrics.groupLabels is true.
+const groupEdits = new Map();
+
+// Returns the group a pad belongs to, or the empty string for public pads.
+const padGroup = (padId) => padId.includes('$') ? padId.slice(0, padId.indexOf('$')) : '';
+
+/**
+ * Returns the number of connected users, active pads and processed edits of each pad group, for
+ * the /metrics endpoint. Public pads are counted in the group '' (empty string).
+ *
+ * @returns {Map<string, {users: number, activePads: number, edits: number}>}
+ */
+exports.getGroupStats = () => {
+  const groups = new Map();
+  const group = (groupID) => {
+    if (!groups.has(groupID)) groups.set(groupID, {users: 0, activePads: 0, edits: 0});
+    return groups.get(groupID);
+  };
+  const padIds = new Set();
+  for (const {padId} of Object.values(sessioninfos)) {
+    if (!padId) continue;
+    const g = group(padGroup(padId));
+    g.users++;
+    if (padIds.has(padId)) continue;
+    padIds.add(padId);
+    g.activePads++;
+  }
+  for (const [groupID, edits] of groupEdits) group(groupID).edits = edits;
+  return groups;
+};
+
 /**
  * Processes one task at a time per channel.
  */
@@ -118,9 +154,23 @@ class Channels {
 }
 
 /**
- * A changeset queue per pad that is processed by handleUserChanges()
+ * A changeset queue per pad that is processed by handleUserChanges(). Functions that are queued
+ * with exports.enqueuePadTask() are called instead.
+ */
+const padChannels = new Channels((ch, task) => typeof task === 'function'
+  ? task(ch)
+  : handleUserChanges(task.socket, task.message, task.anchorsOnly));
+
+/**
+ * Runs a function after the changes that are already queued for a pad have been applied, and
+ * before the changes that are queued later. Use this to rewrite a pad's history without racing
+ * with its users.
+ *
+ * @param {string} padId - The ID of the pad.
+ * @param {(padId: string) => any} fn - The function to run.
+ * @returns {Promise<any>} The value returned by fn.
  */
-const padChannels = new Channels((ch, {socket, message}) => handleUserChanges(socket, message));
+exports.enqueuePadTask = async (padId, fn) => await padChannels.enqueue(padId, fn);
 
 /**
  * This Method is called by server.js to tell the message handler on which socket it should send
@@ -138,20 +188,98 @@ exports.handleConnect = (socket) => {
   stats.meter('connects').mark();
 
   // Initialize sessioninfos for this new session
-  sessioninfos[socket.id] = {};
+  sessioninfos[socket.id] = {connectedAt: Date.now()};
+
+  // Clients from banned IP addresses are disconnected right away (see BanManager). Banned authors
+  // are denied access when they send CLIENT_READY (see SecurityManager.checkAccess).
+  (async () => {
+    if (await banManager.getBan({ip: socket.request.ip}) == null) return;
+    const ip = settings.disableIPlogging ? 'ANONYMOUS' : socket.request.ip;
+    accessLogger.info(`[BANNED] socket:${socket.id} IP:${ip}`);
+    socket.json.send({disconnect: 'banned'});
+    socket.disconnect();
+  })().catch((err) => {
+    messageLogger.error(`Failed to check the bans for socket ${socket.id}: ${err.stack || err}`);
+  });
+};
+
+// Returns the socket (or RemoteSocket) with the given ID, or null.
+const getSocket = (socketID) => socketio == null ? null
+  : socketio.sockets.connected[socketID] || remoteSockets.get(socketID) || null;
+
+/**
+ * Lists the clients that are connected to the pads handled by this node.
+ *
+ * @returns {Promise<object[]>} `{socketID, padID, authorID, authorName, username, ip, connectedAt}`
+ *     for each client, oldest connection first. The IP address is 'ANONYMOUS' if
+ *     settings.disableIPlogging is true.
+ */
+exports.listSessions = async () => {
+  const sessions = [];
+  for (const [socketID, session] of Object.entries(sessioninfos)) {
+    const socket = getSocket(socketID);
+    // Clients that have not sent CLIENT_READY yet are not on a pad.
+    if (socket == null || !session.padId) continue;
+    const {session: {user} = {}} = socket.client.request;
+    sessions.push({
+      socketID,
+      padID: session.padId,
+      authorID: session.author || null,
+      authorName: session.author ? await authorManager.getAuthorName(session.author) : null,
+      username: (user && user.username) || null,
+      ip: settings.disableIPlogging ? 'ANONYMOUS' : socket.request.ip || null,
+      connectedAt: session.connectedAt,
+    });
+  }
+  return sessions.sort((a, b) => a.connectedAt - b.connectedAt);
+};
+
+/**
+ * Disconnects a client.
+ *
+ * @param {string} socketID - The ID of the client's socket (see listSessions).
+ * @param {string} [reason] - The reason that is shown to the user (see pad_connectionstatus.js).
+ * @returns {boolean} Whether the client was connected.
+ */
+exports.kickSession = (socketID, reason = 'kicked') => {
+  const socket = getSocket(socketID);
+  if (socket == null || sessioninfos[socketID] == null) return false;
+  socket.json.send({disconnect: reason});
+  socket.disconnect();
+  return true;
+};
+
+/**
+ * Disconnects the clients whose author ID or IP address is banned (see BanManager).
+ *
+ * @returns {Promise<number>} The number of disconnected clients.
+ */
+exports.kickBannedSessions = async () => {
+  let kicked = 0;
+  for (const [socketID, {author}] of Object.entries(sessioninfos)) {
+    const socket = getSocket(socketID);
+    if (socket == null) continue;
+    if (await banManager.getBan({authorID: author, ip: socket.request.ip}) == null) continue;
+    if (exports.kickSession(socketID, 'banned')) ++kicked;
+  }
+  return kicked;
 };
 
 /**
  * Kicks all sessions from a pad
+ *
+ * @param {string} padID - The ID of the pad.
+ * @param {string} [reason] - The reason that is shown to the users (see pad_connectionstatus.js).
  */
-exports.kickSessionsFromPad = (padID) => {
-  if (typeof socketio.sockets.clients !== 'function') return;
+exports.kickSessionsFromPad = (padID, reason = 'deleted') => {
+  // socket.io is not running in command line tools
+  if (socketio == null || typeof socketio.sockets.clients !== 'function') return;
 
   // skip if there is nobody on this pad
   if (_getRoomSockets(padID).length === 0) return;
 
   // disconnect everyone from this pad
-  socketio.sockets.in(padID).json.send({disconnect: 'deleted'});
+  sendToRoom(padID, {disconnect: reason});
 };
 
 /**
@@ -160,6 +288,18 @@ exports.kickSessionsFromPad = (padID) => {
  */
 exports.handleDisconnect = async (socket) => {
   stats.meter('disconnects').mark();
+  const route = forwardedSockets.get(socket.id);
+  if (route != null) {
+    forwardedSockets.delete(socket.id);
+    delete sessioninfos[socket.id];
+    try {
+      await cluster.request(route.owner, {type: 'socketDisconnected', socketId: socket.id});
+    } catch (err) {
+      messageLogger.warn(`Failed to tell cluster node ${route.owner} that socket ${socket.id} ` +
+                         `has disconnected: ${err.message}`);
+    }
+    return;
+  }
   const session = sessioninfos[socket.id];
   delete sessioninfos[socket.id];
   // session.padId can be nullish if the user disconnects before sending CLIENT_READY.
@@ -173,7 +313,7 @@ exports.handleDisconnect = async (socket) => {
                     ` authorID:${session.author}` +
                     (user && user.username ? ` username:${user.username}` : ''));
   /* eslint-enable prefer-template */
-  socket.broadcast.to(session.padId).json.send({
+  sendToRoom(session.padId, {
     type: 'COLLABROOM',
     data: {
       type: 'USER_LEAVE',
@@ -182,7 +322,7 @@ exports.handleDisconnect = async (socket) => {
         userId: session.author,
       },
     },
-  });
+  }, socket);
   await hooks.aCallAll('userLeave', {
     ...session, // For backwards compatibility.
     authorId: session.author,
@@ -199,7 +339,8 @@ exports.handleDisconnect = async (socket) => {
 exports.handleMessage = async (socket, message) => {
   const env = process.env.NODE_ENV || 'development';
 
-  if (env === 'production') {
+  // The messages of clients on other nodes have already been rate limited there.
+  if (env === 'production' && !(socket instanceof RemoteSocket)) {
     try {
       await rateLimiter.consume(socket.request.ip); // consume 1 point per event from IP
     } catch (e) {
@@ -219,6 +360,8 @@ exports.handleMessage = async (socket, message) => {
     return;
   }
 
+  if (await forwardMessage(socket, message)) return;
+
   const thisSession = sessioninfos[socket.id];
 
   if (!thisSession) {
@@ -253,8 +396,9 @@ exports.handleMessage = async (socket, message) => {
   }
 
   const {session: {user} = {}} = socket.client.request;
-  const {accessStatus, authorID} =
-      await securityManager.checkAccess(auth.padID, auth.sessionID, auth.token, user);
+  const {accessStatus, authorID, role} =
+      await securityManager.checkAccess(
+          auth.padID, auth.sessionID, auth.token, user, socket.request.ip);
   if (accessStatus !== 'grant') {
     // Access denied. Send the reason to the user.
     socket.json.send({accessStatus});
@@ -274,6 +418,10 @@ exports.handleMessage = async (socket, message) => {
     return;
   }
   thisSession.author = authorID;
+  thisSession.role = role;
+  if (!securityManager.roleCanSuggest(role)) thisSession.readonly = true;
+  // Suggesters may only change the pad by suggesting changes (see handleUserChanges).
+  thisSession.suggestOnly = !securityManager.roleCanEdit(role);
 
   // Allow plugins to bypass the readonly message blocker
   let readOnly = thisSession.readonly;
@@ -326,11 +474,13 @@ exports.handleMessage = async (socket, message) => {
   } else if (message.type === 'CHANGESET_REQ') {
     await handleChangesetRequest(socket, message);
   } else if (message.type === 'COLLABROOM') {
-    if (readOnly) {
+    // Commenters have read-only access, but they may add comments (which includes anchoring them).
+    const commentOnly = readOnly && isCommentMessage(message) && canComment(thisSession);
+    if (readOnly && !commentOnly) {
       messageLogger.warn('Dropped message, COLLABROOM for readonly pad');
     } else if (message.data.type === 'USER_CHANGES') {
       stats.counter('pendingEdits').inc();
-      await padChannels.enqueue(message.padId, {socket, message});
+      await padChannels.enqueue(message.padId, {socket, message, anchorsOnly: commentOnly});
     } else if (message.data.type === 'USERINFO_UPDATE') {
       await handleUserInfoUpdate(socket, message);
     } else if (message.data.type === 'CHAT_MESSAGE') {
@@ -343,6 +493,26 @@ exports.handleMessage = async (socket, message) => {
                message.data.payload != null &&
                message.data.payload.type === 'suggestUserName') {
       handleSuggestUserName(socket, message);
+    } else if (message.data.type === 'CLIENT_MESSAGE' &&
+               message.data.payload != null &&
+               message.data.payload.type === 'padAccessUpdate') {
+      await handlePadAccessUpdate(socket, message);
+    } else if (message.data.type === 'CLIENT_MESSAGE' &&
+               message.data.payload != null &&
+               message.data.payload.type === 'comment') {
+      await handleCommentMessage(socket, message);
+    } else if (message.data.type === 'CLIENT_MESSAGE' &&
+               message.data.payload != null &&
+               message.data.payload.type === 'suggestion') {
+      await handleSuggestionMessage(socket, message);
+    } else if (message.data.type === 'CLIENT_MESSAGE' &&
+               message.data.payload != null &&
+               message.data.payload.type === 'savedRevision') {
+      await handleSavedRevisionMessage(socket, message);
+    } else if (message.data.type === 'CLIENT_MESSAGE' &&
+               message.data.payload != null &&
+               message.data.payload.type === 'revertAuthorChanges') {
+      await handleRevertAuthorChangesMessage(socket, message);
     } else {
       messageLogger.warn(`Dropped message, unknown COLLABROOM Data  Type ${message.data.type}`);
     }
@@ -361,6 +531,267 @@ const handleSaveRevisionMessage = async (socket, message) => {
   const {padId, author: authorId} = sessioninfos[socket.id];
   const pad = await padManager.getPad(padId);
   await pad.addSavedRevision(pad.head, authorId);
+  await exports.sendSavedRevisions(padId);
+};
+
+/**
+ * Handles the renaming of a saved revision in the editor or in the timeslider.
+ */
+const handleSavedRevisionMessage = async (socket, message) => {
+  const {padId} = sessioninfos[socket.id];
+  const {savedRevisionID, label} = message.data.payload;
+  const pad = await padManager.getPad(padId);
+  if (typeof label !== 'string' || label.length > 200 ||
+      pad.getSavedRevision(savedRevisionID) == null) {
+    messageLogger.warn(`Dropped invalid saved revision message for pad ${padId}`);
+    return;
+  }
+  await pad.updateSavedRevision(savedRevisionID, {label: label.trim()});
+  await exports.sendSavedRevisions(padId);
+};
+
+/**
+ * Sends the saved revisions of a pad to all users of the pad, including the users of the
+ * timeslider.
+ *
+ * @param {string} padId - The ID of the pad (not the read-only ID).
+ */
+exports.sendSavedRevisions = async (padId) => {
+  if (socketio == null) return;
+  const pad = await padManager.getPad(padId);
+  sendToRoom(padId, {
+    type: 'COLLABROOM',
+    data: {
+      type: 'CLIENT_MESSAGE',
+      payload: {type: 'newRevisionList', revisionList: pad.getSavedRevisions()},
+    },
+  });
+};
+
+/**
+ * Returns whether the user connected via the given socket may change the pad's access control list.
+ * Owners and admins may always change it. If the pad does not have an access control list yet, any
+ * user who can modify the pad may create one if settings.padAccessControl.allowClaim is true.
+ */
+const canManagePadAccess = (socket, pad) => {
+  const {role, readonly} = sessioninfos[socket.id];
+  const {session: {user} = {}} = socket.client.request;
+  if (role === 'owner' || (user != null && user.is_admin)) return true;
+  return !pad.hasAccessControlList() && settings.padAccessControl.allowClaim && !readonly;
+};
+
+/**
+ * Returns the information about the pad's access control list that is sent to a client: the user's
+ * role and, if the user may change it, the access control list itself.
+ */
+const getPadAccessInfo = (socket, pad) => {
+  const canManage = canManagePadAccess(socket, pad);
+  return {
+    role: sessioninfos[socket.id].role,
+    canManage,
+    acl: canManage ? pad.getAccessControlList() : null,
+  };
+};
+
+/**
+ * Handles a change of the pad's access control list made in the sharing dialog. The payload
+ * contains the principal and the role to grant, or a null role to remove the principal.
+ */
+const handlePadAccessUpdate = async (socket, message) => {
+  const sessionInfo = sessioninfos[socket.id];
+  const {principal, role = null} = message.data.payload;
+  const pad = await padManager.getPad(sessionInfo.padId);
+  if (!canManagePadAccess(socket, pad)) {
+    messageLogger.warn('Dropped padAccessUpdate message from a user who is not an owner');
+    return;
+  }
+  if (!securityManager.isValidPrincipal(principal) ||
+      (role != null && !securityManager.padRoles.includes(role))) {
+    messageLogger.warn(`Dropped padAccessUpdate message with invalid principal or role: ${role}`);
+    return;
+  }
+  const {session: {user} = {}} = socket.client.request;
+  if (!pad.hasAccessControlList() && !(user != null && user.is_admin)) {
+    // The user is creating the access control list. Make them an owner first so that they do not
+    // lock themselves out.
+    const owner = user != null && user.username
+      ? `user:${user.username}` : `author:${sessionInfo.author}`;
+    await pad.setAccessRole(owner, 'owner');
+  }
+  await pad.setAccessRole(principal, role);
+  await exports.updatePadAccess(pad.id);
+};
+
+/**
+ * Handles the reversion of an author's changes requested in the user list. Like changes of the
+ * access control list, this is limited to the users who may manage the pad (see
+ * canManagePadAccess).
+ */
+const handleRevertAuthorChangesMessage = async (socket, message) => {
+  const {padId, author, suggestOnly} = sessioninfos[socket.id];
+  const {authorID} = message.data.payload;
+  const pad = await padManager.getPad(padId);
+  if (suggestOnly || !canManagePadAccess(socket, pad)) {
+    messageLogger.warn('Dropped revertAuthorChanges message from a user who is not an owner');
+    return;
+  }
+  if (typeof authorID !== 'string' || !authorID) {
+    messageLogger.warn('Dropped revertAuthorChanges message without an author');
+    return;
+  }
+  await pad.revertAuthorChanges(authorID, 0, null, author);
+};
+
+/**
+ * Re-checks the access of all users connected to a pad after its access control list has changed.
+ * Users whose access was revoked or changed between read-only and read-write are disconnected,
+ * all others are sent their (possibly changed) role.
+ *
+ * @param {string} padId - The ID of the pad (not the read-only ID).
+ */
+exports.updatePadAccess = async (padId) => {
+  if (socketio == null) return;
+  const pad = await padManager.getPad(padId);
+  await Promise.all(_getRoomSockets(padId).map(async (socket) => {
+    const sessionInfo = sessioninfos[socket.id];
+    if (sessionInfo == null || sessionInfo.auth == null) return;
+    const {auth} = sessionInfo;
+    const {session: {user} = {}} = socket.client.request;
+    const {accessStatus, role} =
+        await securityManager.checkAccess(
+            auth.padID, auth.sessionID, auth.token, user, socket.request.ip);
+    if (accessStatus !== 'grant' ||
+        securityManager.roleCanEdit(role) !== securityManager.roleCanEdit(sessionInfo.role) ||
+        securityManager.roleCanSuggest(role) !== securityManager.roleCanSuggest(sessionInfo.role)) {
+      socket.json.send({disconnect: 'unauth'});
+      socket.disconnect();
+      return;
+    }
+    sessionInfo.role = role;
+    const payload = {type: 'padAccess', ...getPadAccessInfo(socket, pad)};
+    socket.json.send({type: 'COLLABROOM', data: {type: 'CLIENT_MESSAGE', payload}});
+  }));
+};
+
+/**
+ * Returns whether the user of a session may comment on the pad. Everyone who can edit the pad may
+ * comment, as may commenters (who otherwise have read-only access).
+ */
+const canComment = (sessionInfo) => !sessionInfo.readonly || sessionInfo.role === 'commenter';
+
+// Returns whether a message is one that commenters need to send. Their USER_CHANGES messages are
+// only accepted if they do nothing but anchor comments (see handleUserChanges).
+const isCommentMessage = (message) => message.data != null && (
+  message.data.type === 'USER_CHANGES' ||
+  (message.data.type === 'CLIENT_MESSAGE' && message.data.payload != null &&
+   message.data.payload.type === 'comment'));
+
+/**
+ * Handles a change of the pad's comments made in the comments sidebar. The payload's action is one
+ * of add, edit, delete, resolve, reopen, reply, editReply and deleteReply. Comments and replies can
+ * only be edited and deleted by their authors. The client anchors the comments it adds itself, so
+ * it chooses their IDs.
+ */
+const handleCommentMessage = async (socket, message) => {
+  const {padId, author} = sessioninfos[socket.id];
+  const {action, commentID, replyID, text} = message.data.payload;
+  if (action === 'add' && !commentManager.isValidCommentID(commentID)) {
+    messageLogger.warn(`Dropped comment message with invalid comment ID: ${commentID}`);
+    return;
+  }
+  if (['edit', 'delete', 'editReply', 'deleteReply'].includes(action)) {
+    const item = action.endsWith('Reply')
+      ? await commentManager.getReply(padId, commentID, replyID)
+      : await commentManager.getComment(padId, commentID);
+    if (item == null || item.authorID !== author) {
+      messageLogger.warn(`Dropped comment ${action} message from a user who is not the author`);
+      return;
+    }
+  }
+  try {
+    switch (action) {
+      case 'add':
+        await commentManager.createComment(padId, text, author, commentID);
+        break;
+      case 'edit':
+        await commentManager.updateComment(padId, commentID, text);
+        break;
+      case 'delete': {
+        const pad = await padManager.getPad(padId);
+        await commentManager.deleteComment(pad, commentID, author);
+        await exports.updatePadClients(pad);
+        break;
+      }
+      case 'resolve':
+      case 'reopen':
+        await commentManager.setResolved(padId, commentID, action === 'resolve');
+        break;
+      case 'reply':
+        await commentManager.createReply(padId, commentID, text, author, replyID);
+        break;
+      case 'editReply':
+        await commentManager.updateReply(padId, commentID, replyID, text);
+        break;
+      case 'deleteReply':
+        await commentManager.deleteReply(padId, commentID, replyID);
+        break;
+      default:
+        messageLogger.warn(`Dropped comment message with unknown action: ${action}`);
+        return;
+    }
+  } catch (err) {
+    if (err.name !== 'apierror') throw err;
+    messageLogger.warn(`Dropped comment ${action} message: ${err.message}`);
+    return;
+  }
+  await exports.sendCommentUpdate(padId, commentID);
+};
+
+/**
+ * Sends the current state of a comment (null if it was deleted) to all users of a pad.
+ *
+ * @param {string} padId - The ID of the pad (not the read-only ID).
+ * @param {string} commentID - The ID of the comment.
+ */
+exports.sendCommentUpdate = async (padId, commentID) => {
+  if (socketio == null) return;
+  const comment = await commentManager.getComment(padId, commentID);
+  sendToRoom(padId, {
+    type: 'COLLABROOM',
+    data: {type: 'CLIENT_MESSAGE', payload: {type: 'comment', commentID, comment}},
+  });
+};
+
+/**
+ * Handles the acceptance or rejection of a suggestion made in the suggestions dialog, or of all
+ * suggestions if the payload's suggestionID is null. Users who may only suggest can only reject
+ * (that is, withdraw) their own suggestions.
+ */
+const handleSuggestionMessage = async (socket, message) => {
+  const {padId, author, suggestOnly} = sessioninfos[socket.id];
+  const {action, suggestionID = null} = message.data.payload;
+  if (!['accept', 'reject'].includes(action)) {
+    messageLogger.warn(`Dropped suggestion message with unknown action: ${action}`);
+    return;
+  }
+  const pad = await padManager.getPad(padId);
+  if (suggestOnly) {
+    const suggestion = (await suggestionManager.getSuggestions(pad))
+        .find((s) => s.suggestionID === suggestionID);
+    if (action !== 'reject' || suggestion == null || suggestion.authorID !== author) {
+      messageLogger.warn(`Dropped suggestion ${action} message from a user who may only suggest`);
+      return;
+    }
+  }
+  try {
+    if (action === 'accept') await suggestionManager.acceptSuggestion(pad, suggestionID, author);
+    else await suggestionManager.rejectSuggestion(pad, suggestionID, author);
+  } catch (err) {
+    if (err.name !== 'apierror') throw err;
+    messageLogger.warn(`Dropped suggestion ${action} message: ${err.message}`);
+    return;
+  }
+  await exports.updatePadClients(pad);
 };
 
 /**
@@ -377,7 +808,7 @@ exports.handleCustomObjectMessage = (msg, sessionID) => {
       socketio.sockets.socket(sessionID).json.send(msg);
     } else {
       // broadcast to all clients on this pad
-      socketio.sockets.in(msg.data.payload.padId).json.send(msg);
+      sendToRoom(msg.data.payload.padId, msg);
     }
   }
 };
@@ -397,7 +828,7 @@ exports.handleCustomMessage = (padID, msgString) => {
       time,
     },
   };
-  socketio.sockets.in(padID).json.send(msg);
+  sendToRoom(padID, msg);
 };
 
 /**
@@ -434,7 +865,7 @@ exports.sendChatMessageToPadClients = async (mt, puId, text = null, padId = null
   // authorManager.getAuthorName() to resolve before saving the message to the database.
   const promise = pad.appendChatMessage(message);
   message.displayName = await authorManager.getAuthorName(message.userId);
-  socketio.sockets.in(padId).json.send({
+  sendToRoom(padId, {
     type: 'COLLABROOM',
     data: {type: 'CHAT_MESSAGE', message},
   });
@@ -570,7 +1001,7 @@ const handleUserInfoUpdate = async (socket, message) => {
   };
 
   // Send the other clients on the pad the update message
-  socket.broadcast.to(padId).json.send(infoMsg);
+  sendToRoom(padId, infoMsg, socket);
 
   // Block until the authorManager has stored the new attributes.
   await p;
@@ -589,8 +1020,9 @@ const handleUserInfoUpdate = async (socket, message) => {
  *
  * @param socket the socket.io Socket object for the client
  * @param message the message from the client
+ * @param anchorsOnly whether the changeset may only add or remove comment anchors
  */
-const handleUserChanges = async (socket, message) => {
+const handleUserChanges = async (socket, message, anchorsOnly = false) => {
   // This one's no longer pending, as we're gonna process it now
   stats.counter('pendingEdits').dec();
 
@@ -619,6 +1051,11 @@ const handleUserChanges = async (socket, message) => {
     // Verify that the changeset has valid syntax and is in canonical form
     Changeset.checkRep(changeset);
 
+    if (anchorsOnly && !commentManager.isAnchorChangeset(changeset, wireApool)) {
+      throw new Error(`Author ${thisSession.author} may only comment but submitted changeset ` +
+                      `${changeset}`);
+    }
+
     // Validate all added 'author' attribs to be the same value as the current user
     for (const op of Changeset.deserializeOps(Changeset.unpack(changeset).ops)) {
       // + can add text with attribs
@@ -669,6 +1106,12 @@ const handleUserChanges = async (socket, message) => {
           `${Changeset.oldLen(rebasedChangeset)} to document of length ${prevText.length}`);
     }
 
+    if (thisSession.suggestOnly &&
+        !suggestionManager.isSuggestion(pad, rebasedChangeset, thisSession.author)) {
+      throw new Error(`Author ${thisSession.author} may only suggest changes but submitted ` +
+                      `changeset ${changeset}`);
+    }
+
     const newRev = await pad.appendRevision(rebasedChangeset, thisSession.author);
     // The head revision will either stay the same or increase by 1 depending on whether the
     // changeset has a net effect.
@@ -691,6 +1134,10 @@ const handleUserChanges = async (socket, message) => {
     socket.json.send({type: 'COLLABROOM', data: {type: 'ACCEPT_COMMIT', newRev}});
     thisSession.rev = newRev;
     if (newRev !== r) thisSession.time = await pad.getRevisionDate(newRev);
+    if (settings.metrics.groupLabels) {
+      const groupID = padGroup(pad.id);
+      groupEdits.set(groupID, (groupEdits.get(groupID) || 0) + 1);
+    }
     await exports.updatePadClients(pad);
   } catch (err) {
     socket.json.send({disconnect: 'badChangeset'});
@@ -830,6 +1277,18 @@ const handleClientReady = async (socket, message) => {
   ]);
   ({colorId: authorColorId, name: authorName} = await authorManager.getAuthor(sessionInfo.author));
 
+  // create the pad from a template if one was requested (`?template=` in the pad URL)
+  if (typeof message.template === 'string' && message.template && !sessionInfo.readonly &&
+      !await padManager.doesPadExist(sessionInfo.padId)) {
+    try {
+      await templateManager.createPadFromTemplate(sessionInfo.padId, message.template);
+    } catch (err) {
+      // The template might not exist or another user might have created the pad in the meantime.
+      if (err.name !== 'apierror') throw err;
+      messageLogger.warn(`Not creating pad ${sessionInfo.padId} from template: ${err.message}`);
+    }
+  }
+
   // load the pad-object from the database
   const pad = await padManager.getPad(sessionInfo.padId);
 
@@ -937,6 +1396,9 @@ const handleClientReady = async (socket, message) => {
           currentTime: changesets[r].timestamp}};
       socket.json.send(wireMsg);
     }
+    // The client now has all revisions up to headNum. (Newer revisions might have been sent to it
+    // by updatePadClients() while the revisions were loaded.)
+    sessionInfo.rev = Math.max(sessionInfo.rev, headNum);
 
     if (startNum === endNum) {
       const Msg = {type: 'COLLABROOM',
@@ -998,6 +1460,11 @@ const handleClientReady = async (socket, message) => {
       numConnectedUsers: roomSockets.length,
       readOnlyId: sessionInfo.readOnlyPadId,
       readonly: sessionInfo.readonly,
+      suggestOnly: sessionInfo.suggestOnly,
+      padAccess: getPadAccessInfo(socket, pad),
+      // The ID of the pad that this pad was forked from. Read-only users must not learn it.
+      forkedFrom: sessionInfo.readonly || pad.forkedFrom == null ? null : pad.forkedFrom.padID,
+      comments: await commentManager.getComments(pad.id),
       serverTimestamp: Date.now(),
       userId: sessionInfo.author,
       abiwordAvailable: settings.abiwordAvailable(),
@@ -1048,7 +1515,7 @@ const handleClientReady = async (socket, message) => {
   }
 
   // Notify other users about this new user.
-  socket.broadcast.to(sessionInfo.padId).json.send({
+  sendToRoom(sessionInfo.padId, {
     type: 'COLLABROOM',
     data: {
       type: 'USER_NEWINFO',
@@ -1058,7 +1525,7 @@ const handleClientReady = async (socket, message) => {
         userId: sessionInfo.author,
       },
     },
-  });
+  }, socket);
 
   // Notify this new user about other users.
   await Promise.all(_getRoomSockets(pad.id).map(async (roomSocket) => {
@@ -1316,10 +1783,180 @@ const _getRoomSockets = (padID) => {
   // it does here, but synchronously to avoid a race condition. This code will have to change when
   // we update to socket.io v3.
   const room = adapter.rooms[padID];
-  if (!room) return [];
-  return Object.keys(room.sockets).map((id) => ns.connected[id]).filter((s) => s);
+  const remote = [...(remoteRooms.get(padID) || [])];
+  if (!room) return remote;
+  return Object.keys(room.sockets).map((id) => ns.connected[id]).filter((s) => s).concat(remote);
+};
+
+/**
+ * Sends a message to all clients on a pad, including the clients that are connected to other
+ * cluster nodes.
+ *
+ * @param {string} padID - The pad.
+ * @param {object} message - The message.
+ * @param {?object} [except] - The socket of a client that should not get the message.
+ */
+const sendToRoom = (padID, message, except = null) => {
+  for (const socket of _getRoomSockets(padID)) {
+    if (socket !== except) socket.json.send(message);
+  }
 };
 
+/*
+ * Cluster mode (see hooks/cluster.js). When a client sends CLIENT_READY for a pad that is owned by
+ * another node, the client's socket is "forwarded": this node passes all of the client's messages
+ * to the owner, which handles them with a RemoteSocket standing in for the client's socket, and
+ * sends the owner's messages for the client on to the client.
+ */
+
+// The forwarded sockets of this node: socket ID -> {padId, owner}.
+const forwardedSockets = new Map();
+// The RemoteSockets of the clients of other nodes, by RemoteSocket ID.
+const remoteSockets = new Map();
+// The RemoteSockets in each room (pad ID).
+const remoteRooms = new Map();
+
+/**
+ * Stands in for the socket.io socket of a client that is connected to another node. Implements the
+ * parts of the socket.io Socket API that are used in this file.
+ */
+class RemoteSocket {
+  constructor(nodeId, {id, ip, user}) {
+    this.id = `${nodeId}:${id}`;
+    this._nodeId = nodeId;
+    this._socketId = id;
+    this._rooms = new Set();
+    this.request = {ip};
+    this.client = {request: {session: {user}}};
+    this.conn = {close: () => this._send({type: 'socketDisconnect', reconnect: true})};
+    this.json = {send: (message) => this._send({type: 'socketSend', message})};
+    this.broadcast = {to: (room) => ({json: {send: (msg) => sendToRoom(room, msg, this)}})};
+  }
+
+  _send(message) {
+    cluster.request(this._nodeId, {...message, socketId: this._socketId}).catch((err) => {
+      messageLogger.warn(`Failed to send a message to socket ${this.id}: ${err.message}`);
+    });
+  }
+
+  join(room) {
+    if (!remoteRooms.has(room)) remoteRooms.set(room, new Set());
+    remoteRooms.get(room).add(this);
+    this._rooms.add(room);
+  }
+
+  leave(room) {
+    const sockets = remoteRooms.get(room);
+    if (sockets != null) sockets.delete(this);
+    if (sockets != null && sockets.size === 0) remoteRooms.delete(room);
+    this._rooms.delete(room);
+  }
+
+  leaveAll() {
+    for (const room of [...this._rooms]) this.leave(room);
+  }
+
+  disconnect() {
+    this._send({type: 'socketDisconnect', reconnect: false});
+  }
+}
+
+/**
+ * Passes a message to the node that owns the pad if the client's socket is forwarded (or becomes
+ * forwarded with this message).
+ *
+ * @returns {Promise<boolean>} Whether the message was forwarded.
+ */
+const forwardMessage = async (socket, message) => {
+  if (!cluster.isEnabled() || socket instanceof RemoteSocket) return false;
+  let route = forwardedSockets.get(socket.id);
+  if (route == null) {
+    if (message.type !== 'CLIENT_READY' || typeof message.padId !== 'string') return false;
+    const {padId} = await readOnlyManager.getIds(message.padId);
+    const owner = await cluster.getOwner(padId);
+    if (owner === cluster.nodeId) return false;
+    route = {padId, owner};
+    forwardedSockets.set(socket.id, route);
+  }
+  const {session: {user} = {}} = socket.client.request;
+  try {
+    await cluster.request(route.owner, {
+      type: 'socketMessage',
+      socket: {id: socket.id, ip: socket.request.ip, user},
+      message,
+    });
+  } catch (err) {
+    // The owner has died or has lost the pad to another node. The client reconnects after the
+    // connection is closed, and its CLIENT_READY message then goes to the pad's new owner.
+    messageLogger.warn(`Failed to forward a message for pad ${route.padId} to cluster node ` +
+                       `${route.owner}: ${err.message}`);
+    forwardedSockets.delete(socket.id);
+    socket.conn.close();
+  }
+  return true;
+};
+
+cluster.handle('socketMessage', async ({socket: info, message}, from) => {
+  const id = `${from}:${info.id}`;
+  let socket = remoteSockets.get(id);
+  if (socket == null) {
+    if (message.type !== 'CLIENT_READY' || typeof message.padId !== 'string') {
+      throw new Error(`unknown socket ${id}`);
+    }
+    const {padId} = await readOnlyManager.getIds(message.padId);
+    const owner = await cluster.getOwner(padId);
+    if (owner !== cluster.nodeId) throw new Error(`pad ${padId} is owned by node ${owner}`);
+    socket = new RemoteSocket(from, info);
+    remoteSockets.set(id, socket);
+    sessioninfos[id] = {connectedAt: Date.now()};
+  }
+  try {
+    await exports.handleMessage(socket, message);
+  } catch (err) {
+    messageLogger.error(`Error while handling a message from socket ${id}: ${err.stack || err}`);
+  }
+});
+
+cluster.handle('socketDisconnected', async ({socketId}, from) => {
+  const socket = remoteSockets.get(`${from}:${socketId}`);
+  if (socket == null) return;
+  remoteSockets.delete(socket.id);
+  socket.leaveAll();
+  await exports.handleDisconnect(socket);
+});
+
+cluster.handle('socketSend', ({socketId, message}) => {
+  const socket = socketio.sockets.connected[socketId];
+  if (socket != null) socket.json.send(message);
+});
+
+cluster.handle('socketDisconnect', ({socketId, reconnect}) => {
+  const socket = socketio.sockets.connected[socketId];
+  if (socket == null) return;
+  // The socket's disconnect event tells the owner that the client is gone.
+  if (reconnect) socket.conn.close();
+  else socket.disconnect();
+});
+
+cluster.setPadHandler({
+  isInUse: (padId) => _getRoomSockets(padId).length > 0,
+  // Another node has taken the pad over. The clients reconnect to it.
+  onLeaseLost: async (padId) => {
+    for (const socket of _getRoomSockets(padId)) socket.conn.close();
+  },
+  // Closes the forwarded sockets whose pads now have another owner (because their owner has died)
+  // so that the clients reconnect to the new owner.
+  onLeasesRenewed: async () => {
+    const holders = new Map();
+    for (const [socketId, {padId, owner}] of forwardedSockets) {
+      if (!holders.has(padId)) holders.set(padId, await cluster.getLeaseHolder(padId));
+      if (holders.get(padId) === owner) continue;
+      const socket = socketio.sockets.connected[socketId];
+      if (socket != null) socket.conn.close();
+    }
+  },
+});
+
 /**
  * Get the number of users in a pad
  */
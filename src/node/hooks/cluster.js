@@ -0,0 +1,376 @@
+'use strict';
+/**
+ * Cluster mode (settings.cluster): several Etherpad processes ("nodes") share one database. Pads
+ * must not be changed by two nodes at the same time because each node applies changes in memory,
+ * so every pad is owned by one node. Ownership is a lease stored in the database
+ * (`padOwner:<padID>`) that the owner renews as long as the pad is in use. Nodes that get
+ * socket.io messages or HTTP API calls for a pad that is owned by another node forward them to the
+ * owner (see PadMessageHandler and APIHandler). If a node dies, its leases expire and the next node
+ * that needs one of its pads takes it over.
+ *
+ * The database cannot change a value depending on its current value, so a node that finds a pad
+ * without a valid lease writes its claim, waits for settings.cluster.claimDelay and reads the lease
+ * again. If another node has claimed the pad in the meantime, the later claim has overwritten the
+ * earlier one, and only the node that wrote it gets the pad. This relies on a claim being written
+ * within claimDelay after the lease was read. Other nodes only claim leases that have expired, so
+ * the owner renews its leases without claiming them again.
+ *
+ * The nodes exchange messages over a bus. Plugins can provide one with the `clusterBus` server-side
+ * hook, which is called with `{nodeId}` as context and must return an object with these methods:
+ *   - subscribe(nodeId, handler): Delivers the messages for the node to `handler(message, from)`,
+ *     which returns (a Promise of) the reply.
+ *   - unsubscribe(nodeId)
+ *   - request(from, to, message): Sends a message to a node and resolves to its reply, or rejects
+ *     with an Error with the `name` and `message` of the error thrown by the handler. It must also
+ *     reject if the node cannot be reached. Messages and replies are JSON values.
+ * Messages from one node to another must be delivered in the order in which they were sent.
+ * Without such a plugin, the HttpBus is used, which sends the messages to the other nodes over
+ * HTTP. The LoopbackBus can only connect nodes in the same process and is used by the tests.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/DB');
+const express = require('express');
+const hooks = require('../../static/js/pluginfw/hooks');
+const log4js = require('log4js');
+const randomString = require('../utils/randomstring');
+const settings = require('../utils/Settings');
+const superagent = require('superagent');
+
+const logger = log4js.getLogger('cluster');
+
+/**
+ * A bus that connects the nodes within one process. Messages and replies are copied as if they
+ * were sent over the network.
+ */
+class LoopbackBus {
+  constructor() {
+    this._handlers = new Map();
+  }
+
+  subscribe(nodeId, handler) {
+    this._handlers.set(nodeId, handler);
+  }
+
+  unsubscribe(nodeId) {
+    this._handlers.delete(nodeId);
+  }
+
+  async request(from, to, message) {
+    const handler = this._handlers.get(to);
+    if (handler == null) throw new Error(`cluster node ${to} cannot be reached`);
+    let reply;
+    try {
+      reply = await handler(JSON.parse(JSON.stringify(message)), from);
+    } catch (err) {
+      const copy = new Error(err.message);
+      copy.name = err.name;
+      throw copy;
+    }
+    return reply === undefined ? undefined : JSON.parse(JSON.stringify(reply));
+  }
+}
+exports.LoopbackBus = LoopbackBus;
+
+/**
+ * The built-in bus. Each node registers the URL at which the other nodes reach it
+ * (settings.cluster.url) in the database (`clusterNode:<nodeId>`), and messages are POSTed to
+ * `<url>/cluster/message` with the shared secret (settings.cluster.secret) as bearer token. The
+ * messages to a node are sent one after the other, each after the reply to the previous one, so
+ * that they arrive in order.
+ */
+class HttpBus {
+  constructor(url, secret) {
+    this._url = url.replace(/\/+$/, '');
+    this._secret = secret;
+    this._nodeId = null;
+    this._handler = null;
+    // The Promise of the last message to each node.
+    this._queues = new Map();
+  }
+
+  subscribe(nodeId, handler) {
+    this._nodeId = nodeId;
+    this._handler = handler;
+  }
+
+  unsubscribe(nodeId) {
+    // The node ID is kept for unregister().
+    this._handler = null;
+  }
+
+  // Makes this node reachable for the other nodes.
+  async register() {
+    await db.set(`clusterNode:${this._nodeId}`, {url: this._url});
+  }
+
+  async unregister() {
+    await db.remove(`clusterNode:${this._nodeId}`);
+  }
+
+  async request(from, to, message) {
+    const previous = this._queues.get(to) || Promise.resolve();
+    const p = previous.then(() => this._send(from, to, message));
+    const done = p.catch(() => {});
+    this._queues.set(to, done);
+    done.then(() => { if (this._queues.get(to) === done) this._queues.delete(to); });
+    return await p;
+  }
+
+  async _send(from, to, message) {
+    const node = await db.get(`clusterNode:${to}`);
+    if (node == null) throw new Error(`cluster node ${to} cannot be reached`);
+    let res;
+    try {
+      res = await superagent.post(`${node.url}/cluster/message`)
+          .set('Authorization', `Bearer ${this._secret}`)
+          .send({from, to, message})
+          .ok((res) => res.status === 200 || res.status === 500);
+    } catch (err) {
+      throw new Error(`cluster node ${to} cannot be reached: ${err.message}`);
+    }
+    if (res.status === 200) return res.body.reply;
+    const err = new Error(res.body.error.message);
+    err.name = res.body.error.name;
+    throw err;
+  }
+
+  // Tells whether a request comes from another node (see expressPreSession below).
+  isAuthorized(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    // Compare hashes so that the comparison takes constant time regardless of the token length.
+    const hash = (s) => crypto.createHash('sha256').update(s).digest();
+    return scheme === 'Bearer' && !!token &&
+        crypto.timingSafeEqual(hash(token), hash(this._secret));
+  }
+
+  // Handles an authorized message from another node.
+  async handleRequest(req, res) {
+    const {from, to, message} = req.body || {};
+    if (this._handler == null || to !== this._nodeId) {
+      return res.status(404).send(`cluster node ${to} is not here`);
+    }
+    try {
+      res.json({reply: await this._handler(message, from)});
+    } catch (err) {
+      res.status(500).json({error: {name: err.name, message: err.message}});
+    }
+  }
+}
+exports.HttpBus = HttpBus;
+
+/**
+ * The ID of this node.
+ */
+exports.nodeId = settings.cluster.nodeId || randomString(16);
+
+let bus = null;
+// Message handlers by message type.
+const handlers = new Map();
+// The pads owned by this node, mapped to the time they were last used.
+const owned = new Map();
+let timer = null;
+// Set by PadMessageHandler, which knows which pads have connected users.
+let padHandler = {
+  isInUse: (padId) => false,
+  onLeaseLost: async (padId) => {},
+  onLeasesRenewed: async () => {},
+};
+
+// PadManager is required lazily because it (indirectly) requires this module.
+const unloadPad = (padId) => require('../db/PadManager').unloadPad(padId);
+
+const leaseKey = (padId) => `padOwner:${padId}`;
+
+const getLease = async (padId) => await db.get(leaseKey(padId));
+
+const writeLease = async (padId, claim) => await db.set(leaseKey(padId), {
+  nodeId: exports.nodeId,
+  expires: Date.now() + settings.cluster.leaseDuration,
+  claim,
+});
+
+// Claims the lease of a pad whose lease has just been read and found to be expired (or missing).
+// Returns false if another node has claimed it at the same time (see above).
+const claimLease = async (padId, readAt) => {
+  const claim = randomString(16);
+  await writeLease(padId, claim);
+  if (Date.now() - readAt > settings.cluster.claimDelay) {
+    logger.warn(`Claiming the lease of pad ${padId} took longer than cluster.claimDelay ` +
+                `(${settings.cluster.claimDelay} ms); another node might have claimed it too`);
+  }
+  await new Promise((resolve) => setTimeout(resolve, settings.cluster.claimDelay));
+  const lease = await getLease(padId);
+  return lease != null && lease.claim === claim;
+};
+
+const isValid = (lease) => lease != null && lease.expires > Date.now();
+
+exports.isEnabled = () => !!settings.cluster.enabled;
+
+/**
+ * Connects this node to a bus (or disconnects it if the bus is null).
+ */
+exports.setBus = (newBus) => {
+  if (bus != null) bus.unsubscribe(exports.nodeId);
+  bus = newBus;
+  if (bus == null) return;
+  bus.subscribe(exports.nodeId, async (message, from) => {
+    const handler = handlers.get(message.type);
+    if (handler == null) throw new Error(`unknown cluster message type: ${message.type}`);
+    return await handler(message, from);
+  });
+};
+
+/**
+ * Registers the handler for a type of message from other nodes. The handler is called with the
+ * message and the ID of the sending node and returns the reply.
+ */
+exports.handle = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Sets the functions that tell whether a pad is in use and that are called when this node has lost
+ * the lease of a pad to another node and after the leases have been renewed.
+ */
+exports.setPadHandler = (handler) => {
+  padHandler = handler;
+};
+
+/**
+ * Sends a message to another node and returns its reply.
+ */
+exports.request = async (nodeId, message) => {
+  if (bus == null) throw new Error('this node is not connected to a cluster bus');
+  return await bus.request(exports.nodeId, nodeId, message);
+};
+
+/**
+ * Returns the ID of the node that holds the unexpired lease of a pad, or null if there is none.
+ */
+exports.getLeaseHolder = async (padId) => {
+  const lease = await getLease(padId);
+  return isValid(lease) ? lease.nodeId : null;
+};
+
+/**
+ * Returns the ID of the node that owns a pad. If no node owns it (or its owner's lease has
+ * expired), this node takes it over. Always returns this node's ID if cluster mode is disabled.
+ */
+exports.getOwner = async (padId) => {
+  if (!exports.isEnabled()) return exports.nodeId;
+  for (;;) {
+    const readAt = Date.now();
+    const lease = await getLease(padId);
+    if (isValid(lease)) {
+      if (lease.nodeId !== exports.nodeId) return lease.nodeId;
+      break;
+    }
+    // If another node has claimed the pad at the same time, the claim fails and the new lease is
+    // read again.
+    if (await claimLease(padId, readAt)) {
+      logger.debug(`Node ${exports.nodeId} now owns pad ${padId}`);
+      break;
+    }
+  }
+  // The pad may have been changed by another node since this node last loaded it.
+  if (!owned.has(padId)) unloadPad(padId);
+  owned.set(padId, Date.now());
+  return exports.nodeId;
+};
+
+const release = async (padId) => {
+  owned.delete(padId);
+  unloadPad(padId);
+  await db.remove(leaseKey(padId));
+};
+
+/**
+ * Renews the leases of the pads that this node still uses and releases the others. Called
+ * periodically; exported for tests.
+ */
+exports.renewLeases = async () => {
+  const now = Date.now();
+  for (const [padId, lastUsed] of owned) {
+    const lease = await getLease(padId);
+    const keep = padHandler.isInUse(padId) || now - lastUsed < settings.cluster.leaseDuration;
+    // A lease that is about to expire might be claimed by another node while it is renewed.
+    if (lease == null || lease.nodeId !== exports.nodeId ||
+        lease.expires - now <= settings.cluster.claimDelay) {
+      logger.warn(`Node ${exports.nodeId} lost the lease of pad ${padId}`);
+      owned.delete(padId);
+      unloadPad(padId);
+      await padHandler.onLeaseLost(padId);
+    } else if (keep) {
+      await writeLease(padId, lease.claim);
+    } else {
+      await release(padId);
+    }
+  }
+  await padHandler.onLeasesRenewed();
+};
+
+const scheduleRenewal = () => {
+  timer = setTimeout(async () => {
+    try {
+      await exports.renewLeases();
+    } catch (err) {
+      logger.error(`Failed to renew the pad leases: ${err.stack || err}`);
+    }
+    if (timer != null) scheduleRenewal();
+  }, settings.cluster.leaseDuration / 3);
+};
+
+exports.createServer = async (hookName, context) => {
+  if (!exports.isEnabled()) return;
+  let [newBus] = await hooks.aCallFirst('clusterBus', {nodeId: exports.nodeId});
+  if (newBus == null) {
+    const {url, secret} = settings.cluster;
+    if (!url || !secret) {
+      throw new Error('Cluster mode is enabled (cluster.enabled in settings.json), so ' +
+                      'cluster.url and cluster.secret must be set (unless a plugin provides a ' +
+                      'cluster bus with the clusterBus hook)');
+    }
+    newBus = new HttpBus(url, secret);
+  }
+  exports.setBus(newBus);
+  if (newBus instanceof HttpBus) await newBus.register();
+  logger.info(`Cluster node ${exports.nodeId} started`);
+  scheduleRenewal();
+};
+
+exports.expressPreSession = async (hookName, {app}) => {
+  // Messages from other nodes can be as large as the HTTP API calls and socket.io messages that
+  // they forward. Only authenticated messages are parsed.
+  app.post('/cluster/message', (req, res, next) => {
+    if (!(bus instanceof HttpBus)) return res.status(404).send('Not Found');
+    if (!bus.isAuthorized(req)) return res.status(401).send('Authentication Required');
+    next();
+  }, express.json({limit: '1gb'}), (req, res) => {
+    bus.handleRequest(req, res).catch((err) => {
+      logger.error(`Failed to handle a cluster message: ${err.stack || err}`);
+      if (!res.headersSent) res.status(500).end();
+    });
+  });
+};
+
+exports.shutdown = async (hookName, context) => {
+  clearTimeout(timer);
+  timer = null;
+  // Let the other nodes take the pads over without waiting for the leases to expire.
+  const padIds = [...owned.keys()];
+  owned.clear();
+  const oldBus = bus;
+  exports.setBus(null);
+  if (!exports.isEnabled()) return;
+  const done = (async () => {
+    await Promise.all(padIds.map(async (padId) => {
+      const lease = await getLease(padId);
+      if (lease != null && lease.nodeId === exports.nodeId) await db.remove(leaseKey(padId));
+    }));
+    if (oldBus instanceof HttpBus) await oldBus.unregister();
+  })();
+  db.closeAfter(done);
+  await done;
+};
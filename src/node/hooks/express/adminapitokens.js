@@ -0,0 +1,55 @@
+'use strict';
+
+const apiTokenManager = require('../../db/APITokenManager');
+const eejs = require('../../eejs');
+
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/admin/apitokens', (req, res) => {
+    res.send(eejs.require('ep_etherpad-lite/templates/admin/apitokens.html', {
+      req,
+      scopes: apiTokenManager.scopes,
+      errors: [],
+    }));
+  });
+};
+
+exports.socketio = (hookName, {io}) => {
+  io.of('/apitokens').on('connection', (socket) => {
+    const {session: {user: {is_admin: isAdmin} = {}} = {}} = socket.conn.request;
+    if (!isAdmin) return;
+
+    const sendTokens = async () => {
+      const {tokens} = await apiTokenManager.listTokens();
+      socket.emit('results:tokens', {tokens});
+    };
+
+    socket.on('load', async () => {
+      try {
+        await sendTokens();
+      } catch (err) {
+        console.error(err.stack || err.toString());
+      }
+    });
+
+    socket.on('create', async ({name, scopes, groupID, validUntil}) => {
+      try {
+        const {tokenID, token} =
+            await apiTokenManager.createToken(name, scopes, groupID, validUntil);
+        socket.emit('finished:create', {tokenID, token, error: null});
+        await sendTokens();
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+        socket.emit('finished:create', {error: err.message});
+      }
+    });
+
+    socket.on('revoke', async (tokenID) => {
+      try {
+        await apiTokenManager.revokeToken(tokenID);
+        await sendTokens();
+      } catch (err) {
+        console.error(err.stack || err.toString());
+      }
+    });
+  });
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+const CustomError = require('../../utils/customError');
+const eejs = require('../../eejs');
+const expiryManager = require('../../db/ExpiryManager');
+const padManager = require('../../db/PadManager');
+const settings = require('../../utils/Settings');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/admin/expiry', (req, res) => {
+    res.send(eejs.require('ep_etherpad-lite/templates/admin/expiry.html', {
+      req,
+      padExpiry: settings.padExpiry,
+      errors: [],
+    }));
+  });
+};
+
+exports.socketio = (hookName, {io}) => {
+  io.of('/expiry').on('connection', (socket) => {
+    const {session: {user: {is_admin: isAdmin} = {}} = {}} = socket.conn.request;
+    if (!isAdmin) return;
+
+    const handle = (event, fn) => socket.on(event, async (...args) => {
+      try {
+        socket.emit(`results:${event}`, {...await fn(...args), error: null});
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+        socket.emit(`results:${event}`, {pads: [], error: err.message});
+      }
+    });
+
+    handle('list', async (days) => {
+      days = Number(days) || 0;
+      return {days, pads: await expiryManager.listExpiringPads(Date.now() + days * dayMs)};
+    });
+
+    handle('exempt', async (padID) => {
+      if (!await padManager.doesPadExists(padID)) {
+        throw new CustomError('padID does not exist', 'apierror');
+      }
+      const pad = await padManager.getPad(padID);
+      await pad.setExpiryExempt(true);
+      return {padID};
+    });
+
+    handle('expire', async (dryRun) => ({
+      dryRun: !!dryRun,
+      pads: await expiryManager.expirePads({dryRun: !!dryRun}),
+    }));
+  });
+};
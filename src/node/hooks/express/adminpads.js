@@ -0,0 +1,92 @@
+'use strict';
+
+const CustomError = require('../../utils/customError');
+const apiHandler = require('../../handler/APIHandler');
+const eejs = require('../../eejs');
+const padManager = require('../../db/PadManager');
+const padMessageHandler = require('../../handler/PadMessageHandler');
+const padStatsManager = require('../../db/PadStatsManager');
+
+// The number of pads per page.
+const pageSize = 50;
+
+const checkDestinationID = (destinationID) => {
+  if (typeof destinationID !== 'string' || !padManager.isValidPadId(destinationID)) {
+    throw new CustomError('destinationID did not match requirements', 'apierror');
+  }
+};
+
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/admin/pads', (req, res) => {
+    res.send(eejs.require('ep_etherpad-lite/templates/admin/pads.html', {
+      req,
+      errors: [],
+    }));
+  });
+};
+
+exports.socketio = (hookName, {io}) => {
+  io.of('/pads').on('connection', (socket) => {
+    const {session: {user: {is_admin: isAdmin} = {}} = {}} = socket.conn.request;
+    if (!isAdmin) return;
+
+    const handle = (event, fn) => socket.on(event, async (...args) => {
+      try {
+        socket.emit(`results:${event}`, {...await fn(...args), error: null});
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+        socket.emit(`results:${event}`, {error: err.message});
+      }
+    });
+
+    handle('list', async ({query, sortBy, descending, offset} = {}) => {
+      offset = Math.max(0, Math.floor(Number(offset)) || 0);
+      const {total, pads} = await padStatsManager.listPads({
+        query: typeof query === 'string' ? query : '',
+        sortBy,
+        descending: !!descending,
+        offset,
+        limit: pageSize,
+      });
+      return {total, offset, pageSize, pads};
+    });
+
+    // The pads are changed through the API handler so that the owner of the pad changes them in
+    // cluster mode.
+    handle('move', async ({padID, destinationID}) => {
+      checkDestinationID(destinationID);
+      await apiHandler.callFunction('movePad', {sourceID: padID, destinationID, force: 'false'});
+      return {padID, destinationID};
+    });
+
+    handle('copy', async ({padID, destinationID}) => {
+      checkDestinationID(destinationID);
+      await apiHandler.callFunction('copyPad', {sourceID: padID, destinationID, force: 'false'});
+      return {padID, destinationID};
+    });
+
+    handle('delete', async (padID) => {
+      await apiHandler.callFunction('deletePad', {padID});
+      return {padID};
+    });
+
+    handle('kick', async (padID) => {
+      padMessageHandler.kickSessionsFromPad(padID, 'kicked');
+      return {padID};
+    });
+  });
+};
+
+// The cached statistics of a pad are dropped whenever the pad changes.
+
+exports.padCreate = (hookName, {pad}) => padStatsManager.invalidate(pad.id);
+
+exports.padUpdate = (hookName, {pad}) => padStatsManager.invalidate(pad.id);
+
+exports.padCopy = (hookName, {destinationID}) => padStatsManager.invalidate(destinationID);
+
+exports.padRemove = (hookName, {padID}) => padStatsManager.invalidate(padID);
+
+exports.padRestore = (hookName, {pad}) => padStatsManager.invalidate(pad.id);
+
+exports.padCompact = (hookName, {pad}) => padStatsManager.invalidate(pad.id);
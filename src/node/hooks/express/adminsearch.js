@@ -0,0 +1,41 @@
+'use strict';
+
+const eejs = require('../../eejs');
+const readOnlyManager = require('../../db/ReadOnlyManager');
+const searchManager = require('../../db/SearchManager');
+const settings = require('../../utils/Settings');
+
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/admin/search', (req, res) => {
+    res.send(eejs.require('ep_etherpad-lite/templates/admin/search.html', {
+      req,
+      enabled: settings.search.enabled,
+      errors: [],
+    }));
+  });
+};
+
+exports.socketio = (hookName, {io}) => {
+  io.of('/search').on('connection', (socket) => {
+    const {session: {user: {is_admin: isAdmin} = {}} = {}} = socket.conn.request;
+    if (!isAdmin) return;
+
+    socket.on('search', async (query) => {
+      try {
+        const results = await searchManager.search(query);
+        socket.emit('results:search', {
+          query,
+          results: await Promise.all(results.map(async ({padID, snippet}) => ({
+            padID,
+            readOnlyID: await readOnlyManager.getReadOnlyId(padID),
+            snippet,
+          }))),
+          error: null,
+        });
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+        socket.emit('results:search', {query, results: [], error: err.message});
+      }
+    });
+  });
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const CustomError = require('../../utils/customError');
+const apiHandler = require('../../handler/APIHandler');
+const banManager = require('../../db/BanManager');
+const eejs = require('../../eejs');
+const padMessageHandler = require('../../handler/PadMessageHandler');
+const settings = require('../../utils/Settings');
+
+const hourMs = 60 * 60 * 1000;
+
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/admin/sessions', (req, res) => {
+    res.send(eejs.require('ep_etherpad-lite/templates/admin/sessions.html', {
+      req,
+      disableIPlogging: settings.disableIPlogging,
+      errors: [],
+    }));
+  });
+};
+
+exports.socketio = (hookName, {io}) => {
+  io.of('/sessions').on('connection', (socket) => {
+    const {session: {user: {is_admin: isAdmin} = {}} = {}} = socket.conn.request;
+    if (!isAdmin) return;
+
+    const handle = (event, fn) => socket.on(event, async (...args) => {
+      try {
+        socket.emit(`results:${event}`, {...await fn(...args), error: null});
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+        socket.emit(`results:${event}`, {error: err.message});
+      }
+    });
+
+    handle('list', async () => ({
+      sessions: await padMessageHandler.listSessions(),
+      bans: await banManager.listBans(),
+    }));
+
+    handle('kick', async (socketID) => {
+      if (!padMessageHandler.kickSession(socketID, 'kicked')) {
+        throw new CustomError('socketID is not connected', 'apierror');
+      }
+      return {socketID};
+    });
+
+    // A ban without a duration is permanent.
+    handle('ban', async ({authorID, ipRange, hours, reason}) => {
+      let until = null;
+      if (hours != null && hours !== '') {
+        hours = Number(hours);
+        if (!Number.isFinite(hours) || hours <= 0) {
+          throw new CustomError('hours must be a positive number', 'apierror');
+        }
+        until = Date.now() + hours * hourMs;
+      }
+      const ban = await banManager.addBan({
+        authorID: authorID || null,
+        ipRange: ipRange || null,
+        until,
+        reason,
+      });
+      return {ban, kicked: await padMessageHandler.kickBannedSessions()};
+    });
+
+    handle('unban', async (banID) => {
+      await banManager.removeBan(banID);
+      return {banID};
+    });
+
+    // The pad is reverted through the API handler so that the owner of the pad changes it in
+    // cluster mode.
+    handle('revert', async ({padID, authorID, startRev}) => {
+      if (typeof padID !== 'string') throw new CustomError('padID is not a string', 'apierror');
+      const {revertedRevisions} = await apiHandler.callFunction('revertAuthorChanges',
+          {padID, authorID, startRev: String(startRev)});
+      return {padID, authorID, revertedRevisions};
+    });
+  });
+};
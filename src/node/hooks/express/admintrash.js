@@ -0,0 +1,43 @@
+'use strict';
+
+const eejs = require('../../eejs');
+const settings = require('../../utils/Settings');
+const trashManager = require('../../db/TrashManager');
+
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/admin/trash', (req, res) => {
+    res.send(eejs.require('ep_etherpad-lite/templates/admin/trash.html', {
+      req,
+      trash: settings.trash,
+      errors: [],
+    }));
+  });
+};
+
+exports.socketio = (hookName, {io}) => {
+  io.of('/trash').on('connection', (socket) => {
+    const {session: {user: {is_admin: isAdmin} = {}} = {}} = socket.conn.request;
+    if (!isAdmin) return;
+
+    const handle = (event, fn) => socket.on(event, async (...args) => {
+      try {
+        socket.emit(`results:${event}`, {...await fn(...args), error: null});
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+        socket.emit(`results:${event}`, {error: err.message});
+      }
+    });
+
+    handle('list', async () => ({pads: await trashManager.listDeletedPads()}));
+
+    handle('restore', async (padID) => {
+      await trashManager.restorePad(padID);
+      return {padID};
+    });
+
+    handle('purge', async (padID) => {
+      await trashManager.purgeDeletedPad(padID);
+      return {padID};
+    });
+  });
+};
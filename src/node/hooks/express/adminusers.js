@@ -0,0 +1,56 @@
+'use strict';
+
+const eejs = require('../../eejs');
+const settings = require('../../utils/Settings');
+const userManager = require('../../db/UserManager');
+
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/admin/users', (req, res) => {
+    res.send(eejs.require('ep_etherpad-lite/templates/admin/users.html', {
+      req,
+      enabled: settings.userStore.enabled,
+      errors: [],
+    }));
+  });
+};
+
+exports.socketio = (hookName, {io}) => {
+  io.of('/users').on('connection', (socket) => {
+    const {session: {user: {is_admin: isAdmin} = {}} = {}} = socket.conn.request;
+    if (!isAdmin) return;
+
+    const sendUsers = async () => {
+      const {users} = await userManager.listUsers();
+      socket.emit('results:users', {users});
+    };
+
+    // Runs an action that may fail because of invalid input. The result (or the error message) is
+    // sent back to the admin as `finished:<name>`.
+    const handle = (name, action) => socket.on(name, async (...args) => {
+      try {
+        const result = await action(...args);
+        socket.emit(`finished:${name}`, {...result, error: null});
+        await sendUsers();
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+        socket.emit(`finished:${name}`, {error: err.message});
+      }
+    });
+
+    socket.on('load', async () => {
+      try {
+        await sendUsers();
+      } catch (err) {
+        console.error(err.stack || err.toString());
+      }
+    });
+
+    handle('create', async ({username, password, ...options}) => {
+      const {is_admin: isAdmin, readOnly} = options;
+      return await userManager.createUser(username, password, {is_admin: isAdmin, readOnly});
+    });
+    handle('reset', async (username) => await userManager.resetPassword(username));
+    handle('disable', async (username) => await userManager.setDisabled(username, true));
+    handle('enable', async (username) => await userManager.setDisabled(username, false));
+  });
+};
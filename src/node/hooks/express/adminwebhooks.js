@@ -0,0 +1,63 @@
+'use strict';
+
+const eejs = require('../../eejs');
+const webhookManager = require('../../db/WebhookManager');
+
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/admin/webhooks', (req, res) => {
+    res.send(eejs.require('ep_etherpad-lite/templates/admin/webhooks.html', {
+      req,
+      events: webhookManager.events,
+      errors: [],
+    }));
+  });
+};
+
+exports.socketio = (hookName, {io}) => {
+  io.of('/webhooks').on('connection', (socket) => {
+    const {session: {user: {is_admin: isAdmin} = {}} = {}} = socket.conn.request;
+    if (!isAdmin) return;
+
+    const sendWebhooks = async () => {
+      const {webhooks} = await webhookManager.listWebhooks();
+      socket.emit('results:webhooks', {webhooks});
+    };
+
+    socket.on('load', async () => {
+      try {
+        await sendWebhooks();
+      } catch (err) {
+        console.error(err.stack || err.toString());
+      }
+    });
+
+    socket.on('create', async ({url, events, secret}) => {
+      try {
+        const result = await webhookManager.createWebhook(url, events, secret);
+        socket.emit('finished:create', {...result, error: null});
+        await sendWebhooks();
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+        socket.emit('finished:create', {error: err.message});
+      }
+    });
+
+    socket.on('delete', async (webhookID) => {
+      try {
+        await webhookManager.deleteWebhook(webhookID);
+        await sendWebhooks();
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+      }
+    });
+
+    socket.on('deliveries', async (webhookID) => {
+      try {
+        const {deliveries} = await webhookManager.listWebhookDeliveries(webhookID);
+        socket.emit('results:deliveries', {webhookID, deliveries});
+      } catch (err) {
+        if (err.name !== 'apierror') console.error(err.stack || err.toString());
+      }
+    });
+  });
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+const api = require('../../db/API');
+const authorManager = require('../../db/AuthorManager');
+const eejs = require('../../eejs');
+const hasPadAccess = require('../../padaccess');
+const readOnlyManager = require('../../db/ReadOnlyManager');
+const securityManager = require('../../db/SecurityManager');
+
+// Text attributes that are shown in the compare view.
+const styleAttribs = ['bold', 'italic', 'underline', 'strikethrough'];
+
+const getPadID = async (id) => readOnlyManager.isReadOnlyId(id)
+  ? await readOnlyManager.getPadId(id) : id;
+
+const describeAttribs = (attribs) => Object.entries(attribs)
+    .filter(([key]) => key !== 'author')
+    .map(([key, value]) => `${key}=${value}`)
+    .join(', ');
+
+// Turns the hunks into the spans of the old (left) and new (right) version, and of the inline
+// view.
+const getSpans = async (hunks) => {
+  const names = new Map();
+  const authorName = async (authorID) => {
+    if (authorID == null) return '';
+    if (!names.has(authorID)) names.set(authorID, await authorManager.getAuthorName(authorID));
+    return names.get(authorID) || authorID;
+  };
+  const left = [];
+  const right = [];
+  const inline = [];
+  for (const {type, text, attribs, author, oldAttribs} of hunks) {
+    const span = (attribs, title) => ({
+      type,
+      text,
+      classes: styleAttribs.filter((key) => attribs[key]).map((key) => `attr-${key}`),
+      title,
+    });
+    const name = await authorName(author);
+    if (type === 'format') {
+      left.push(span(oldAttribs, describeAttribs(oldAttribs)));
+      right.push(span(attribs, describeAttribs(attribs)));
+      inline.push(span(attribs, `${describeAttribs(oldAttribs)} → ${describeAttribs(attribs)}`));
+    } else {
+      if (type !== 'insert') left.push(span(attribs, type === 'delete' ? name : ''));
+      if (type !== 'delete') right.push(span(attribs, type === 'insert' ? name : ''));
+      inline.push(span(attribs, type === 'equal' ? '' : name));
+    }
+  }
+  return {left, right, inline};
+};
+
+exports.expressCreateServer = (hookName, {app}) => {
+  // serve the compare view under /p/$padname/compare/$startRev/$endRev
+  app.get('/p/:pad/compare/:startRev(\\d+)/:endRev(\\d+)', (req, res, next) => {
+    (async () => {
+      if (!await hasPadAccess(req, res)) return;
+      const endID = typeof req.query.with === 'string' && req.query.with ? req.query.with : null;
+      if (endID != null) {
+        const {session: {user} = {}} = req;
+        const {accessStatus} = await securityManager.checkAccess(
+            endID, req.cookies.sessionID, req.cookies.token, user, req.ip);
+        if (accessStatus !== 'grant') return res.status(403).send("403 - Can't touch this");
+      }
+      const padID = await getPadID(req.params.pad);
+      const endPadID = endID == null ? null : await getPadID(endID);
+      if (padID == null || (endID != null && endPadID == null)) return next();
+      const {startRev, endRev} = req.params;
+      let diff;
+      try {
+        diff = await api.createDiffJSON(padID, startRev, endRev, endPadID);
+      } catch (err) {
+        if (err.name !== 'apierror') throw err;
+        // The pad does not exist or the revision is too high.
+        return next();
+      }
+      const mode = req.query.mode === 'inline' ? 'inline' : 'side-by-side';
+      res.send(eejs.require('ep_etherpad-lite/templates/compare.html', {
+        req,
+        // The IDs in the URL are shown so that read-only users do not see the read-write IDs.
+        startPad: req.params.pad,
+        endPad: endID || req.params.pad,
+        startRev,
+        endRev,
+        mode,
+        hunks: diff.hunks,
+        ...await getSpans(diff.hunks),
+      }));
+    })().catch((err) => next(err || new Error(err)));
+  });
+};
@@ -23,11 +23,15 @@ exports.expressCreateServer = (hookName, args, cb) => {
   args.app.use('/p/:pad/:rev?/export/:type', limiter);
   args.app.get('/p/:pad/:rev?/export/:type', (req, res, next) => {
     (async () => {
-      const types = ['pdf', 'doc', 'txt', 'html', 'odt', 'etherpad'];
+      const types = [
+        'pdf', 'doc', 'txt', 'html', 'odt', 'etherpad', 'markdown', 'history.jsonl', 'history.html',
+      ];
       // send a 404 if we don't support this filetype
       if (types.indexOf(req.params.type) === -1) {
         return next();
       }
+      // The history exports select their revisions with the start and end query parameters.
+      if (req.params.type.startsWith('history.') && req.params.rev != null) return next();
 
       // if abiword is disabled, and this is a format we only support with abiword, output a message
       if (settings.exportAvailable() === 'no' &&
@@ -70,9 +74,10 @@ exports.expressCreateServer = (hookName, args, cb) => {
   args.app.post('/p/:pad/import', (req, res, next) => {
     (async () => {
       const {session: {user} = {}} = req;
-      const {accessStatus} = await securityManager.checkAccess(
-          req.params.pad, req.cookies.sessionID, req.cookies.token, user);
-      if (accessStatus !== 'grant' || !webaccess.userCanModify(req.params.pad, req)) {
+      const {accessStatus, role} = await securityManager.checkAccess(
+          req.params.pad, req.cookies.sessionID, req.cookies.token, user, req.ip);
+      if (accessStatus !== 'grant' || !securityManager.roleCanEdit(role) ||
+          !webaccess.userCanModify(req.params.pad, req)) {
         return res.status(403).send('Forbidden');
       }
       await importHandler.doImport(req, res, req.params.pad);
@@ -0,0 +1,83 @@
+'use strict';
+
+const eejs = require('../../eejs');
+const express = require('express');
+const mergeManager = require('../../db/MergeManager');
+const padManager = require('../../db/PadManager');
+const readOnlyManager = require('../../db/ReadOnlyManager');
+const securityManager = require('../../db/SecurityManager');
+const webaccess = require('./webaccess');
+
+// Returns null if the user may not access the pad, otherwise whether the user may modify it.
+const getAccess = async (req, padID) => {
+  const {session: {user} = {}} = req;
+  const {accessStatus, role} = await securityManager.checkAccess(
+      padID, req.cookies.sessionID, req.cookies.token, user, req.ip);
+  if (accessStatus !== 'grant') return null;
+  return {canModify: securityManager.roleCanEdit(role) && webaccess.userCanModify(padID, req)};
+};
+
+const handleRequest = async (req, res, next) => {
+  const sourceID = req.params.pad;
+  // The merge page is only linked from the read-write pad.
+  if (readOnlyManager.isReadOnlyId(sourceID) || !await padManager.doesPadExist(sourceID)) {
+    return next();
+  }
+  const sourceAccess = await getAccess(req, sourceID);
+  if (sourceAccess == null) return res.status(403).send("403 - Can't touch this");
+  const source = await padManager.getPad(sourceID);
+  if (source.forkedFrom == null) return next();
+  const targetID = source.forkedFrom.padID;
+  if (!await padManager.doesPadExist(targetID)) return next();
+  const targetAccess = await getAccess(req, targetID);
+  if (targetAccess == null) return res.status(403).send("403 - Can't touch this");
+  const target = await padManager.getPad(targetID);
+  const canMerge = sourceAccess.canModify && targetAccess.canModify;
+
+  let error = null;
+  if (req.method === 'POST') {
+    if (!canMerge) return res.status(403).send('Forbidden');
+    const {body} = req;
+    // The conflicts are resolved by their index, so they must not have changed since they were
+    // shown.
+    if (body.sourceRev !== `${source.getHeadRevisionNumber()}` ||
+        body.targetRev !== `${target.getHeadRevisionNumber()}`) {
+      error = 'changed';
+    } else {
+      const resolutions = [...Array(Number(body.conflicts) || 0).keys()]
+          .map((i) => body[`resolution${i}`]);
+      const {session: {user} = {}} = req;
+      const {authorID} = await securityManager.checkAccess(
+          targetID, req.cookies.sessionID, req.cookies.token, user, req.ip);
+      try {
+        await mergeManager.merge(source, target, resolutions, authorID || '');
+        return res.redirect(303, `../${encodeURIComponent(targetID)}`);
+      } catch (err) {
+        if (err.name !== 'apierror') throw err;
+        error = 'changed';
+      }
+    }
+  }
+
+  const {changes, conflicts} = await mergeManager.getMerge(source, target);
+  res.send(eejs.require('ep_etherpad-lite/templates/merge.html', {
+    req,
+    sourceID,
+    targetID,
+    sourceRev: source.getHeadRevisionNumber(),
+    targetRev: target.getHeadRevisionNumber(),
+    changes,
+    conflicts,
+    canMerge,
+    error,
+  }));
+};
+
+exports.expressCreateServer = (hookName, {app}) => {
+  // serve the merge page of a fork under /p/$padname/merge
+  const handler = (req, res, next) => {
+    handleRequest(req, res, next).catch((err) => next(err || new Error(err)));
+  };
+  app.get('/p/:pad/merge', handler);
+  app.post('/p/:pad/merge', express.urlencoded({extended: false}), handler);
+};
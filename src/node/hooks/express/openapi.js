@@ -53,6 +53,39 @@ const APIPathStyle = {
   REST: 'rest', // restful paths e.g. /rest/group/create
 };
 
+// The properties of the TokenInfo schema. getAPITokenInfo returns them directly in `data`.
+const tokenInfoProperties = {
+  tokenID: {
+    type: 'string',
+  },
+  name: {
+    type: 'string',
+  },
+  scopes: {
+    type: 'array',
+    items: {type: 'string'},
+  },
+  groupID: {
+    type: 'string',
+    nullable: true,
+  },
+  validUntil: {
+    type: 'integer',
+    nullable: true,
+  },
+  created: {
+    type: 'integer',
+  },
+  lastUsed: {
+    type: 'integer',
+    nullable: true,
+  },
+  revoked: {
+    type: 'integer',
+    nullable: true,
+  },
+};
+
 // API resources - describe your API endpoints here
 const resources = {
   // Group
@@ -92,6 +125,24 @@ const resources = {
       summary: '',
       responseSchema: {groupIDs: {type: 'array', items: {type: 'string'}}},
     },
+    getRetentionPolicy: {
+      operationId: 'getGroupRetentionPolicy',
+      summary: 'returns the history retention policy of the pads of this group',
+      responseSchema: {retentionPolicy: {type: 'object'}},
+    },
+    setRetentionPolicy: {
+      operationId: 'setGroupRetentionPolicy',
+      summary: 'sets the history retention policy of the pads of this group',
+    },
+    getExpiryPolicy: {
+      operationId: 'getGroupExpiryPolicy',
+      summary: 'returns the expiry policy of the pads of this group',
+      responseSchema: {expiryPolicy: {type: 'object'}},
+    },
+    setExpiryPolicy: {
+      operationId: 'setGroupExpiryPolicy',
+      summary: 'sets the expiry policy of the pads of this group',
+    },
   },
 
   // Author
@@ -145,6 +196,53 @@ const resources = {
     },
   },
 
+  // API token
+  apiToken: {
+    create: {
+      operationId: 'createAPIToken',
+      summary: 'creates a new scoped API token. scopes is a comma-separated list of read, ' +
+          'write and admin',
+      responseSchema: {tokenID: {type: 'string'}, token: {type: 'string'}},
+    },
+    list: {
+      operationId: 'listAPITokens',
+      summary: 'returns all API tokens (without their secrets)',
+      responseSchema: {tokens: {type: 'array', items: {$ref: '#/components/schemas/TokenInfo'}}},
+    },
+    info: {
+      operationId: 'getAPITokenInfo',
+      summary: 'returns information about an API token',
+      responseSchema: tokenInfoProperties,
+    },
+    revoke: {
+      operationId: 'revokeAPIToken',
+      summary: 'revokes an API token',
+    },
+  },
+
+  // Webhook
+  webhook: {
+    create: {
+      operationId: 'createWebhook',
+      summary: 'registers a webhook. events is a comma-separated list of events (default: all)',
+      responseSchema: {webhookID: {type: 'string'}, secret: {type: 'string'}},
+    },
+    list: {
+      operationId: 'listWebhooks',
+      summary: 'returns all webhooks (without their secrets)',
+      responseSchema: {webhooks: {type: 'array', items: {type: 'object'}}},
+    },
+    delete: {
+      operationId: 'deleteWebhook',
+      summary: 'deletes a webhook',
+    },
+    listDeliveries: {
+      operationId: 'listWebhookDeliveries',
+      summary: 'returns the most recent delivery attempts of a webhook',
+      responseSchema: {deliveries: {type: 'array', items: {type: 'object'}}},
+    },
+  },
+
   // Pad
   pad: {
     listAll: {
@@ -152,11 +250,75 @@ const resources = {
       summary: 'list all the pads',
       responseSchema: {padIDs: {type: 'array', items: {type: 'string'}}},
     },
+    search: {
+      operationId: 'searchPads',
+      summary: 'searches the text of all pads (or the pads of a group)',
+      responseSchema: {results: {type: 'array', items: {type: 'object'}}},
+    },
     createDiffHTML: {
       operationId: 'createDiffHTML',
       summary: '',
       responseSchema: {},
     },
+    createDiffJSON: {
+      operationId: 'createDiffJSON',
+      summary: 'compares two revisions of a pad, or revisions of two pads',
+      responseSchema: {
+        hunks: {type: 'array', items: {type: 'object'}},
+        authors: {type: 'array', items: {type: 'string'}},
+      },
+    },
+    fork: {
+      operationId: 'forkPad',
+      summary: 'copies a pad without its history and records it as a fork of the pad',
+      responseSchema: {padID: {type: 'string'}},
+    },
+    getMergeConflicts: {
+      operationId: 'getMergeConflicts',
+      summary: 'returns the conflicts of merging a fork into the pad it was forked from',
+      responseSchema: {
+        changes: {type: 'integer'},
+        conflicts: {type: 'array', items: {type: 'object'}},
+      },
+    },
+    revertAuthorChanges: {
+      operationId: 'revertAuthorChanges',
+      summary: 'reverts the changes of an author and keeps the changes of the other authors',
+      responseSchema: {revertedRevisions: {type: 'integer'}},
+    },
+    merge: {
+      operationId: 'mergePad',
+      summary: 'merges the changes of a fork into the pad it was forked from',
+      responseSchema: {
+        rev: {type: 'integer'},
+        changes: {type: 'integer'},
+        conflicts: {type: 'integer'},
+      },
+    },
+    compact: {
+      operationId: 'compactPad',
+      summary: 'squashes the old revisions of a pad into its first revision',
+      responseSchema: {removedRevisions: {type: 'integer'}},
+    },
+    getExpiry: {
+      operationId: 'getPadExpiry',
+      summary: 'returns when a pad will be deleted automatically',
+      responseSchema: {exempt: {type: 'boolean'}, expiry: {type: 'object'}},
+    },
+    setExpiryExempt: {
+      operationId: 'setPadExpiryExempt',
+      summary: 'exempts a pad from automatic deletion',
+    },
+    listExpiring: {
+      operationId: 'listExpiringPads',
+      summary: 'lists the pads that will be deleted automatically within a number of days',
+      responseSchema: {pads: {type: 'array', items: {type: 'object'}}},
+    },
+    expire: {
+      operationId: 'expirePads',
+      summary: 'deletes the expired pads that have no users',
+      responseSchema: {pads: {type: 'array', items: {type: 'object'}}},
+    },
     create: {
       operationId: 'createPad',
       description:
@@ -181,6 +343,15 @@ const resources = {
       operationId: 'setHTML',
       summary: 'sets the text of a pad with HTML',
     },
+    getMarkdown: {
+      operationId: 'getMarkdown',
+      summary: 'returns the text of a pad formatted as Markdown',
+      responseSchema: {markdown: {type: 'string'}},
+    },
+    setMarkdown: {
+      operationId: 'setMarkdown',
+      summary: 'sets the text of a pad with Markdown',
+    },
     getRevisionsCount: {
       operationId: 'getRevisionsCount',
       summary: 'returns the number of revisions of this pad',
@@ -193,7 +364,20 @@ const resources = {
     },
     delete: {
       operationId: 'deletePad',
-      summary: 'deletes a pad',
+      summary: 'deletes a pad (moves it to the trash)',
+    },
+    listDeleted: {
+      operationId: 'listDeletedPads',
+      summary: 'lists the pads in the trash',
+      responseSchema: {pads: {type: 'array', items: {type: 'object'}}},
+    },
+    restore: {
+      operationId: 'restorePad',
+      summary: 'restores a pad from the trash',
+    },
+    purge: {
+      operationId: 'purgePad',
+      summary: 'permanently deletes a pad and its copy in the trash',
     },
     getReadOnlyID: {
       operationId: 'getReadOnlyID',
@@ -209,6 +393,37 @@ const resources = {
       summary: 'return true of false',
       responseSchema: {publicStatus: {type: 'boolean'}},
     },
+    getACL: {
+      operationId: 'getPadACL',
+      summary: 'returns the access control list of a pad',
+      responseSchema: {acl: {type: 'object'}},
+    },
+    grantAccess: {
+      operationId: 'grantPadAccess',
+      summary: 'grants a role to an author, group or user in the access control list of a pad',
+    },
+    revokeAccess: {
+      operationId: 'revokePadAccess',
+      summary: 'removes an author, group or user from the access control list of a pad',
+    },
+    createFromTemplate: {
+      operationId: 'createPadFromTemplate',
+      summary: 'creates a new pad with the text and formatting of a template pad',
+      responseSchema: {padID: {type: 'string'}},
+    },
+    setTemplate: {
+      operationId: 'setPadTemplate',
+      summary: 'makes a pad a template with the given name',
+    },
+    unsetTemplate: {
+      operationId: 'unsetPadTemplate',
+      summary: 'turns a template back into a regular pad',
+    },
+    listTemplates: {
+      operationId: 'listPadTemplates',
+      summary: 'lists the global templates or the templates of a group',
+      responseSchema: {templates: {type: 'array', items: {type: 'object'}}},
+    },
     authors: {
       operationId: 'listAuthorsOfPad',
       summary: 'returns an array of authors who contributed to this pad',
@@ -248,6 +463,91 @@ const resources = {
       summary: 'appends a chat message',
     },
   },
+
+  // Comment
+  comment: {
+    list: {
+      operationId: 'listComments',
+      summary: 'returns the comments of a pad with their replies',
+      responseSchema: {comments: {type: 'array', items: {type: 'object'}}},
+    },
+    get: {
+      operationId: 'getComment',
+      summary: 'returns a comment with its replies',
+      responseSchema: {comment: {type: 'object'}},
+    },
+    create: {
+      operationId: 'createComment',
+      summary: 'adds a comment anchored to a range of the pad text',
+      responseSchema: {commentID: {type: 'string'}},
+    },
+    update: {
+      operationId: 'updateComment',
+      summary: 'changes the text of a comment',
+    },
+    delete: {
+      operationId: 'deleteComment',
+      summary: 'deletes a comment and removes its anchors',
+    },
+    resolve: {
+      operationId: 'resolveComment',
+      summary: 'marks a comment as resolved',
+    },
+    reopen: {
+      operationId: 'reopenComment',
+      summary: 'marks a resolved comment as unresolved',
+    },
+    createReply: {
+      operationId: 'createCommentReply',
+      summary: 'adds a reply to a comment',
+      responseSchema: {replyID: {type: 'string'}},
+    },
+    updateReply: {
+      operationId: 'updateCommentReply',
+      summary: 'changes the text of a reply',
+    },
+    deleteReply: {
+      operationId: 'deleteCommentReply',
+      summary: 'deletes a reply',
+    },
+  },
+
+  // Suggestion
+  suggestion: {
+    list: {
+      operationId: 'listSuggestions',
+      summary: 'returns the suggested changes of a pad',
+      responseSchema: {suggestions: {type: 'array', items: {type: 'object'}}},
+    },
+    accept: {
+      operationId: 'acceptSuggestion',
+      summary: 'applies a suggested change',
+    },
+    reject: {
+      operationId: 'rejectSuggestion',
+      summary: 'discards a suggested change',
+    },
+    acceptAll: {
+      operationId: 'acceptAllSuggestions',
+      summary: 'applies all suggested changes',
+    },
+    rejectAll: {
+      operationId: 'rejectAllSuggestions',
+      summary: 'discards all suggested changes',
+    },
+  },
+
+  // Batch
+  batch: {
+    run: {
+      operationId: 'batch',
+      summary: 'calls several API functions in one request',
+      responseSchema: {
+        results: {type: 'array', items: {type: 'object'}},
+        rolledBack: {type: 'boolean'},
+      },
+    },
+  },
 };
 
 const defaultResponses = {
@@ -457,6 +757,10 @@ const generateDefinitionForVersion = (version, style = APIPathStyle.FLAT) => {
             },
           },
         },
+        TokenInfo: {
+          type: 'object',
+          properties: tokenInfoProperties,
+        },
         Message: {
           type: 'object',
           properties: {
@@ -577,17 +881,25 @@ exports.expressPreSession = async (hookName, {app}) => {
         quick: !isLatestAPIVersion,
       });
 
+      // The operation handlers, by operation ID. They are called by the notImplemented handler
+      // instead of being registered with api.register() because openapi-backend looks up the
+      // operation of each registered handler in a list of all operations, which makes startup take
+      // several seconds with all API versions.
+      const handlers = new Map();
+
       // register default handlers
       api.register({
         notFound: () => {
           throw new createHTTPError.NotFound('no such function');
         },
-        notImplemented: () => {
-          throw new createHTTPError.NotImplemented('function not implemented');
+        notImplemented: (c, ...args) => {
+          const handler = handlers.get(c.operation.operationId);
+          if (handler == null) throw new createHTTPError.NotImplemented('function not implemented');
+          return handler(c, ...args);
         },
       });
 
-      // register operation handlers
+      // create operation handlers
       for (const funcName of Object.keys(apiHandler.version[version])) {
         const handler = async (c, req, res) => {
           // parse fields from request
@@ -640,8 +952,8 @@ exports.expressPreSession = async (hookName, {app}) => {
         };
 
         // each operation can be called with either GET or POST
-        api.register(`${funcName}UsingGET`, handler);
-        api.register(`${funcName}UsingPOST`, handler);
+        handlers.set(`${funcName}UsingGET`, handler);
+        handlers.set(`${funcName}UsingPOST`, handler);
       }
 
       // start and bind to express
@@ -0,0 +1,256 @@
+'use strict';
+/**
+ * The streamPadChanges HTTP API function: streams the revisions of a pad as Server-Sent Events
+ * (https://html.spec.whatwg.org/multipage/server-sent-events.html). Each revision is an event with
+ * the revision number as its ID, so EventSource clients resume where they left off after a
+ * reconnect (they send the Last-Event-ID header). New revisions are sent when the padCreate and
+ * padUpdate hooks report them. The streams of a pad end when its history is compacted because the
+ * revision numbers change.
+ *
+ * In cluster mode (see hooks/cluster.js), the hooks only run on the node that owns the pad. A node
+ * with streams of a pad that is owned by another node "watches" the pad: it registers with the
+ * owner, which then tells it about new revisions over the cluster bus. The watches are renewed
+ * periodically, so a node that finds that the pad has a new owner registers with the new owner and
+ * sends the revisions that it has missed in the meantime.
+ */
+
+const apiHandler = require('../../handler/APIHandler');
+const cluster = require('../cluster');
+const CustomError = require('../../utils/customError');
+const createHTTPError = require('http-errors');
+const log4js = require('log4js');
+const padManager = require('../../db/PadManager');
+const settings = require('../../utils/Settings');
+
+const logger = log4js.getLogger('API');
+
+// Comments are sent this often so that proxies do not close idle streams.
+const keepAliveInterval = 30000;
+
+// The open streams, by pad ID.
+const streams = new Map();
+// The owners of the pads that this node watches, by pad ID.
+const watched = new Map();
+// The nodes that watch the pads of this node: pad ID -> Map of node ID -> expiry time.
+const watchers = new Map();
+let watchTimer = null;
+
+// Returns the pad. The pads that are owned by other nodes are reloaded because this node does not
+// see their changes.
+const getPad = async (padID) => {
+  if (watched.has(padID)) padManager.unloadPad(padID);
+  return await padManager.getPad(padID);
+};
+
+class PadChangesStream {
+  constructor(padID, res, since, withText) {
+    this.padID = padID;
+    this._res = res;
+    this._rev = since;
+    this._withText = withText;
+    this._sending = null;
+    this._keepAlive = setInterval(() => res.write(': keep-alive\n\n'), keepAliveInterval);
+  }
+
+  _send(event, data, id = null) {
+    let msg = '';
+    if (id != null) msg += `id: ${id}\n`;
+    if (event != null) msg += `event: ${event}\n`;
+    this._res.write(`${msg}data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Sends the revisions that the client does not have yet. The revisions are read one at a time so
+  // that a client that asks for the whole history does not make the server load it all at once.
+  async _sendRevisions() {
+    const pad = await getPad(this.padID);
+    while (!this._res.writableEnded && this._rev < pad.getHeadRevisionNumber()) {
+      const rev = this._rev + 1;
+      const {changeset, meta: {author, timestamp}} = await pad.getRevision(rev);
+      const data = {padID: this.padID, rev, changeset, author: author || null, timestamp};
+      if (this._withText) data.text = (await pad.getInternalRevisionAText(rev)).text;
+      if (this._res.writableEnded) return;
+      this._send(null, data, rev);
+      this._rev = rev;
+    }
+  }
+
+  /**
+   * Sends the new revisions of the pad, after the revisions that are already being sent.
+   */
+  update() {
+    const p = (this._sending || Promise.resolve()).then(() => this._sendRevisions());
+    this._sending = p.catch((err) => {
+      logger.error(`Failed to stream the changes of pad ${this.padID}: ${err.stack || err}`);
+      this.end();
+    });
+  }
+
+  end(event = null) {
+    clearInterval(this._keepAlive);
+    if (this._res.writableEnded) return;
+    if (event != null) this._send(event, {padID: this.padID});
+    this._res.end();
+  }
+}
+
+// Sends an error in the format of the other HTTP API functions.
+const sendError = (res, err) => {
+  if (createHTTPError.isHttpError(err)) {
+    res.status(err.statusCode).json({code: err.statusCode === 404 ? 3 : 4, message: err.message,
+      data: null});
+  } else if (err.name === 'apierror') {
+    res.json({code: 1, message: err.message, data: null});
+  } else {
+    logger.error(err.stack || err.toString());
+    res.status(500).json({code: 2, message: 'internal error', data: null});
+  }
+};
+
+const update = (padID) => {
+  for (const stream of streams.get(padID) || []) stream.update();
+};
+
+const endStreams = (padID, event) => {
+  for (const stream of streams.get(padID) || []) stream.end(event);
+  streams.delete(padID);
+  watched.delete(padID);
+};
+
+// Registers the streams of a pad with its owner if it is owned by another node.
+const watch = async (padID) => {
+  const owner = await cluster.getOwner(padID);
+  const previous = watched.get(padID);
+  if (owner === cluster.nodeId) {
+    watched.delete(padID);
+  } else {
+    await cluster.request(owner, {type: 'padChangesWatch', padID});
+    watched.set(padID, owner);
+  }
+  // The old owner did not report the revisions that were made after it lost the pad.
+  if (previous != null && previous !== owner) update(padID);
+};
+
+const scheduleWatches = () => {
+  if (watchTimer != null) return;
+  watchTimer = setTimeout(async () => {
+    await Promise.all([...streams.keys()].map(async (padID) => {
+      try {
+        await watch(padID);
+      } catch (err) {
+        logger.warn(`Failed to watch the changes of pad ${padID}: ${err.message}`);
+      }
+    }));
+    watchTimer = null;
+    if (streams.size > 0 && cluster.isEnabled()) scheduleWatches();
+  }, settings.cluster.leaseDuration / 3);
+};
+
+// Tells the nodes that watch a pad about new revisions (event null) or that the streams end.
+const notifyWatchers = (padID, event = null) => {
+  const padWatchers = watchers.get(padID);
+  if (padWatchers == null) return;
+  for (const [nodeId, expires] of padWatchers) {
+    if (expires <= Date.now()) {
+      padWatchers.delete(nodeId);
+      continue;
+    }
+    cluster.request(nodeId, {type: 'padChanges', padID, event}).catch((err) => {
+      logger.warn(`Failed to send the changes of pad ${padID} to cluster node ${nodeId}: ` +
+                  `${err.message}`);
+      padWatchers.delete(nodeId);
+    });
+  }
+  if (padWatchers.size === 0 || event != null) watchers.delete(padID);
+};
+
+cluster.handle('padChangesWatch', ({padID}, from) => {
+  if (!watchers.has(padID)) watchers.set(padID, new Map());
+  watchers.get(padID).set(from, Date.now() + settings.cluster.leaseDuration);
+});
+
+cluster.handle('padChanges', ({padID, event}) => {
+  if (event == null) update(padID);
+  else endStreams(padID, event);
+});
+
+const handleRequest = async (req, res) => {
+  const fields = {...req.query};
+  await apiHandler.checkCall(req.params.version, 'streamPadChanges', fields);
+  const {padID} = fields;
+  if (typeof padID !== 'string' || !await padManager.doesPadExist(padID)) {
+    throw new CustomError('padID does not exist', 'apierror');
+  }
+  if (cluster.isEnabled()) await watch(padID);
+  const pad = await getPad(padID);
+  // Clients that reconnect send the ID of the last event they got.
+  let since = req.get('Last-Event-ID') || fields.since;
+  if (since == null || since === '') {
+    since = pad.getHeadRevisionNumber();
+  } else {
+    since = Number(since);
+    if (!Number.isInteger(since) || since < -1) {
+      throw new CustomError('since is not a valid revision number', 'apierror');
+    }
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Tell nginx not to buffer the stream.
+  });
+  // Send the headers now, before the first event, so that the client knows the stream is open.
+  res.flushHeaders();
+  const stream = new PadChangesStream(padID, res, since, ['true', '1'].includes(fields.text));
+  if (!streams.has(padID)) streams.set(padID, new Set());
+  streams.get(padID).add(stream);
+  req.on('close', () => {
+    stream.end();
+    const padStreams = streams.get(padID);
+    if (padStreams == null) return;
+    padStreams.delete(stream);
+    if (padStreams.size > 0) return;
+    streams.delete(padID);
+    watched.delete(padID);
+  });
+  if (cluster.isEnabled()) scheduleWatches();
+  stream.update();
+};
+
+exports.expressPreSession = async (hookName, {app}) => {
+  // This must be registered before the routes of the other API functions (see hooks/express/
+  // openapi.js), which would answer with JSON.
+  const paths = ['/api/:version/streamPadChanges', '/rest/:version/streamPadChanges'];
+  const handler = (req, res) => {
+    handleRequest(req, res).catch((err) => {
+      if (res.headersSent) return res.end();
+      sendError(res, err);
+    });
+  };
+  app.get(paths, handler);
+  app.post(paths, handler);
+};
+
+exports.expressCloseServer = async (hookName, context) => {
+  clearTimeout(watchTimer);
+  watchTimer = null;
+  for (const padStreams of streams.values()) {
+    for (const stream of padStreams) stream.end();
+  }
+  streams.clear();
+  watched.clear();
+  watchers.clear();
+};
+
+const padChanged = (padID, event = null) => {
+  if (event == null) update(padID);
+  else endStreams(padID, event);
+  notifyWatchers(padID, event);
+};
+
+exports.padCreate = (hookName, {pad}) => padChanged(pad.id);
+
+exports.padUpdate = (hookName, {pad}) => padChanged(pad.id);
+
+exports.padRemove = (hookName, {padID}) => padChanged(padID, 'padRemoved');
+
+exports.padCompact = (hookName, {pad}) => padChanged(pad.id, 'padCompacted');
@@ -0,0 +1,36 @@
+'use strict';
+
+const readOnlyManager = require('../../db/ReadOnlyManager');
+const searchManager = require('../../db/SearchManager');
+const securityManager = require('../../db/SecurityManager');
+const settings = require('../../utils/Settings');
+
+// The search box of the index page. Only pads the user can access are returned, and only their
+// read-only IDs: users must not learn a pad's ID (and with it write access) just because they know
+// some of its text.
+exports.expressCreateServer = (hookName, {app}) => {
+  app.get('/search', (req, res, next) => {
+    if (!settings.search.enabled || !settings.search.indexPage) return next();
+    (async () => {
+      const {session: {user} = {}} = req;
+      const canRead = async (padID) => {
+        const {accessStatus} =
+            await securityManager.checkAccess(padID, req.cookies.sessionID, null, user, req.ip);
+        return accessStatus === 'grant';
+      };
+      let results;
+      try {
+        results = await searchManager.search(req.query.query, {filter: canRead, limit: 20});
+      } catch (err) {
+        if (err.name !== 'apierror') throw err;
+        return res.status(400).json({error: err.message});
+      }
+      res.json({
+        results: await Promise.all(results.map(async ({padID, snippet}) => ({
+          readOnlyID: await readOnlyManager.getReadOnlyId(padID),
+          snippet,
+        }))),
+      });
+    })().catch((err) => next(err || new Error(err)));
+  });
+};
@@ -7,6 +7,7 @@ const fsp = fs.promises;
 const toolbar = require('../../utils/toolbar');
 const hooks = require('../../../static/js/pluginfw/hooks');
 const settings = require('../../utils/Settings');
+const templateManager = require('../../db/TemplateManager');
 const util = require('util');
 const webaccess = require('./webaccess');
 
@@ -25,6 +26,22 @@ exports.expressPreSession = async (hookName, {app}) => {
     res.json(require('../../stats').toJSON());
   });
 
+  if (settings.metrics.enabled) {
+    // Scrapers authenticate with their own token (if any) rather than with the admin credentials.
+    app.get('/metrics', (req, res) => {
+      const metrics = require('../../metrics');
+      if (!metrics.isAuthorized(req)) {
+        res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+        return res.status(401).send('Authentication Required');
+      }
+      const openMetrics = (req.get('Accept') || '').includes('application/openmetrics-text');
+      res.type(openMetrics
+        ? 'application/openmetrics-text; version=1.0.0'
+        : 'text/plain; version=0.0.4');
+      res.send(metrics.render(openMetrics));
+    });
+  }
+
   app.get('/javascript', (req, res) => {
     res.send(eejs.require('ep_etherpad-lite/templates/javascript.html', {req}));
   });
@@ -71,8 +88,11 @@ exports.expressPreSession = async (hookName, {app}) => {
 
 exports.expressCreateServer = (hookName, args, cb) => {
   // serve index.html under /
-  args.app.get('/', (req, res) => {
-    res.send(eejs.require('ep_etherpad-lite/templates/index.html', {req}));
+  args.app.get('/', (req, res, next) => {
+    (async () => {
+      const templates = await templateManager.listTemplates();
+      res.send(eejs.require('ep_etherpad-lite/templates/index.html', {req, templates}));
+    })().catch((err) => next(err || new Error(err)));
   });
 
   // serve pad.html under /p
@@ -5,7 +5,9 @@ const log4js = require('log4js');
 const httpLogger = log4js.getLogger('http');
 const settings = require('../../utils/Settings');
 const hooks = require('../../../static/js/pluginfw/hooks');
+const password = require('../../utils/password');
 const readOnlyManager = require('../../db/ReadOnlyManager');
+const userManager = require('../../db/UserManager');
 
 hooks.deprecationNotices.authFailure = 'use the authnFailure and authzFailure hooks instead';
 
@@ -45,6 +47,24 @@ exports.userCanModify = (padId, req) => {
 // Exported so that tests can set this to 0 to avoid unnecessary test slowness.
 exports.authnFailureDelayMs = 1000;
 
+// Default HTTP basic authentication against settings.users and (if enabled) the user store.
+// Returns the user settings object to store in the session, or null.
+const authenticateBasic = async (username, pw) => {
+  if (Object.prototype.hasOwnProperty.call(settings.users, username)) {
+    const user = settings.users[username];
+    if (!(await password.check(user, pw))) return null;
+    user.username = username;
+    // Make a shallow copy so that the password properties can be deleted (to prevent them from
+    // appearing in logs or in the database) without breaking future authentication attempts.
+    const sessionUser = {...user};
+    delete sessionUser.password;
+    delete sessionUser.passwordHash;
+    return sessionUser;
+  }
+  if (!settings.userStore.enabled) return null;
+  return await userManager.authenticate(username, pw);
+};
+
 const preAuthorize = async (req, res, next) => {
   const requireAdmin = req.path.toLowerCase().startsWith('/admin');
   const locals = res.locals._webaccess = {requireAdmin, skip: false};
@@ -95,6 +115,14 @@ const checkAccess = async (req, res, next) => {
   const {locals: {_webaccess: {requireAdmin, skip}}} = res;
   if (skip) return next('route');
 
+  // Users from the user store can be disabled or have their password reset at any time, which ends
+  // their sessions.
+  const {session: {user: sessionUser} = {}} = req;
+  if (sessionUser != null && sessionUser.fromUserStore &&
+      !(await userManager.isActive(sessionUser))) {
+    delete req.session.user;
+  }
+
   // This helper is used in steps 2 and 4 below, so it may be called twice per access: once before
   // authentication is checked and once after (if settings.requireAuthorization is true).
   const authorize = async () => {
@@ -156,8 +184,8 @@ const checkAccess = async (req, res, next) => {
   }
   if (!(await aCallFirst0('authenticate', ctx))) {
     // Fall back to HTTP basic auth.
-    const {[ctx.username]: {password} = {}} = settings.users;
-    if (!httpBasicAuth || password == null || password !== ctx.password) {
+    const user = httpBasicAuth ? await authenticateBasic(ctx.username, ctx.password) : null;
+    if (user == null) {
       httpLogger.info(`Failed authentication from IP ${req.ip}`);
       if (await aCallFirst0('authnFailure', {req, res})) return;
       if (await aCallFirst0('authFailure', {req, res, next})) return;
@@ -168,11 +196,7 @@ const checkAccess = async (req, res, next) => {
       res.status(401).send('Authentication Required');
       return;
     }
-    settings.users[ctx.username].username = ctx.username;
-    // Make a shallow copy so that the password property can be deleted (to prevent it from
-    // appearing in logs or in the database) without breaking future authentication attempts.
-    req.session.user = {...settings.users[ctx.username]};
-    delete req.session.user.password;
+    req.session.user = user;
   }
   if (req.session.user == null) {
     httpLogger.error('authenticate hook failed to add user settings to session');
@@ -0,0 +1,74 @@
+'use strict';
+/**
+ * Compacts the history of all pads according to their retention policies (see HistoryManager)
+ * every settings.historyRetention.intervalMs milliseconds. Pads that have users are skipped because
+ * compaction disconnects them; they are compacted in a later run. In cluster mode, each node
+ * compacts the pads whose lease it holds; it does not claim the other pads, which can be compacted
+ * with the compactPad HTTP API function.
+ */
+
+const cluster = require('./cluster');
+const historyManager = require('../db/HistoryManager');
+const log4js = require('log4js');
+const padManager = require('../db/PadManager');
+const padMessageHandler = require('../handler/PadMessageHandler');
+const settings = require('../utils/Settings');
+
+const logger = log4js.getLogger('history');
+
+let timer = null;
+// The current run, if any.
+let running = null;
+let stopping = false;
+
+/**
+ * Compacts the history of the pads that have no users. Exported for tests.
+ *
+ * @returns {Promise<{padCount: number, removedRevisions: number}>} The number of compacted pads
+ *     and the total number of removed revisions.
+ */
+exports.run = async () => {
+  const {padIDs} = await padManager.listAllPads();
+  let padCount = 0;
+  let removedRevisions = 0;
+  for (const padID of padIDs) {
+    if (stopping) break;
+    try {
+      if (padMessageHandler.padUsersCount(padID).padUsersCount > 0) continue;
+      if (cluster.isEnabled() && await cluster.getLeaseHolder(padID) !== cluster.nodeId) continue;
+      const removed = await historyManager.compactPad(padID);
+      if (removed === 0) continue;
+      padCount++;
+      removedRevisions += removed;
+    } catch (err) {
+      logger.error(`Failed to compact the history of pad ${padID}: ${err.stack || err}`);
+    }
+  }
+  if (padCount > 0) logger.info(`Removed ${removedRevisions} revisions from ${padCount} pads`);
+  return {padCount, removedRevisions};
+};
+
+const schedule = () => {
+  timer = setTimeout(() => {
+    timer = null;
+    running = exports.run()
+        .catch((err) => logger.error(`Failed to compact the pad histories: ${err.stack || err}`))
+        .finally(() => {
+          running = null;
+          if (!stopping) schedule();
+        });
+  }, settings.historyRetention.intervalMs);
+};
+
+exports.createServer = async (hookName, context) => {
+  stopping = false;
+  if (!settings.historyRetention.intervalMs || timer != null) return;
+  schedule();
+};
+
+exports.shutdown = async (hookName, context) => {
+  stopping = true;
+  clearTimeout(timer);
+  timer = null;
+  await running;
+};
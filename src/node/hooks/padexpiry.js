@@ -0,0 +1,66 @@
+'use strict';
+/**
+ * Removes the expired pads (see ExpiryManager) every settings.padExpiry.intervalMs milliseconds.
+ * Pads that have users are skipped; they are removed in a later run if they are still expired. In
+ * cluster mode, each node removes the pads it owns.
+ */
+
+const cluster = require('./cluster');
+const expiryManager = require('../db/ExpiryManager');
+const log4js = require('log4js');
+const padMessageHandler = require('../handler/PadMessageHandler');
+const settings = require('../utils/Settings');
+
+const logger = log4js.getLogger('expiry');
+
+let timer = null;
+// The current run, if any.
+let running = null;
+let stopping = false;
+
+/**
+ * Removes the expired pads that have no users. Exported for tests.
+ *
+ * @returns {Promise<{padCount: number}>} The number of removed pads.
+ */
+exports.run = async () => {
+  let padCount = 0;
+  for (const {padID, reason} of await expiryManager.listExpiringPads()) {
+    if (stopping) break;
+    try {
+      if (padMessageHandler.padUsersCount(padID).padUsersCount > 0) continue;
+      if (await cluster.getOwner(padID) !== cluster.nodeId) continue;
+      const archive = await expiryManager.removePad(padID);
+      padCount++;
+      logger.info(`Removed ${reason} pad ${padID}${archive ? ` (archived to ${archive})` : ''}`);
+    } catch (err) {
+      logger.error(`Failed to remove expired pad ${padID}: ${err.stack || err}`);
+    }
+  }
+  return {padCount};
+};
+
+const schedule = () => {
+  timer = setTimeout(() => {
+    timer = null;
+    running = exports.run()
+        .catch((err) => logger.error(`Failed to remove the expired pads: ${err.stack || err}`))
+        .finally(() => {
+          running = null;
+          if (!stopping) schedule();
+        });
+  }, settings.padExpiry.intervalMs);
+};
+
+exports.createServer = async (hookName, context) => {
+  stopping = false;
+  if (!settings.padExpiry.intervalMs || timer != null) return;
+  schedule();
+};
+
+exports.shutdown = async (hookName, context) => {
+  stopping = true;
+  clearTimeout(timer);
+  timer = null;
+  await running;
+};
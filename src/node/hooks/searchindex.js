@@ -0,0 +1,90 @@
+'use strict';
+/**
+ * Keeps the full-text search index of SearchManager up to date.
+ *
+ * Edits are indexed after a pad has not been edited for settings.search.updateDelayMs so that busy
+ * pads are not reindexed after every keystroke. If the index has never been built (e.g., after an
+ * upgrade), it is built in the background when the server starts.
+ */
+
+const db = require('../db/DB');
+const log4js = require('log4js');
+const searchManager = require('../db/SearchManager');
+const settings = require('../utils/Settings');
+
+const logger = log4js.getLogger('search');
+
+// Timers of pending (delayed) updates, by pad ID.
+const pendingUpdates = new Map();
+// The background rebuild started by createServer, if any.
+let rebuilding = null;
+let stopping = false;
+
+const indexPad = (padID) => searchManager.indexPad(padID).catch(
+    (err) => logger.error(`Failed to index pad ${padID}: ${err.stack || err}`));
+
+/**
+ * Indexes all pads with pending updates immediately.
+ */
+exports.flush = async () => {
+  const padIDs = [...pendingUpdates.keys()];
+  for (const padID of padIDs) clearTimeout(pendingUpdates.get(padID));
+  pendingUpdates.clear();
+  await Promise.all(padIDs.map(indexPad));
+};
+
+exports.createServer = async (hookName, context) => {
+  stopping = false;
+  if (!settings.search.enabled || await searchManager.isBuilt()) return;
+  logger.info('Building the search index in the background');
+  rebuilding = searchManager.rebuild(() => {
+    if (stopping) throw new Error('Etherpad is shutting down');
+  })
+      .then(({padCount}) => logger.info(`Search index built (${padCount} pads)`))
+      .catch((err) => {
+        if (stopping) logger.info('Stopped building the search index');
+        else logger.error(`Failed to build the search index: ${err.stack || err}`);
+      })
+      .finally(() => { rebuilding = null; });
+};
+
+exports.shutdown = async (hookName, context) => {
+  // The index is rebuilt from scratch on the next start because the marker is only set at the end.
+  stopping = true;
+  const done = (async () => {
+    await rebuilding;
+    await exports.flush();
+  })();
+  db.closeAfter(done);
+  await done;
+};
+
+const scheduleUpdate = (padID) => {
+  if (!settings.search.enabled) return;
+  clearTimeout(pendingUpdates.get(padID));
+  pendingUpdates.set(padID, setTimeout(() => {
+    // While Etherpad is shutting down, the pending updates are indexed by the shutdown hook before
+    // the database is closed.
+    if (stopping) return;
+    pendingUpdates.delete(padID);
+    indexPad(padID);
+  }, settings.search.updateDelayMs));
+};
+
+exports.padCreate = (hookName, {pad}) => scheduleUpdate(pad.id);
+
+exports.padUpdate = (hookName, {pad}) => scheduleUpdate(pad.id);
+
+exports.padRestore = (hookName, {pad}) => scheduleUpdate(pad.id);
+
+exports.padCopy = async (hookName, {destinationID}) => {
+  if (!settings.search.enabled) return;
+  await indexPad(destinationID);
+};
+
+exports.padRemove = async (hookName, {padID}) => {
+  clearTimeout(pendingUpdates.get(padID));
+  pendingUpdates.delete(padID);
+  await searchManager.removePad(padID).catch(
+      (err) => logger.error(`Failed to remove pad ${padID} from the index: ${err.stack || err}`));
+};
@@ -0,0 +1,46 @@
+'use strict';
+/**
+ * Purges the pads that have been in the trash for longer than settings.trash.retentionDays days
+ * (see TrashManager) every settings.trash.intervalMs milliseconds.
+ */
+
+const log4js = require('log4js');
+const settings = require('../utils/Settings');
+const trashManager = require('../db/TrashManager');
+
+const logger = log4js.getLogger('trash');
+
+let timer = null;
+// The current run, if any.
+let running = null;
+let stopping = false;
+
+const run = async () => {
+  const purged = await trashManager.purgeExpiredPads();
+  if (purged.length > 0) logger.info(`Purged ${purged.length} pads from the trash`);
+};
+
+const schedule = () => {
+  timer = setTimeout(() => {
+    timer = null;
+    running = run()
+        .catch((err) => logger.error(`Failed to purge the trash: ${err.stack || err}`))
+        .finally(() => {
+          running = null;
+          if (!stopping) schedule();
+        });
+  }, settings.trash.intervalMs);
+};
+
+exports.createServer = async (hookName, context) => {
+  stopping = false;
+  if (!settings.trash.intervalMs || timer != null) return;
+  schedule();
+};
+
+exports.shutdown = async (hookName, context) => {
+  stopping = true;
+  clearTimeout(timer);
+  timer = null;
+  await running;
+};
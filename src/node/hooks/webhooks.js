@@ -0,0 +1,252 @@
+'use strict';
+/**
+ * Sends pad lifecycle and edit events to the webhooks managed by WebhookManager.
+ *
+ * Events are written to a delivery queue in the database before they are sent, so pending
+ * deliveries survive a restart. Failed deliveries are retried with exponential backoff until
+ * settings.webhooks.maxAttempts is reached. Every attempt is recorded in the webhook's delivery
+ * log.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/DB');
+const log4js = require('log4js');
+const randomString = require('../utils/randomstring');
+const settings = require('../utils/Settings');
+const superagent = require('superagent');
+const webhookManager = require('../db/WebhookManager');
+
+const logger = log4js.getLogger('webhooks');
+
+// Deliveries waiting to be sent, by delivery ID. Mirrors the `webhookdelivery:*` records.
+const queue = new Map();
+// Pending (debounced) pad.update events, by pad ID.
+const pendingUpdates = new Map();
+let timer = null;
+// The webhooks whose deliveries are being sent. Each webhook has its own queue so that a slow or
+// unreachable receiver does not hold up the deliveries to the other webhooks.
+const sending = new Set();
+let stopped = true;
+
+/**
+ * Computes the signature that is sent in the X-Etherpad-Signature header. Receivers should compute
+ * the same HMAC over the raw request body with their copy of the secret and compare.
+ */
+exports.sign = (secret, body) => {
+  const hmac = crypto.createHmac('sha256', secret).update(body);
+  return `sha256=${hmac.digest('hex')}`;
+};
+
+const schedule = () => {
+  if (timer != null) clearTimeout(timer);
+  timer = null;
+  if (stopped) return;
+  const waiting = [...queue.values()].filter((d) => !sending.has(d.webhookID));
+  if (waiting.length === 0) return;
+  const next = Math.min(...waiting.map((d) => d.nextAttempt));
+  timer = setTimeout(() => {
+    timer = null;
+    const now = Date.now();
+    for (const {webhookID, nextAttempt} of queue.values()) {
+      if (nextAttempt > now || sending.has(webhookID)) continue;
+      processQueue(webhookID)
+          .catch((err) => logger.error(`Webhook queue error: ${err.stack || err}`));
+    }
+    schedule();
+  }, Math.max(0, next - Date.now()));
+};
+
+const dequeue = async (deliveryID) => {
+  queue.delete(deliveryID);
+  await db.setSub('webhookdeliveries', [deliveryID], undefined);
+  await db.remove(`webhookdelivery:${deliveryID}`);
+};
+
+const deliver = async (delivery) => {
+  const {deliveryID, webhookID, event, data, created} = delivery;
+  const webhook = await webhookManager.getWebhook(webhookID);
+  if (webhook == null) {
+    // The webhook was deleted while the delivery was queued.
+    await dequeue(deliveryID);
+    return;
+  }
+  const body = JSON.stringify({deliveryID, event, timestamp: created, data});
+  delivery.attempts++;
+  const entry = {deliveryID, event, attempt: delivery.attempts, time: Date.now()};
+  try {
+    const res = await superagent.post(webhook.url)
+        .set('Content-Type', 'application/json')
+        .set('User-Agent', `Etherpad/${settings.getEpVersion()}`)
+        .set('X-Etherpad-Event', event)
+        .set('X-Etherpad-Delivery', deliveryID)
+        .set('X-Etherpad-Signature', exports.sign(webhook.secret, body))
+        .timeout(settings.webhooks.timeoutMs)
+        .redirects(0)
+        .send(body);
+    entry.status = res.status;
+    entry.ok = true;
+  } catch (err) {
+    entry.status = err.status || null;
+    entry.ok = false;
+    entry.error = err.message;
+  }
+  await webhookManager.logDelivery(webhookID, entry);
+  if (entry.ok) {
+    await dequeue(deliveryID);
+    return;
+  }
+  if (delivery.attempts >= settings.webhooks.maxAttempts) {
+    logger.warn(`Giving up on delivery ${deliveryID} of ${event} to ${webhook.url} after ` +
+                `${delivery.attempts} attempts: ${entry.error}`);
+    await dequeue(deliveryID);
+    return;
+  }
+  const backoff = settings.webhooks.retryDelayMs * 2 ** (delivery.attempts - 1);
+  delivery.nextAttempt = Date.now() + backoff;
+  await db.set(`webhookdelivery:${deliveryID}`, delivery);
+};
+
+// Sends the deliveries to a webhook that are due, one at a time and in the order they were queued.
+const processQueue = async (webhookID) => {
+  sending.add(webhookID);
+  try {
+    while (!stopped) {
+      const now = Date.now();
+      const due = [...queue.values()]
+          .filter((d) => d.webhookID === webhookID && d.nextAttempt <= now)
+          .sort((a, b) => a.seq - b.seq);
+      if (due.length === 0) break;
+      for (const delivery of due) {
+        if (stopped) break;
+        await deliver(delivery);
+      }
+    }
+  } finally {
+    sending.delete(webhookID);
+    schedule();
+  }
+};
+
+let seq = 0;
+
+/**
+ * Queues an event for delivery to every webhook that is subscribed to it.
+ *
+ * @param {string} event - One of WebhookManager.events.
+ * @param {object} data - Event payload. Must be JSON-serializable.
+ * @param {object[]} [webhooks] - The subscribed webhooks if they were looked up when the event
+ *     happened. Defaults to the current subscribers.
+ */
+exports.enqueue = async (event, data, webhooks = null) => {
+  if (webhooks == null) webhooks = await webhookManager.getSubscribers(event);
+  await Promise.all(webhooks.map(async ({webhookID}) => {
+    const deliveryID = `d.${randomString(16)}`;
+    const now = Date.now();
+    const delivery = {
+      deliveryID, webhookID, event, data, created: now, attempts: 0, nextAttempt: now, seq: seq++,
+    };
+    await db.set(`webhookdelivery:${deliveryID}`, delivery);
+    await db.setSub('webhookdeliveries', [deliveryID], 1);
+    queue.set(deliveryID, delivery);
+  }));
+  schedule();
+};
+
+const enqueue = (event, data, webhooks) => exports.enqueue(event, data, webhooks).catch(
+    (err) => logger.error(`Failed to queue ${event} webhook delivery: ${err.stack || err}`));
+
+const flushUpdate = async (padID) => {
+  const pending = pendingUpdates.get(padID);
+  if (pending == null) return;
+  clearTimeout(pending.timer);
+  pendingUpdates.delete(padID);
+  await enqueue('pad.update', {
+    padID,
+    fromRev: pending.fromRev,
+    rev: pending.rev,
+    authors: [...pending.authors],
+  }, await pending.webhooks);
+};
+
+exports.createServer = async (hookName, context) => {
+  const deliveryIDs = await db.get('webhookdeliveries') || {};
+  for (const deliveryID of Object.keys(deliveryIDs)) {
+    const delivery = await db.get(`webhookdelivery:${deliveryID}`);
+    if (delivery == null) continue;
+    delivery.seq = seq++;
+    queue.set(deliveryID, delivery);
+  }
+  if (queue.size > 0) logger.info(`Resuming ${queue.size} pending webhook deliveries`);
+  stopped = false;
+  schedule();
+};
+
+// Queues the pending (debounced) pad.update events now.
+const flushUpdates = async () => {
+  await Promise.all([...pendingUpdates.keys()].map(flushUpdate));
+};
+
+exports.shutdown = async (hookName, context) => {
+  stopped = true;
+  schedule();
+  // The pending updates are written to the delivery queue before the database is closed. They are
+  // sent after the next start.
+  const flushed = flushUpdates();
+  db.closeAfter(flushed);
+  await flushed;
+};
+
+exports.padCreate = (hookName, {pad, author}) => {
+  enqueue('pad.create', {padID: pad.id, author: author || null});
+};
+
+exports.padUpdate = (hookName, {pad, author, revs}) => {
+  let pending = pendingUpdates.get(pad.id);
+  if (pending == null) {
+    pending = {fromRev: revs, authors: new Set(), firstEdit: Date.now()};
+    // The event goes to the webhooks that were subscribed when the pad was first edited, not to
+    // webhooks that are created before the event is sent.
+    pending.webhooks = webhookManager.getSubscribers('pad.update').catch((err) => {
+      logger.error(`Failed to get the pad.update webhooks: ${err.stack || err}`);
+      return null;
+    });
+    pendingUpdates.set(pad.id, pending);
+  } else {
+    clearTimeout(pending.timer);
+  }
+  pending.rev = revs;
+  if (author) pending.authors.add(author);
+  // Each edit postpones the event, but a pad that is edited continuously still gets an event every
+  // updateMaxWaitMs.
+  const {updateDebounceMs, updateMaxWaitMs} = settings.webhooks;
+  const delay = Math.min(updateDebounceMs, pending.firstEdit + updateMaxWaitMs - Date.now());
+  pending.timer = setTimeout(() => { flushUpdate(pad.id); }, Math.max(0, delay));
+};
+
+exports.padRemove = async (hookName, {padID}) => {
+  // Queue any pending update before the removal so that receivers see the events in order.
+  await flushUpdate(padID);
+  await enqueue('pad.remove', {padID});
+};
+
+exports.padCopy = async (hookName, {originalPad, destinationID}) => {
+  await enqueue('pad.copy', {sourceID: originalPad.id, destinationID});
+};
+
+exports.padMove = async (hookName, {sourceID, destinationID}) => {
+  await enqueue('pad.move', {sourceID, destinationID});
+};
+
+exports.padSavedRevision = async (hookName, {pad, savedRevision}) => {
+  const {revNum: rev, label, savedById, timestamp} = savedRevision;
+  await enqueue('pad.savedRevision', {padID: pad.id, rev, label, savedById, timestamp});
+};
+
+exports.chatNewMessage = async (hookName, {message, padId}) => {
+  const {authorId: authorID, text, time} = message;
+  await enqueue('chat.message', {padID: padId, authorID, text, time});
+};
+
+exports.exportedForTestingOnly = {
+  flushUpdates,
+};
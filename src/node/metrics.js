@@ -0,0 +1,181 @@
+'use strict';
+/**
+ * Exports the metrics collected in node/stats.js in the Prometheus text exposition format, or in
+ * the OpenMetrics text format if the scraper asks for it.
+ *
+ * measured-core metric types are mapped as follows:
+ *   - gauges and counters (which can be decremented) become gauges,
+ *   - meters become counters (with a `_total` suffix),
+ *   - timers become histograms in seconds (with a `_seconds` suffix),
+ *   - histograms become summaries.
+ */
+
+const crypto = require('crypto');
+const settings = require('./utils/Settings');
+const stats = require('./stats');
+
+const prefix = 'etherpad_';
+
+// Descriptions of the metrics that are collected by Etherpad itself. Metrics created by plugins get
+// a generic description.
+const descriptions = {
+  activePads: 'Number of pads with at least one connected user.',
+  connects: 'Number of socket.io connections.',
+  disconnects: 'Number of socket.io disconnections.',
+  edits: 'Time spent processing edits (USER_CHANGES messages).',
+  failedChangesets: 'Number of edits that were rejected.',
+  http500: 'Number of HTTP requests that failed with an internal server error.',
+  httpRequests: 'Time spent handling HTTP requests.',
+  httpStartTime: 'Time the HTTP server was started, in milliseconds since the Unix epoch.',
+  lastDisconnect: 'Time of the last socket.io disconnection, in milliseconds since the Unix epoch.',
+  memoryUsage: 'Resident set size of the Etherpad process, in bytes.',
+  memoryUsageHeap: 'Heap memory used by the Etherpad process, in bytes.',
+  pendingEdits: 'Number of edits waiting to be processed.',
+  rateLimited: 'Number of socket.io messages dropped by the rate limiter.',
+  totalUsers: 'Number of connected socket.io clients.',
+};
+
+const describe = (name) => {
+  if (descriptions[name] != null) return descriptions[name];
+  if (name.startsWith('ueberdb_')) return `Database metric ${name.slice('ueberdb_'.length)}.`;
+  return `Etherpad metric ${name}.`;
+};
+
+// Converts a measured-core metric name (usually camelCase) to a Prometheus metric name.
+const metricName = (name) => prefix + name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .toLowerCase();
+
+const escapeHelp = (s) => s.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabel = (s) => escapeHelp(s).replace(/"/g, '\\"');
+
+const formatValue = (v) => {
+  if (Number.isNaN(v)) return 'NaN';
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return `${v}`;
+};
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(`${v}`)}"`).join(',')}}`;
+};
+
+/**
+ * Collects the metric families. Each family is `{name, type, help, samples}` where each sample is
+ * `{suffix, labels, value}`.
+ */
+const collect = () => {
+  const families = [];
+  // measured-core does not have a public interface for enumerating the metrics of a collection or
+  // for reading a meter's count without resetting its current rate.
+  for (const [name, metric] of Object.entries(stats._metrics)) {
+    const help = describe(name);
+    switch (metric.getType()) {
+      case 'Gauge':
+      case 'Counter': {
+        const value = metric.toJSON();
+        if (typeof value !== 'number') break;
+        families.push({name: metricName(name), type: 'gauge', help, samples: [{value}]});
+        break;
+      }
+      case 'Meter':
+        families.push({
+          name: metricName(name),
+          type: 'counter',
+          help,
+          samples: [{suffix: '_total', value: metric._count}],
+        });
+        break;
+      case 'Timer': {
+        const {sum, count} = metric._histogram.toJSON();
+        const samples = [];
+        // Timers created with a custom histogram do not have buckets.
+        for (const bucket of metric._histogram.buckets || []) {
+          const le = formatValue(bucket.le / 1000);
+          samples.push({suffix: '_bucket', labels: {le}, value: bucket.count});
+        }
+        samples.push({suffix: '_bucket', labels: {le: '+Inf'}, value: count});
+        samples.push({suffix: '_sum', value: sum / 1000});
+        samples.push({suffix: '_count', value: count});
+        families.push({name: `${metricName(name)}_seconds`, type: 'histogram', help, samples});
+        break;
+      }
+      case 'Histogram': {
+        const {sum, count, median, p75, p95, p99, p999} = metric.toJSON();
+        const quantiles = {0.5: median, 0.75: p75, 0.95: p95, 0.99: p99, 0.999: p999};
+        const samples = Object.entries(quantiles)
+            .map(([quantile, value]) => ({labels: {quantile}, value: value == null ? NaN : value}));
+        samples.push({suffix: '_sum', value: sum});
+        samples.push({suffix: '_count', value: count});
+        families.push({name: metricName(name), type: 'summary', help, samples});
+        break;
+      }
+    }
+  }
+
+  if (settings.metrics.groupLabels) {
+    // Lazily required to avoid a circular dependency (PadMessageHandler requires stats).
+    const groupStats = require('./handler/PadMessageHandler').getGroupStats();
+    const perGroup = (prop, suffix = '') => [...groupStats].map(
+        ([group, s]) => ({suffix, labels: {group}, value: s[prop]}));
+    families.push({
+      name: `${prefix}group_users`,
+      type: 'gauge',
+      help: 'Number of connected users per pad group. Public pads have an empty group label.',
+      samples: perGroup('users'),
+    }, {
+      name: `${prefix}group_active_pads`,
+      type: 'gauge',
+      help: 'Number of pads with at least one connected user per pad group.',
+      samples: perGroup('activePads'),
+    }, {
+      name: `${prefix}group_edits`,
+      type: 'counter',
+      help: 'Number of processed edits per pad group.',
+      samples: perGroup('edits', '_total'),
+    });
+  }
+  return families;
+};
+
+/**
+ * Renders all metrics.
+ *
+ * @param {boolean} [openMetrics] - Whether to use the OpenMetrics text format instead of the
+ *     Prometheus text format.
+ * @returns {string}
+ */
+exports.render = (openMetrics = false) => {
+  const lines = [];
+  for (const {name, type, help, samples} of collect()) {
+    // The Prometheus text format expects the `_total` suffix in the family name of counters, the
+    // OpenMetrics format does not.
+    const familyName = type === 'counter' && !openMetrics ? `${name}_total` : name;
+    lines.push(`# HELP ${familyName} ${escapeHelp(help)}`);
+    lines.push(`# TYPE ${familyName} ${type}`);
+    for (const {suffix = '', labels = {}, value} of samples) {
+      lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+  if (openMetrics) lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Checks the credentials of a scrape request. Requests must carry the token from
+ * settings.metrics.authToken as a bearer token, unless no token is configured.
+ *
+ * @returns {boolean}
+ */
+exports.isAuthorized = (req) => {
+  const {authToken} = settings.metrics;
+  if (!authToken) return true;
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return false;
+  // Compare hashes so that the comparison takes constant time regardless of the token length.
+  const hash = (s) => crypto.createHash('sha256').update(s).digest();
+  return crypto.timingSafeEqual(hash(token), hash(authToken));
+};
@@ -5,7 +5,7 @@ const securityManager = require('./db/SecurityManager');
 module.exports = async (req, res) => {
   const {session: {user} = {}} = req;
   const accessObj = await securityManager.checkAccess(
-      req.params.pad, req.cookies.sessionID, req.cookies.token, user);
+      req.params.pad, req.cookies.sessionID, req.cookies.token, user, req.ip);
 
   if (accessObj.accessStatus === 'grant') {
     // there is access, continue
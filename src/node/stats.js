@@ -2,8 +2,33 @@
 
 const measured = require('measured-core');
 
+// Upper bounds (in milliseconds) of the histogram buckets that timer measurements are counted in.
+// measured-core only keeps a sample of the measurements, which is not enough to export cumulative
+// buckets (see node/metrics.js).
+const timerBuckets = Object.freeze([5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]);
+
+class BucketedHistogram extends measured.Histogram {
+  _initializeState() {
+    super._initializeState();
+    this.buckets = timerBuckets.map((le) => ({le, count: 0}));
+  }
+
+  update(value) {
+    super.update(value);
+    for (const bucket of this.buckets) if (value <= bucket.le) bucket.count++;
+  }
+}
+
 module.exports = measured.createCollection();
 
+const getTimer = module.exports.timer.bind(module.exports);
+module.exports.timer = (name, properties) => {
+  // Only create a histogram if the timer does not exist yet. (Timers are looked up by name on every
+  // measurement, e.g., once per HTTP request.)
+  if (module.exports._metrics[name] != null) return getTimer(name);
+  return getTimer(name, {histogram: new BucketedHistogram(), ...properties});
+};
+
 module.exports.shutdown = async (hookName, context) => {
   module.exports.end();
 };
@@ -53,6 +53,10 @@ exports.getPadRaw = async (padId, readOnlyId) => {
     }
   }
 
+  // the comments record only exists if the pad has (or had) comments
+  const comments = await db.get(`${keyPrefixRead}:comments`);
+  if (comments != null) data[`${keyPrefixWrite}:comments`] = comments;
+
   // get content that has a different prefix IE comments:padId:foo
   // a plugin would return something likle ['comments', 'cakes']
   const prefixes = await hooks.aCallAll('exportEtherpadAdditionalContent');
@@ -68,6 +68,11 @@ exports._analyzeLine = (text, aline, apool) => {
       if (start) {
         line.start = start;
       }
+      const heading = attribs.get('heading');
+      if (heading) {
+        lineMarker = 1;
+        line.heading = heading;
+      }
     }
   }
   if (lineMarker) {
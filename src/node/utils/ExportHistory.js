@@ -0,0 +1,90 @@
+'use strict';
+/**
+ * Exports the history of a pad: a JSON Lines file with one line per revision, and a
+ * self-contained HTML file that replays the revisions in the browser.
+ */
+
+const Changeset = require('../../static/js/Changeset');
+const authorManager = require('../db/AuthorManager');
+const eejs = require('../eejs');
+
+/**
+ * Returns the revision range requested with the `start` and `end` query parameters, or null if the
+ * range is invalid. The range defaults to all revisions.
+ *
+ * @param {Pad} pad - The pad.
+ * @param {object} query - The query parameters of the request.
+ * @returns {?{startRev: number, endRev: number}}
+ */
+exports.getRange = (pad, {start, end}) => {
+  const head = pad.getHeadRevisionNumber();
+  const parse = (rev, defaultRev) => {
+    if (rev == null || rev === '') return defaultRev;
+    return /^\d+$/.test(rev) ? Number(rev) : NaN;
+  };
+  const startRev = parse(start, 0);
+  const endRev = parse(end, head);
+  if (!(startRev <= endRev && endRev <= head)) return null;
+  return {startRev, endRev};
+};
+
+/**
+ * Yields the revisions of a pad in a range of revisions.
+ *
+ * @param {Pad} pad - The pad.
+ * @param {number} startRev - The first revision.
+ * @param {number} endRev - The last revision.
+ * @param {boolean} [withText] - Whether to include the text of the pad after each revision.
+ * @yields {{rev: number, timestamp: number, author: string, changeset: string, text?: string}}
+ */
+exports.getRevisions = async function* (pad, startRev, endRev, withText = false) {
+  let text = withText ? await getTextBefore(pad, startRev) : null;
+  for (let rev = startRev; rev <= endRev; ++rev) {
+    const {changeset, meta: {author = '', timestamp = null} = {}} = await pad.getRevision(rev);
+    const revision = {rev, timestamp, author, changeset};
+    if (withText) {
+      text = Changeset.applyToText(changeset, text);
+      revision.text = text;
+    }
+    yield revision;
+  }
+};
+
+// The first revision is applied to the text of a new, empty pad.
+const getTextBefore = async (pad, rev) => rev === 0
+  ? '\n' : (await pad.getInternalRevisionAText(rev - 1)).text;
+
+/**
+ * Returns a self-contained HTML document that replays the revisions of a pad. The document embeds
+ * the text before the first revision, the changesets and the names and colors of the authors, and
+ * a small player that applies the changesets to the text.
+ *
+ * @param {Pad} pad - The pad.
+ * @param {string} padId - The pad ID that is shown in the document (the read-only ID for read-only
+ *     exports).
+ * @param {number} startRev - The first revision.
+ * @param {number} endRev - The last revision.
+ * @returns {Promise<string>}
+ */
+exports.getReplayHTMLDocument = async (pad, padId, startRev, endRev) => {
+  const revisions = [];
+  for await (const revision of exports.getRevisions(pad, startRev, endRev)) {
+    revisions.push(revision);
+  }
+  const colors = await pad.getAllAuthorColors();
+  const authors = {};
+  for (const authorID of new Set(revisions.map(({author}) => author).filter((a) => a))) {
+    authors[authorID] = {
+      name: await authorManager.getAuthorName(authorID) || null,
+      color: colors[authorID] || null,
+    };
+  }
+  const data = {padId, text: await getTextBefore(pad, startRev), revisions, authors};
+  return eejs.require('ep_etherpad-lite/templates/export_history.html', {
+    padId,
+    startRev,
+    endRev,
+    // Escape `<` so that the text of the pad cannot end the script element.
+    data: JSON.stringify(data).replace(/</g, '\\u003c'),
+  });
+};
@@ -17,6 +17,7 @@
 
 const Changeset = require('../../static/js/Changeset');
 const attributes = require('../../static/js/attributes');
+const commentManager = require('../db/CommentManager');
 const padManager = require('../db/PadManager');
 const _ = require('underscore');
 const Security = require('../../static/js/security');
@@ -38,6 +39,15 @@ const getPadHTML = async (pad, revNum) => {
   return await getHTMLFromAtext(pad, atext);
 };
 
+// The opening and closing tags of the elements that the block formats of lines (the `heading` line
+// attribute) are exported as. They match domline so that contentcollector imports them again.
+// Consecutive lines that are quoted or code share one element.
+const blockFormatTags = new Map([
+  ...['h1', 'h2', 'h3', 'h4', 'blockquote'].map((tag) => [tag, [`<${tag}>`, `</${tag}>`]]),
+  ['code', ['<pre class="code">', '</pre>']],
+]);
+const groupedBlockFormats = new Set(['blockquote', 'code']);
+
 const getHTMLFromAtext = async (pad, atext, authorColors) => {
   const apool = pad.apool();
   const textLines = atext.text.slice(0, -1).split('\n');
@@ -46,6 +56,12 @@ const getHTMLFromAtext = async (pad, atext, authorColors) => {
   const tags = ['h1', 'h2', 'strong', 'em', 'u', 's'];
   const props = ['heading1', 'heading2', 'bold', 'italic', 'underline', 'strikethrough'];
 
+  // the text that comments are anchored to is exported as <span data-comment="commentID">
+  for (const {commentID} of await commentManager.getComments(pad.id)) {
+    tags.push(`span data-comment="${commentID}"`);
+    props.push(['comment', commentID]);
+  }
+
   await Promise.all([
     // prepare tags stored as ['tag', true] to be exported
     hooks.aCallAll('exportHtmlAdditionalTags', pad).then((newProps) => {
@@ -280,6 +296,13 @@ const getHTMLFromAtext = async (pad, atext, authorColors) => {
   };
   // end getLineHTML
   const pieces = [css];
+  // The block format of the open element that groups lines (see groupedBlockFormats), if any.
+  let openBlockFormat = null;
+  const closeBlock = () => {
+    if (openBlockFormat == null) return;
+    pieces.push(blockFormatTags.get(openBlockFormat)[1]);
+    openBlockFormat = null;
+  };
 
   // Need to deal with constraints imposed on HTML lists; can
   // only gain one level of nesting at once, can't change type
@@ -295,6 +318,7 @@ const getHTMLFromAtext = async (pad, atext, authorColors) => {
     const lineContent = getLineHTML(line.text, line.aline);
     // If we are inside a list
     if (line.listLevel) {
+      closeBlock();
       context = {
         line,
         lineContent,
@@ -450,13 +474,47 @@ const getHTMLFromAtext = async (pad, atext, authorColors) => {
       };
 
       await hooks.aCallAll('getLineHTMLForExport', context);
-      pieces.push(context.lineContent, '<br>');
+      const blockTags = blockFormatTags.get(line.heading);
+      if (blockTags && line.heading === openBlockFormat) {
+        pieces.push('<br>', context.lineContent);
+      } else {
+        closeBlock();
+        if (blockTags && groupedBlockFormats.has(line.heading)) {
+          openBlockFormat = line.heading;
+          pieces.push(blockTags[0], context.lineContent);
+        } else if (blockTags) {
+          pieces.push(blockTags[0], context.lineContent, blockTags[1]);
+        } else {
+          pieces.push(context.lineContent, '<br>');
+        }
+      }
     }
   }
+  closeBlock();
 
   return pieces.join('');
 };
 
+const getCommentEntryHTML = ({authorName, text, timestamp}) => {
+  const time = new Date(timestamp).toISOString();
+  return `<p><strong>${Security.escapeHTML(authorName || '')}</strong> ` +
+      `<time datetime="${time}">${time}</time><br>` +
+      `${Security.escapeHTML(text).replace(/\n/g, '<br>')}</p>`;
+};
+
+// Renders the comment threads after the pad content. The element IDs match the data-comment
+// attributes of the anchored text.
+const getCommentsHTML = (comments) => {
+  if (comments.length === 0) return '';
+  const threads = comments.map((comment) => [
+    `<div class="comment${comment.resolved ? ' resolved' : ''}" id="${comment.commentID}">`,
+    getCommentEntryHTML(comment),
+    ...comment.replies.map((reply) => `<div class="reply">${getCommentEntryHTML(reply)}</div>`),
+    '</div>',
+  ].join(''));
+  return `<div class="comments">${threads.join('')}</div>`;
+};
+
 exports.getPadHTMLDocument = async (padId, revNum, readOnlyId) => {
   const pad = await padManager.getPad(padId);
 
@@ -468,6 +526,7 @@ exports.getPadHTMLDocument = async (padId, revNum, readOnlyId) => {
   });
 
   let html = await getPadHTML(pad, revNum);
+  html += getCommentsHTML(await commentManager.getComments(padId));
 
   for (const hookHtml of await hooks.aCallAll('exportHTMLAdditionalContent', {padId})) {
     html += hookHtml;
@@ -0,0 +1,196 @@
+'use strict';
+/**
+ * Markdown export
+ *
+ * Every line of the pad becomes one line of Markdown. Headings (the `heading` line attribute),
+ * bullet and numbered lists (the `list` line attribute), bold, italic, strikethrough, underline and
+ * links (the `link` attribute) are converted to their Markdown equivalents. Lines with the block
+ * formats `blockquote` and `code` (also stored in the `heading` attribute) become block quotes and
+ * fenced code blocks; consecutive code lines share one fence.
+ */
+
+const AttributeMap = require('../../static/js/AttributeMap');
+const Changeset = require('../../static/js/Changeset');
+const padManager = require('../db/PadManager');
+const {padutils} = require('../../static/js/pad_utils');
+const _analyzeLine = require('./ExportHelper')._analyzeLine;
+
+// Inline formatting attributes and their Markdown delimiters, outermost first. Markdown has no
+// underline syntax, so underlined text is exported as inline HTML.
+const marks = [
+  ['bold', '**', '**'],
+  ['italic', '*', '*'],
+  ['strikethrough', '~~', '~~'],
+  ['underline', '<u>', '</u>'],
+];
+
+// Escapes characters that have a meaning in inline Markdown, except inside the given ranges (the
+// URLs found in the line, which are turned into links by Markdown renderers just like by Etherpad).
+const escapeInline = (text, offset, urlRanges) => {
+  let escaped = '';
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    const inUrl = urlRanges.some(([start, end]) => offset + i >= start && offset + i < end);
+    escaped += !inUrl && '\\`*_~[]<>'.includes(c) ? `\\${c}` : c;
+  }
+  return escaped;
+};
+
+// Escapes text at the beginning of a line that would otherwise start a heading, a list, a
+// blockquote, a setext heading underline or a thematic break.
+const escapeLineStart = (s) => s
+    .replace(/^( {0,3})([#>+=-])/, '$1\\$2')
+    .replace(/^( {0,3}\d{1,9})([.)])(?=\s|$)/, '$1\\$2');
+
+// Returns a code fence that is longer than any run of backticks in the given lines, so that the
+// code itself cannot close it.
+const getFence = (lines) => {
+  const runs = lines.join('\n').match(/`+/g) || [];
+  return '`'.repeat(Math.max(2, ...runs.map((run) => run.length)) + 1);
+};
+
+const formatUrl = (url) => /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, '\\$&')}>` : url;
+
+// Renders consecutive segments, opening and closing the delimiters of their formatting only where
+// it changes so that nested formatting stays nested. Emphasis delimiters must not be next to
+// whitespace on the inside, so whitespace at the boundaries is moved outside of them.
+const renderSegments = (segments, escape) => {
+  let out = '';
+  const open = [];
+  const closeFrom = (n) => {
+    const closers = open.splice(n).reverse().map(([, , c]) => c).join('');
+    out = out.replace(/\s*$/, (ws) => `${closers}${ws}`);
+  };
+  for (const segment of segments) {
+    const [, lead, body, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(escape(segment));
+    if (body === '') {
+      out += lead;
+      continue;
+    }
+    let keep = 0;
+    while (keep < open.length && segment[open[keep][0]]) keep++;
+    closeFrom(keep);
+    const opening = marks.filter(
+        ([attrib]) => segment[attrib] && !open.some(([a]) => a === attrib));
+    open.push(...opening);
+    out += `${lead}${opening.map(([, o]) => o).join('')}${body}${trail}`;
+  }
+  closeFrom(0);
+  return out;
+};
+
+// Splits the text of a line into runs of identical formatting.
+const getSegments = (text, aline, apool) => {
+  const segments = [];
+  let idx = 0;
+  for (const op of Changeset.deserializeOps(aline)) {
+    // The attribute line includes the newline at the end of the line, the text does not.
+    const chars = text.slice(idx, idx + op.chars);
+    idx += op.chars;
+    if (chars === '') continue;
+    const attribs = AttributeMap.fromString(op.attribs, apool);
+    const segment = {start: idx - op.chars, text: chars, link: attribs.get('link') || null};
+    for (const [attrib] of marks) segment[attrib] = !!attribs.get(attrib);
+    const prev = segments[segments.length - 1];
+    if (prev != null && prev.link === segment.link &&
+        marks.every(([attrib]) => prev[attrib] === segment[attrib])) {
+      prev.text += segment.text;
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments;
+};
+
+const getLineMarkdown = (text, aline, apool) => {
+  const urlRanges = (padutils.findURLs(text) || []).map(([i, url]) => [i, i + url.length]);
+  const escape = (s) => escapeInline(s.text, s.start, urlRanges);
+  const pieces = [];
+  const segments = getSegments(text, aline, apool);
+  // Segments are grouped into runs with the same link target (or none).
+  for (let i = 0; i < segments.length;) {
+    const {link} = segments[i];
+    const run = [];
+    for (; i < segments.length && segments[i].link === link; i++) run.push(segments[i]);
+    const markdown = renderSegments(run, escape);
+    pieces.push(link == null ? markdown : `[${markdown}](${formatUrl(link)})`);
+  }
+  return escapeLineStart(pieces.join(''));
+};
+
+const getMarkdownFromAtext = (pad, atext) => {
+  const apool = pad.apool();
+  const textLines = atext.text.slice(0, -1).split('\n');
+  const attribLines = Changeset.splitAttributionLines(atext.attribs, atext.text);
+
+  const pieces = [];
+  // The number of the next item of the numbered list at each indentation level.
+  let listNumbers = [];
+  // The lines of the code block that is being collected, exported verbatim inside one fence.
+  let code = [];
+  const endCodeBlock = () => {
+    if (code.length === 0) return;
+    const fence = getFence(code);
+    pieces.push(fence, '\n', ...code.map((l) => `${l}\n`), fence, '\n');
+    code = [];
+  };
+
+  for (let i = 0; i < textLines.length; i++) {
+    const line = _analyzeLine(textLines[i], attribLines[i], apool);
+    let {text, aline} = line;
+    if (text.length === textLines[i].length && aline) {
+      // Remove the line marker of other line attributes (e.g., alignment added by plugins).
+      const [op] = Changeset.deserializeOps(aline);
+      if (op != null && AttributeMap.fromString(op.attribs, apool).get('lmkr')) {
+        text = text.slice(1);
+        aline = Changeset.subattribution(aline, 1);
+      }
+    }
+
+    const level = line.listLevel;
+    if (line.heading === 'code' && !level) {
+      code.push(text);
+      listNumbers = [];
+      continue;
+    }
+    endCodeBlock();
+
+    let prefix = '';
+    if (line.heading && /^h[1-4]$/.test(line.heading)) {
+      prefix = `${'#'.repeat(Number(line.heading[1]))} `;
+    }
+    if (!level || line.listTypeName === 'indent') {
+      // Indented text would become a code block in Markdown.
+      listNumbers = [];
+    } else {
+      listNumbers = listNumbers.slice(0, level);
+      const indent = '    '.repeat(level - 1);
+      if (line.listTypeName === 'number') {
+        const number = line.start ? Number(line.start) : listNumbers[level - 1] || 1;
+        listNumbers[level - 1] = number + 1;
+        prefix = `${indent}${number}. `;
+      } else {
+        listNumbers[level - 1] = undefined;
+        prefix = `${indent}- `;
+      }
+    }
+    if (line.heading === 'blockquote') prefix = `> ${prefix}`;
+    pieces.push(prefix, getLineMarkdown(text, aline, apool), '\n');
+  }
+  endCodeBlock();
+
+  return pieces.join('');
+};
+
+exports.getMarkdownFromAtext = getMarkdownFromAtext;
+
+exports.getPadMarkdown = async (pad, revNum) => {
+  let atext = pad.atext;
+  if (revNum !== undefined) atext = await pad.getInternalRevisionAText(revNum);
+  return getMarkdownFromAtext(pad, atext);
+};
+
+exports.getPadMarkdownDocument = async (padId, revNum) => {
+  const pad = await padManager.getPad(padId);
+  return await exports.getPadMarkdown(pad, revNum);
+};
@@ -37,6 +37,15 @@ const getPadTXT = async (pad, revNum) => {
   return getTXTFromAtext(pad, atext);
 };
 
+// Returns the text that marks the block format of a line (the `heading` line attribute): `>` for
+// block quotes and an indentation for code blocks. Headings are exported as they are, like the
+// other formatting.
+const getBlockFormatPrefix = (blockFormat) => {
+  if (blockFormat === 'blockquote') return '> ';
+  if (blockFormat === 'code') return '    ';
+  return '';
+};
+
 // This is different than the functionality provided in ExportHtml as it provides formatting
 // functionality that is designed specifically for TXT exports
 const getTXTFromAtext = (pad, atext, authorColors) => {
@@ -198,6 +207,8 @@ const getTXTFromAtext = (pad, atext, authorColors) => {
 
     if (line.listTypeName === 'bullet') {
       lineContent = `* ${lineContent}`; // add a bullet
+    } else if (!line.listLevel) {
+      lineContent = `${getBlockFormatPrefix(line.heading)}${lineContent}`;
     }
 
     if (line.listTypeName !== 'number') {
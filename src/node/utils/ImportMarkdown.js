@@ -0,0 +1,284 @@
+'use strict';
+/**
+ * Markdown import
+ *
+ * Converts Markdown directly to pad text and attributes, without an external converter. Every line
+ * of Markdown becomes one line of the pad. Headings (ATX and setext), bullet and numbered lists
+ * (nested by indentation), bold, italic, strikethrough, <u>underline</u>, links, autolinks and
+ * backslash escapes are supported. Everything else (e.g., code blocks and block quotes) is imported
+ * as plain text.
+ */
+
+const Changeset = require('../../static/js/Changeset');
+
+const isWhitespace = (c) => c == null || /\s/.test(c);
+const isPunctuation = (c) => c != null && /[!-/:-@[-`{-~]/.test(c);
+
+// Returns the index of the `]` that closes the `[` at text[i], or -1.
+const findLabelEnd = (text, i) => {
+  let depth = 0;
+  for (let j = i; j < text.length; j++) {
+    if (text[j] === '\\') {
+      j++;
+    } else if (text[j] === '[') {
+      depth++;
+    } else if (text[j] === ']' && --depth === 0) {
+      return j;
+    }
+  }
+  return -1;
+};
+
+// Parses the `(destination "title")` part of a link. `i` is the index just after the opening
+// parenthesis. Returns the destination and the index after the closing parenthesis, or null.
+const parseLinkDestination = (text, i) => {
+  while (text[i] === ' ') i++;
+  let url = '';
+  if (text[i] === '<') {
+    for (i++; i < text.length && text[i] !== '>'; i++) {
+      if (text[i] === '\\' && isPunctuation(text[i + 1])) i++;
+      url += text[i];
+    }
+    if (text[i++] !== '>') return null;
+  } else {
+    let depth = 0;
+    for (; i < text.length && !isWhitespace(text[i]); i++) {
+      if (text[i] === '\\' && isPunctuation(text[i + 1])) i++;
+      else if (text[i] === '(') depth++;
+      else if (text[i] === ')' && depth-- === 0) break;
+      url += text[i];
+    }
+  }
+  while (text[i] === ' ') i++;
+  if (text[i] === '"' || text[i] === '\'') {
+    const end = text.indexOf(text[i], i + 1);
+    if (end === -1) return null;
+    for (i = end + 1; text[i] === ' ';) i++;
+  }
+  if (text[i] !== ')') return null;
+  return {url, end: i + 1};
+};
+
+/**
+ * Splits inline Markdown into tokens: text, emphasis delimiter runs, <u> and </u> tags and links.
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let buf = '';
+  const flush = () => {
+    if (buf !== '') tokens.push({type: 'text', text: buf});
+    buf = '';
+  };
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    const rest = text.slice(i);
+    let m;
+    if (c === '\\' && isPunctuation(text[i + 1])) {
+      buf += text[i + 1];
+      i += 2;
+    } else if (c === '`') {
+      // Etherpad has no inline code formatting, so code spans are imported verbatim.
+      const [fence] = /^`+/.exec(rest);
+      const end = text.indexOf(fence, i + fence.length);
+      const stop = end === -1 ? i + fence.length : end + fence.length;
+      buf += text.slice(i, stop);
+      i = stop;
+    } else if (c === '*' || c === '_' || c === '~') {
+      const [run] = /^(\*+|_+|~+)/.exec(rest);
+      const before = text[i - 1];
+      const after = text[i + run.length];
+      i += run.length;
+      // Only `~~` is strikethrough; a single `~` is text.
+      if (c === '~' && run.length !== 2) {
+        buf += run;
+        continue;
+      }
+      // See "left-flanking" and "right-flanking" delimiter runs in the CommonMark specification.
+      const left = !isWhitespace(after) &&
+          (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+      const right = !isWhitespace(before) &&
+          (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+      flush();
+      tokens.push({
+        type: 'delim',
+        char: c,
+        len: run.length,
+        // Underscores do not start or end emphasis inside a word.
+        canOpen: c === '_' ? left && (!right || isPunctuation(before)) : left,
+        canClose: c === '_' ? right && (!left || isPunctuation(after)) : right,
+      });
+    } else if ((m = /^<(\/?)u>/i.exec(rest))) {
+      flush();
+      tokens.push({type: 'u', open: m[1] === ''});
+      i += m[0].length;
+    } else if ((m = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>]+)>/.exec(rest))) {
+      // Autolinks are imported as text. Etherpad turns URLs in the text into links by itself.
+      buf += m[1];
+      i += m[0].length;
+    } else if (c === '[') {
+      const end = findLabelEnd(text, i);
+      const dest = end !== -1 && text[end + 1] === '(' ? parseLinkDestination(text, end + 2) : null;
+      if (dest == null) {
+        buf += c;
+        i++;
+        continue;
+      }
+      flush();
+      tokens.push({type: 'link', url: dest.url, children: tokenize(text.slice(i + 1, end))});
+      i = dest.end;
+    } else {
+      buf += c;
+      i++;
+    }
+  }
+  flush();
+  return tokens;
+};
+
+/**
+ * Matches opening and closing emphasis delimiters and <u> tags. Returns a list of
+ * `{open, close, attrib}` objects where `open` and `close` are token indices. The formatting
+ * applies to the tokens in between. Unused delimiters are left in the tokens (`len` > 0) and are
+ * imported as text.
+ */
+const matchDelimiters = (tokens) => {
+  const pairs = [];
+  const openers = [];
+  const underlines = [];
+  tokens.forEach((t, k) => {
+    if (t.type === 'u') {
+      if (t.open) {
+        underlines.push(k);
+      } else if (underlines.length > 0) {
+        pairs.push({open: underlines.pop(), close: k, attrib: 'underline'});
+        tokens[pairs[pairs.length - 1].open].matched = t.matched = true;
+      }
+      return;
+    }
+    if (t.type !== 'delim') return;
+    while (t.canClose && t.len > 0) {
+      let s = openers.length - 1;
+      while (s >= 0 && tokens[openers[s]].char !== t.char) s--;
+      if (s < 0) break;
+      const o = tokens[openers[s]];
+      const use = o.len >= 2 && t.len >= 2 ? 2 : 1;
+      const attrib = t.char === '~' ? 'strikethrough' : use === 2 ? 'bold' : 'italic';
+      pairs.push({open: openers[s], close: k, attrib});
+      o.len -= use;
+      t.len -= use;
+      // Openers between the matched opener and this closer can no longer be closed.
+      openers.length = o.len > 0 ? s + 1 : s;
+    }
+    if (t.canOpen && t.len > 0) openers.push(k);
+  });
+  return pairs;
+};
+
+/**
+ * Converts inline Markdown to a list of `{text, attribs}` segments, where `attribs` maps attribute
+ * names to values.
+ */
+const parseInline = (tokens, base = {}) => {
+  const pairs = matchDelimiters(tokens);
+  const segments = [];
+  tokens.forEach((t, k) => {
+    const attribs = {...base};
+    for (const {open, close, attrib} of pairs) {
+      if (open < k && k < close) attribs[attrib] = 'true';
+    }
+    if (t.type === 'text') {
+      segments.push({text: t.text, attribs});
+    } else if (t.type === 'delim' && t.len > 0) {
+      segments.push({text: t.char.repeat(t.len), attribs});
+    } else if (t.type === 'u' && !t.matched) {
+      segments.push({text: t.open ? '<u>' : '</u>', attribs});
+    } else if (t.type === 'link') {
+      segments.push(...parseInline(t.children, {...attribs, link: t.url}));
+    }
+  });
+  return segments;
+};
+
+// Returns the width of leading whitespace, counting tabs as four columns.
+const indentWidth = (s) => [...s].reduce((w, c) => c === '\t' ? w + 4 - (w % 4) : w + 1, 0);
+
+/**
+ * Splits Markdown into pad lines. Each line is `{lineAttribs, segments}` where `lineAttribs` is a
+ * list of [key, value] line attributes.
+ */
+const parseLines = (markdown) => {
+  const src = markdown.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+  const lines = [];
+  const text = (raw) => [{text: raw, attribs: {}}];
+  // Open list levels: {indent, type, number}.
+  let listStack = [];
+  let fence = null;
+  for (let i = 0; i < src.length; i++) {
+    const raw = src[i];
+    let m;
+    if (fence != null) {
+      if (raw.trim().startsWith(fence) && raw.trim().replace(/[`~]/g, '') === '') fence = null;
+      lines.push({lineAttribs: [], segments: text(raw)});
+      continue;
+    }
+    if ((m = /^ {0,3}(`{3,}|~{3,})/.exec(raw))) {
+      fence = m[1];
+      listStack = [];
+      lines.push({lineAttribs: [], segments: text(raw)});
+    } else if ((m = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/.exec(raw))) {
+      listStack = [];
+      // The editor has no headings below level 4.
+      const heading = [['heading', `h${Math.min(m[1].length, 4)}`]];
+      lines.push({lineAttribs: heading, segments: parseInline(tokenize(m[2] || ''))});
+    } else if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(raw)) {
+      // Thematic break. Etherpad has no equivalent.
+      listStack = [];
+      lines.push({lineAttribs: [], segments: text(raw)});
+    } else if ((m = /^([ \t]*)([-*+]|(\d{1,9})[.)])(?:[ \t]+(.*)|$)/.exec(raw))) {
+      const indent = indentWidth(m[1]);
+      const type = m[3] == null ? 'bullet' : 'number';
+      while (listStack.length > 0 && indent < listStack[listStack.length - 1].indent) {
+        listStack.pop();
+      }
+      let top = listStack[listStack.length - 1];
+      if (top == null || indent > top.indent || top.type !== type) {
+        if (top != null && indent <= top.indent) listStack.pop();
+        top = {indent, type, number: Number(m[3])};
+        listStack.push(top);
+      } else {
+        top.number++;
+      }
+      const lineAttribs = [['list', `${type}${listStack.length}`]];
+      if (type === 'number') lineAttribs.push(['start', `${top.number}`]);
+      lines.push({lineAttribs, segments: parseInline(tokenize(m[4] || ''))});
+    } else if (raw.trim() !== '' && i + 1 < src.length &&
+               (m = /^ {0,3}(=+|-+)[ \t]*$/.exec(src[i + 1]))) {
+      // Setext heading: a line of text underlined with `=` (level 1) or `-` (level 2).
+      listStack = [];
+      const heading = [['heading', m[1][0] === '=' ? 'h1' : 'h2']];
+      lines.push({lineAttribs: heading, segments: parseInline(tokenize(raw.trim()))});
+      i++;
+    } else {
+      // Blank lines do not end a list so that loose lists stay one list.
+      if (raw.trim() !== '') listStack = [];
+      lines.push({lineAttribs: [], segments: parseInline(tokenize(raw))});
+    }
+  }
+  return lines;
+};
+
+exports.setPadMarkdown = async (pad, markdown) => {
+  const builder = Changeset.builder(1);
+  parseLines(markdown).forEach(({lineAttribs, segments}, i) => {
+    if (i > 0) builder.insert('\n', '');
+    if (lineAttribs.length > 0) {
+      builder.insert('*', [['lmkr', '1'], ['insertorder', 'first'], ...lineAttribs], pad.pool);
+    }
+    for (const {text, attribs} of segments) {
+      if (text !== '') builder.insert(text, Object.entries(attribs), pad.pool);
+    }
+  });
+  await pad.setText('\n');
+  await pad.appendRevision(builder.toString());
+};
@@ -0,0 +1,334 @@
+'use strict';
+/**
+ * Compares two versions of a pad (two revisions of one pad, or revisions of two different pads,
+ * e.g. a fork and its origin) and describes the differences as a list of hunks.
+ *
+ * The texts are compared line by line with Myers' diff algorithm, and changed lines are then
+ * compared word by word. Each hunk is an object with these properties:
+ *
+ *   - type: 'equal', 'insert', 'delete' or 'format' (the text is the same, but its attributes have
+ *     changed).
+ *   - text: The text of the hunk.
+ *   - attribs: The attributes of the text (e.g. `{author: 'a.x', bold: 'true'}`). The attributes of
+ *     a line (list, heading, ...) are included in the attributes of the text of the line. Deleted
+ *     text has its attributes in the old version, the other hunks have the attributes in the new
+ *     version.
+ *   - author: The author of the text (the `author` attribute), or null.
+ *   - oldAttribs: Only for 'format' hunks: The attributes of the text in the old version.
+ *
+ * Only the attributes matter for 'format' hunks, not the author: text that is the same in both
+ * versions is equal even if it was written by different authors.
+ */
+
+const AttributeMap = require('../../static/js/AttributeMap');
+const Changeset = require('../../static/js/Changeset');
+
+// The attributes of a line marker that are only used to manage the marker.
+const markerAttribs = ['author', 'insertorder', 'lmkr'];
+
+// Changed regions with more tokens than this are not compared word by word.
+const maxRefineTokens = 20000;
+
+/**
+ * Compares two sequences with Myers' linear space diff algorithm.
+ *
+ * @param {Array} a - The old sequence.
+ * @param {Array} b - The new sequence.
+ * @returns {Array<[string, number]>} The edit script as runs of 'equal', 'delete' and 'insert'
+ *     operations with their lengths.
+ */
+const diffSequences = (a, b) => {
+  const ops = [];
+  const push = (type, n) => {
+    if (n === 0) return;
+    const last = ops[ops.length - 1];
+    if (last != null && last[0] === type) last[1] += n;
+    else ops.push([type, n]);
+  };
+
+  // Returns the middle snake [x, y, u, v] of the shortest edit script of a[aLo..aHi] and
+  // b[bLo..bHi], relative to aLo and bLo.
+  const middleSnake = (aLo, aHi, bLo, bHi) => {
+    const n = aHi - aLo;
+    const m = bHi - bLo;
+    const delta = n - m;
+    const max = Math.ceil((n + m) / 2);
+    const off = max + 1;
+    const vf = new Int32Array(2 * max + 3);
+    const vb = new Int32Array(2 * max + 3);
+    for (let d = 0; d <= max; ++d) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && vf[off + k - 1] < vf[off + k + 1])
+          ? vf[off + k + 1] : vf[off + k - 1] + 1;
+        let y = x - k;
+        const [x0, y0] = [x, y];
+        while (x < n && y < m && a[aLo + x] === b[bLo + y]) { ++x; ++y; }
+        vf[off + k] = x;
+        const kb = delta - k;
+        if (delta % 2 !== 0 && kb >= -(d - 1) && kb <= d - 1 && x + vb[off + kb] >= n) {
+          return [x0, y0, x, y];
+        }
+      }
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && vb[off + k - 1] < vb[off + k + 1])
+          ? vb[off + k + 1] : vb[off + k - 1] + 1;
+        let y = x - k;
+        const [x0, y0] = [x, y];
+        while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) { ++x; ++y; }
+        vb[off + k] = x;
+        const kf = delta - k;
+        if (delta % 2 === 0 && kf >= -d && kf <= d && x + vf[off + kf] >= n) {
+          return [n - x, m - y, n - x0, m - y0];
+        }
+      }
+    }
+    throw new Error('no middle snake');
+  };
+
+  const diff = (aLo, aHi, bLo, bHi) => {
+    let prefix = 0;
+    while (aLo + prefix < aHi && bLo + prefix < bHi && a[aLo + prefix] === b[bLo + prefix]) {
+      ++prefix;
+    }
+    push('equal', prefix);
+    aLo += prefix;
+    bLo += prefix;
+    let suffix = 0;
+    while (aHi - suffix > aLo && bHi - suffix > bLo &&
+           a[aHi - 1 - suffix] === b[bHi - 1 - suffix]) {
+      ++suffix;
+    }
+    aHi -= suffix;
+    bHi -= suffix;
+    if (aLo === aHi || bLo === bHi) {
+      push('delete', aHi - aLo);
+      push('insert', bHi - bLo);
+    } else {
+      const [x, y, u, v] = middleSnake(aLo, aHi, bLo, bHi);
+      diff(aLo, aLo + x, bLo, bLo + y);
+      push('equal', u - x);
+      diff(aLo + u, aHi, bLo + v, bHi);
+    }
+    push('equal', suffix);
+  };
+
+  diff(0, a.length, 0, b.length);
+  return ops;
+};
+exports.diffSequences = diffSequences;
+
+const tokenizeWords = (text) => text.match(/\n|[^\S\n]+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+
+/**
+ * Compares two texts line by line, and the changed lines word by word.
+ *
+ * @returns {Array<{type: string, aStart: number, aEnd: number, bStart: number, bEnd: number}>}
+ *     The 'equal', 'delete' and 'insert' segments, with their offsets in the old text (aStart,
+ *     aEnd) and in the new text (bStart, bEnd).
+ */
+exports.diffText = (textA, textB) => {
+  const segments = [];
+  let aPos = 0;
+  let bPos = 0;
+  const push = (type, aLen, bLen) => {
+    if (aLen === 0 && bLen === 0) return;
+    const last = segments[segments.length - 1];
+    if (last != null && last.type === type) {
+      last.aEnd += aLen;
+      last.bEnd += bLen;
+    } else {
+      segments.push({type, aStart: aPos, aEnd: aPos + aLen, bStart: bPos, bEnd: bPos + bLen});
+    }
+    aPos += aLen;
+    bPos += bLen;
+  };
+  const lengths = (tokens, start, n) => {
+    let sum = 0;
+    for (const t of tokens.slice(start, start + n)) sum += t.length;
+    return sum;
+  };
+  // Applies an edit script of token sequences. Replaced tokens are compared again with refine().
+  const apply = (ops, tokensA, tokensB, refine) => {
+    let i = 0;
+    let j = 0;
+    for (let o = 0; o < ops.length; ++o) {
+      if (ops[o][0] === 'equal') {
+        const [, n] = ops[o];
+        const len = lengths(tokensA, i, n);
+        push('equal', len, len);
+        i += n;
+        j += n;
+        continue;
+      }
+      // The deletions and insertions between two equal runs.
+      let n = 0;
+      let m = 0;
+      for (; o < ops.length && ops[o][0] !== 'equal'; ++o) {
+        if (ops[o][0] === 'delete') n += ops[o][1];
+        else m += ops[o][1];
+      }
+      --o;
+      const oldText = tokensA.slice(i, i + n).join('');
+      const newText = tokensB.slice(j, j + m).join('');
+      if (refine != null && n > 0 && m > 0) {
+        refine(oldText, newText);
+      } else {
+        push('delete', oldText.length, 0);
+        push('insert', 0, newText.length);
+      }
+      i += n;
+      j += m;
+    }
+  };
+  const refineWords = (oldText, newText) => {
+    const wordsA = tokenizeWords(oldText);
+    const wordsB = tokenizeWords(newText);
+    if (wordsA.length + wordsB.length > maxRefineTokens) {
+      push('delete', oldText.length, 0);
+      push('insert', 0, newText.length);
+      return;
+    }
+    apply(diffSequences(wordsA, wordsB), wordsA, wordsB, null);
+  };
+  const linesA = textA ? Changeset.splitTextLines(textA) : [];
+  const linesB = textB ? Changeset.splitTextLines(textB) : [];
+  apply(diffSequences(linesA, linesB), linesA, linesB, refineWords);
+  return segments;
+};
+
+/**
+ * Removes the line markers from an AText and returns its text with the attribute runs of the
+ * text. The attributes of each line are added to the attributes of the text of the line.
+ *
+ * @returns {{text: string, runs: Array<{start: number, end: number, attribs: object}>}}
+ */
+const getAttributeRuns = (atext, pool) => {
+  let text = '';
+  const runs = [];
+  const lines = Changeset.splitTextLines(atext.text);
+  const alines = Changeset.splitAttributionLines(atext.attribs, atext.text);
+  lines.forEach((line, i) => {
+    let lineAttribs = {};
+    let pos = 0;
+    for (const op of Changeset.deserializeOps(alines[i])) {
+      const attribs = Object.fromEntries(AttributeMap.fromString(op.attribs, pool));
+      let chars = op.chars;
+      if (pos === 0 && attribs.lmkr && line[0] === '*') {
+        lineAttribs = {...attribs};
+        for (const key of markerAttribs) delete lineAttribs[key];
+        ++pos;
+        if (--chars === 0) continue;
+      }
+      runs.push({
+        start: text.length,
+        end: text.length + chars,
+        attribs: {...lineAttribs, ...attribs},
+      });
+      text += line.slice(pos, pos + chars);
+      pos += chars;
+    }
+  });
+  return {text, runs};
+};
+
+// Yields the runs of text between start and end, cut to that range.
+function* sliceRuns(runs, start, end) {
+  let lo = 0;
+  let hi = runs.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (runs[mid].end <= start) lo = mid + 1;
+    else hi = mid;
+  }
+  for (let i = lo; i < runs.length && runs[i].start < end; ++i) {
+    const run = runs[i];
+    yield {start: Math.max(run.start, start), end: Math.min(run.end, end), attribs: run.attribs};
+  }
+}
+
+const sameAttribs = (a, b, ignore = []) => {
+  const keys = (o) => Object.keys(o).filter((k) => !ignore.includes(k)).sort();
+  const keysA = keys(a);
+  const keysB = keys(b);
+  return keysA.length === keysB.length && keysA.every((k, i) => k === keysB[i] && a[k] === b[k]);
+};
+
+/**
+ * Compares two ATexts.
+ *
+ * @param {AText} atextA - The old version.
+ * @param {AttributePool} poolA - The attribute pool of the old version.
+ * @param {AText} atextB - The new version.
+ * @param {AttributePool} poolB - The attribute pool of the new version.
+ * @returns {object[]} The hunks (see the top of this file).
+ */
+exports.compareATexts = (atextA, poolA, atextB, poolB) => {
+  const a = getAttributeRuns(atextA, poolA);
+  const b = getAttributeRuns(atextB, poolB);
+  const hunks = [];
+  const push = (type, text, attribs, oldAttribs = null) => {
+    const last = hunks[hunks.length - 1];
+    if (last != null && last.type === type && sameAttribs(last.attribs, attribs) &&
+        (oldAttribs == null || sameAttribs(last.oldAttribs, oldAttribs))) {
+      last.text += text;
+      return;
+    }
+    const hunk = {type, text, attribs, author: attribs.author || null};
+    if (oldAttribs != null) hunk.oldAttribs = oldAttribs;
+    hunks.push(hunk);
+  };
+  for (const {type, aStart, aEnd, bStart, bEnd} of exports.diffText(a.text, b.text)) {
+    if (type === 'delete') {
+      for (const run of sliceRuns(a.runs, aStart, aEnd)) {
+        push('delete', a.text.slice(run.start, run.end), run.attribs);
+      }
+    } else if (type === 'insert') {
+      for (const run of sliceRuns(b.runs, bStart, bEnd)) {
+        push('insert', b.text.slice(run.start, run.end), run.attribs);
+      }
+    } else {
+      // Walk the runs of both versions at the same time.
+      const runsA = [...sliceRuns(a.runs, aStart, aEnd)];
+      const runsB = [...sliceRuns(b.runs, bStart, bEnd)];
+      let pos = 0;
+      let i = 0;
+      let j = 0;
+      while (pos < bEnd - bStart) {
+        const runA = runsA[i];
+        const runB = runsB[j];
+        const end = Math.min(runA.end - aStart, runB.end - bStart);
+        const text = b.text.slice(bStart + pos, bStart + end);
+        if (sameAttribs(runA.attribs, runB.attribs, ['author'])) {
+          push('equal', text, runB.attribs);
+        } else {
+          push('format', text, runB.attribs, runA.attribs);
+        }
+        pos = end;
+        if (runA.end - aStart === end) ++i;
+        if (runB.end - bStart === end) ++j;
+      }
+    }
+  }
+  return hunks;
+};
+
+/**
+ * Compares a revision of a pad with a revision of the same or of another pad.
+ *
+ * @param {Pad} padA - The pad of the old version.
+ * @param {number} revA - The revision of the old version.
+ * @param {Pad} padB - The pad of the new version.
+ * @param {number} revB - The revision of the new version.
+ * @returns {Promise<{hunks: object[], authors: string[]}>} The hunks (see the top of this file)
+ *     and the authors of the inserted, deleted and reformatted text.
+ */
+exports.comparePads = async (padA, revA, padB, revB) => {
+  const [atextA, atextB] = await Promise.all([
+    padA.getInternalRevisionAText(revA),
+    padB.getInternalRevisionAText(revB),
+  ]);
+  const hunks = exports.compareATexts(atextA, padA.pool, atextB, padB.pool);
+  const authors = new Set();
+  for (const {type, author} of hunks) if (type !== 'equal' && author) authors.add(author);
+  return {hunks, authors: [...authors]};
+};
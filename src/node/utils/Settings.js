@@ -195,6 +195,13 @@ exports.padShortcutEnabled = {
   cmdShiftN: true,
   cmdShift1: true,
   cmdShiftC: true,
+  cmdAlt0: true,
+  cmdAlt1: true,
+  cmdAlt2: true,
+  cmdAlt3: true,
+  cmdAlt4: true,
+  cmdAltQ: true,
+  cmdAltC: true,
   cmdH: true,
   ctrlHome: true,
   pageUp: true,
@@ -207,6 +214,7 @@ exports.padShortcutEnabled = {
 exports.toolbar = {
   left: [
     ['bold', 'italic', 'underline', 'strikethrough'],
+    ['blockformat'],
     ['orderedlist', 'unorderedlist', 'indent', 'outdent'],
     ['undo', 'redo'],
     ['clearauthorship'],
@@ -214,7 +222,7 @@ exports.toolbar = {
   right: [
     ['importexport', 'timeslider', 'savedrevision'],
     ['settings', 'embed'],
-    ['showusers'],
+    ['suggestions', 'showcomments', 'showusers'],
   ],
   timeslider: [
     ['timeslider_export', 'timeslider_settings', 'timeslider_returnToPad'],
@@ -423,6 +431,166 @@ exports.commitRateLimiting = {
  */
 exports.importMaxFileSize = 50 * 1024 * 1024;
 
+/*
+ * Outgoing webhooks. Each endpoint receives signed JSON POST requests for the
+ * events it subscribes to. More endpoints can be added with the createWebhook
+ * HTTP API function or on the /admin/webhooks page.
+ */
+exports.webhooks = {
+  // list of {url, secret, events} objects. events defaults to all events.
+  endpoints: [],
+
+  // pad.update events are sent when a pad has not been edited for this long (milliseconds)
+  updateDebounceMs: 5000,
+
+  // ... or at the latest this long after the first edit that has not been sent (milliseconds)
+  updateMaxWaitMs: 60000,
+
+  // give up on a delivery after this many failed attempts
+  maxAttempts: 10,
+
+  // delay before the first retry (milliseconds), doubled after each failed attempt
+  retryDelayMs: 10000,
+
+  // time to wait for the receiver to respond (milliseconds)
+  timeoutMs: 10000,
+};
+
+/*
+ * Prometheus/OpenMetrics endpoint (/metrics) exporting the metrics that are
+ * also shown on /stats.
+ */
+exports.metrics = {
+  enabled: true,
+
+  // if set, scrapers must send the header "Authorization: Bearer <authToken>"
+  authToken: null,
+
+  // also export users, active pads and edits per pad group (one series per group)
+  groupLabels: false,
+};
+
+/*
+ * Per-pad access control lists. Owners (and admins) can change a pad's list in
+ * the share dialog of the pad or with the grantPadAccess and revokePadAccess
+ * HTTP API functions.
+ */
+exports.padAccessControl = {
+  // let any user who can edit a pad without an access control list create one
+  // in the share dialog (and become its owner)
+  allowClaim: false,
+};
+
+/*
+ * Database-backed user accounts that admins can add, disable and reset on the
+ * /admin/users page without restarting Etherpad. They are used for HTTP basic
+ * authentication in addition to the accounts in "users".
+ */
+exports.userStore = {
+  enabled: false,
+};
+
+/*
+ * Full-text search of the current text of all pads (searchPads HTTP API
+ * function, /admin/search page and, optionally, the index page).
+ */
+exports.search = {
+  enabled: true,
+
+  // show a search box on the index page. Users only find pads they can access
+  // and only get their read-only IDs.
+  indexPage: false,
+
+  // edits are indexed once a pad has not been edited for this long (milliseconds)
+  updateDelayMs: 5000,
+};
+
+/*
+ * Cluster mode: several Etherpad processes (nodes) share one database. Each pad
+ * is owned by one node, and the other nodes forward the socket.io messages and
+ * HTTP API calls for the pad to it. The nodes send each other messages over
+ * HTTP unless a plugin provides another bus through the clusterBus hook.
+ */
+exports.cluster = {
+  enabled: false,
+
+  // unique name of this node. A random name is used if null.
+  nodeId: null,
+
+  // a node keeps the pads it owns as long as it renews their leases. If it
+  // dies, other nodes take its pads over once the leases have expired
+  // (milliseconds).
+  leaseDuration: 30000,
+
+  // the URL at which the other nodes reach this node, e.g.
+  // "http://10.0.0.1:9001". Required unless a plugin provides the bus.
+  url: null,
+
+  // shared secret that the nodes use to authenticate their messages. Required
+  // unless a plugin provides the bus.
+  secret: null,
+
+  // a node that claims a pad waits this long (milliseconds) before it checks
+  // that no other node has claimed the pad at the same time. Must be longer
+  // than a database read followed by a write.
+  claimDelay: 500,
+};
+
+/*
+ * Pad history retention. The revisions that are older than both limits are
+ * squashed into the first revision of the pad; saved revisions are kept. A
+ * group can have its own policy (setGroupRetentionPolicy HTTP API function).
+ * Nothing is removed while both limits are null.
+ */
+exports.historyRetention = {
+  // keep at least this many of the newest revisions
+  keepRevisions: null,
+
+  // keep the revisions of the last this many days
+  keepDays: null,
+
+  // how often pads are compacted (milliseconds). 0 disables the scheduler; the
+  // compactPad HTTP API function and bin/compactPad.js still work.
+  intervalMs: 24 * 60 * 60 * 1000,
+};
+
+/*
+ * Automatic deletion of abandoned pads. Pads that have the expiryExempt flag
+ * (setPadExpiryExempt HTTP API function) are never deleted. A group can have
+ * its own limits (setGroupExpiryPolicy HTTP API function).
+ */
+exports.padExpiry = {
+  // delete pads that have not been edited for this many days (null: never)
+  staleDays: null,
+
+  // delete pads that still have the default text this many days after they
+  // were created (null: never)
+  unchangedDays: null,
+
+  // if set, pads are exported to this directory (as .etherpad files) before
+  // they are deleted
+  archiveDir: null,
+
+  // how often expired pads are deleted (milliseconds). 0 disables the
+  // scheduler; the expirePads HTTP API function still works.
+  intervalMs: 24 * 60 * 60 * 1000,
+};
+
+/*
+ * Deleted pads (deletePad HTTP API function, deleted groups and expired pads)
+ * are moved to a trash from which they can be restored.
+ */
+exports.trash = {
+  // how long deleted pads are kept (days). null keeps them until they are
+  // purged with the purgePad HTTP API function; 0 disables the trash (pads are
+  // deleted immediately).
+  retentionDays: 30,
+
+  // how often the pads that have been kept long enough are purged
+  // (milliseconds). 0 disables the scheduler.
+  intervalMs: 60 * 60 * 1000,
+};
+
 /*
  * Disable Admin UI tests
  */
@@ -826,6 +994,14 @@ exports.reloadSettings = () => {
     logger.warn(`${dirtyWarning} File location: ${exports.dbSettings.filename}`);
   }
 
+  const plaintextUsers = Object.entries(exports.users || {})
+      .filter(([, user]) => user != null && user.password != null && user.passwordHash == null)
+      .map(([username]) => username);
+  if (plaintextUsers.length > 0) {
+    logger.warn(`Users with a plaintext password: ${plaintextUsers.join(', ')}. Consider ` +
+                'replacing "password" with "passwordHash" (see src/bin/hashPassword.js).');
+  }
+
   if (exports.ip === '') {
     // using Unix socket for connectivity
     logger.warn('The settings file contains an empty string ("") for the "ip" parameter. The ' +
@@ -0,0 +1,120 @@
+'use strict';
+/**
+ * Password hashing and verification for the user accounts in settings.json and in the user store.
+ *
+ * Hashes are strings in the PHC string format (`$<algorithm>$<parameters>$<salt>$<hash>`). New
+ * hashes are always scrypt hashes because scrypt is built into Node.js. bcrypt (`$2a$`, `$2b$`,
+ * `$2y$`) and Argon2 (`$argon2i$`, `$argon2d$`, `$argon2id$`) hashes created by other tools are
+ * verified with the `bcrypt` (or `bcryptjs`) and `argon2` packages if one of them is installed.
+ */
+
+const crypto = require('crypto');
+const log4js = require('log4js');
+const util = require('util');
+
+const logger = log4js.getLogger('password');
+const scrypt = util.promisify(crypto.scrypt);
+
+// Cost parameters of new scrypt hashes: N = 2^15, r = 8, p = 1. This needs 32 MiB of memory.
+const defaultScryptParams = {ln: 15, r: 8, p: 1};
+const keyLength = 32;
+
+const b64encode = (buf) => buf.toString('base64').replace(/=+$/, '');
+const b64decode = (s) => Buffer.from(s, 'base64');
+
+const optionalRequire = (...names) => {
+  for (const name of names) {
+    try {
+      return require(name);
+    } catch (err) {
+      if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    }
+  }
+  return null;
+};
+
+const scryptHash = async (password, salt, {ln, r, p}) => await scrypt(password, salt, keyLength, {
+  N: 2 ** ln,
+  r,
+  p,
+  maxmem: 256 * 2 ** ln * r,
+});
+
+const verifyScrypt = async (password, hash) => {
+  const [, , paramString, salt, digest] = hash.split('$');
+  const params = {};
+  for (const param of (paramString || '').split(',')) {
+    const [k, v] = param.split('=');
+    params[k] = Number(v);
+  }
+  const {ln, r, p} = params;
+  if (![ln, r, p].every(Number.isInteger) || ln < 1 || ln > 20 || !salt || !digest) {
+    logger.error('Invalid scrypt hash');
+    return false;
+  }
+  const expected = b64decode(digest);
+  const actual = await scryptHash(password, b64decode(salt), {ln, r, p});
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const verifiers = [
+  [/^\$scrypt\$/, verifyScrypt],
+  [/^\$2[aby]\$/, async (password, hash) => {
+    const bcrypt = optionalRequire('bcrypt', 'bcryptjs');
+    if (bcrypt == null) {
+      logger.error('bcrypt hashes require the "bcrypt" or "bcryptjs" package to be installed');
+      return false;
+    }
+    return await bcrypt.compare(password, hash);
+  }],
+  [/^\$argon2(i|d|id)\$/, async (password, hash) => {
+    const argon2 = optionalRequire('argon2');
+    if (argon2 == null) {
+      logger.error('Argon2 hashes require the "argon2" package to be installed');
+      return false;
+    }
+    return await argon2.verify(hash, password);
+  }],
+];
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ *
+ * @param {string} password - The password to hash.
+ * @param {object} [params] - scrypt cost parameters: `ln` (log2 of N), `r` and `p`.
+ * @returns {Promise<string>} The hash in PHC string format.
+ */
+exports.hash = async (password, params = {}) => {
+  params = {...defaultScryptParams, ...params};
+  const salt = crypto.randomBytes(16);
+  const digest = await scryptHash(password, salt, params);
+  const {ln, r, p} = params;
+  return `$scrypt$ln=${ln},r=${r},p=${p}$${b64encode(salt)}$${b64encode(digest)}`;
+};
+
+/**
+ * Checks a password against a hash created by `hash()` or by a supported external tool. Returns
+ * false (and logs an error) if the hash format is not supported.
+ */
+exports.verify = async (password, hash) => {
+  if (typeof password !== 'string' || typeof hash !== 'string') return false;
+  const [, verify] = verifiers.find(([re]) => re.test(hash)) || [];
+  if (verify == null) {
+    logger.error(`Unsupported password hash format: ${hash.split('$', 2).join('$')}$...`);
+    return false;
+  }
+  return await verify(password, hash);
+};
+
+/**
+ * Checks a password against the `passwordHash` or (if there is no hash) the plaintext `password`
+ * property of a user account. The plaintext comparison does not leak timing information about the
+ * configured password.
+ */
+exports.check = async (user, password) => {
+  if (user == null || typeof password !== 'string') return false;
+  if (user.passwordHash != null) return await exports.verify(password, user.passwordHash);
+  if (typeof user.password !== 'string') return false;
+  const digest = (s) => crypto.createHash('sha256').update(s).digest();
+  return crypto.timingSafeEqual(digest(user.password), digest(password));
+};
@@ -174,6 +174,19 @@ module.exports = {
       class: 'buttonicon buttonicon-insertunorderedlist',
     },
 
+    blockformat: new SelectButton({
+      command: 'blockformat',
+      id: 'blockformat',
+      selectId: 'blockformat-select',
+    })
+        .addOption('', 'Normal text', {'data-l10n-id': 'pad.toolbar.blockformat.normal'})
+        .addOption('h1', 'Heading 1', {'data-l10n-id': 'pad.toolbar.blockformat.h1'})
+        .addOption('h2', 'Heading 2', {'data-l10n-id': 'pad.toolbar.blockformat.h2'})
+        .addOption('h3', 'Heading 3', {'data-l10n-id': 'pad.toolbar.blockformat.h3'})
+        .addOption('h4', 'Heading 4', {'data-l10n-id': 'pad.toolbar.blockformat.h4'})
+        .addOption('blockquote', 'Block quote', {'data-l10n-id': 'pad.toolbar.blockformat.quote'})
+        .addOption('code', 'Code block', {'data-l10n-id': 'pad.toolbar.blockformat.code'}),
+
     indent: defaultButtonAttributes('indent'),
     outdent: {
       command: 'outdent',
@@ -207,6 +220,18 @@ module.exports = {
     embed: defaultButtonAttributes('embed'),
     showusers: defaultButtonAttributes('showusers'),
 
+    suggestions: {
+      command: 'suggestions',
+      localizationId: 'pad.toolbar.suggestions.title',
+      class: 'buttonicon buttonicon-pencil',
+    },
+
+    showcomments: {
+      command: 'showcomments',
+      localizationId: 'pad.toolbar.showcomments.title',
+      class: 'buttonicon buttonicon-comment',
+    },
+
     timeslider_export: {
       command: 'import_export',
       localizationId: 'timeslider.toolbar.exportlink.title',
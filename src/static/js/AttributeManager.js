@@ -37,6 +37,9 @@ const AttributeManager = function (rep, applyChangesetCallback) {
   this.rep = rep;
   this.applyChangesetCallback = applyChangesetCallback;
   this.author = '';
+  // In suggestion mode, formatting cannot be changed because it cannot be suggested. Comments can
+  // still be anchored.
+  this.suggesting = false;
 
   // If the first char in a line has one of the following attributes
   // it will be considered as a line marker
@@ -51,13 +54,26 @@ AttributeManager.prototype = _(AttributeManager.prototype).extend({
     if (!this.applyChangesetCallback) return changeset;
 
     const cs = changeset.toString();
-    if (!Changeset.isIdentity(cs)) {
+    if (!Changeset.isIdentity(cs) && !(this.suggesting && !this._onlyAnchorsComments(cs))) {
       this.applyChangesetCallback(cs);
     }
 
     return changeset;
   },
 
+  // Returns whether a changeset does nothing but change comment anchors.
+  _onlyAnchorsComments(cs) {
+    const {oldLen, newLen, ops} = Changeset.unpack(cs);
+    if (oldLen !== newLen) return false;
+    for (const op of Changeset.deserializeOps(ops)) {
+      if (op.opcode !== '=') return false;
+      for (const [key] of attributes.attribsFromString(op.attribs, this.rep.apool)) {
+        if (key !== 'comment') return false;
+      }
+    }
+    return true;
+  },
+
   /*
     Sets attributes on a range
     @param start [row, col] tuple pointing to the start of the range
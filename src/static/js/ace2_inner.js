@@ -21,6 +21,7 @@ let documentAttributeManager;
 const AttributeMap = require('./AttributeMap');
 const browser = require('./vendors/browser');
 const padutils = require('./pad_utils').padutils;
+const randomString = require('./pad_utils').randomString;
 const Ace2Common = require('./ace2_common');
 const $ = require('./rjquery').$;
 
@@ -43,15 +44,32 @@ function Ace2Inner(editorInfo, cssManagers) {
   const undoModule = require('./undomodule').undoModule;
   const AttributeManager = require('./AttributeManager');
   const Scroll = require('./scroll');
+  const suggestions = require('./suggestions');
   const DEBUG = false;
 
   const THE_TAB = '    '; // 4
   const MAX_LIST_LEVEL = 16;
 
   const FORMATTING_STYLES = ['bold', 'italic', 'underline', 'strikethrough'];
+  // The block formats of lines (see domline).
+  const BLOCK_FORMATS = ['h1', 'h2', 'h3', 'h4', 'blockquote', 'code'];
+  // The keys of the cmd-alt shortcuts that set the block format of the selected lines.
+  const BLOCK_FORMAT_SHORTCUTS = new Map([
+    ['0', {setting: 'cmdAlt0', blockFormat: ''}],
+    ['1', {setting: 'cmdAlt1', blockFormat: 'h1'}],
+    ['2', {setting: 'cmdAlt2', blockFormat: 'h2'}],
+    ['3', {setting: 'cmdAlt3', blockFormat: 'h3'}],
+    ['4', {setting: 'cmdAlt4', blockFormat: 'h4'}],
+    ['q', {setting: 'cmdAltQ', blockFormat: 'blockquote'}],
+    ['c', {setting: 'cmdAltC', blockFormat: 'code'}],
+  ]);
   const SELECT_BUTTON_CLASS = 'selected';
 
   let thisAuthor = '';
+  // Whether the user's changes are recorded as suggestions (see suggestions.js).
+  let suggesting = false;
+  // Text removed from the DOM in suggestion mode, to be restored as a suggested deletion.
+  const suggestedRemovals = [];
 
   let disposed = false;
 
@@ -165,6 +183,10 @@ function Ace2Inner(editorInfo, cssManagers) {
   const performDocumentReplaceRange = (start, end, newText) => {
     if (start === undefined) start = rep.selStart;
     if (end === undefined) end = rep.selEnd;
+    if (suggesting) {
+      performSuggestedReplaceRange(start, end, newText);
+      return;
+    }
 
     // start[0]: <--- start[1] --->CCCCCCCCCCC\n
     //           CCCCCCCCCCCCCCCCCCCC\n
@@ -181,6 +203,50 @@ function Ace2Inner(editorInfo, cssManagers) {
     performDocumentApplyChangeset(cs);
   };
 
+  // Returns the attribution of a range of the document.
+  const getRangeAttribs = (startChar, endChar) => {
+    if (startChar === endChar) return '';
+    const startLine = rep.lines.indexOfOffset(startChar);
+    const endLine = rep.lines.indexOfOffset(endChar - 1);
+    const lineOffset = rep.lines.offsetOfIndex(startLine);
+    return Changeset.subattribution(rep.alines.slice(startLine, endLine + 1).join(''),
+        startChar - lineOffset, endChar - lineOffset);
+  };
+
+  // Returns the ID of the suggestion that a change of the given range belongs to: the user's own
+  // suggestion right before or after the range if there is one, so that typing or deleting several
+  // characters in a row makes a single suggestion, or a new one.
+  const getSuggestionIDForRange = (startChar, endChar) => {
+    for (const c of [startChar - 1, endChar]) {
+      if (c < 0 || c >= rep.alltext.length - 1) continue;
+      const [line, col] = lineAndColumnFromChar(c);
+      const attribs = new AttributeMap(rep.apool)
+          .update(documentAttributeManager.getAttributesOnPosition(line, col));
+      const suggestionID = suggestions.getSuggestionID(attribs);
+      if (suggestionID && attribs.get(suggestions.authorKey) === thisAuthor) return suggestionID;
+    }
+    return `s.${randomString(16)}`;
+  };
+
+  // Like performDocumentReplaceRange, but records the change as a suggestion. The text suggested
+  // for deletion stays in the document, so the caret is put before it after a deletion (like after
+  // pressing backspace) and after it if `forward` is true or if text was inserted.
+  const performSuggestedReplaceRange = (start, end, newText, forward = false) => {
+    const startChar = rep.lines.offsetOfIndex(start[0]) + start[1];
+    const endChar = rep.lines.offsetOfIndex(end[0]) + end[1];
+    const suggestionID = getSuggestionIDForRange(startChar, endChar);
+    const builder = Changeset.builder(rep.lines.totalWidth());
+    ChangesetUtils.buildKeepToStartOfRange(rep, builder, start);
+    suggestions.appendRemoval(builder, rep.alltext.substring(startChar, endChar),
+        getRangeAttribs(startChar, endChar), rep.apool, thisAuthor, suggestionID);
+    builder.insert(newText, suggestions.insertAttribs(thisAuthor, suggestionID), rep.apool);
+    const cs = builder.toString();
+    performDocumentApplyChangeset(cs);
+    const caret = lineAndColumnFromChar(newText || forward
+      ? endChar + Changeset.newLen(cs) - Changeset.oldLen(cs) : startChar);
+    performSelectionChange(caret, caret);
+  };
+
   const changesetTracker = makeChangesetTracker(scheduler, rep.apool, {
     withCallbacks: (operationName, f) => {
       inCallStackIfNecessary(operationName, () => {
@@ -651,6 +717,10 @@ function Ace2Inner(editorInfo, cssManagers) {
         thisAuthor = String(value);
         documentAttributeManager.author = thisAuthor;
       },
+      suggesting: (value) => {
+        suggesting = !!value;
+        documentAttributeManager.suggesting = suggesting;
+      },
       styled: setStyled,
       textface: setTextFace,
       rtlistrue: (value) => {
@@ -1173,6 +1243,16 @@ function Ace2Inner(editorInfo, cssManagers) {
     // editbar, so removing the selection when it's lost is not a good
     // idea.
     if (selection) repSelectionChange(selStart, selEnd, selection && selection.focusAtStart);
+
+    // Restore the text that was removed in suggestion mode (see doIncorpLineSplice), last first so
+    // that the positions of the others stay valid.
+    while (suggestedRemovals.length > 0) {
+      const {char, text, attribs, suggestionID} = suggestedRemovals.pop();
+      const builder = Changeset.builder(rep.lines.totalWidth());
+      ChangesetUtils.buildKeepToStartOfRange(rep, builder, lineAndColumnFromChar(char));
+      suggestions.appendRemoval(builder, text, attribs, rep.apool, thisAuthor, suggestionID, true);
+      performDocumentApplyChangeset(builder.toString(), true);
+    }
     // update browser selection
     if (selection && (domChanges || isCaret())) {
       // if no DOM changes (not this case), want to treat range selection delicately,
@@ -1256,7 +1336,7 @@ function Ace2Inner(editorInfo, cssManagers) {
 
   const handleReturnIndentation = () => {
     // on return, indent to level of previous line
-    if (isCaret() && caretColumn() === 0 && caretLine() > 0) {
+    if (isCaret() && caretColumn() === 0 && caretLine() > 0 && !suggesting) {
       const lineNum = caretLine();
       const thisLine = rep.lines.atIndex(lineNum);
       const prevLine = rep.lines.prev(thisLine);
@@ -1807,10 +1887,26 @@ function Ace2Inner(editorInfo, cssManagers) {
           builder.remove(spliceEnd - spliceStart);
         }
 
+        const suggestionID = suggesting ? getSuggestionIDForRange(spliceStart, spliceEnd) : null;
+        if (suggesting && spliceEnd > spliceStart) {
+          // The browser has already removed the text from the DOM. It is restored as a suggested
+          // deletion once the DOM has been incorporated (see incorporateUserChanges).
+          suggestedRemovals.push({
+            char: spliceStart,
+            text: rep.alltext.substring(spliceStart, spliceEnd),
+            attribs: getRangeAttribs(spliceStart, spliceEnd),
+            suggestionID,
+          });
+        }
+
         let isNewTextMultiauthor = false;
         const authorizer = cachedStrFunc((oldAtts) => {
           const attribs = AttributeMap.fromString(oldAtts, rep.apool);
           if (!isNewTextMultiauthor || !attribs.has('author')) attribs.set('author', thisAuthor);
+          // New text might have been typed into a suggestion. It is never a suggested deletion, and
+          // only a suggested insertion in suggestion mode.
+          attribs.update(suggestions.clearAttribs(), true);
+          if (suggesting) attribs.update(suggestions.insertAttribs(thisAuthor, suggestionID));
           return attribs.toString();
         });
 
@@ -2021,12 +2117,21 @@ function Ace2Inner(editorInfo, cssManagers) {
 
   const attribIsFormattingStyle = (attribName) => FORMATTING_STYLES.indexOf(attribName) !== -1;
 
+  const updateBlockFormatSelectState = (blockFormat) => {
+    const $select = parent.parent.$('[data-key="blockformat"]').find('select');
+    // Block formats added by plugins have no option in the select.
+    if (!BLOCK_FORMATS.includes(blockFormat)) blockFormat = '';
+    if ($select.length === 0 || $select.val() === blockFormat) return;
+    $select.val(blockFormat).niceSelect('update');
+  };
+
   const selectFormattingButtonIfLineHasStyleApplied = (rep) => {
     for (const style of FORMATTING_STYLES) {
       const hasStyleOnRepSelection =
           documentAttributeManager.hasAttributeOnSelectionOrCaretPosition(style);
       updateStyleButtonState(style, hasStyleOnRepSelection);
     }
+    updateBlockFormatSelectState(getBlockFormatOnSelection());
   };
 
   const doCreateDomLine =
@@ -2042,6 +2147,11 @@ function Ace2Inner(editorInfo, cssManagers) {
     li: 1,
     ol: 1,
     ul: 1,
+    h1: 1,
+    h2: 1,
+    h3: 1,
+    h4: 1,
+    blockquote: 1,
   };
 
   for (const element of hooks.callAll('aceRegisterBlockElements')) _blockElems[element] = 1;
@@ -2324,7 +2434,8 @@ function Ace2Inner(editorInfo, cssManagers) {
 
     applyNumberList(lineNum, 1);
     const cs = builder.toString();
-    if (!Changeset.isIdentity(cs)) {
+    // Formatting cannot be suggested.
+    if (!Changeset.isIdentity(cs) && !suggesting) {
       performDocumentApplyChangeset(cs);
     }
 
@@ -2377,8 +2488,17 @@ function Ace2Inner(editorInfo, cssManagers) {
         setLineListType(lineNum + 1, type + level);
       }
     } else {
+      // Block quotes and code blocks continue on the new line, headings do not. Return on an empty
+      // line of a block quote or code block ends the block.
+      const blockFormat = getLineBlockFormat(lineNum);
+      const continues = blockFormat === 'blockquote' || blockFormat === 'code';
+      if (continues && rep.lines.atIndex(lineNum).text === '*') {
+        doSetLineBlockFormat(lineNum, '');
+        return;
+      }
       performDocumentReplaceSelection('\n');
       handleReturnIndentation();
+      if (continues) doSetLineBlockFormat(lineNum + 1, blockFormat);
     }
   };
   editorInfo.ace_doReturnKey = doReturnKey;
@@ -2508,6 +2628,17 @@ function Ace2Inner(editorInfo, cssManagers) {
     }
   };
 
+  const doSuggestedForwardDelete = () => {
+    if (!rep.selStart) return;
+    if (!isCaret()) {
+      performSuggestedReplaceRange(rep.selStart, rep.selEnd, '', true);
+      return;
+    }
+    const docChar = caretDocChar();
+    if (docChar >= rep.alltext.length - 1) return;
+    performSuggestedReplaceRange(rep.selStart, lineAndColumnFromChar(docChar + 1), '', true);
+  };
+
   const isWordChar = (c) => padutils.wordCharRegex.test(c);
   editorInfo.ace_isWordChar = isWordChar;
 
@@ -2586,7 +2717,7 @@ function Ace2Inner(editorInfo, cssManagers) {
           evt.preventDefault();
         }
         if (!specialHandled && type === 'keydown' &&
-            altKey && keyCode === 67 &&
+            altKey && !(evt.metaKey || evt.ctrlKey) && keyCode === 67 &&
             padShortcutEnabled.altC) {
           // Alt c focuses on the Chat window
           $(this).blur();
@@ -2643,6 +2774,14 @@ function Ace2Inner(editorInfo, cssManagers) {
           doDeleteKey(evt);
           specialHandled = true;
         }
+        if (!specialHandled && isTypeForSpecialKey && keyCode === 46 && suggesting) {
+          // "delete" key in suggestion mode: mark the next character as a suggested deletion and
+          // move the caret past it.
+          fastIncorp(3);
+          evt.preventDefault();
+          doSuggestedForwardDelete();
+          specialHandled = true;
+        }
         if (!specialHandled && isTypeForSpecialKey &&
             keyCode === 13 &&
             padShortcutEnabled.return) {
@@ -2774,6 +2913,20 @@ function Ace2Inner(editorInfo, cssManagers) {
           doInsertOrderedList();
           specialHandled = true;
         }
+        if (!specialHandled && isTypeForCmdKey &&
+            // cmd-alt-0 to cmd-alt-4 (normal text and headings), cmd-alt-Q (block quote) and
+            // cmd-alt-C (code block). AltGr is reported as ctrl-alt on Windows.
+            (evt.metaKey || evt.ctrlKey) && evt.altKey && !evt.shiftKey &&
+            !(evt.originalEvent && evt.originalEvent.getModifierState &&
+              evt.originalEvent.getModifierState('AltGraph'))) {
+          const shortcut = BLOCK_FORMAT_SHORTCUTS.get(String.fromCharCode(which).toLowerCase());
+          if (shortcut && padShortcutEnabled[shortcut.setting]) {
+            fastIncorp(9);
+            evt.preventDefault();
+            doToggleBlockFormat(shortcut.blockFormat);
+            specialHandled = true;
+          }
+        }
         if (!specialHandled && isTypeForCmdKey &&
             // cmd-shift-C (clearauthorship)
             (evt.metaKey || evt.ctrlKey) && evt.shiftKey &&
@@ -3412,6 +3565,53 @@ function Ace2Inner(editorInfo, cssManagers) {
   editorInfo.ace_doInsertUnorderedList = doInsertUnorderedList;
   editorInfo.ace_doInsertOrderedList = doInsertOrderedList;
 
+  // The block format of a line is stored in the `heading` line attribute (for compatibility with
+  // the ep_headings2 plugin). See domline for how the block formats are rendered.
+  const blockFormatAttributeName = 'heading';
+
+  const getLineBlockFormat = (lineNum) => documentAttributeManager
+      .getAttributeOnLine(lineNum, blockFormatAttributeName);
+  editorInfo.ace_getLineBlockFormat = getLineBlockFormat;
+
+  const doSetLineBlockFormat = (lineNum, blockFormat) => {
+    if (blockFormat) {
+      documentAttributeManager.setAttributeOnLine(lineNum, blockFormatAttributeName, blockFormat);
+    } else {
+      documentAttributeManager.removeAttributeOnLine(lineNum, blockFormatAttributeName);
+    }
+  };
+
+  const getSelectedLines = () => {
+    const firstLine = rep.selStart[0];
+    const lastLine = Math.max(firstLine, rep.selEnd[0] - ((rep.selEnd[1] === 0) ? 1 : 0));
+    return [firstLine, lastLine];
+  };
+
+  // Returns the block format of the selected lines, or '' if they do not all have the same one.
+  const getBlockFormatOnSelection = () => {
+    if (!(rep.selStart && rep.selEnd)) return '';
+    const [firstLine, lastLine] = getSelectedLines();
+    const blockFormat = getLineBlockFormat(firstLine);
+    for (let n = firstLine + 1; n <= lastLine; n++) {
+      if (getLineBlockFormat(n) !== blockFormat) return '';
+    }
+    return blockFormat;
+  };
+
+  // Sets the block format ('h1' to 'h4', 'blockquote' or 'code') of the selected lines. An empty
+  // block format turns them into normal text.
+  const doSetBlockFormat = (blockFormat) => {
+    if (!(rep.selStart && rep.selEnd)) return;
+    if (blockFormat && !BLOCK_FORMATS.includes(blockFormat)) return;
+    const [firstLine, lastLine] = getSelectedLines();
+    for (let n = firstLine; n <= lastLine; n++) doSetLineBlockFormat(n, blockFormat);
+  };
+  editorInfo.ace_doSetBlockFormat = doSetBlockFormat;
+
+  const doToggleBlockFormat = (blockFormat) => {
+    doSetBlockFormat(getBlockFormatOnSelection() === blockFormat ? '' : blockFormat);
+  };
+
 
   // We apply the height of a line in the doc body, to the corresponding sidediv line number
   const updateLineNumbers = () => {
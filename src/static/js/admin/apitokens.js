@@ -0,0 +1,61 @@
+'use strict';
+
+/* global socketio */
+
+$(document).ready(() => {
+  const socket = socketio.connect('..', '/apitokens');
+
+  socket.on('connect', () => {
+    socket.emit('load');
+  });
+
+  socket.on('disconnect', (reason) => {
+    // The socket.io client will automatically try to reconnect for all reasons other than "io
+    // server disconnect".
+    if (reason === 'io server disconnect') socket.connect();
+  });
+
+  const formatTime = (ms) => ms == null ? '' : new Date(ms).toLocaleString();
+
+  socket.on('results:tokens', ({tokens}) => {
+    $('#tokens').empty();
+    tokens.sort((a, b) => b.created - a.created);
+    for (const token of tokens) {
+      const row = $('#token-template').clone().removeAttr('id');
+      row.find('.name').text(token.name);
+      row.find('.scopes').text(token.scopes.join(', '));
+      row.find('.groupID').text(token.groupID || '');
+      const {validUntil} = token;
+      row.find('.validUntil').text(validUntil == null ? '' : formatTime(validUntil * 1000));
+      row.find('.lastUsed').text(formatTime(token.lastUsed));
+      if (token.revoked == null) {
+        row.find('.revoked').hide();
+        row.find('.do-revoke').on('click', () => socket.emit('revoke', token.tokenID));
+      } else {
+        row.find('.do-revoke').remove();
+      }
+      $('#tokens').append(row);
+    }
+  });
+
+  $('#do-create').on('click', () => {
+    const form = $('#create-token');
+    socket.emit('create', {
+      name: form.find('[name=name]').val(),
+      scopes: form.find('[name=scopes]:checked').map((i, el) => el.value).get(),
+      groupID: form.find('[name=groupID]').val(),
+      validUntil: form.find('[name=validUntil]').val(),
+    });
+  });
+
+  socket.on('finished:create', ({token, error}) => {
+    if (error != null) {
+      $('#create-response').text(error);
+      $('#new-token').text('');
+      return;
+    }
+    $('#create-response').text('Copy the token now, it will not be shown again:');
+    $('#new-token').text(token);
+    $('#create-token')[0].reset();
+  });
+});
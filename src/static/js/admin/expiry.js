@@ -0,0 +1,61 @@
+'use strict';
+
+/* global socketio */
+
+$(document).ready(() => {
+  const socket = socketio.connect('..', '/expiry');
+
+  socket.on('disconnect', (reason) => {
+    // The socket.io client will automatically try to reconnect for all reasons other than "io
+    // server disconnect".
+    if (reason === 'io server disconnect') socket.connect();
+  });
+
+  const list = () => socket.emit('list', $('#list-form [name=days]').val());
+
+  const showPads = (pads, {exemptButton = true} = {}) => {
+    $('#pads').empty();
+    for (const {padID, reason, lastEdited, expires} of pads) {
+      const row = $('#pad-template').clone().removeAttr('id');
+      row.find('.padID a').attr('href', `../p/${encodeURIComponent(padID)}`).text(padID);
+      row.find('.reason').text(reason);
+      row.find('.lastEdited').text(new Date(lastEdited).toLocaleString());
+      row.find('.expires').text(new Date(expires).toLocaleString());
+      if (exemptButton) row.find('.do-exempt').on('click', () => socket.emit('exempt', padID));
+      else row.find('.do-exempt').remove();
+      $('#pads').append(row);
+    }
+  };
+
+  socket.on('connect', list);
+
+  $('#list-form').on('submit', (e) => {
+    e.preventDefault();
+    list();
+  });
+
+  $('#do-dry-run').on('click', () => socket.emit('expire', true));
+
+  $('#do-expire').on('click', () => {
+    if (!window.confirm('Remove all expired pads that have no users?')) return;
+    socket.emit('expire', false);
+  });
+
+  socket.on('results:list', ({days, pads, error}) => {
+    showPads(pads);
+    $('#expiry-response').text(error != null ? error
+      : pads.length === 0 ? `No pads expire within ${days} days.` : '');
+  });
+
+  socket.on('results:exempt', ({error}) => {
+    if (error != null) $('#expiry-response').text(error);
+    else list();
+  });
+
+  socket.on('results:expire', ({dryRun, pads, error}) => {
+    showPads(pads, {exemptButton: dryRun});
+    $('#expiry-response').text(error != null ? error
+      : dryRun ? `${pads.length} pads would be removed now.`
+      : `Removed ${pads.length} pads.`);
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+/* global socketio */
+
+$(document).ready(() => {
+  const socket = socketio.connect('..', '/pads');
+
+  socket.on('disconnect', (reason) => {
+    // The socket.io client will automatically try to reconnect for all reasons other than "io
+    // server disconnect".
+    if (reason === 'io server disconnect') socket.connect();
+  });
+
+  let offset = 0;
+
+  const list = () => socket.emit('list', {
+    query: $('#list-form [name=query]').val(),
+    sortBy: $('#list-form [name=sortBy]').val(),
+    descending: $('#list-form [name=descending]').prop('checked'),
+    offset,
+  });
+
+  socket.on('connect', list);
+
+  $('#list-form').on('submit', (e) => {
+    e.preventDefault();
+    offset = 0;
+    list();
+  });
+
+  let pageSize = 0;
+  $('#do-previous').on('click', () => {
+    offset = Math.max(0, offset - pageSize);
+    list();
+  });
+  $('#do-next').on('click', () => {
+    offset += pageSize;
+    list();
+  });
+
+  const padURL = (padID) => `../p/${encodeURIComponent(padID)}`;
+
+  socket.on('results:list', (results) => {
+    $('#pads').empty();
+    if (results.error != null) return $('#pads-response').text(results.error);
+    const {total, pads} = results;
+    ({offset, pageSize} = results);
+    $('#pads-response').text(total === 0 ? 'No pads found.' : '');
+    $('#page').text(total === 0 ? '' : `${offset + 1}–${offset + pads.length} / ${total}`);
+    $('#do-previous').prop('disabled', offset === 0);
+    $('#do-next').prop('disabled', offset + pageSize >= total);
+    for (const {padID, lastEdited, revisionCount, size, userCount} of pads) {
+      const row = $('#pad-template').clone().removeAttr('id');
+      row.find('.padID a').attr('href', padURL(padID)).text(padID);
+      row.find('.lastEdited').text(new Date(lastEdited).toLocaleString());
+      row.find('.revisionCount').text(revisionCount);
+      row.find('.size').text(size);
+      row.find('.userCount').text(userCount);
+      for (const type of ['etherpad', 'html', 'txt']) {
+        row.find(`.export-${type}`).attr('href', `${padURL(padID)}/export/${type}`);
+      }
+      row.find('.do-move').on('click', () => {
+        const destinationID = window.prompt(`New ID of pad ${padID}:`, padID);
+        if (destinationID && destinationID !== padID) {
+          socket.emit('move', {padID, destinationID});
+        }
+      });
+      row.find('.do-copy').on('click', () => {
+        const destinationID = window.prompt(`ID of the copy of pad ${padID}:`);
+        if (destinationID) socket.emit('copy', {padID, destinationID});
+      });
+      row.find('.do-delete').on('click', () => {
+        if (window.confirm(`Delete pad ${padID}?`)) socket.emit('delete', padID);
+      });
+      row.find('.do-kick').on('click', () => socket.emit('kick', padID));
+      $('#pads').append(row);
+    }
+  });
+
+  for (const event of ['move', 'copy', 'delete', 'kick']) {
+    socket.on(`results:${event}`, ({error}) => {
+      if (error != null) return $('#pads-response').text(error);
+      list();
+    });
+  }
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+/* global socketio */
+
+$(document).ready(() => {
+  const socket = socketio.connect('..', '/search');
+
+  socket.on('disconnect', (reason) => {
+    // The socket.io client will automatically try to reconnect for all reasons other than "io
+    // server disconnect".
+    if (reason === 'io server disconnect') socket.connect();
+  });
+
+  $('#search-form').on('submit', (e) => {
+    e.preventDefault();
+    socket.emit('search', $('#search-form [name=query]').val());
+  });
+
+  socket.on('results:search', ({results, error}) => {
+    $('#results').empty();
+    $('#search-response').text(
+        error != null ? error : results.length === 0 ? 'No pads found.' : '');
+    for (const {padID, readOnlyID, snippet} of results) {
+      const row = $('#result-template').clone().removeAttr('id');
+      row.find('.padID a').attr('href', `../p/${encodeURIComponent(padID)}`).text(padID);
+      row.find('.readOnlyID a').attr('href', `../p/${readOnlyID}`).text(readOnlyID);
+      row.find('.snippet').text(snippet);
+      $('#results').append(row);
+    }
+  });
+});
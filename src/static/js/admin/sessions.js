@@ -0,0 +1,93 @@
+'use strict';
+
+/* global socketio */
+
+$(document).ready(() => {
+  const socket = socketio.connect('..', '/sessions');
+
+  socket.on('disconnect', (reason) => {
+    // The socket.io client will automatically try to reconnect for all reasons other than "io
+    // server disconnect".
+    if (reason === 'io server disconnect') socket.connect();
+  });
+
+  const list = () => socket.emit('list');
+
+  socket.on('connect', list);
+  $('#do-refresh').on('click', list);
+
+  // Asks for the duration of a ban. Returns undefined if the admin cancels.
+  const askHours = () => {
+    const hours = window.prompt('Ban for how many hours? (Leave empty to ban forever.)', '24');
+    return hours == null ? undefined : hours;
+  };
+
+  const ban = (target) => {
+    const hours = askHours();
+    if (hours === undefined) return;
+    socket.emit('ban', {...target, hours, reason: window.prompt('Reason:', '') || ''});
+  };
+
+  socket.on('results:list', (results) => {
+    $('#sessions').empty();
+    $('#bans').empty();
+    if (results.error != null) return $('#sessions-response').text(results.error);
+    const {sessions, bans} = results;
+    $('#sessions-response').text(sessions.length === 0 ? 'Nobody is connected.' : '');
+    for (const {socketID, padID, authorID, authorName, username, ip, connectedAt} of sessions) {
+      const row = $('#session-template').clone().removeAttr('id');
+      row.find('.padID a').attr('href', `../p/${encodeURIComponent(padID)}`).text(padID);
+      row.find('.author').text(authorName ? `${authorName} (${authorID})` : authorID || '');
+      row.find('.username').text(username || '');
+      row.find('.ip').text(ip || '');
+      row.find('.connectedAt').text(new Date(connectedAt).toLocaleString());
+      row.find('.do-kick').on('click', () => socket.emit('kick', socketID));
+      row.find('.do-ban-author').prop('disabled', !authorID).on('click', () => ban({authorID}));
+      row.find('.do-ban-ip').prop('disabled', !ip).on('click', () => ban({ipRange: ip}));
+      row.find('.do-revert').prop('disabled', !authorID).on('click', () => {
+        const startRev = window.prompt(
+            `Revert the changes of ${authorName || authorID} to pad ${padID} since revision:`, '0');
+        if (startRev != null) socket.emit('revert', {padID, authorID, startRev});
+      });
+      $('#sessions').append(row);
+    }
+    $('#bans-response').text(bans.length === 0 ? 'Nobody is banned.' : '');
+    for (const {banID, authorID, ipRange, reason, created, until} of bans) {
+      const row = $('#ban-template').clone().removeAttr('id');
+      row.find('.banned').text(authorID || ipRange);
+      row.find('.reason').text(reason);
+      row.find('.created').text(new Date(created).toLocaleString());
+      row.find('.until').text(until == null ? '∞' : new Date(until).toLocaleString());
+      row.find('.do-unban').on('click', () => socket.emit('unban', banID));
+      $('#bans').append(row);
+    }
+  });
+
+  $('#ban-form').on('submit', (e) => {
+    e.preventDefault();
+    socket.emit('ban', {
+      authorID: $('#ban-form [name=authorID]').val().trim(),
+      ipRange: $('#ban-form [name=ipRange]').val().trim(),
+      hours: $('#ban-form [name=hours]').val(),
+      reason: $('#ban-form [name=reason]').val(),
+    });
+  });
+
+  socket.on('results:ban', ({error}) => {
+    if (error != null) return $('#bans-response').text(error);
+    $('#ban-form')[0].reset();
+    list();
+  });
+
+  socket.on('results:revert', ({error, padID, revertedRevisions}) => {
+    if (error != null) return $('#sessions-response').text(error);
+    $('#sessions-response').text(`Reverted ${revertedRevisions} revisions of pad ${padID}.`);
+  });
+
+  for (const event of ['kick', 'unban']) {
+    socket.on(`results:${event}`, ({error}) => {
+      if (error != null) return $('#sessions-response').text(error);
+      list();
+    });
+  }
+});
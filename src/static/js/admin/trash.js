@@ -0,0 +1,52 @@
+'use strict';
+
+/* global socketio */
+
+$(document).ready(() => {
+  const socket = socketio.connect('..', '/trash');
+
+  socket.on('disconnect', (reason) => {
+    // The socket.io client will automatically try to reconnect for all reasons other than "io
+    // server disconnect".
+    if (reason === 'io server disconnect') socket.connect();
+  });
+
+  const list = () => socket.emit('list');
+
+  const removeRow = (padID) => {
+    $('#pads tr').filter((i, row) => $(row).data('padID') === padID).remove();
+  };
+
+  socket.on('connect', list);
+
+  socket.on('results:list', ({pads, error}) => {
+    $('#pads').empty();
+    if (error != null) return $('#trash-response').text(error);
+    $('#trash-response').text(pads.length === 0 ? 'The trash is empty.' : '');
+    for (const {padID, deletedAt, expires} of pads) {
+      const row = $('#pad-template').clone().removeAttr('id').data('padID', padID);
+      row.find('.padID').text(padID);
+      row.find('.deletedAt').text(new Date(deletedAt).toLocaleString());
+      row.find('.expires').text(expires == null ? '' : new Date(expires).toLocaleString());
+      row.find('.do-restore').on('click', () => socket.emit('restore', padID));
+      row.find('.do-purge').on('click', () => {
+        if (!window.confirm(`Permanently delete pad ${padID}?`)) return;
+        socket.emit('purge', padID);
+      });
+      $('#pads').append(row);
+    }
+  });
+
+  socket.on('results:restore', ({padID, error}) => {
+    if (error != null) return $('#trash-response').text(error);
+    removeRow(padID);
+    $('#trash-response').empty().append(
+        'Restored ', $('<a>').attr('href', `../p/${encodeURIComponent(padID)}`).text(padID));
+  });
+
+  socket.on('results:purge', ({padID, error}) => {
+    if (error != null) return $('#trash-response').text(error);
+    removeRow(padID);
+    $('#trash-response').text(`Purged ${padID}`);
+  });
+});
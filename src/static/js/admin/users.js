@@ -0,0 +1,81 @@
+'use strict';
+
+/* global socketio */
+
+$(document).ready(() => {
+  const socket = socketio.connect('..', '/users');
+
+  socket.on('connect', () => {
+    socket.emit('load');
+  });
+
+  socket.on('disconnect', (reason) => {
+    // The socket.io client will automatically try to reconnect for all reasons other than "io
+    // server disconnect".
+    if (reason === 'io server disconnect') socket.connect();
+  });
+
+  const formatTime = (ms) => ms == null ? '' : new Date(ms).toLocaleString();
+
+  const role = (user) => user.is_admin ? 'admin' : user.readOnly ? 'read-only' : '';
+
+  socket.on('results:users', ({users}) => {
+    $('#users').empty();
+    users.sort((a, b) => a.username.localeCompare(b.username));
+    for (const user of users) {
+      const row = $('#user-template').clone().removeAttr('id');
+      row.find('.username').text(user.username);
+      row.find('.role').text(role(user));
+      row.find('.created').text(formatTime(user.created));
+      row.find('.lastLogin').text(formatTime(user.lastLogin));
+      row.find('.do-reset').on('click', () => socket.emit('reset', user.username));
+      if (user.disabled == null) {
+        row.find('.disabled, .do-enable').remove();
+        row.find('.do-disable').on('click', () => socket.emit('disable', user.username));
+      } else {
+        row.find('.do-disable').remove();
+        row.find('.do-enable').on('click', () => socket.emit('enable', user.username));
+      }
+      $('#users').append(row);
+    }
+  });
+
+  $('#do-create').on('click', () => {
+    const form = $('#create-user');
+    socket.emit('create', {
+      username: form.find('[name=username]').val(),
+      password: form.find('[name=password]').val(),
+      is_admin: form.find('[name=is_admin]').prop('checked'),
+      readOnly: form.find('[name=readOnly]').prop('checked'),
+    });
+  });
+
+  // Passwords are only shown if they were generated by the server.
+  const showPassword = (response, pre, {username, password, error}, generated) => {
+    if (error != null) {
+      $(response).text(error);
+      $(pre).text('');
+      return;
+    }
+    $(response).text(
+        generated ? `Copy the password of ${username} now, it will not be shown again:` : '');
+    $(pre).text(generated ? password : '');
+  };
+
+  socket.on('finished:create', (result) => {
+    const generated = $('#create-user [name=password]').val() === '';
+    showPassword('#create-response', '#new-password', result, generated);
+    if (result.error == null) $('#create-user')[0].reset();
+  });
+
+  socket.on('finished:reset', (result) => {
+    showPassword('#reset-response', '#reset-password', result, true);
+  });
+
+  for (const name of ['disable', 'enable']) {
+    socket.on(`finished:${name}`, ({error}) => {
+      $('#reset-response').text(error || '');
+      $('#reset-password').text('');
+    });
+  }
+});
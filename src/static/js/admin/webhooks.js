@@ -0,0 +1,72 @@
+'use strict';
+
+/* global socketio */
+
+$(document).ready(() => {
+  const socket = socketio.connect('..', '/webhooks');
+
+  socket.on('connect', () => {
+    socket.emit('load');
+  });
+
+  socket.on('disconnect', (reason) => {
+    // The socket.io client will automatically try to reconnect for all reasons other than "io
+    // server disconnect".
+    if (reason === 'io server disconnect') socket.connect();
+  });
+
+  socket.on('results:webhooks', ({webhooks}) => {
+    $('#webhooks').empty();
+    for (const webhook of webhooks) {
+      const row = $('#webhook-template').clone().removeAttr('id');
+      row.find('.url').text(webhook.url);
+      row.find('.events').text(webhook.events.join(', '));
+      row.find('.source').text(webhook.source);
+      if (webhook.source === 'settings') {
+        row.find('.do-delete').remove();
+      } else {
+        row.find('.do-delete').on('click', () => socket.emit('delete', webhook.webhookID));
+      }
+      row.find('.do-deliveries').on('click', () => {
+        $('#deliveries .url').text(webhook.url);
+        socket.emit('deliveries', webhook.webhookID);
+      });
+      $('#webhooks').append(row);
+    }
+  });
+
+  socket.on('results:deliveries', ({deliveries}) => {
+    $('#delivery-log').empty();
+    for (const delivery of deliveries) {
+      const row = $('#delivery-template').clone().removeAttr('id');
+      row.find('.time').text(new Date(delivery.time).toLocaleString());
+      row.find('.event').text(delivery.event);
+      row.find('.attempt').text(delivery.attempt);
+      row.find('.status').text(delivery.ok
+        ? delivery.status
+        : `${delivery.status || ''} ${delivery.error || ''}`.trim());
+      $('#delivery-log').append(row);
+    }
+    $('#deliveries').show();
+  });
+
+  $('#do-create').on('click', () => {
+    const form = $('#create-webhook');
+    socket.emit('create', {
+      url: form.find('[name=url]').val(),
+      events: form.find('[name=events]:checked').map((i, el) => el.value).get(),
+      secret: form.find('[name=secret]').val(),
+    });
+  });
+
+  socket.on('finished:create', ({secret, error}) => {
+    if (error != null) {
+      $('#create-response').text(error);
+      $('#new-secret').text('');
+      return;
+    }
+    $('#create-response').text('Webhook added. Use this secret to verify the signatures:');
+    $('#new-secret').text(secret);
+    $('#create-webhook')[0].reset();
+  });
+});
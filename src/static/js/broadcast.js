@@ -426,6 +426,8 @@ const loadBroadcastJS = (socket, sendSocketMsg, fireWhenAllScriptsAreLoaded, Bro
         } else if (obj.type === 'NEW_SAVEDREV') {
           const savedRev = obj.savedRev;
           BroadcastSlider.addSavedRevision(savedRev.revNum, savedRev);
+        } else if (obj.type === 'CLIENT_MESSAGE' && obj.payload.type === 'newRevisionList') {
+          BroadcastSlider.setSavedRevisions(obj.payload.revisionList);
         }
         hooks.callAll(`handleClientTimesliderMessage_${obj.type}`, {payload: obj});
       } else if (obj.type === 'CHANGESET_REQ') {
@@ -462,6 +464,17 @@ const loadBroadcastJS = (socket, sendSocketMsg, fireWhenAllScriptsAreLoaded, Bro
 
   BroadcastSlider.onSlider(goToRevisionIfEnabled);
 
+  $('#savedrevision-rename').click(() => {
+    const savedRev = BroadcastSlider.getSavedRevision(BroadcastSlider.getSliderPosition());
+    if (savedRev == null) return;
+    const label = window.prompt(html10n.get('timeslider.savedrevision.prompt'), savedRev.label);
+    if (label == null) return;
+    sendSocketMsg('COLLABROOM', {
+      type: 'CLIENT_MESSAGE',
+      payload: {type: 'savedRevision', savedRevisionID: savedRev.id, label},
+    });
+  });
+
   const dynamicCSS = makeCSSManager(document.querySelector('style[title="dynamicsyntax"]').sheet);
   const authorData = {};
 
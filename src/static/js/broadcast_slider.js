@@ -64,6 +64,7 @@ const loadBroadcastSliderJS = (fireWhenAllScriptsAreLoaded) => {
       newSavedRevision.addClass('star');
 
       newSavedRevision.attr('pos', position);
+      if (info) newSavedRevision.attr('title', info.label).data('savedRevision', info);
       newSavedRevision.css(
           'left', (position * ($('#ui-slider-bar').width() - 2) / (sliderLength * 1.0)) - 1);
       $('#ui-slider-bar').append(newSavedRevision);
@@ -73,6 +74,25 @@ const loadBroadcastSliderJS = (fireWhenAllScriptsAreLoaded) => {
       savedRevisions.push(newSavedRevision);
     };
 
+    const getSavedRevision = (position) => {
+      const star = savedRevisions.find((star) => parseInt(star.attr('pos')) === position);
+      return star == null ? null : star.data('savedRevision') || null;
+    };
+
+    // Shows the label of the saved revision at the current position, if any.
+    const updateSavedRevisionLabel = () => {
+      const savedRev = getSavedRevision(sliderPos);
+      $('#savedrevision').toggle(savedRev != null);
+      $('#savedrevision-label').text(savedRev == null ? '' : savedRev.label);
+    };
+
+    const setSavedRevisions = (revisionList) => {
+      for (const star of savedRevisions) star.remove();
+      savedRevisions.length = 0;
+      for (const savedRev of revisionList) addSavedRevision(savedRev.revNum, savedRev);
+      updateSavedRevisionLabel();
+    };
+
     /* Begin small 'API' */
 
     const onSlider = (callback) => {
@@ -100,6 +120,7 @@ const loadBroadcastSliderJS = (fireWhenAllScriptsAreLoaded) => {
       $('#rightstar, #rightstep').toggleClass('disabled', newpos === sliderLength);
 
       sliderPos = newpos;
+      updateSavedRevisionLabel();
       _callSliderCallbacks(newpos);
     };
 
@@ -203,6 +224,8 @@ const loadBroadcastSliderJS = (fireWhenAllScriptsAreLoaded) => {
       isSliderActive: () => sliderActive,
       playpause,
       addSavedRevision,
+      getSavedRevision,
+      setSavedRevisions,
       showReconnectUI,
       setAuthors,
     };
@@ -324,9 +347,8 @@ const loadBroadcastSliderJS = (fireWhenAllScriptsAreLoaded) => {
         setSliderLength(clientVars.collab_client_vars.rev);
         setSliderPosition(clientVars.collab_client_vars.rev);
 
-        _.each(clientVars.savedRevisions, (revision) => {
-          addSavedRevision(revision.revNum, revision);
-        });
+        setSavedRevisions(clientVars.savedRevisions);
+        $('#savedrevision-rename').toggle(!clientVars.readonly);
       }
     });
   })();
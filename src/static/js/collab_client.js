@@ -204,6 +204,7 @@ const getCollabClient = (ace2editor, serverVars, initialUserInfo, options, _pad)
         }
         rev = newRev;
         editor.applyChangesToBase(changeset, author, apool);
+        callbacks.onInternalAction('newChanges');
       });
     } else if (msg.type === 'ACCEPT_COMMIT') {
       serverMessageTaskQueue.enqueue(() => {
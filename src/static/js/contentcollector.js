@@ -37,10 +37,16 @@ const tagName = (n) => n.tagName && n.tagName.toLowerCase();
 const supportedElems = new Set([
   'author',
   'b',
+  'blockquote',
   'bold',
   'br',
+  'comment',
   'div',
   'font',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
   'i',
   'insertorder',
   'italic',
@@ -56,12 +62,34 @@ const supportedElems = new Set([
   'ul',
 ]);
 
+// The values of the `heading` line attribute (the block format of a line) that are collected from
+// elements. See domline for the other direction.
+const blockFormats = new Map([
+  ['h1', 'h1'],
+  ['h2', 'h2'],
+  ['h3', 'h3'],
+  ['h4', 'h4'],
+  ['blockquote', 'blockquote'],
+]);
+
+// Returns the block format of an element. Only <pre> elements with the `code` class (as rendered by
+// domline and exported) are code blocks; other <pre> elements just keep their white space.
+const getBlockFormat = (tname, cls) => {
+  if (tname === 'pre') return cls && /(?:^| )code(?: |$)/.test(cls) ? 'code' : null;
+  return blockFormats.get(tname) || null;
+};
+
 const makeContentCollector = (collectStyles, abrowser, apool, className2Author) => {
   const _blockElems = {
     div: 1,
     p: 1,
     pre: 1,
     li: 1,
+    h1: 1,
+    h2: 1,
+    h3: 1,
+    h4: 1,
+    blockquote: 1,
   };
 
   hooks.callAll('ccRegisterBlockElements').forEach((element) => {
@@ -213,6 +241,20 @@ const makeContentCollector = (collectStyles, abrowser, apool, className2Author)
     _recalcAttribString(state);
   };
 
+  const _enterBlockFormat = (state, blockFormat) => {
+    const oldBlockFormat = state.lineAttributes.heading;
+    state.lineAttributes.heading = blockFormat;
+    return oldBlockFormat;
+  };
+
+  const _exitBlockFormat = (state, oldBlockFormat) => {
+    if (oldBlockFormat && oldBlockFormat !== 'none') {
+      state.lineAttributes.heading = oldBlockFormat;
+    } else {
+      delete state.lineAttributes.heading;
+    }
+  };
+
   const _enterAuthor = (state, author) => {
     const oldAuthor = state.author;
     state.authorLevel = (state.authorLevel || 0) + 1;
@@ -427,6 +469,7 @@ const makeContentCollector = (collectStyles, abrowser, apool, className2Author)
         }
         if (isPre) cc.incrementFlag(state, 'preMode');
         let oldListTypeOrNull = null;
+        let oldBlockFormatOrNull = null;
         let oldAuthorOrNull = null;
 
         // LibreOffice Writer puts in weird items during import or copy/paste, we should drop them.
@@ -466,6 +509,24 @@ const makeContentCollector = (collectStyles, abrowser, apool, className2Author)
               tname === 'del') {
             cc.doAttrib(state, 'strikethrough');
           }
+          const linkMatch = cls && /(?:^| )link:(\S+)/.exec(cls);
+          if (linkMatch) {
+            try {
+              cc.doAttrib(state, `link::${decodeURIComponent(linkMatch[1])}`);
+            } catch (err) {
+              // Not a class added by linestylefilter (malformed URI encoding); ignore it.
+            }
+          }
+          const commentMatch = cls && /(?:^| )comment:(c\.[0-9A-Za-z]+)/.exec(cls);
+          if (commentMatch) cc.doAttrib(state, `comment::${commentMatch[1]}`);
+          for (const key of ['suggestInsert', 'suggestDelete', 'suggestAuthor']) {
+            const suggestionMatch = cls && new RegExp(`(?:^| )${key}:([\\w.]+)`).exec(cls);
+            if (suggestionMatch) cc.doAttrib(state, `${key}::${suggestionMatch[1]}`);
+          }
+          const blockFormat = getBlockFormat(tname, cls);
+          if (blockFormat != null) {
+            oldBlockFormatOrNull = (_enterBlockFormat(state, blockFormat) || 'none');
+          }
           if (tname === 'ul' || tname === 'ol') {
             let type = node.getAttribute('class');
             const rr = cls && /(?:^| )list-([a-z]+[0-9]+)\b/.exec(cls);
@@ -577,6 +638,9 @@ const makeContentCollector = (collectStyles, abrowser, apool, className2Author)
         if (oldListTypeOrNull) {
           _exitList(state, oldListTypeOrNull);
         }
+        if (oldBlockFormatOrNull) {
+          _exitBlockFormat(state, oldBlockFormatOrNull);
+        }
         if (oldAuthorOrNull) {
           _exitAuthor(state, oldAuthorOrNull);
         }
@@ -28,6 +28,13 @@ const _ = require('./underscore');
 const lineAttributeMarker = require('./linestylefilter').lineAttributeMarker;
 const noop = () => {};
 
+// The opening and closing tags of the elements that the values of the `heading` line attribute (the
+// block format of a line) are rendered as. contentcollector maps them back.
+const blockFormatTags = new Map([
+  ...['h1', 'h2', 'h3', 'h4', 'blockquote'].map((tag) => [tag, [`<${tag}>`, `</${tag}>`]]),
+  ['code', ['<pre class="code">', '</pre>']],
+]);
+
 
 const domline = {};
 
@@ -118,6 +125,13 @@ domline.createDomLine = (nonEmpty, doesWrap, optBrowser, optDocument) => {
         }
         processedMarker = true;
       }
+      const blockFormat = /(?:^| )heading:(\S+)/.exec(cls);
+      const blockTags = blockFormat && blockFormatTags.get(blockFormat[1]);
+      if (blockTags) {
+        preHtml += blockTags[0];
+        postHtml = `${blockTags[1]}${postHtml}`;
+        processedMarker = true;
+      }
       _.map(hooks.callAll('aceDomLineProcessLineAttributes', {
         domline,
         cls,
@@ -40,11 +40,18 @@ const randomPadName = () => {
   return randomstring;
 };
 
+// The URL of a pad, including the template selected for new pads (if any).
+const padUrl = (padname) => {
+  const template = $('#padtemplate').val();
+  const query = template ? `?template=${encodeURIComponent(template)}` : '';
+  return `p/${encodeURIComponent(padname)}${query}`;
+};
+
 $(() => {
   $('#go2Name').submit(() => {
     const padname = $('#padname').val();
     if (padname.length > 0) {
-      window.location = `p/${encodeURIComponent(padname.trim())}`;
+      window.location = padUrl(padname.trim());
     } else {
       alert('Please enter a name');
     }
@@ -52,7 +59,28 @@ $(() => {
   });
 
   $('#button').click(() => {
-    window.location = `p/${randomPadName()}`;
+    window.location = padUrl(randomPadName());
+  });
+
+  $('#searchPads').submit(() => {
+    const query = $('#searchquery').val().trim();
+    if (query.length === 0) return false;
+    $.getJSON('search', {query}).done(({results}) => {
+      const $results = $('#searchresults').empty();
+      if (results.length === 0) {
+        $('<li>').text(html10n.get('index.searchNoResults')).appendTo($results);
+      }
+      for (const {readOnlyID, snippet} of results) {
+        $('<li>')
+            .append($('<a>').attr('href', `p/${readOnlyID}`).text(readOnlyID))
+            .append($('<span>').text(snippet))
+            .appendTo($results);
+      }
+    }).fail((xhr) => {
+      const {error} = xhr.responseJSON || {};
+      $('#searchresults').empty().append($('<li>').text(error || xhr.statusText));
+    });
+    return false;
   });
 
   // start the custom js
@@ -83,9 +83,27 @@ linestylefilter.getLineStyleFilter = (lineLength, aline, textAndClassFunc, apool
           classes += ` ${linestylefilter.getAuthorClassName(value)}`;
         } else if (key === 'list') {
           classes += ` list:${value}`;
+        } else if (key === 'heading') {
+          // Block format of the line (heading, block quote or code block), see domline.
+          classes += ` heading:${value}`;
         } else if (key === 'start') {
           // Needed to introduce the correct Ordered list item start number on import
           classes += ` start:${value}`;
+        } else if (key === 'link') {
+          // Links imported from Markdown. The `url:` class makes domline render a hyperlink, the
+          // `link:` class is needed to collect the attribute again when the line is edited.
+          classes += ` link:${encodeURIComponent(value)} url:${encodeURI(value)}`;
+        } else if (key === 'comment') {
+          // The `comment:` class is needed to collect the comment anchor again when the line is
+          // edited (see contentcollector).
+          classes += ` comment comment:${value}`;
+        } else if (key === 'suggestInsert' || key === 'suggestDelete') {
+          // See suggestions.js. Like for comments, the classes with the value are needed to collect
+          // the attributes again.
+          classes += ` ${key === 'suggestInsert' ? 'suggest-insert' : 'suggest-delete'} ` +
+              `${key}:${value}`;
+        } else if (key === 'suggestAuthor') {
+          classes += ` suggestAuthor:${value}`;
         } else if (linestylefilter.ATTRIB_CLASSES[key]) {
           classes += ` ${linestylefilter.ATTRIB_CLASSES[key]}`;
         } else {
@@ -40,6 +40,9 @@ const padeditor = require('./pad_editor').padeditor;
 const padimpexp = require('./pad_impexp').padimpexp;
 const padmodals = require('./pad_modals').padmodals;
 const padsavedrevs = require('./pad_savedrevs');
+const padaccess = require('./pad_access');
+const padcomments = require('./pad_comments');
+const padsuggestions = require('./pad_suggestions');
 const paduserlist = require('./pad_userlist').paduserlist;
 const padutils = require('./pad_utils').padutils;
 const colorutils = require('./colorutils').colorutils;
@@ -199,6 +202,8 @@ const sendClientReady = (isReconnect) => {
     sessionID: Cookies.get('sessionID'),
     token,
     userInfo,
+    // Only used if the pad does not exist yet.
+    template: params.get('template'),
   };
 
   // this is a reconnect, lets tell the server our revisionnumber
@@ -404,6 +409,8 @@ const pad = {
 
     const postAceInit = () => {
       padeditbar.init();
+      padcomments.postAceInit();
+      padsuggestions.postAceInit();
       setTimeout(() => {
         padeditor.ace.focus();
       }, 0);
@@ -448,6 +455,9 @@ const pad = {
     // order of inits is important here:
     padimpexp.init(this);
     padsavedrevs.init(this);
+    padaccess.init(this);
+    padcomments.init(this);
+    padsuggestions.init(this);
     padeditor.init(pad.padOptions.view || {}, this).then(postAceInit);
     paduserlist.init(pad.myUserInfo, this);
     padconnectionstatus.init();
@@ -485,6 +495,13 @@ const pad = {
 
     $('body').addClass(window.clientVars.readonly ? 'readonly' : 'readwrite');
 
+    if (clientVars.forkedFrom != null) {
+      $('#forkedfrom').text(clientVars.forkedFrom)
+          .attr('href', encodeURIComponent(clientVars.forkedFrom));
+      $('#mergelink').attr('href', `${encodeURIComponent(clientVars.padId)}/merge`);
+      $('#fork-settings').show();
+    }
+
     padeditor.ace.callWithAce((ace) => {
       ace.ace_setEditable(!window.clientVars.readonly);
     });
@@ -599,6 +616,12 @@ const pad = {
     } else if (msg.type === 'padoptions') {
       const opts = msg.options;
       pad.handleOptionsChange(opts);
+    } else if (msg.type === 'padAccess') {
+      padaccess.update(msg);
+      paduserlist.updateAccess(msg);
+      padcomments.updateRole(msg.role);
+    } else if (msg.type === 'comment') {
+      padcomments.update(msg);
     }
   },
   handleChannelStateChange: (newState, message) => {
@@ -684,6 +707,9 @@ const pad = {
       padeditbar.setSyncStatus('syncing');
     } else if (action === 'newlyIdle') {
       padeditbar.setSyncStatus('done');
+      padsuggestions.refresh();
+    } else if (action === 'newChanges') {
+      padsuggestions.refresh();
     }
   },
   asyncSendDiagnosticInfo: () => {
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * The access control list section of the share dialog. It is only shown to users who may change
+ * the pad's access control list (see canManagePadAccess in PadMessageHandler).
+ */
+
+let pad;
+
+const roles = ['viewer', 'commenter', 'suggester', 'editor', 'owner'];
+
+const sendUpdate = (principal, role) => {
+  pad.collabClient.sendClientMessage({type: 'padAccessUpdate', principal, role});
+};
+
+const roleSelect = (selected) => {
+  const $select = $('<select>');
+  for (const role of roles) {
+    $('<option>')
+        .val(role)
+        .text(html10n.get(`pad.share.access.${role}`))
+        .prop('selected', role === selected)
+        .appendTo($select);
+  }
+  return $select;
+};
+
+const render = ({canManage, acl}) => {
+  $('#padaccess').toggle(!!canManage);
+  if (!canManage) return;
+  const entries = Object.entries(acl || {}).sort(([a], [b]) => a.localeCompare(b));
+  $('#padaccess-unrestricted').toggle(entries.length === 0);
+  const $list = $('#padaccess-list').empty();
+  for (const [principal, role] of entries) {
+    const $select = roleSelect(role).on('change', function () {
+      sendUpdate(principal, $(this).val());
+    });
+    const $remove = $('<button>')
+        .attr('type', 'button')
+        .addClass('btn btn-default')
+        .attr('title', html10n.get('pad.share.access.remove.title'))
+        .text('×')
+        .on('click', () => sendUpdate(principal, null));
+    $('<tr>')
+        .append($('<td>').text(principal))
+        .append($('<td>').append($select))
+        .append($('<td>').append($remove))
+        .appendTo($list);
+  }
+  // Style the new selects like the other selects of the pad (see padeditbar).
+  $list.find('select').niceSelect();
+};
+
+exports.init = (_pad) => {
+  pad = _pad;
+  render(clientVars.padAccess || {});
+  $('#padaccess-add').on('submit', (e) => {
+    e.preventDefault();
+    const principal = $('#padaccess-principal').val().trim();
+    if (!principal) return;
+    sendUpdate(principal, $('#padaccess-role').val());
+    $('#padaccess-principal').val('');
+  });
+};
+
+exports.update = render;
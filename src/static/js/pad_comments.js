@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * The comments sidebar. A comment is anchored to the selected text by setting the `comment`
+ * attribute on it (see CommentManager). The comments themselves are kept by the server, which sends
+ * the new state of a comment to everyone on the pad whenever it changes.
+ */
+
+const padeditor = require('./pad_editor').padeditor;
+const randomString = require('./pad_utils').randomString;
+
+let pad;
+// Whether the user may add, reply to and resolve comments: everyone who can edit the pad, and
+// commenters.
+let canComment = false;
+// Maps comment IDs to comments, oldest first.
+const comments = new Map();
+let $innerdoc = null;
+
+const send = (payload) => {
+  pad.collabClient.sendClientMessage({type: 'comment', ...payload});
+};
+
+const button = (l10nId, onClick) => $('<button>')
+    .attr('type', 'button')
+    .addClass('btn btn-default')
+    .attr('data-l10n-id', l10nId)
+    .text(html10n.get(l10nId))
+    .on('click', onClick);
+
+// Replaces the text of a comment or reply with a form to change it.
+const showEditForm = ($text, text, onSave) => {
+  const $textarea = $('<textarea>').attr('maxlength', 10000).val(text);
+  const $form = $('<form>')
+      .addClass('comments-form')
+      .append($textarea)
+      .append(button('pad.comments.save').attr('type', 'submit').addClass('btn-primary'))
+      .append(button('pad.comments.cancel', () => $form.replaceWith($text)))
+      .on('submit', (e) => {
+        e.preventDefault();
+        const newText = $textarea.val().trim();
+        if (newText) onSave(newText);
+      });
+  $text.replaceWith($form);
+  $textarea.focus();
+};
+
+// Renders a comment or a reply. The author may edit and delete it.
+const renderEntry = (entry, onEdit, onDelete) => {
+  const $text = $('<div>').addClass('comments-text').text(entry.text);
+  const $entry = $('<div>')
+      .addClass('comments-entry')
+      .append($('<div>')
+          .addClass('comments-meta')
+          .append($('<span>')
+              .addClass('comments-author')
+              .text(entry.authorName || html10n.get('pad.userlist.unnamed')))
+          .append($('<span>')
+              .addClass('comments-time')
+              .text(new Date(entry.timestamp).toLocaleString())))
+      .append($text);
+  if (canComment && entry.authorID === clientVars.userId) {
+    $('<div>')
+        .addClass('comments-actions')
+        .append(button('pad.comments.edit', () => showEditForm($text, entry.text, onEdit)))
+        .append(button('pad.comments.delete', onDelete))
+        .appendTo($entry);
+  }
+  return $entry;
+};
+
+const renderThread = (comment) => {
+  const {commentID} = comment;
+  const $thread = $('<div>')
+      .addClass('comments-thread')
+      .toggleClass('resolved', !!comment.resolved)
+      .attr('data-comment', commentID)
+      .append(renderEntry(comment,
+          (text) => send({action: 'edit', commentID, text}),
+          () => send({action: 'delete', commentID})));
+  for (const reply of comment.replies) {
+    const {replyID} = reply;
+    renderEntry(reply,
+        (text) => send({action: 'editReply', commentID, replyID, text}),
+        () => send({action: 'deleteReply', commentID, replyID}))
+        .addClass('comments-reply')
+        .appendTo($thread);
+  }
+  if (canComment) {
+    const $textarea = $('<textarea>')
+        .attr('maxlength', 10000)
+        .attr('data-l10n-id', 'pad.comments.reply.placeholder')
+        .attr('placeholder', html10n.get('pad.comments.reply.placeholder'));
+    $('<form>')
+        .addClass('comments-form comments-replyform')
+        .append($textarea)
+        .append(button('pad.comments.reply').attr('type', 'submit').addClass('btn-primary'))
+        .append(comment.resolved
+          ? button('pad.comments.reopen', () => send({action: 'reopen', commentID}))
+          : button('pad.comments.resolve', () => send({action: 'resolve', commentID})))
+        .on('submit', (e) => {
+          e.preventDefault();
+          const text = $textarea.val().trim();
+          if (!text) return;
+          send({action: 'reply', commentID, replyID: `cr.${randomString(16)}`, text});
+          $textarea.val('');
+        })
+        .appendTo($thread);
+  }
+  $thread.on('click', '.comments-meta, .comments-text', () => exports.focus(commentID, false));
+  return $thread;
+};
+
+// Resolved comments are not highlighted in the text.
+const updateHighlights = () => {
+  if ($innerdoc == null) return;
+  const selectors = [...comments.values()]
+      .filter((comment) => comment.resolved)
+      .map(({commentID}) => `#innerdocbody [class~="comment:${commentID}"]`);
+  let $style = $innerdoc.find('#resolvedcomments');
+  if ($style.length === 0) $style = $('<style>').attr('id', 'resolvedcomments');
+  $style.text(selectors.length === 0 ? ''
+    : `${selectors.join(', ')} { background-color: transparent; border-bottom: 0; }`);
+  $innerdoc.find('head').append($style);
+};
+
+const updateEmpty = () => {
+  const showResolved = $('#comments-showresolved').prop('checked');
+  $('#comments-empty').toggle(
+      ![...comments.values()].some((comment) => showResolved || !comment.resolved));
+};
+
+const render = () => {
+  $('#comments').toggleClass('comments-write', canComment);
+  $('#comments-list').empty().append([...comments.values()].map(renderThread));
+  updateEmpty();
+  updateHighlights();
+};
+
+// Anchors a new comment to the text selected in the editor. Returns false if nothing is selected.
+const addComment = (text) => {
+  let added = false;
+  padeditor.ace.callWithAce((ace) => {
+    const {selStart, selEnd} = ace.ace_getRep();
+    if (selStart == null || selEnd == null ||
+        (selStart[0] === selEnd[0] && selStart[1] === selEnd[1])) {
+      return;
+    }
+    const commentID = `c.${randomString(16)}`;
+    send({action: 'add', commentID, text});
+    ace.ace_setAttributeOnSelection('comment', commentID);
+    added = true;
+  }, 'addComment', true);
+  return added;
+};
+
+exports.init = (_pad) => {
+  pad = _pad;
+  canComment = !clientVars.readonly || (clientVars.padAccess || {}).role === 'commenter';
+  for (const comment of clientVars.comments || []) comments.set(comment.commentID, comment);
+  render();
+  $('#comments-add').on('submit', (e) => {
+    e.preventDefault();
+    const $text = $('#comments-add-text');
+    const text = $text.val().trim();
+    if (!text) return;
+    const added = addComment(text);
+    $('#comments-add-error').toggle(!added);
+    if (added) $text.val('');
+  });
+  $('#comments-showresolved').on('change', function () {
+    $('#comments').toggleClass('show-resolved', this.checked);
+    updateEmpty();
+  });
+  $('#comments-close').on('click', () => exports.toggle(false));
+};
+
+/**
+ * Called once the editor is ready. Clicking on commented text shows the comment.
+ */
+exports.postAceInit = () => {
+  $innerdoc = $('iframe[name="ace_outer"]').contents().find('iframe').contents();
+  $innerdoc.on('click', '.comment', function () {
+    const match = /(?:^| )comment:(c\.[0-9A-Za-z]+)/.exec(this.className);
+    if (match != null && comments.has(match[1])) exports.focus(match[1], true);
+  });
+  updateHighlights();
+};
+
+/**
+ * Shows or hides the sidebar.
+ */
+exports.toggle = (show = !$('#comments').hasClass('visible')) => {
+  $('#comments').toggleClass('visible', show);
+  $('li[data-key=showcomments] > a').toggleClass('selected', show);
+};
+
+/**
+ * Shows a comment in the sidebar. If the user did not click on the commented text (fromText is
+ * false), the text is scrolled into view.
+ */
+exports.focus = (commentID, fromText) => {
+  exports.toggle(true);
+  const $thread = $('#comments-list .comments-thread')
+      .removeClass('selected')
+      .filter((i, elt) => $(elt).attr('data-comment') === commentID)
+      .addClass('selected');
+  if (fromText) {
+    if ($thread.length) $thread[0].scrollIntoView({block: 'nearest'});
+  } else if ($innerdoc != null) {
+    const anchor = $innerdoc.find(`[class~="comment:${commentID}"]`)[0];
+    if (anchor) anchor.scrollIntoView({block: 'center'});
+  }
+};
+
+/**
+ * Handles a `comment` message from the server with the new state of a comment.
+ */
+exports.update = ({commentID, comment}) => {
+  const $old = $('#comments-list .comments-thread')
+      .filter((i, elt) => $(elt).attr('data-comment') === commentID);
+  if (comment == null) {
+    comments.delete(commentID);
+    $old.remove();
+  } else {
+    comments.set(commentID, comment);
+    const $thread = renderThread(comment).toggleClass('selected', $old.hasClass('selected'));
+    if ($old.length) $old.replaceWith($thread);
+    else $('#comments-list').append($thread);
+  }
+  updateEmpty();
+  updateHighlights();
+};
+
+/**
+ * Handles a change of the user's role on the pad.
+ */
+exports.updateRole = (role) => {
+  const newCanComment = !clientVars.readonly || role === 'commenter';
+  if (newCanComment === canComment) return;
+  canComment = newCanComment;
+  render();
+};
@@ -63,10 +63,13 @@ const padconnectionstatus = (() => {
       // corresponding l10n IDs must be added to the language files in src/locales.
       const knownReasons = [
         'badChangeset',
+        'banned',
+        'compacted',
         'corruptPad',
         'deleted',
         'disconnected',
         'initsocketfail',
+        'kicked',
         'looping',
         'rateLimited',
         'rejected',
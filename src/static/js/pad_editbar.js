@@ -27,6 +27,7 @@ const hooks = require('./pluginfw/hooks');
 const padutils = require('./pad_utils').padutils;
 const padeditor = require('./pad_editor').padeditor;
 const padsavedrevs = require('./pad_savedrevs');
+const padcomments = require('./pad_comments');
 const _ = require('underscore');
 require('./vendors/nice-select');
 
@@ -386,6 +387,10 @@ exports.padeditbar = new class {
       $('#myusernameedit').focus();
     });
 
+    this.registerCommand('showcomments', () => {
+      padcomments.toggle();
+    });
+
     this.registerCommand('embed', () => {
       this.setEmbedLinks();
       this.toggleDropDown('embed');
@@ -424,6 +429,10 @@ exports.padeditbar = new class {
       ace.ace_doInsertOrderedList();
     });
 
+    this.registerAceCommand('blockformat', (cmd, ace, item) => {
+      ace.ace_doSetBlockFormat(item.getValue());
+    });
+
     this.registerAceCommand('indent', (cmd, ace) => {
       if (!ace.ace_doIndentOutdent(false)) {
         ace.ace_doInsertUnorderedList();
@@ -139,6 +139,7 @@ const padimpexp = (() => {
       $('#exporthtmla').attr('href', `${padRootPath}/export/html`);
       $('#exportetherpada').attr('href', `${padRootPath}/export/etherpad`);
       $('#exportplaina').attr('href', `${padRootPath}/export/txt`);
+      $('#exportmarkdowna').attr('href', `${padRootPath}/export/markdown`);
 
       // hide stuff thats not avaible if abiword/soffice is disabled
       if (clientVars.exportAvailable === 'no') {
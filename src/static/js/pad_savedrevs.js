@@ -17,22 +17,52 @@
  */
 
 let pad;
+let savedRevisions = [];
+
+// Names the newest revision that the user has saved.
+const setLabel = (label) => {
+  const savedRev = savedRevisions
+      .filter((savedRev) => savedRev.savedById === pad.getUserId())
+      .reduce((a, b) => (a == null || b.timestamp > a.timestamp ? b : a), null);
+  if (savedRev == null) return;
+  pad.collabClient.sendMessage({
+    type: 'CLIENT_MESSAGE',
+    payload: {type: 'savedRevision', savedRevisionID: savedRev.id, label},
+  });
+};
 
 exports.saveNow = () => {
   pad.collabClient.sendMessage({type: 'SAVE_REVISION'});
-  $.gritter.add({
+  const text = $('<p>')
+      .append($('<span>').text(html10n.get('pad.savedrevs.timeslider') ||
+          'You can view saved revisions in the timeslider'))
+      .append($('<input>')
+          .attr({type: 'text', maxlength: 200})
+          .attr('placeholder', html10n.get('pad.savedrevs.label'))
+          .addClass('saved-revision-label')
+          .on('keydown', function (evt) {
+            if (evt.key !== 'Enter') return;
+            setLabel($(this).val());
+            $.gritter.remove(gritterId);
+          }));
+  const gritterId = $.gritter.add({
     // (string | mandatory) the heading of the notification
     title: html10n.get('pad.savedrevs.marked'),
     // (string | mandatory) the text inside the notification
-    text: html10n.get('pad.savedrevs.timeslider') ||
-        'You can view saved revisions in the timeslider',
+    text,
     // (bool | optional) if you want it to fade out on its own or just sit there
     sticky: false,
-    time: 3000,
+    // Leave some time to enter a label. The notification does not fade out while it is hovered.
+    time: 10000,
     class_name: 'saved-revision',
   });
 };
 
+exports.newRevisionList = (revisionList) => {
+  savedRevisions = revisionList;
+};
+
 exports.init = (_pad) => {
   pad = _pad;
+  savedRevisions = clientVars.savedRevisions || [];
 };
@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * The suggestions popup. In suggestion mode, the editor records the user's changes as suggestions
+ * instead of applying them (see suggestions.js). Users who can edit the pad may switch suggestion
+ * mode on and off and accept or reject suggestions; suggesters are always in suggestion mode and
+ * may only withdraw their own suggestions.
+ */
+
+const padeditbar = require('./pad_editbar').padeditbar;
+const padeditor = require('./pad_editor').padeditor;
+const suggestions = require('./suggestions');
+
+let pad;
+// Whether the user may only suggest changes.
+let suggestOnly = false;
+let $innerdoc = null;
+let selected = null;
+
+const send = (action, suggestionID = null) => {
+  pad.collabClient.sendClientMessage({type: 'suggestion', action, suggestionID});
+};
+
+const button = (l10nId, onClick) => $('<button>')
+    .attr('type', 'button')
+    .addClass('btn btn-default')
+    .attr('data-l10n-id', l10nId)
+    .text(html10n.get(l10nId))
+    .on('click', onClick);
+
+const getAuthorName = (authorID) => {
+  const user = pad.userList().find((user) => user.userId === authorID);
+  return (user && user.name) || html10n.get('pad.userlist.unnamed');
+};
+
+const renderSuggestion = ({suggestionID, authorID, inserted, deleted}) => {
+  const $item = $('<li>')
+      .addClass('suggestions-item')
+      .toggleClass('selected', suggestionID === selected)
+      .attr('data-suggestion', suggestionID)
+      .append($('<div>').addClass('suggestions-author').text(getAuthorName(authorID)));
+  const $text = $('<div>').addClass('suggestions-text').appendTo($item);
+  if (deleted.trim()) $('<del>').text(deleted).appendTo($text);
+  if (inserted.trim()) $('<ins>').text(inserted).appendTo($text);
+  const $actions = $('<div>').addClass('suggestions-actions').appendTo($item);
+  if (!suggestOnly) {
+    button('pad.suggestions.accept', () => send('accept', suggestionID))
+        .addClass('btn-primary')
+        .appendTo($actions);
+  }
+  if (!suggestOnly || authorID === clientVars.userId) {
+    button('pad.suggestions.reject', () => send('reject', suggestionID)).appendTo($actions);
+  }
+  $item.on('click', '.suggestions-text', () => {
+    if ($innerdoc == null) return;
+    const elt = $innerdoc.find([suggestions.insertKey, suggestions.deleteKey]
+        .map((key) => `[class~="${key}:${suggestionID}"]`).join(', '))[0];
+    if (elt) elt.scrollIntoView({block: 'center'});
+  });
+  return $item;
+};
+
+const render = () => {
+  if (padeditor.ace == null) return;
+  let list = [];
+  padeditor.ace.callWithAce((ace) => {
+    const {alltext, alines, apool} = ace.ace_getRep();
+    list = suggestions.getSuggestions({text: alltext, attribs: alines.join('')}, apool);
+  }, 'getSuggestions', true);
+  $('#suggestions-list').empty().append(list.map(renderSuggestion));
+  $('#suggestions-empty').toggle(list.length === 0);
+  $('#suggestions-all').toggle(list.length > 0 && !suggestOnly);
+};
+
+const setSuggesting = (suggesting) => {
+  $('#options-suggesting').prop('checked', suggesting);
+  $('li[data-key=suggestions] > a').toggleClass('suggesting', suggesting);
+  if (padeditor.ace != null) padeditor.ace.setProperty('suggesting', suggesting);
+};
+
+exports.init = (_pad) => {
+  pad = _pad;
+  suggestOnly = !!clientVars.suggestOnly && !clientVars.readonly;
+  $('#options-suggesting')
+      .prop('disabled', suggestOnly)
+      .on('change', function () { setSuggesting(this.checked); });
+  $('#suggestions-acceptall').on('click', () => send('accept'));
+  $('#suggestions-rejectall').on('click', () => send('reject'));
+  padeditbar.registerDropdownCommand('suggestions');
+  padeditbar.registerCommand('suggestions', () => exports.toggle());
+};
+
+/**
+ * Called once the editor is ready. Clicking on suggested text shows the suggestion.
+ */
+exports.postAceInit = () => {
+  setSuggesting(suggestOnly);
+  $innerdoc = $('iframe[name="ace_outer"]').contents().find('iframe').contents();
+  $innerdoc.on('click', '.suggest-insert, .suggest-delete', function () {
+    const match = /(?:^| )suggest(?:Insert|Delete):(s\.[0-9A-Za-z]+)/.exec(this.className);
+    if (match == null) return;
+    selected = match[1];
+    if (!$('#suggestions').hasClass('popup-show')) exports.toggle();
+    else render();
+  });
+};
+
+/**
+ * Shows or hides the popup.
+ */
+exports.toggle = () => {
+  padeditbar.toggleDropDown('suggestions');
+  if ($('#suggestions').hasClass('popup-show')) render();
+  else selected = null;
+};
+
+/**
+ * Updates the list of suggestions after the text has changed.
+ */
+exports.refresh = () => {
+  if ($('#suggestions').hasClass('popup-show')) render();
+};
@@ -160,7 +160,16 @@ const paduserlist = (() => {
           .add($('<td>')
               .css('height', `${height}px`)
               .addClass('activity')
-              .text(data.activity));
+              .text(data.activity))
+          .add($('<td>')
+              .css('height', `${height}px`)
+              .addClass('usertdactions')
+              .append($('<button>')
+                  .attr('type', 'button')
+                  .addClass('btn btn-default userrevert')
+                  .attr('title', html10n.get('pad.userlist.revert.title'))
+                  .text(html10n.get('pad.userlist.revert'))
+                  .on('click', () => revertAuthorChanges(data))));
     };
 
     const createRow = (id, contents, authorId) => $('<tr>')
@@ -313,6 +322,14 @@ const paduserlist = (() => {
     });
   };
 
+  // Reverts all changes of the author, keeping the changes of the other authors. The button is
+  // only shown to the users who may manage the pad (see updateAccess).
+  const revertAuthorChanges = (data) => {
+    const name = data.name || html10n.get('pad.userlist.unnamed');
+    if (!window.confirm(html10n.get('pad.userlist.revert.confirm', {name}))) return;
+    pad.collabClient.sendClientMessage({type: 'revertAuthorChanges', authorID: data.id});
+  };
+
   const findExistingIndex = (userId) => {
     let existingIndex = -1;
     for (let i = 0; i < otherUsersInfo.length; i++) {
@@ -356,6 +373,7 @@ const paduserlist = (() => {
       }
 
       $('#otheruserstable tr').remove();
+      self.updateAccess(clientVars.padAccess || {});
 
       $('#myusernameedit').addClass('myusernameedithoverable');
       setUpEditable($('#myusernameedit'), () => myUserInfo.name || '', (newValue) => {
@@ -382,6 +400,9 @@ const paduserlist = (() => {
       });
       //
     },
+    updateAccess: ({canManage}) => {
+      $('#otheruserstable').toggleClass('can-revert', !clientVars.readonly && !!canManage);
+    },
     usersOnline: () => {
       // Returns an object of users who are currently online on this pad
       // Make a copy of the otherUsersInfo, otherwise every call to users
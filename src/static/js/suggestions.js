@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Suggestions (also known as tracked changes) are changes to the text that are recorded instead of
+ * being applied, so that they can be accepted or rejected later:
+ *   - Text suggested for insertion is inserted with the `suggestInsert` attribute.
+ *   - Text suggested for deletion is kept, with the `suggestDelete` attribute.
+ * The value of both attributes is the ID of the suggestion, so that the parts of a suggestion (for
+ * example, the deleted and inserted text of a replacement) can be accepted or rejected together.
+ * The `suggestAuthor` attribute records who made the suggestion; for suggested deletions, the
+ * `author` attribute still is the author of the text.
+ *
+ * This module is used by the editor and by the server.
+ */
+
+const AttributeMap = require('./AttributeMap');
+const Changeset = require('./Changeset');
+
+const insertKey = 'suggestInsert';
+const deleteKey = 'suggestDelete';
+const authorKey = 'suggestAuthor';
+
+exports.insertKey = insertKey;
+exports.deleteKey = deleteKey;
+exports.authorKey = authorKey;
+
+/**
+ * Returns whether the given string can be used as a suggestion ID.
+ */
+exports.isValidSuggestionID = (id) => typeof id === 'string' && /^s\.[0-9A-Za-z]{16}$/.test(id);
+
+/**
+ * Returns the ID of the suggestion that the text with the given attributes is part of, if any.
+ *
+ * @param {AttributeMap} attribs - The attributes of the text.
+ * @returns {?string}
+ */
+exports.getSuggestionID = (attribs) => attribs.get(insertKey) || attribs.get(deleteKey) || null;
+
+/**
+ * Returns the attributes of text that the given author suggests to insert.
+ *
+ * @returns {Attribute[]}
+ */
+exports.insertAttribs = (authorID, suggestionID) => [
+  ['author', authorID],
+  [insertKey, suggestionID],
+  [authorKey, authorID],
+];
+
+/**
+ * Returns the attributes that remove the suggestion marks from text.
+ *
+ * @returns {Attribute[]}
+ */
+exports.clearAttribs = () => [[insertKey, ''], [deleteKey, ''], [authorKey, '']];
+
+// Removes text whose newlines are not necessarily at its end.
+const removeText = (builder, text) => {
+  const lastNewline = text.lastIndexOf('\n');
+  if (lastNewline >= 0) {
+    builder.remove(lastNewline + 1, text.split('\n').length - 1);
+    text = text.slice(lastNewline + 1);
+  }
+  if (text) builder.remove(text.length);
+};
+
+/**
+ * Appends the ops for the removal of text in suggestion mode to a changeset builder. Suggested
+ * insertions of the author are really removed. Other text is kept and marked as a suggested
+ * deletion, unless it already is a suggestion.
+ *
+ * @param {Builder} builder - The changeset builder.
+ * @param {string} text - The removed text.
+ * @param {AttributeString} attribs - The attribution of the removed text.
+ * @param {AttributePool} pool - The pool of the attributes.
+ * @param {string} authorID - The author of the suggestion.
+ * @param {string} suggestionID - The ID of the suggestion.
+ * @param {boolean} [restore] - Whether the text has already been removed from the document (for
+ *     example, by the browser) and must be inserted again.
+ */
+exports.appendRemoval = (builder, text, attribs, pool, authorID, suggestionID, restore = false) => {
+  let pos = 0;
+  for (const op of Changeset.deserializeOps(attribs)) {
+    const opText = text.slice(pos, pos + op.chars);
+    pos += op.chars;
+    const map = AttributeMap.fromString(op.attribs, pool);
+    if (map.get(insertKey) && map.get(authorKey) === authorID) {
+      if (!restore) removeText(builder, opText);
+      continue;
+    }
+    if (!exports.getSuggestionID(map)) map.set(deleteKey, suggestionID).set(authorKey, authorID);
+    if (restore) builder.insert(opText, map.toString());
+    else builder.keepText(opText, map.toString());
+  }
+};
+
+/**
+ * Lists the suggestions in an attributed text, in the order of their first appearance.
+ *
+ * @param {AText} atext - The attributed text.
+ * @param {AttributePool} pool - The pool of the attributes.
+ * @returns {object[]} The suggestions with their ID, the ID of the suggesting author and the
+ *     inserted and deleted text.
+ */
+exports.getSuggestions = (atext, pool) => {
+  const suggestions = new Map();
+  let pos = 0;
+  for (const op of Changeset.deserializeOps(atext.attribs)) {
+    const text = atext.text.slice(pos, pos + op.chars);
+    pos += op.chars;
+    const attribs = AttributeMap.fromString(op.attribs, pool);
+    const suggestionID = exports.getSuggestionID(attribs);
+    if (suggestionID == null) continue;
+    let suggestion = suggestions.get(suggestionID);
+    if (suggestion == null) {
+      const authorID = attribs.get(authorKey) || null;
+      suggestion = {suggestionID, authorID, inserted: '', deleted: ''};
+      suggestions.set(suggestionID, suggestion);
+    }
+    if (attribs.get(insertKey) === suggestionID) suggestion.inserted += text;
+    else suggestion.deleted += text;
+  }
+  return [...suggestions.values()];
+};
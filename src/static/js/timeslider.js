@@ -139,6 +139,13 @@ const handleClientVars = (message) => {
         this.setAttribute('href', href);
       }
     });
+    // compare the selected revision with the latest one
+    const head = BroadcastSlider.getSliderLength();
+    $('#comparelink').attr('href', `${baseURI.split('timeslider')[0]}compare/${revno}/${head}`);
+    // export the history up to the selected revision
+    const historyURI = `${baseURI.split('timeslider')[0]}export/history`;
+    $('#exporthistoryhtmla').attr('href', `${historyURI}.html?end=${revno}`);
+    $('#exporthistoryjsonla').attr('href', `${historyURI}.jsonl?end=${revno}&text=true`);
   });
 
   // fire all start functions of these scripts, formerly fired with window.load
@@ -0,0 +1,149 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../../common');
+
+let agent;
+const apiKey = common.apiKey;
+const apiVersion = '1.3.0';
+
+const call = async (fn, params = {}, key = apiKey) => {
+  const res = await agent.get(`/api/${apiVersion}/${fn}`)
+      .query({apikey: key, ...params})
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+describe(__filename, function () {
+  let groupID;
+  let otherGroupID;
+
+  before(async function () {
+    agent = await common.init();
+    ({data: {groupID}} = await call('createGroup'));
+    ({data: {groupID: otherGroupID}} = await call('createGroup'));
+  });
+
+  describe('token management', function () {
+    it('rejects unknown scopes', async function () {
+      const res = await call('createAPIToken', {name: 'bad', scopes: 'read,superuser'});
+      assert.equal(res.code, 1);
+      assert.match(res.message, /unknown scope/);
+    });
+
+    it('rejects an unknown group', async function () {
+      const res = await call('createAPIToken', {name: 'bad', scopes: 'read', groupID: 'g.nope'});
+      assert.equal(res.code, 1);
+    });
+
+    it('creates, lists and revokes a token', async function () {
+      const created = await call('createAPIToken', {name: 'reader', scopes: 'read'});
+      assert.equal(created.code, 0);
+      const {tokenID, token} = created.data;
+      assert(token.startsWith(`${tokenID}.`));
+
+      assert.equal((await call('checkToken', {}, token)).code, 0);
+
+      const {data: info} = await call('getAPITokenInfo', {tokenID});
+      assert.equal(info.name, 'reader');
+      assert.deepEqual(info.scopes, ['read']);
+      assert(info.lastUsed != null);
+      assert(!('secretHash' in info));
+
+      const {data: {tokens}} = await call('listAPITokens');
+      assert(tokens.some((t) => t.tokenID === tokenID));
+
+      assert.equal((await call('revokeAPIToken', {tokenID})).code, 0);
+      const res = await call('checkToken', {}, token);
+      assert.equal(res.code, 4);
+    });
+
+    it('documents the fields that getAPITokenInfo returns', async function () {
+      const {data: {tokenID}} = await call('createAPIToken', {name: 'reader', scopes: 'read'});
+      const {data: info} = await call('getAPITokenInfo', {tokenID});
+      const {body: {paths}} = await agent.get('/api/openapi.json').expect(200);
+      const {schema} = paths['/getAPITokenInfo'].get.responses[200].content['application/json'];
+      assert.deepEqual(Object.keys(schema.properties.data.properties).sort(),
+          Object.keys(info).sort());
+      await call('revokeAPIToken', {tokenID});
+    });
+
+    it('rejects a token with a wrong secret', async function () {
+      const {data: {tokenID}} = await call('createAPIToken', {name: 'x', scopes: 'read'});
+      assert.equal((await call('checkToken', {}, `${tokenID}.deadbeef`)).code, 4);
+    });
+
+    it('cannot manage tokens with a scoped token', async function () {
+      const {data: {token}} = await call('createAPIToken', {name: 'admin', scopes: 'admin'});
+      const res = await call('createAPIToken', {name: 'escalate', scopes: 'write'}, token);
+      assert.equal(res.code, 4);
+    });
+  });
+
+  describe('scopes', function () {
+    let readToken;
+    let padID;
+
+    before(async function () {
+      padID = `apiTokens_${common.randomString()}`;
+      assert.equal((await call('createPad', {padID, text: 'hello'})).code, 0);
+      ({data: {token: readToken}} = await call('createAPIToken', {name: 'r', scopes: 'read'}));
+    });
+
+    it('read token can read', async function () {
+      const res = await call('getText', {padID}, readToken);
+      assert.equal(res.code, 0);
+      assert.equal(res.data.text, 'hello\n');
+    });
+
+    it('read token cannot write', async function () {
+      assert.equal((await call('setText', {padID, text: 'x'}, readToken)).code, 4);
+      assert.equal((await call('deletePad', {padID}, readToken)).code, 4);
+    });
+
+    it('read token cannot manage groups', async function () {
+      assert.equal((await call('deleteGroup', {groupID}, readToken)).code, 4);
+    });
+  });
+
+  describe('group restriction', function () {
+    let token;
+    let padID;
+
+    before(async function () {
+      ({data: {token}} =
+          await call('createAPIToken', {name: 'team', scopes: 'read,write', groupID}));
+    });
+
+    it('can create and edit pads in its group', async function () {
+      const res = await call('createGroupPad', {groupID, padName: 'notes'}, token);
+      assert.equal(res.code, 0);
+      padID = res.data.padID;
+      assert.equal((await call('setText', {padID, text: 'team\n'}, token)).code, 0);
+    });
+
+    it('cannot touch pads of other groups', async function () {
+      const res = await call('createGroupPad', {groupID: otherGroupID, padName: 'x'}, token);
+      assert.equal(res.code, 4);
+      assert.equal((await call('getText', {padID: `${otherGroupID}$x`}, token)).code, 4);
+    });
+
+    it('cannot access public pads', async function () {
+      assert.equal((await call('getText', {padID: 'somePublicPad'}, token)).code, 4);
+    });
+
+    it('cannot call instance-wide functions', async function () {
+      assert.equal((await call('listAllPads', {}, token)).code, 4);
+    });
+
+    it('cannot copy a pad out of its group', async function () {
+      const res = await call('copyPad', {sourceID: padID, destinationID: 'stolen'}, token);
+      assert.equal(res.code, 4);
+    });
+  });
+
+  it('legacy key keeps full access', async function () {
+    assert.equal((await call('listAllPads')).code, 0);
+    assert.equal((await call('listAPITokens')).code, 0);
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../../common');
+const groupManager = require('../../../../node/db/GroupManager');
+const padManager = require('../../../../node/db/PadManager');
+
+let agent;
+const apiVersion = '1.3.9';
+
+const callApi = async (fn, params = {}, apikey = common.apiKey) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+describe(__filename, function () {
+  this.timeout(30000);
+  let padIDs;
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padIDs = [common.randomString(), common.randomString()];
+  });
+
+  afterEach(async function () {
+    for (const padID of padIDs) {
+      if (await padManager.doesPadExist(padID)) await (await padManager.getPad(padID)).remove();
+    }
+  });
+
+  it('runs the calls in order and returns their results', async function () {
+    const calls = [
+      {function: 'createPad', params: {padID: padIDs[0], text: 'hello'}},
+      {function: 'setHTML', params: {padID: padIDs[0], html: '<p>bye</p>'}},
+      {function: 'getText', params: {padID: padIDs[0]}},
+    ];
+    const res = await callApi('batch', {calls});
+    assert.equal(res.code, 0);
+    assert.deepEqual(res.data.results, [
+      {code: 0, message: 'ok', data: null},
+      {code: 0, message: 'ok', data: null},
+      {code: 0, message: 'ok', data: {text: 'bye\n\n'}},
+    ]);
+  });
+
+  it('accepts the calls as a JSON string', async function () {
+    const calls = JSON.stringify([{function: 'createPad', params: {padID: padIDs[0]}}]);
+    const res = await agent.get(`/api/${apiVersion}/batch`)
+        .query({apikey: common.apiKey, calls})
+        .expect(200);
+    assert.deepEqual(res.body.data.results, [{code: 0, message: 'ok', data: null}]);
+    assert(await padManager.doesPadExist(padIDs[0]));
+  });
+
+  it('continues after errors unless stopOnError is set', async function () {
+    const calls = [
+      {function: 'getText', params: {padID: padIDs[0]}},
+      {function: 'noSuchFunction'},
+      {function: 'createPad', params: {padID: padIDs[1]}},
+    ];
+    let res = await callApi('batch', {calls});
+    assert.deepEqual(res.data.results, [
+      {code: 1, message: 'padID does not exist', data: null},
+      {code: 3, message: 'no such function', data: null},
+      {code: 0, message: 'ok', data: null},
+    ]);
+    await (await padManager.getPad(padIDs[1])).remove();
+    res = await callApi('batch', {calls, stopOnError: 'true'});
+    assert.deepEqual(res.data.results, [{code: 1, message: 'padID does not exist', data: null}]);
+    assert(!await padManager.doesPadExist(padIDs[1]));
+  });
+
+  it('rolls back atomic batches', async function () {
+    const calls = [
+      {function: 'createGroup'},
+      {function: 'createPad', params: {padID: padIDs[0]}},
+      {function: 'createPad', params: {padID: padIDs[0]}},
+      {function: 'createPad', params: {padID: padIDs[1]}},
+    ];
+    const res = await callApi('batch', {calls, atomic: true});
+    assert.equal(res.code, 0);
+    assert.equal(res.data.rolledBack, true);
+    assert.equal(res.data.results.length, 3);
+    assert.equal(res.data.results[2].message, 'padID does already exist');
+    assert(!await padManager.doesPadExist(padIDs[0]));
+    assert(!await padManager.doesPadExist(padIDs[1]));
+    assert(!await groupManager.doesGroupExist(res.data.results[0].data.groupID));
+  });
+
+  it('keeps the changes of successful atomic batches', async function () {
+    const calls = [{function: 'createPad', params: {padID: padIDs[0]}}];
+    const res = await callApi('batch', {calls, atomic: 'true'});
+    assert.deepEqual(res.data, {results: [{code: 0, message: 'ok', data: null}]});
+    assert(await padManager.doesPadExist(padIDs[0]));
+  });
+
+  it('checks each call with the API key of the batch', async function () {
+    const {data: {token}} = await callApi('createAPIToken', {name: 'reader', scopes: 'read'});
+    const calls = [
+      {function: 'checkToken'},
+      {function: 'createPad', params: {padID: padIDs[0]}},
+    ];
+    const res = await callApi('batch', {calls}, token);
+    assert.deepEqual(res.data.results, [
+      {code: 0, message: 'ok', data: null},
+      {code: 4, message: 'API token is not allowed to call createPad', data: null},
+    ]);
+    assert(!await padManager.doesPadExist(padIDs[0]));
+  });
+
+  it('rejects invalid batches', async function () {
+    for (const calls of ['nope', '[]', [{params: {}}]]) {
+      const res = await callApi('batch', {calls});
+      assert.equal(res.code, 1);
+      assert.match(res.message, /^calls must be/);
+    }
+    const res = await callApi('batch', {calls: [{function: 'batch'}]});
+    assert.deepEqual(res, {code: 1, message: 'batch can not be called in a batch', data: null});
+  });
+});
@@ -0,0 +1,277 @@
+'use strict';
+
+const AttributeMap = require('../../../../static/js/AttributeMap');
+const AttributePool = require('../../../../static/js/AttributePool');
+const Changeset = require('../../../../static/js/Changeset');
+const assert = require('assert').strict;
+const authorManager = require('../../../../node/db/AuthorManager');
+const common = require('../../common');
+const padManager = require('../../../../node/db/PadManager');
+
+let agent;
+const apiVersion = '1.3.6';
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+// Returns the text that is anchored to the given comment.
+const anchoredText = (pad, commentID) => {
+  let text = '';
+  let pos = 0;
+  for (const op of Changeset.deserializeOps(pad.atext.attribs)) {
+    if (AttributeMap.fromString(op.attribs, pad.pool).get('comment') === commentID) {
+      text += pad.text().slice(pos, pos + op.chars);
+    }
+    pos += op.chars;
+  }
+  return text;
+};
+
+describe(__filename, function () {
+  this.timeout(30000);
+  const sockets = [];
+  let padID;
+  let pad;
+
+  const createComment = async (params = {}) => {
+    const res = await callApi('createComment', {padID, text: 'Needs a source', start: 0, end: 5,
+      ...params});
+    assert.equal(res.code, 0, res.message);
+    return res.data.commentID;
+  };
+
+  const join = async (token) => {
+    const res = await agent.get(`/p/${padID}`).expect(200);
+    const socket = await common.connect(res);
+    sockets.push(socket);
+    const msg = await common.handshake(socket, padID, token);
+    assert.equal(msg.type, 'CLIENT_VARS');
+    return {socket, clientVars: msg.data};
+  };
+
+  const waitForComment = async (socket, commentID) => {
+    for (;;) {
+      const msg = await common.waitForSocketEvent(socket, 'message');
+      if (msg.type === 'COLLABROOM' && msg.data.type === 'CLIENT_MESSAGE' &&
+          msg.data.payload.type === 'comment' && msg.data.payload.commentID === commentID) {
+        return msg.data.payload;
+      }
+    }
+  };
+
+  const sendComment = async (socket, payload) => await common.sendMessage(socket, {
+    type: 'COLLABROOM',
+    component: 'pad',
+    data: {type: 'CLIENT_MESSAGE', payload: {type: 'comment', ...payload}},
+  });
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    padID = common.randomString();
+    pad = await padManager.getPad(padID, 'hello world\n');
+  });
+
+  afterEach(async function () {
+    while (sockets.length > 0) sockets.pop().close();
+    if (await padManager.doesPadExist(padID)) await pad.remove();
+  });
+
+  describe('HTTP API', function () {
+    it('creates, updates and deletes comments', async function () {
+      const {authorID} = (await callApi('createAuthor', {name: 'Ann'})).data;
+      const commentID = await createComment({authorID});
+      assert.equal(anchoredText(pad, commentID), 'hello');
+      let {data: {comment}} = await callApi('getComment', {padID, commentID});
+      assert.equal(comment.commentID, commentID);
+      assert.equal(comment.authorID, authorID);
+      assert.equal(comment.authorName, 'Ann');
+      assert.equal(comment.text, 'Needs a source');
+      assert.equal(comment.resolved, false);
+      assert.deepEqual(comment.replies, []);
+
+      await callApi('updateComment', {padID, commentID, text: 'Cite it'});
+      assert.equal((await callApi('resolveComment', {padID, commentID})).code, 0);
+      ({data: {comment}} = await callApi('getComment', {padID, commentID}));
+      assert.equal(comment.text, 'Cite it');
+      assert.equal(comment.resolved, true);
+      await callApi('reopenComment', {padID, commentID});
+      const {data: {comments}} = await callApi('listComments', {padID});
+      assert.deepEqual(comments.map((c) => [c.commentID, c.resolved]), [[commentID, false]]);
+
+      assert.equal((await callApi('deleteComment', {padID, commentID})).code, 0);
+      assert.equal(anchoredText(pad, commentID), '');
+      assert.deepEqual((await callApi('listComments', {padID})).data.comments, []);
+      assert.deepEqual(await callApi('getComment', {padID, commentID}),
+          {code: 1, message: 'commentID does not exist', data: null});
+    });
+
+    it('manages replies', async function () {
+      const commentID = await createComment();
+      const res = await callApi('createCommentReply', {padID, commentID, text: 'first'});
+      assert.equal(res.code, 0);
+      const {replyID} = res.data;
+      await callApi('createCommentReply', {padID, commentID, text: 'second'});
+      await callApi('updateCommentReply', {padID, commentID, replyID, text: 'changed'});
+      let {data: {comment}} = await callApi('getComment', {padID, commentID});
+      assert.deepEqual(comment.replies.map((r) => r.text), ['changed', 'second']);
+      assert.equal(comment.replies[0].replyID, replyID);
+
+      await callApi('deleteCommentReply', {padID, commentID, replyID});
+      ({data: {comment}} = await callApi('getComment', {padID, commentID}));
+      assert.deepEqual(comment.replies.map((r) => r.text), ['second']);
+      assert.deepEqual(await callApi('deleteCommentReply', {padID, commentID, replyID}),
+          {code: 1, message: 'replyID does not exist', data: null});
+    });
+
+    it('does not anchor line breaks', async function () {
+      await pad.setText('one\ntwo\n');
+      const commentID = await createComment({start: 2, end: 6});
+      assert.equal(anchoredText(pad, commentID), 'etw');
+    });
+
+    it('rejects invalid arguments', async function () {
+      for (const [start, end] of [[5, 5], [-1, 2], [0, pad.text().length], ['a', 2]]) {
+        const res = await callApi('createComment', {padID, text: 'x', start, end});
+        assert.equal(res.message, 'start and end do not describe a range of the pad text');
+      }
+      assert.deepEqual(await callApi('createComment', {padID, text: ' ', start: 0, end: 1}),
+          {code: 1, message: 'text is empty', data: null});
+      assert.deepEqual(
+          await callApi('createComment', {padID, text: 'x', start: 0, end: 1, authorID: 'a.x'}),
+          {code: 1, message: 'authorID does not exist', data: null});
+      assert.deepEqual((await callApi('listComments', {padID})).data.comments, []);
+      assert.deepEqual(
+          await callApi('createCommentReply', {padID, commentID: 'c.x', text: 'x'}),
+          {code: 1, message: 'commentID does not exist', data: null});
+      assert.deepEqual(await callApi('listComments', {padID: common.randomString()}),
+          {code: 1, message: 'padID does not exist', data: null});
+    });
+  });
+
+  describe('anchors', function () {
+    it('follow edits', async function () {
+      const commentID = await createComment({start: 6, end: 11});
+      await pad.spliceText(0, 0, 'Hi, ');
+      assert.equal(anchoredText(pad, commentID), 'world');
+      await pad.spliceText(10, 3, '');
+      assert.equal(anchoredText(pad, commentID), 'ld');
+    });
+
+    it('are exported to HTML with the comments', async function () {
+      const commentID = await createComment();
+      await callApi('createCommentReply', {padID, commentID, text: 'Added <one>'});
+      const {data: {html}} = await callApi('getHTML', {padID});
+      assert.match(html, new RegExp(`<span data-comment="${commentID}">hello</span> world`));
+      const res = await agent.get(`/p/${padID}/export/html`).expect(200);
+      assert.match(res.text, new RegExp(`<div class="comment" id="${commentID}">`));
+      assert(res.text.includes('Needs a source'));
+      assert(res.text.includes('<div class="reply">'));
+      assert(res.text.includes('Added &lt;one&gt;'));
+    });
+
+    it('are copied and removed with the pad', async function () {
+      const commentID = await createComment();
+      for (const fn of ['copyPad', 'copyPadWithoutHistory']) {
+        const destinationID = common.randomString();
+        assert.equal((await callApi(fn, {sourceID: padID, destinationID})).code, 0);
+        const {data: {comments}} = await callApi('listComments', {padID: destinationID});
+        assert.deepEqual(comments.map((c) => c.commentID), [commentID]);
+        const destination = await padManager.getPad(destinationID);
+        assert.equal(anchoredText(destination, commentID), 'hello');
+        await destination.remove();
+        assert.equal((await callApi('listComments', {padID: destinationID})).code, 1);
+        assert.equal((await callApi('createPad', {padID: destinationID})).code, 0);
+        assert.deepEqual((await callApi('listComments', {padID: destinationID})).data.comments,
+            []);
+        await callApi('deletePad', {padID: destinationID});
+      }
+    });
+  });
+
+  describe('pad editor', function () {
+    it('sends the comments to clients', async function () {
+      const commentID = await createComment();
+      const {socket, clientVars} = await join('t.comments-a');
+      assert.deepEqual(clientVars.comments.map((c) => c.commentID), [commentID]);
+      const msgP = waitForComment(socket, commentID);
+      await callApi('resolveComment', {padID, commentID});
+      const {comment} = await msgP;
+      assert.equal(comment.resolved, true);
+    });
+
+    it('lets users add, reply to and delete comments', async function () {
+      const authorID = await authorManager.getAuthor4Token('t.comments-a');
+      const {socket} = await join('t.comments-a');
+      const commentID = `c.${common.randomString(16)}`;
+      let msgP = waitForComment(socket, commentID);
+      await sendComment(socket, {action: 'add', commentID, text: 'Hmm'});
+      let {comment} = await msgP;
+      assert.equal(comment.authorID, authorID);
+      assert.equal(comment.text, 'Hmm');
+
+      msgP = waitForComment(socket, commentID);
+      const replyID = `cr.${common.randomString(16)}`;
+      await sendComment(socket, {action: 'reply', commentID, replyID, text: 'Indeed'});
+      ({comment} = await msgP);
+      assert.deepEqual(comment.replies.map((r) => [r.replyID, r.text]), [[replyID, 'Indeed']]);
+
+      msgP = waitForComment(socket, commentID);
+      await sendComment(socket, {action: 'delete', commentID});
+      ({comment} = await msgP);
+      assert.equal(comment, null);
+      assert.deepEqual((await callApi('listComments', {padID})).data.comments, []);
+    });
+
+    it('only lets authors edit their comments', async function () {
+      const commentID = await createComment();
+      const {socket} = await join('t.comments-a');
+      await sendComment(socket, {action: 'edit', commentID, text: 'changed'});
+      await sendComment(socket, {action: 'delete', commentID});
+      const {data: {comment}} = await callApi('getComment', {padID, commentID});
+      assert.equal(comment.text, 'Needs a source');
+    });
+
+    it('does not let commenters edit the text', async function () {
+      await pad.setAccessRole('*', 'commenter');
+      const {socket, clientVars} = await join('t.comments-a');
+      assert.equal(clientVars.readonly, true);
+      const rev = clientVars.collab_client_vars.rev;
+      const text = pad.text();
+      await common.sendUserChanges(socket, {baseRev: rev, changeset: 'Z:d>5+5$hello'});
+      assert.equal(pad.getHeadRevisionNumber(), rev);
+      assert.equal(pad.text(), text);
+    });
+
+    it('lets commenters anchor comments', async function () {
+      await pad.setAccessRole('*', 'commenter');
+      const {socket, clientVars} = await join('t.comments-a');
+      const rev = clientVars.collab_client_vars.rev;
+      const commentID = `c.${common.randomString(16)}`;
+      const msgP = waitForComment(socket, commentID);
+      await sendComment(socket, {action: 'add', commentID, text: 'Hmm'});
+      await msgP;
+      const apool = new AttributePool();
+      apool.putAttrib(['comment', commentID]);
+      await Promise.all([
+        common.waitForAcceptCommit(socket, rev + 1),
+        common.sendUserChanges(socket, {baseRev: rev, changeset: 'Z:d>0*0=5$', apool}),
+      ]);
+      assert.equal(anchoredText(pad, commentID), 'hello');
+    });
+
+    it('does not let viewers comment', async function () {
+      await pad.setAccessRole('*', 'viewer');
+      const {socket} = await join('t.comments-a');
+      await sendComment(socket, {action: 'add', commentID: `c.${common.randomString(16)}`,
+        text: 'Hmm'});
+      assert.deepEqual((await callApi('listComments', {padID})).data.comments, []);
+    });
+  });
+});
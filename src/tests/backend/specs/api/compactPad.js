@@ -0,0 +1,271 @@
+'use strict';
+
+const AttributeMap = require('../../../../static/js/AttributeMap');
+const Changeset = require('../../../../static/js/Changeset');
+const assert = require('assert').strict;
+const commentManager = require('../../../../node/db/CommentManager');
+const common = require('../../common');
+const db = require('../../../../node/db/DB');
+const groupManager = require('../../../../node/db/GroupManager');
+const historyManager = require('../../../../node/db/HistoryManager');
+const historyRetention = require('../../../../node/hooks/historyretention');
+const padManager = require('../../../../node/db/PadManager');
+const padMessageHandler = require('../../../../node/handler/PadMessageHandler');
+const suggestionManager = require('../../../../node/db/SuggestionManager');
+const suggestions = require('../../../../static/js/suggestions');
+
+let agent;
+const apiVersion = '1.3.11';
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+describe(__filename, function () {
+  this.timeout(60000);
+  const sockets = [];
+  let padID;
+  let pad;
+  // The text of each revision before compaction.
+  let texts;
+
+  const addRevisions = async (count) => {
+    for (let i = 0; i < count; ++i) {
+      await pad.appendText(`${pad.getHeadRevisionNumber() + 1}\n`);
+      texts.push(pad.text());
+    }
+  };
+
+  const assertTexts = async (revs) => {
+    assert.equal(pad.getHeadRevisionNumber(), revs.length - 1);
+    for (const [newRev, oldRev] of revs.entries()) {
+      assert.equal((await pad.getInternalRevisionAText(newRev)).text, texts[oldRev]);
+    }
+    await pad.check();
+  };
+
+  const range = (start, end) => [...Array(end - start).keys()].map((i) => start + i);
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padID = common.randomString();
+    pad = await padManager.getPad(padID, 'hello\n');
+    texts = [pad.text()];
+  });
+
+  afterEach(async function () {
+    while (sockets.length > 0) sockets.pop().close();
+    if (await padManager.doesPadExist(padID)) await pad.remove();
+  });
+
+  it('squashes the old revisions and keeps the saved revisions', async function () {
+    await addRevisions(249);
+    await pad.addSavedRevision(50, 'a.test');
+    await pad.addSavedRevision(120, 'a.test');
+    const res = await callApi('compactPad', {padID, keepRevisions: 150});
+    assert.deepEqual(res, {code: 0, message: 'ok', data: {removedRevisions: 99}});
+    // The new revision 100 is a key revision.
+    await assertTexts([50, ...range(100, 250)]);
+    assert.deepEqual(pad.getSavedRevisionsList(), [0, 21]);
+    // The pad is stored correctly.
+    padManager.unloadPad(padID);
+    pad = await padManager.getPad(padID);
+    await assertTexts([50, ...range(100, 250)]);
+    assert.deepEqual((await callApi('getText', {padID, rev: 21})).data, {text: texts[120]});
+  });
+
+  it('does nothing if the history is short enough', async function () {
+    await addRevisions(5);
+    const res = await callApi('compactPad', {padID, keepRevisions: 6});
+    assert.equal(res.data.removedRevisions, 0);
+    await assertTexts(range(0, 6));
+  });
+
+  it('keeps the revisions of the last days', async function () {
+    await addRevisions(5);
+    const policy = {keepRevisions: null, keepDays: 1};
+    const now = Date.now();
+    assert.equal(await historyManager.getCutoff(pad, policy, now), 0);
+    assert.equal(await historyManager.getCutoff(pad, policy, now + 2 * 24 * 60 * 60 * 1000), 5);
+    assert.equal(await historyManager.getCutoff(pad, {...policy, keepRevisions: 2}, now), 0);
+    assert.equal(await historyManager.getCutoff(pad, {keepRevisions: null, keepDays: null}), -1);
+    assert.deepEqual(await callApi('compactPad', {padID, keepDays: 1}),
+        {code: 0, message: 'ok', data: {removedRevisions: 0}});
+  });
+
+  it('disconnects the users of the pad', async function () {
+    await addRevisions(3);
+    const res = await agent.get(`/p/${padID}`).expect(200);
+    const socket = await common.connect(res);
+    sockets.push(socket);
+    await common.handshake(socket, padID);
+    const msgP = common.waitForSocketEvent(socket, 'message');
+    assert.equal((await callApi('compactPad', {padID, keepRevisions: 1})).data.removedRevisions, 3);
+    assert.deepEqual(await msgP, {disconnect: 'compacted'});
+    await assertTexts([3]);
+  });
+
+  it('applies edits made with the HTTP API after the compaction', async function () {
+    await addRevisions(5);
+    const compacted = pad.compactHistory(3);
+    assert.equal((await callApi('appendText', {padID, text: 'x'})).code, 0);
+    assert.equal(await compacted, 3);
+    assert.equal(pad.getHeadRevisionNumber(), 3);
+    assert.equal((await pad.getInternalRevisionAText(3)).text, `${texts[5].slice(0, -1)}x\n`);
+    await pad.check();
+  });
+
+  it('applies comment anchors and accepted suggestions after the compaction', async function () {
+    await addRevisions(5);
+    // A suggestion to insert "y" at the start of the pad.
+    const suggestionID = `s.${common.randomString(16)}`;
+    const builder = Changeset.builder(pad.text().length);
+    builder.insert('y', suggestions.insertAttribs('a.test', suggestionID), pad.pool);
+    await pad.appendRevision(builder.toString(), 'a.test');
+    // The comment is anchored and the suggestion accepted while the compacted history is written.
+    const commentID = `c.${common.randomString(16)}`;
+    const database = pad._db;
+    const edits = [];
+    pad._db = {...database, set: async (key, value) => {
+      if (key === `pad:${padID}:compacted:0`) {
+        edits.push(commentManager.anchorComment(pad, commentID, 1, 6));
+        edits.push(suggestionManager.acceptSuggestion(pad, suggestionID));
+      }
+      return await database.set(key, value);
+    }};
+    try {
+      assert.equal(await pad.compactHistory(3), 3);
+    } finally {
+      pad._db = database;
+    }
+    await Promise.all(edits);
+    assert.equal(pad.getHeadRevisionNumber(), 5);
+    assert.equal(pad.text(), `y${texts[5]}`);
+    assert.deepEqual(await suggestionManager.getSuggestions(pad), []);
+    let commented = '';
+    let offset = 0;
+    for (const op of Changeset.deserializeOps(pad.atext.attribs)) {
+      if (AttributeMap.fromString(op.attribs, pad.pool).get('comment') === commentID) {
+        commented += pad.text().slice(offset, offset + op.chars);
+      }
+      offset += op.chars;
+    }
+    assert.equal(commented, 'hello');
+    await pad.check();
+  });
+
+  it('keeps the old history if it is interrupted before the switch', async function () {
+    await addRevisions(5);
+    const database = pad._db;
+    pad._db = {...database, set: async (key, value) => {
+      if (key === `pad:${padID}:compaction`) throw new Error('interrupted');
+      return await database.set(key, value);
+    }};
+    try {
+      await assert.rejects(pad.compactHistory(3), /interrupted/);
+    } finally {
+      pad._db = database;
+    }
+    padManager.unloadPad(padID);
+    pad = await padManager.getPad(padID);
+    await assertTexts(range(0, 6));
+  });
+
+  it('finishes an interrupted switch when the pad is loaded', async function () {
+    await addRevisions(5);
+    await pad.addSavedRevision(1, 'a.test');
+    pad._finishCompaction = async () => { throw new Error('interrupted'); };
+    await assert.rejects(pad.compactHistory(3), /interrupted/);
+    padManager.unloadPad(padID);
+    pad = await padManager.getPad(padID);
+    await assertTexts([1, 3, 4, 5]);
+    assert.deepEqual(pad.getSavedRevisionsList(), [0]);
+    assert.equal(await db.get(`pad:${padID}:compaction`), null);
+    assert.equal(await db.get(`pad:${padID}:compacted:0`), null);
+  });
+
+  it('rejects invalid parameters', async function () {
+    assert.deepEqual(await callApi('compactPad', {padID: common.randomString()}),
+        {code: 1, message: 'padID does not exist', data: null});
+    assert.deepEqual(await callApi('compactPad', {padID, keepRevisions: 0}),
+        {code: 1, message: 'keepRevisions must be a positive integer', data: null});
+    assert.deepEqual(await callApi('compactPad', {padID, keepDays: 'x'}),
+        {code: 1, message: 'keepDays must be a positive number', data: null});
+  });
+
+  describe('group retention policies', function () {
+    let groupID;
+
+    beforeEach(async function () {
+      ({groupID} = await groupManager.createGroup());
+      padID = `${groupID}$${common.randomString()}`;
+      await groupManager.createGroupPad(groupID, padID.split('$')[1], 'hello\n');
+      pad = await padManager.getPad(padID);
+      texts = [pad.text()];
+    });
+
+    afterEach(async function () {
+      await groupManager.deleteGroup(groupID);
+    });
+
+    it('sets and removes the policy of a group', async function () {
+      let res = await callApi('setGroupRetentionPolicy',
+          {groupID, retentionPolicy: '{"keepRevisions": "10", "other": 1}'});
+      assert.equal(res.code, 0);
+      res = await callApi('getGroupRetentionPolicy', {groupID});
+      assert.deepEqual(res.data, {retentionPolicy: {keepRevisions: 10, keepDays: null}});
+      res = await callApi('setGroupRetentionPolicy', {groupID});
+      assert.equal(res.code, 0);
+      res = await callApi('getGroupRetentionPolicy', {groupID});
+      assert.deepEqual(res.data, {retentionPolicy: null});
+    });
+
+    it('rejects invalid policies', async function () {
+      assert.deepEqual(
+          await callApi('setGroupRetentionPolicy', {groupID, retentionPolicy: '{'}),
+          {code: 1, message: 'retentionPolicy is not valid JSON', data: null});
+      assert.deepEqual(
+          await callApi('setGroupRetentionPolicy', {groupID, retentionPolicy: '[]'}),
+          {code: 1, message: 'retentionPolicy must be an object', data: null});
+      assert.deepEqual(
+          await callApi('getGroupRetentionPolicy', {groupID: 'g.nope'}),
+          {code: 1, message: 'groupID does not exist', data: null});
+    });
+
+    it('compacts the pads of the group with its policy', async function () {
+      await addRevisions(5);
+      await historyManager.setGroupRetentionPolicy(groupID, {keepRevisions: 2});
+      assert.deepEqual((await callApi('compactPad', {padID})).data, {removedRevisions: 4});
+      await assertTexts([4, 5]);
+    });
+
+    it('is applied by the scheduler to pads without users', async function () {
+      await addRevisions(5);
+      await historyManager.setGroupRetentionPolicy(groupID, {keepRevisions: 3});
+      // Group pads can be opened without a session if they are public.
+      await pad.setPublicStatus(true);
+      const res = await agent.get(`/p/${padID}`).expect(200);
+      const socket = await common.connect(res);
+      sockets.push(socket);
+      assert.equal((await common.handshake(socket, padID)).type, 'CLIENT_VARS');
+      await historyRetention.run();
+      assert.equal(pad.getHeadRevisionNumber(), 5);
+      socket.close();
+      sockets.pop();
+      // Wait for the server to notice that the user has left.
+      while (padMessageHandler.padUsersCount(padID).padUsersCount > 0) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      assert((await historyRetention.run()).removedRevisions >= 3);
+      await assertTexts([3, 4, 5]);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const Changeset = require('../../../../static/js/Changeset');
+const assert = require('assert').strict;
+const common = require('../../common');
+const padCompare = require('../../../../node/utils/PadCompare');
+const padManager = require('../../../../node/db/PadManager');
+
+let agent;
+const apiVersion = '1.3.14';
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+const callOk = async (fn, params) => {
+  const res = await callApi(fn, params);
+  assert.equal(res.code, 0, res.message);
+  return res.data;
+};
+
+// Returns the hunks as [type, text] pairs.
+const summarize = ({hunks}) => hunks.map(({type, text}) => [type, text]);
+
+describe(__filename, function () {
+  this.timeout(60000);
+  let padID;
+  const padIDs = [];
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padID = common.randomString();
+    padIDs.push(padID);
+    await callOk('createPad', {padID, text: 'hello world\nsecond line\n'});
+  });
+
+  afterEach(async function () {
+    while (padIDs.length > 0) {
+      const id = padIDs.pop();
+      if (await padManager.doesPadExist(id)) await (await padManager.getPad(id)).remove();
+    }
+  });
+
+  describe('diffSequences', function () {
+    it('finds a shortest edit script', async function () {
+      const a = [...'abcabba'];
+      const b = [...'cbabac'];
+      const ops = padCompare.diffSequences(a, b);
+      const count = (type) => ops.filter(([t]) => t === type).reduce((sum, [, n]) => sum + n, 0);
+      assert.equal(count('equal'), 4);
+      assert.equal(count('equal') + count('delete'), a.length);
+      assert.equal(count('equal') + count('insert'), b.length);
+    });
+  });
+
+  describe('createDiffJSON', function () {
+    it('compares two revisions of a pad word by word', async function () {
+      await callOk('setText', {padID, text: 'hello there world\nline\n'});
+      assert.deepEqual(summarize(await callOk('createDiffJSON', {padID, startRev: 0})), [
+        ['equal', 'hello '],
+        ['insert', 'there '],
+        ['equal', 'world\n'],
+        ['delete', 'second '],
+        ['equal', 'line'],
+        ['delete', '\n'],
+        ['equal', '\n'],
+      ]);
+    });
+
+    it('reports formatting changes and authors', async function () {
+      const pad = await padManager.getPad(padID);
+      const builder = Changeset.builder(pad.text().length);
+      builder.keep(5, 0, [['bold', 'true'], ['author', 'a.bolder']], pad.pool);
+      await pad.appendRevision(builder.toString(), 'a.bolder');
+      const {hunks, authors} = await callOk('createDiffJSON', {padID, startRev: 0, endRev: 1});
+      assert.deepEqual(hunks[0], {
+        type: 'format',
+        text: 'hello',
+        attribs: {author: 'a.bolder', bold: 'true'},
+        author: 'a.bolder',
+        oldAttribs: {},
+      });
+      assert.equal(hunks[1].type, 'equal');
+      assert.deepEqual(authors, ['a.bolder']);
+    });
+
+    it('includes the line attributes without the line markers', async function () {
+      await callOk('setHTML', {padID, html: '<ul><li>hello world</li></ul><p>second line</p>'});
+      const {hunks} = await callOk('createDiffJSON', {padID, startRev: 0});
+      const [first] = hunks;
+      assert.equal(first.type, 'format');
+      assert.equal(first.text, 'hello world\n');
+      assert.equal(first.attribs.list, 'bullet1');
+      assert(!hunks.some(({text}) => text.includes('*')));
+    });
+
+    it('compares two pads', async function () {
+      const copyID = common.randomString();
+      padIDs.push(copyID);
+      await callOk('copyPad', {sourceID: padID, destinationID: copyID});
+      await callOk('appendText', {padID: copyID, text: 'third line\n'});
+      assert.deepEqual(summarize(await callOk('createDiffJSON', {padID, endPadID: copyID})), [
+        ['equal', 'hello world\nsecond line\n'],
+        ['insert', 'third line\n'],
+        ['equal', '\n'],
+      ]);
+    });
+
+    it('checks the revisions and pads', async function () {
+      let res = await callApi('createDiffJSON', {padID, startRev: 5});
+      assert.equal(res.code, 1);
+      assert.equal(res.message, 'rev is higher than the head revision of the pad');
+      res = await callApi('createDiffJSON', {padID, endPadID: common.randomString()});
+      assert.equal(res.message, 'padID does not exist');
+    });
+  });
+
+  describe('compare view', function () {
+    beforeEach(async function () {
+      await callOk('setText', {padID, text: 'hello there world\n'});
+    });
+
+    it('shows the changes side by side', async function () {
+      const res = await agent.get(`/p/${padID}/compare/0/1`).expect(200);
+      assert.match(res.text, /<ins class="insert"[^>]*>there <\/ins>/);
+      assert.match(res.text, /<del class="delete"[^>]*>\nsecond line/);
+      assert.match(res.text, /compare-old/);
+    });
+
+    it('shows the changes inline', async function () {
+      const res = await agent.get(`/p/${padID}/compare/0/1?mode=inline`).expect(200);
+      assert.match(res.text, /<ins class="insert"[^>]*>there <\/ins>/);
+      assert.doesNotMatch(res.text, /compare-old/);
+    });
+
+    it('compares with another pad', async function () {
+      const otherID = common.randomString();
+      padIDs.push(otherID);
+      await callOk('createPad', {padID: otherID, text: 'other'});
+      const res = await agent.get(`/p/${padID}/compare/1/0?with=${otherID}`).expect(200);
+      assert.match(res.text, /<ins class="insert"[^>]*>other<\/ins>/);
+    });
+
+    it('returns 404 for unknown revisions and pads', async function () {
+      await agent.get(`/p/${padID}/compare/0/7`).expect(404);
+      await agent.get(`/p/${common.randomString()}/compare/0/0`).expect(404);
+    });
+  });
+});
@@ -200,6 +200,33 @@ const testImports = {
     wantHTML: '<!DOCTYPE HTML><html><body>1<br>preline<br><br><br></body></html>',
     wantText: '1\npreline\n\n\n',
   },
+  'headings': {
+    description: 'Headings up to level 4',
+    input: '<html><body><h1>title</h1><h2>subtitle</h2><h3>section</h3><h4>subsection</h4>' +
+        '<p>text</p></body></html>',
+    wantHTML: '<!DOCTYPE HTML><html><body><h1>title</h1><h2>subtitle</h2><h3>section</h3>' +
+        '<h4>subsection</h4>text<br><br></body></html>',
+    wantText: 'title\nsubtitle\nsection\nsubsection\ntext\n\n',
+    roundTrip: true,
+  },
+  'blockQuotes': {
+    description: 'Consecutive quoted lines are exported as one block quote',
+    input: '<html><body><blockquote>quoted<br>text</blockquote><blockquote>more</blockquote>' +
+        '<p>reply</p><blockquote>again</blockquote></body></html>',
+    wantHTML: '<!DOCTYPE HTML><html><body><blockquote>quoted<br>text<br>more</blockquote>' +
+        'reply<br><blockquote>again</blockquote><br></body></html>',
+    wantText: '> quoted\n> text\n> more\nreply\n> again\n\n',
+    roundTrip: true,
+  },
+  'codeBlocks': {
+    description: 'Code blocks are <pre> elements with the code class',
+    input: '<html><body><pre class="code">if (a) {\n  b();\n}</pre><pre>not code</pre>' +
+        '<p>text</p></body></html>',
+    wantHTML: '<!DOCTYPE HTML><html><body><pre class="code">if (a) {<br>&nbsp; b();<br>}</pre>' +
+        'not code<br>text<br><br></body></html>',
+    wantText: '    if (a) {\n      b();\n    }\nnot code\ntext\n\n',
+    roundTrip: true,
+  },
   'dontDeleteSpaceInsideElements': {
     description: 'Preserve spaces inside elements',
     input: '<html><body>Need<span> more </span>space<i> s </i>!<br></body></html>',
@@ -269,6 +296,23 @@ describe(__filename, function () {
             .expect('Content-Type', /json/);
         assert.equal(res.body.data.text, test.wantText);
       });
+
+      if (test.roundTrip) {
+        it('imports the exported HTML unchanged', async function () {
+          // setHTML adds the final newline of the pad, which getHTML exports as the last <br>.
+          const html = test.wantHTML.replace(/^<!DOCTYPE HTML>/, '')
+              .replace(/<br><\/body>/, '</body>');
+          let res = await agent.get(`${endPoint('setHTML')}&padID=${testPadId}` +
+                                    `&html=${encodeURIComponent(html)}`)
+              .expect(200)
+              .expect('Content-Type', /json/);
+          assert.equal(res.body.code, 0);
+          res = await agent.get(`${endPoint('getHTML')}&padID=${testPadId}`)
+              .expect(200)
+              .expect('Content-Type', /json/);
+          assert.equal(res.body.data.html, test.wantHTML);
+        });
+      }
     });
   });
 });
@@ -0,0 +1,187 @@
+'use strict';
+
+/*
+ * Tests for the getMarkdown and setMarkdown API functions and for Markdown import and export via
+ * /p/:pad/import and /p/:pad/export/markdown.
+ */
+
+const assert = require('assert').strict;
+const common = require('../../common');
+const padManager = require('../../../../node/db/PadManager');
+const superagent = require('superagent');
+
+let agent;
+const apiKey = common.apiKey;
+const apiVersion = '1.3.2';
+
+const call = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: apiKey})
+      .send(params)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+// Markdown in the form that getMarkdown produces, so it must survive a round trip unchanged.
+const canonical = [
+  '# Title',
+  '## Sub *heading*',
+  '',
+  'Some **bold**, *italic*, ~~struck~~ and <u>underlined</u> text.',
+  'Mixed ***bold and italic*** and **bold with *italic* inside**',
+  'A [link with **bold**](https://example.com/a_b) and https://etherpad.org/a_b',
+  '- one',
+  '- two',
+  '    - nested',
+  '        1. deep',
+  '        2. deeper',
+  '3. three',
+  '4. four',
+  'Literal \\*stars\\*, \\[brackets\\] and \\_underscores\\_',
+  '\\# not a heading',
+  '',
+].join('\n');
+
+describe(__filename, function () {
+  let padId;
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    padId = common.randomString();
+    assert.equal((await call('createPad', {padID: padId})).code, 0);
+  });
+
+  afterEach(async function () {
+    if (await padManager.doesPadExist(padId)) await (await padManager.getPad(padId)).remove();
+  });
+
+  it('round-trips Markdown', async function () {
+    assert.equal((await call('setMarkdown', {padID: padId, markdown: canonical})).code, 0);
+    const res = await call('getMarkdown', {padID: padId});
+    assert.equal(res.code, 0);
+    assert.equal(res.data.markdown, canonical);
+  });
+
+  it('stores formatting as pad attributes', async function () {
+    await call('setMarkdown', {padID: padId, markdown: canonical});
+    const {data: {html}} = await call('getHTML', {padID: padId});
+    assert(html.includes('<h1>Title</h1>'));
+    assert(html.includes('<strong>bold</strong>'));
+    assert(html.includes('<em>italic</em>'));
+    assert(html.includes('<s>struck</s>'));
+    assert(html.includes('<u>underlined</u>'));
+    const {data: {text}} = await call('getText', {padID: padId});
+    assert(text.startsWith('Title\nSub heading\n\nSome bold, italic, struck and underlined text.'));
+    assert(text.includes('Literal *stars*, [brackets] and _underscores_\n# not a heading\n'));
+  });
+
+  it('normalizes other Markdown syntax', async function () {
+    const markdown = [
+      'Title',
+      '=====',
+      'Subtitle',
+      '---',
+      '### Closed heading ###',
+      '##### Small heading',
+      '* __bold__ and _italic_ but snake_case_word',
+      '\t+ tab indented',
+      '1) first',
+      '1) second',
+      '',
+      '7. seven',
+      'A [link](<https://example.com/with space> "title") and <https://etherpad.org>',
+      'Unmatched **stars, `code *spans*` and ~single~ tildes',
+    ].join('\n');
+    await call('setMarkdown', {padID: padId, markdown});
+    const {data: {markdown: got}} = await call('getMarkdown', {padID: padId});
+    assert.equal(got, [
+      '# Title',
+      '## Subtitle',
+      '### Closed heading',
+      '#### Small heading',
+      '- **bold** and *italic* but snake\\_case\\_word',
+      '    - tab indented',
+      '1. first',
+      '2. second',
+      '',
+      '3. seven',
+      'A [link](<https://example.com/with space>) and https://etherpad.org',
+      'Unmatched \\*\\*stars, \\`code \\*spans\\*\\` and \\~single\\~ tildes',
+      '',
+    ].join('\n'));
+  });
+
+  it('imports code blocks verbatim', async function () {
+    const markdown = '```\n# not a heading\n- not a list\n```\n';
+    await call('setMarkdown', {padID: padId, markdown});
+    const {data: {text}} = await call('getText', {padID: padId});
+    assert.equal(text, markdown);
+  });
+
+  it('exports block quotes and code blocks', async function () {
+    const html = '<html><body><blockquote>quoted *text*</blockquote><blockquote>more</blockquote>' +
+        '<p>text</p><pre class="code">const a = 1;<br>  # not a heading</pre><p>after</p>' +
+        '<pre class="code">uses ``` fences</pre></body></html>';
+    assert.equal((await call('setHTML', {padID: padId, html})).code, 0);
+    const {data: {markdown}} = await call('getMarkdown', {padID: padId});
+    assert.equal(markdown, [
+      '> quoted \\*text\\*',
+      '> more',
+      'text',
+      '```',
+      'const a = 1;',
+      '  # not a heading',
+      '```',
+      'after',
+      '````',
+      'uses ``` fences',
+      '````',
+      '',
+      '',
+    ].join('\n'));
+  });
+
+  it('returns older revisions', async function () {
+    await call('setMarkdown', {padID: padId, markdown: '# First\n'});
+    const {data: {revisions}} = await call('getRevisionsCount', {padID: padId});
+    await call('setMarkdown', {padID: padId, markdown: '# Second\n'});
+    const res = await call('getMarkdown', {padID: padId, rev: revisions});
+    assert.equal(res.data.markdown, '# First\n');
+  });
+
+  it('rejects invalid arguments', async function () {
+    assert.equal((await call('setMarkdown', {padID: padId})).code, 1);
+    assert.equal((await call('getMarkdown', {padID: padId, rev: 1000})).code, 1);
+    assert.equal((await call('getMarkdown', {padID: common.randomString()})).code, 1);
+  });
+
+  it('exports a pad as Markdown', async function () {
+    await call('setMarkdown', {padID: padId, markdown: canonical});
+    const res = await agent.get(`/p/${padId}/export/markdown`)
+        .expect(200)
+        .expect('Content-Type', /^text\/markdown/)
+        .expect('Content-Disposition', /\.md"$/)
+        .buffer(true).parse(superagent.parse.text);
+    assert.equal(res.text, canonical);
+  });
+
+  it('imports a .md file', async function () {
+    await agent.post(`/p/${padId}/import`)
+        .attach('file', Buffer.from(canonical), {filename: '/test.md', contentType: 'text/plain'})
+        .expect(200)
+        .expect((res) => assert.equal(res.body.code, 0));
+    const {data: {markdown}} = await call('getMarkdown', {padID: padId});
+    assert.equal(markdown, canonical);
+  });
+
+  it('cleans the text of imported .md files like setMarkdown', async function () {
+    const markdown = 'A\ttab and a\xa0non-breaking space\r\n';
+    await agent.post(`/p/${padId}/import`)
+        .attach('file', Buffer.from(markdown), {filename: '/test.md', contentType: 'text/plain'})
+        .expect(200)
+        .expect((res) => assert.equal(res.body.code, 0));
+    const {data: {text}} = await call('getText', {padID: padId});
+    assert.equal(text, 'A        tab and a non-breaking space\n');
+  });
+});
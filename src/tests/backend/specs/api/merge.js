@@ -0,0 +1,241 @@
+'use strict';
+
+const Changeset = require('../../../../static/js/Changeset');
+const assert = require('assert').strict;
+const common = require('../../common');
+const padManager = require('../../../../node/db/PadManager');
+
+let agent;
+const apiVersion = '1.3.15';
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+const callOk = async (fn, params) => {
+  const res = await callApi(fn, params);
+  assert.equal(res.code, 0, res.message);
+  return res.data;
+};
+
+// Replaces the first occurrence of a string in a pad.
+const replace = async (padID, search, replacement) => {
+  const pad = await padManager.getPad(padID);
+  const start = pad.text().indexOf(search);
+  assert(start >= 0, `${search} not found`);
+  await pad.spliceText(start, search.length, replacement);
+};
+
+// Inserts text after the first occurrence of a string in a pad.
+const insertAfter = async (padID, search, text) => {
+  const pad = await padManager.getPad(padID);
+  const start = pad.text().indexOf(search);
+  assert(start >= 0, `${search} not found`);
+  await pad.spliceText(start + search.length, 0, text);
+};
+
+describe(__filename, function () {
+  this.timeout(60000);
+  let padID;
+  let forkID;
+  const padIDs = [];
+
+  const createPads = async () => {
+    padID = common.randomString();
+    forkID = common.randomString();
+    padIDs.push(padID, forkID);
+    await callOk('createPad', {padID, text: 'one\ntwo\nthree\nfour'});
+    assert.deepEqual(await callOk('forkPad', {sourceID: padID, destinationID: forkID}),
+        {padID: forkID});
+  };
+
+  const getText = async (id) => (await padManager.getPad(id)).text();
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(createPads);
+
+  afterEach(async function () {
+    while (padIDs.length > 0) {
+      const id = padIDs.pop();
+      if (await padManager.doesPadExist(id)) await (await padManager.getPad(id)).remove();
+    }
+  });
+
+  describe('forkPad', function () {
+    it('copies the pad and records where it was forked from', async function () {
+      const pad = await padManager.getPad(padID);
+      const fork = await padManager.getPad(forkID);
+      assert.equal(fork.text(), pad.text());
+      assert.deepEqual(fork.forkedFrom,
+          {padID, rev: pad.getHeadRevisionNumber(), forkRev: fork.getHeadRevisionNumber()});
+    });
+
+    it('does not overwrite pads unless forced', async function () {
+      const res = await callApi('forkPad', {sourceID: padID, destinationID: forkID});
+      assert.equal(res.message, 'destinationID already exists');
+      await callOk('forkPad', {sourceID: padID, destinationID: forkID, force: 'true'});
+    });
+  });
+
+  describe('mergePad', function () {
+    it('merges changes to different lines', async function () {
+      await replace(forkID, 'two', 'TWO');
+      await insertAfter(forkID, 'three\n', 'new\n');
+      await replace(padID, 'four', 'FOUR');
+      assert.deepEqual(await callOk('getMergeConflicts', {sourceID: forkID, targetID: padID}),
+          {changes: 2, conflicts: []});
+      const pad = await padManager.getPad(padID);
+      const {rev, changes, conflicts} =
+          await callOk('mergePad', {sourceID: forkID, targetID: padID});
+      assert.equal(rev, pad.getHeadRevisionNumber());
+      assert.equal(changes, 2);
+      assert.equal(conflicts, 0);
+      assert.equal(pad.text(), 'one\nTWO\nthree\nnew\nFOUR\n');
+      assert.equal(await getText(forkID), 'one\nTWO\nthree\nnew\nfour\n');
+      await pad.check();
+    });
+
+    it('inserts lines like the editor', async function () {
+      // The editor inserts a line before the line break of the previous line.
+      await insertAfter(forkID, 'three', '\nnew');
+      await replace(padID, 'three', 'THREE');
+      assert.deepEqual(await callOk('getMergeConflicts', {sourceID: forkID, targetID: padID}),
+          {changes: 1, conflicts: []});
+      await callOk('mergePad', {sourceID: forkID, targetID: padID});
+      assert.equal(await getText(padID), 'one\ntwo\nTHREE\nnew\nfour\n');
+    });
+
+    it('only merges the changes since the last merge', async function () {
+      await replace(forkID, 'two', 'TWO');
+      await replace(padID, 'four', 'FOUR');
+      await callOk('mergePad', {sourceID: forkID, targetID: padID});
+      assert.deepEqual(await callOk('getMergeConflicts', {sourceID: forkID, targetID: padID}),
+          {changes: 0, conflicts: []});
+      await replace(forkID, 'one', 'ONE');
+      await replace(padID, 'TWO', 'two again');
+      await callOk('mergePad', {sourceID: forkID, targetID: padID});
+      assert.equal(await getText(padID), 'ONE\ntwo again\nthree\nFOUR\n');
+    });
+
+    it('merges formatting changes', async function () {
+      const fork = await padManager.getPad(forkID);
+      const builder = Changeset.builder(fork.text().length);
+      builder.keep(3, 0, [['bold', 'true']], fork.pool);
+      await fork.appendRevision(builder.toString());
+      await replace(padID, 'two', 'TWO');
+      await callOk('mergePad', {sourceID: forkID, targetID: padID});
+      const {html} = await callOk('getHTML', {padID});
+      assert.match(html, /<strong>one<\/strong><br>TWO<br>/);
+    });
+
+    it('keeps the merge base when the history of the fork is compacted', async function () {
+      await replace(forkID, 'two', 'TWO');
+      await replace(forkID, 'three', 'THREE');
+      const fork = await padManager.getPad(forkID);
+      assert(await fork.compactHistory(fork.getHeadRevisionNumber()) > 0);
+      await replace(padID, 'four', 'FOUR');
+      await callOk('mergePad', {sourceID: forkID, targetID: padID});
+      assert.equal(await getText(padID), 'one\nTWO\nTHREE\nFOUR\n');
+    });
+
+    it('checks the pads and the resolutions', async function () {
+      let res = await callApi('mergePad', {sourceID: padID, targetID: forkID});
+      assert.equal(res.message, 'sourceID is not a fork of targetID');
+      res = await callApi('getMergeConflicts', {sourceID: forkID, targetID: common.randomString()});
+      assert.equal(res.message, 'padID does not exist');
+      res = await callApi('mergePad', {sourceID: forkID, targetID: padID, resolutions: '[1]'});
+      assert.equal(res.message, 'resolutions must be "source", "target" or "both"');
+      res = await callApi('mergePad', {sourceID: forkID, targetID: padID, resolutions: '['});
+      assert.equal(res.message, 'resolutions is not valid JSON');
+    });
+  });
+
+  describe('conflicts', function () {
+    beforeEach(async function () {
+      await replace(forkID, 'two', 'fork two');
+      await replace(forkID, 'four', 'FOUR');
+      await replace(padID, 'two', 'pad two');
+    });
+
+    it('reports changes to the same lines', async function () {
+      assert.deepEqual(await callOk('getMergeConflicts', {sourceID: forkID, targetID: padID}), {
+        changes: 2,
+        conflicts: [{base: 'two\n', source: 'fork two\n', target: 'pad two\n'}],
+      });
+      const res = await callApi('mergePad', {sourceID: forkID, targetID: padID});
+      assert.equal(res.message,
+          'the number of resolutions does not match the number of conflicts');
+      assert.equal(await getText(padID), 'one\npad two\nthree\nfour\n');
+    });
+
+    for (const [resolution, text] of [
+      ['source', 'one\nfork two\nthree\nFOUR\n'],
+      ['target', 'one\npad two\nthree\nFOUR\n'],
+      ['both', 'one\npad two\nfork two\nthree\nFOUR\n'],
+    ]) {
+      it(`resolves conflicts with ${resolution}`, async function () {
+        const resolutions = JSON.stringify([resolution]);
+        const {conflicts} =
+            await callOk('mergePad', {sourceID: forkID, targetID: padID, resolutions});
+        assert.equal(conflicts, 1);
+        assert.equal(await getText(padID), text);
+        await (await padManager.getPad(padID)).check();
+        // The conflict is resolved for later merges.
+        assert.deepEqual(await callOk('getMergeConflicts', {sourceID: forkID, targetID: padID}),
+            {changes: 0, conflicts: []});
+      });
+    }
+  });
+
+  describe('merge page', function () {
+    beforeEach(async function () {
+      await replace(forkID, 'two', 'fork two');
+      await replace(padID, 'two', 'pad two');
+    });
+
+    const revs = async () => ({
+      sourceRev: (await padManager.getPad(forkID)).getHeadRevisionNumber(),
+      targetRev: (await padManager.getPad(padID)).getHeadRevisionNumber(),
+    });
+
+    it('shows the conflicts', async function () {
+      const res = await agent.get(`/p/${forkID}/merge`).expect(200);
+      assert.match(res.text, /fork two\n/);
+      assert.match(res.text, /pad two\n/);
+      assert.match(res.text, /name="resolution0" value="source"/);
+    });
+
+    it('merges the pads', async function () {
+      await agent.post(`/p/${forkID}/merge`)
+          .type('form')
+          .send({...await revs(), conflicts: 1, resolution0: 'source'})
+          .expect(303)
+          .expect('Location', `../${padID}`);
+      assert.equal(await getText(padID), 'one\nfork two\nthree\nfour\n');
+    });
+
+    it('does not merge if the pads have changed', async function () {
+      const params = await revs();
+      await replace(padID, 'four', 'FOUR');
+      const res = await agent.post(`/p/${forkID}/merge`)
+          .type('form')
+          .send({...params, conflicts: 1, resolution0: 'source'})
+          .expect(200);
+      assert.match(res.text, /merge\.error\.changed/);
+      assert.equal(await getText(padID), 'one\npad two\nthree\nFOUR\n');
+    });
+
+    it('returns 404 for pads that are not forks', async function () {
+      await agent.get(`/p/${padID}/merge`).expect(404);
+      await agent.get(`/p/${common.randomString()}/merge`).expect(404);
+    });
+  });
+});
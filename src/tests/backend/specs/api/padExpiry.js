@@ -0,0 +1,164 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../../common');
+const expiryManager = require('../../../../node/db/ExpiryManager');
+const fsp = require('fs').promises;
+const groupManager = require('../../../../node/db/GroupManager');
+const os = require('os');
+const padExpiry = require('../../../../node/hooks/padexpiry');
+const padManager = require('../../../../node/db/PadManager');
+const path = require('path');
+const settings = require('../../../../node/utils/Settings');
+
+let agent;
+const apiVersion = '1.3.12';
+const dayMs = 24 * 60 * 60 * 1000;
+// Pads with this limit expire (almost) immediately.
+const immediately = 1e-9;
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+describe(__filename, function () {
+  this.timeout(60000);
+  let groupID;
+  let padID;
+  let pad;
+  let backup;
+
+  const listedPadIDs = async (params) => {
+    const res = await callApi('listExpiringPads', params);
+    assert.equal(res.code, 0);
+    return res.data.pads.map((p) => p.padID);
+  };
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    backup = settings.padExpiry;
+    settings.padExpiry = {...backup, archiveDir: null};
+    ({groupID} = await groupManager.createGroup());
+    padID = `${groupID}$${common.randomString()}`;
+    // Without text, the pad gets the default text.
+    await groupManager.createGroupPad(groupID, padID.split('$')[1]);
+    pad = await padManager.getPad(padID);
+    // Pads with the `immediately` limit expire a fraction of a millisecond after their last edit.
+    await new Promise((resolve) => setTimeout(resolve, 2));
+  });
+
+  afterEach(async function () {
+    settings.padExpiry = backup;
+    await groupManager.deleteGroup(groupID);
+  });
+
+  it('sets and removes the policy of a group', async function () {
+    let res = await callApi('setGroupExpiryPolicy',
+        {groupID, expiryPolicy: '{"staleDays": "30", "other": 1}'});
+    assert.equal(res.code, 0);
+    res = await callApi('getGroupExpiryPolicy', {groupID});
+    assert.deepEqual(res.data, {expiryPolicy: {staleDays: 30, unchangedDays: null}});
+    res = await callApi('setGroupExpiryPolicy', {groupID});
+    assert.equal(res.code, 0);
+    res = await callApi('getGroupExpiryPolicy', {groupID});
+    assert.deepEqual(res.data, {expiryPolicy: null});
+  });
+
+  it('rejects invalid parameters', async function () {
+    assert.deepEqual(
+        await callApi('setGroupExpiryPolicy', {groupID, expiryPolicy: '{'}),
+        {code: 1, message: 'expiryPolicy is not valid JSON', data: null});
+    assert.deepEqual(
+        await callApi('setGroupExpiryPolicy', {groupID, expiryPolicy: '{"staleDays": -1}'}),
+        {code: 1, message: 'staleDays must be a positive number', data: null});
+    assert.deepEqual(
+        await callApi('getGroupExpiryPolicy', {groupID: 'g.nope'}),
+        {code: 1, message: 'groupID does not exist', data: null});
+    assert.deepEqual(
+        await callApi('getPadExpiry', {padID: common.randomString()}),
+        {code: 1, message: 'padID does not exist', data: null});
+    assert.deepEqual(
+        await callApi('listExpiringPads', {days: 'x'}),
+        {code: 1, message: 'days must be a number', data: null});
+  });
+
+  it('does not expire pads without a policy', async function () {
+    assert.deepEqual((await callApi('getPadExpiry', {padID})).data, {exempt: false, expiry: null});
+  });
+
+  it('expires pads that still have the default text', async function () {
+    await expiryManager.setGroupExpiryPolicy(groupID, {staleDays: 30, unchangedDays: 7});
+    const lastEdited = await pad.getLastEdit();
+    assert.deepEqual((await callApi('getPadExpiry', {padID})).data, {
+      exempt: false,
+      expiry: {reason: 'unchanged', lastEdited, expires: lastEdited + 7 * dayMs},
+    });
+    assert(!(await listedPadIDs({days: 6})).includes(padID));
+    assert((await listedPadIDs({days: 8})).includes(padID));
+  });
+
+  it('expires pads that have not been edited for too long', async function () {
+    await expiryManager.setGroupExpiryPolicy(groupID, {staleDays: 30, unchangedDays: 7});
+    await pad.appendText('edited\n');
+    const lastEdited = await pad.getLastEdit();
+    assert.deepEqual((await callApi('getPadExpiry', {padID})).data, {
+      exempt: false,
+      expiry: {reason: 'stale', lastEdited, expires: lastEdited + 30 * dayMs},
+    });
+    assert(!(await listedPadIDs({days: 8})).includes(padID));
+    assert((await listedPadIDs({days: 31})).includes(padID));
+  });
+
+  it('does not expire exempt pads', async function () {
+    await expiryManager.setGroupExpiryPolicy(groupID, {unchangedDays: immediately});
+    assert((await listedPadIDs()).includes(padID));
+    assert.equal((await callApi('setPadExpiryExempt', {padID, exempt: 'true'})).code, 0);
+    assert.deepEqual((await callApi('getPadExpiry', {padID})).data, {exempt: true, expiry: null});
+    assert(!(await listedPadIDs()).includes(padID));
+    assert.equal((await callApi('setPadExpiryExempt', {padID, exempt: 'false'})).code, 0);
+    assert.equal((await callApi('getPadExpiry', {padID})).data.exempt, false);
+    assert((await listedPadIDs()).includes(padID));
+  });
+
+  it('deletes expired pads unless it is a dry run', async function () {
+    await expiryManager.setGroupExpiryPolicy(groupID, {staleDays: immediately});
+    let res = await callApi('expirePads', {dryRun: 'true'});
+    assert(res.data.pads.some((p) => p.padID === padID));
+    assert(await padManager.doesPadExist(padID));
+    res = await callApi('expirePads');
+    const expired = res.data.pads.find((p) => p.padID === padID);
+    assert.equal(expired.reason, 'stale');
+    assert.equal(expired.archive, null);
+    assert(!await padManager.doesPadExist(padID));
+  });
+
+  it('archives the pads before deleting them', async function () {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'etherpad-expiry-'));
+    try {
+      settings.padExpiry.archiveDir = dir;
+      await pad.appendText('archived text\n');
+      await expiryManager.setGroupExpiryPolicy(groupID, {staleDays: immediately});
+      const archive = await expiryManager.removePad(padID);
+      assert.equal(path.dirname(archive), dir);
+      assert(!await padManager.doesPadExist(padID));
+      const data = JSON.parse(await fsp.readFile(archive, 'utf8'));
+      assert.equal(data[`pad:${padID}`].atext.text, pad.text());
+    } finally {
+      await fsp.rmdir(dir, {recursive: true});
+    }
+  });
+
+  it('is applied by the scheduler', async function () {
+    await expiryManager.setGroupExpiryPolicy(groupID, {unchangedDays: immediately});
+    assert((await padExpiry.run()).padCount >= 1);
+    assert(!await padManager.doesPadExist(padID));
+  });
+});
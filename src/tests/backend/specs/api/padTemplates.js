@@ -0,0 +1,198 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../../common');
+const padManager = require('../../../../node/db/PadManager');
+
+let agent;
+const apiVersion = '1.3.5';
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+describe(__filename, function () {
+  this.timeout(30000);
+  const padIDs = [];
+  const groupIDs = [];
+  const sockets = [];
+  let templateID;
+  let name;
+
+  const createPad = async (padID, text = 'text\n') => {
+    assert.equal((await callApi('createPad', {padID, text})).code, 0);
+    padIDs.push(padID);
+    return padID;
+  };
+
+  const createGroupPad = async (groupID, padName, text = 'text\n') => {
+    const res = await callApi('createGroupPad', {groupID, padName, text});
+    assert.equal(res.code, 0);
+    padIDs.push(res.data.padID);
+    return res.data.padID;
+  };
+
+  const createGroup = async () => {
+    const {data: {groupID}} = await callApi('createGroup');
+    groupIDs.push(groupID);
+    return groupID;
+  };
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    templateID = await createPad(common.randomString());
+    assert.equal((await callApi('setHTML', {
+      padID: templateID,
+      html: '<html><body><b>Agenda</b><ul><li>first</li></ul></body></html>',
+    })).code, 0);
+    name = `Template ${common.randomString()}`;
+  });
+
+  afterEach(async function () {
+    while (sockets.length > 0) sockets.pop().close();
+    while (padIDs.length > 0) {
+      const padID = padIDs.pop();
+      if (await padManager.doesPadExist(padID)) await (await padManager.getPad(padID)).remove();
+    }
+    while (groupIDs.length > 0) await callApi('deleteGroup', {groupID: groupIDs.pop()});
+  });
+
+  describe('HTTP API', function () {
+    it('creates pads from global templates with formatting', async function () {
+      assert.equal((await callApi('setPadTemplate', {padID: templateID, name})).code, 0);
+      const {data: {templates}} = await callApi('listPadTemplates');
+      assert(templates.some((t) => t.name === name && t.padID === templateID));
+
+      const padID = common.randomString();
+      padIDs.push(padID);
+      assert.deepEqual(await callApi('createPadFromTemplate', {padID, template: name}),
+          {code: 0, message: 'ok', data: {padID}});
+      const {data: {html: expected}} = await callApi('getHTML', {padID: templateID});
+      const {data: {html}} = await callApi('getHTML', {padID});
+      assert(html.startsWith(expected.replace('</body></html>', '')), html);
+      assert.equal((await callApi('getRevisionsCount', {padID})).data.revisions, 1);
+      // The new pad is not a template itself.
+      const res = await callApi('listPadTemplates');
+      assert(!res.data.templates.some((t) => t.padID === padID));
+    });
+
+    it('renames and unsets templates', async function () {
+      await callApi('setPadTemplate', {padID: templateID, name});
+      await callApi('setPadTemplate', {padID: templateID, name: `${name} 2`});
+      let {data: {templates}} = await callApi('listPadTemplates');
+      assert.deepEqual(templates.filter((t) => t.padID === templateID),
+          [{name: `${name} 2`, padID: templateID}]);
+      assert.equal((await callApi('unsetPadTemplate', {padID: templateID})).code, 0);
+      ({data: {templates}} = await callApi('listPadTemplates'));
+      assert(!templates.some((t) => t.padID === templateID));
+      assert.deepEqual(await callApi('unsetPadTemplate', {padID: templateID}),
+          {code: 1, message: 'padID is not a template', data: null});
+    });
+
+    it('forgets removed template pads', async function () {
+      await callApi('setPadTemplate', {padID: templateID, name});
+      assert.equal((await callApi('deletePad', {padID: templateID})).code, 0);
+      const {data: {templates}} = await callApi('listPadTemplates');
+      assert(!templates.some((t) => t.name === name));
+      assert.deepEqual(
+          await callApi('createPadFromTemplate', {padID: common.randomString(), template: name}),
+          {code: 1, message: 'template does not exist', data: null});
+    });
+
+    it('keeps group templates within their group', async function () {
+      const groupID = await createGroup();
+      const otherGroupID = await createGroup();
+      const groupTemplateID = await createGroupPad(groupID, 'template', 'group template\n');
+      assert.equal((await callApi('setPadTemplate', {padID: groupTemplateID, name})).code, 0);
+      // A global template with the same name is shadowed in the group.
+      await callApi('setPadTemplate', {padID: templateID, name});
+      assert.deepEqual((await callApi('listPadTemplates', {groupID})).data.templates,
+          [{name, padID: groupTemplateID}]);
+      assert.deepEqual((await callApi('listPadTemplates', {groupID: otherGroupID})).data.templates,
+          []);
+
+      const padID = `${groupID}$new`;
+      padIDs.push(padID);
+      assert.equal((await callApi('createPadFromTemplate', {padID, template: name})).code, 0);
+      assert.match((await callApi('getText', {padID})).data.text, /^group template\n/);
+      assert((await callApi('listPads', {groupID})).data.padIDs.includes(padID));
+
+      const otherPadID = `${otherGroupID}$new`;
+      padIDs.push(otherPadID);
+      assert.equal(
+          (await callApi('createPadFromTemplate', {padID: otherPadID, template: name})).code, 0);
+      assert.match((await callApi('getText', {padID: otherPadID})).data.text, /^Agenda\n/);
+    });
+
+    it('rejects invalid arguments', async function () {
+      await callApi('setPadTemplate', {padID: templateID, name});
+      const otherID = await createPad(common.randomString());
+      assert.deepEqual(await callApi('setPadTemplate', {padID: otherID, name}),
+          {code: 1, message: 'name is already used by another template', data: null});
+      assert.deepEqual(await callApi('setPadTemplate', {padID: otherID, name: ' x'}),
+          {code: 1, message: 'name is invalid', data: null});
+      assert.deepEqual(await callApi('setPadTemplate', {padID: common.randomString(), name: 'x'}),
+          {code: 1, message: 'padID does not exist', data: null});
+      assert.deepEqual(await callApi('createPadFromTemplate', {padID: otherID, template: name}),
+          {code: 1, message: 'padID does already exist', data: null});
+      assert.deepEqual(
+          await callApi('createPadFromTemplate', {padID: 'g.0000000000000000$x', template: name}),
+          {code: 1, message: 'groupID does not exist', data: null});
+      assert.deepEqual(await callApi('listPadTemplates', {groupID: 'g.0000000000000000'}),
+          {code: 1, message: 'groupID does not exist', data: null});
+    });
+  });
+
+  describe('?template= pad URL parameter', function () {
+    const join = async (padID, template) => {
+      const res = await agent.get(`/p/${padID}`).query({template}).expect(200);
+      const socket = await common.connect(res);
+      sockets.push(socket);
+      socket.send({
+        component: 'pad',
+        type: 'CLIENT_READY',
+        padId: padID,
+        sessionID: null,
+        token: `t.${common.randomString()}`,
+        template,
+      });
+      const msg = await common.waitForSocketEvent(socket, 'message');
+      assert.equal(msg.type, 'CLIENT_VARS');
+      return msg.data;
+    };
+
+    it('creates new pads from the template', async function () {
+      await callApi('setPadTemplate', {padID: templateID, name});
+      const padID = common.randomString();
+      padIDs.push(padID);
+      const clientVars = await join(padID, name);
+      assert.match(clientVars.collab_client_vars.initialAttributedText.text, /^Agenda\n\*first\n/);
+    });
+
+    it('ignores the template for existing pads and unknown templates', async function () {
+      await callApi('setPadTemplate', {padID: templateID, name});
+      const existingID = await createPad(common.randomString(), 'existing\n');
+      let clientVars = await join(existingID, name);
+      assert.equal(clientVars.collab_client_vars.initialAttributedText.text, 'existing\n\n');
+
+      const padID = common.randomString();
+      padIDs.push(padID);
+      clientVars = await join(padID, 'no such template');
+      assert.doesNotMatch(clientVars.collab_client_vars.initialAttributedText.text, /^Agenda\n/);
+    });
+  });
+
+  describe('index page', function () {
+    it('lists global templates', async function () {
+      await callApi('setPadTemplate', {padID: templateID, name});
+      const res = await agent.get('/').expect(200);
+      assert(res.text.includes(`<option value="${name}">${name}</option>`));
+    });
+  });
+});
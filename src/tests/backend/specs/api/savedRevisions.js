@@ -0,0 +1,163 @@
+'use strict';
+
+const assert = require('assert').strict;
+const authorManager = require('../../../../node/db/AuthorManager');
+const common = require('../../common');
+const padManager = require('../../../../node/db/PadManager');
+
+let agent;
+const apiVersion = '1.3.10';
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+describe(__filename, function () {
+  this.timeout(30000);
+  const sockets = [];
+  let padID;
+  let pad;
+
+  const join = async () => {
+    const res = await agent.get(`/p/${padID}`).expect(200);
+    const socket = await common.connect(res);
+    sockets.push(socket);
+    const msg = await common.handshake(socket, padID);
+    assert.equal(msg.type, 'CLIENT_VARS');
+    return socket;
+  };
+
+  const waitForRevisionList = async (socket) => {
+    for (;;) {
+      const msg = await common.waitForSocketEvent(socket, 'message');
+      const {type, payload} = msg.data || {};
+      if (type === 'CLIENT_MESSAGE' && payload.type === 'newRevisionList') {
+        return payload.revisionList;
+      }
+    }
+  };
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padID = common.randomString();
+    pad = await padManager.getPad(padID, 'hello\n');
+    await pad.appendText('world\n');
+  });
+
+  afterEach(async function () {
+    while (sockets.length > 0) sockets.pop().close();
+    if (await padManager.doesPadExist(padID)) await pad.remove();
+  });
+
+  describe('HTTP API', function () {
+    it('saves revisions with labels and metadata', async function () {
+      const {authorID} = await authorManager.createAuthor('Ann');
+      let res = await callApi('saveRevision', {
+        padID, rev: 0, label: 'Draft', metadata: {publishID: 7}, authorID,
+      });
+      assert.equal(res.code, 0);
+      const {savedRevisionID} = res.data;
+      res = await callApi('saveRevision', {padID});
+      assert.equal(res.code, 0);
+      const {data: {savedRevisions}} = await callApi('getSavedRevisions', {padID});
+      assert.equal(savedRevisions.length, 2);
+      const [first, second] = savedRevisions;
+      assert.deepEqual(first, {
+        savedRevisionID, rev: 0, label: 'Draft', authorID, timestamp: first.timestamp,
+        metadata: {publishID: 7},
+      });
+      assert.equal(second.rev, 1);
+      assert.equal(second.label, 'Saved through API call');
+      assert.equal(second.metadata, null);
+      assert.deepEqual((await callApi('listSavedRevisions', {padID})).data.savedRevisions, [0, 1]);
+    });
+
+    it('returns the existing saved revision', async function () {
+      const {data: {savedRevisionID}} = await callApi('saveRevision', {padID, label: 'a'});
+      const res = await callApi('saveRevision', {padID, label: 'b'});
+      assert.equal(res.data.savedRevisionID, savedRevisionID);
+      assert.equal(pad.getSavedRevision(savedRevisionID).label, 'a');
+    });
+
+    it('accepts metadata as a JSON string', async function () {
+      await agent.get(`/api/${apiVersion}/saveRevision`)
+          .query({apikey: common.apiKey, padID, metadata: '{"a": [1, 2]}'})
+          .expect(200);
+      const {data: {savedRevisions: [savedRev]}} = await callApi('getSavedRevisions', {padID});
+      assert.deepEqual(savedRev.metadata, {a: [1, 2]});
+    });
+
+    it('updates and deletes saved revisions', async function () {
+      const {data: {savedRevisionID}} =
+          await callApi('saveRevision', {padID, label: 'Draft', metadata: {a: 1}});
+      let res = await callApi('updateSavedRevision', {padID, savedRevisionID, label: 'Final'});
+      assert.equal(res.code, 0);
+      assert.equal(pad.getSavedRevision(savedRevisionID).label, 'Final');
+      assert.deepEqual(pad.getSavedRevision(savedRevisionID).metadata, {a: 1});
+      res = await callApi('updateSavedRevision', {padID, savedRevisionID, metadata: 'null'});
+      assert.equal(res.code, 0);
+      assert.equal(pad.getSavedRevision(savedRevisionID).metadata, undefined);
+      assert.equal((await callApi('deleteSavedRevision', {padID, savedRevisionID})).code, 0);
+      assert.deepEqual((await callApi('getSavedRevisions', {padID})).data.savedRevisions, []);
+      assert.equal(pad.getHeadRevisionNumber(), 1);
+    });
+
+    it('rejects invalid parameters', async function () {
+      const {data: {savedRevisionID}} = await callApi('saveRevision', {padID});
+      assert.deepEqual(await callApi('saveRevision', {padID, metadata: '{'}),
+          {code: 1, message: 'metadata is not valid JSON', data: null});
+      assert.deepEqual(await callApi('saveRevision', {padID, label: 'x'.repeat(201)}),
+          {code: 1, message: 'label is too long', data: null});
+      assert.deepEqual(await callApi('saveRevision', {padID, authorID: 'a.nope'}),
+          {code: 1, message: 'authorID does not exist', data: null});
+      assert.deepEqual(
+          await callApi('updateSavedRevision', {padID, savedRevisionID: 'nope', label: 'x'}),
+          {code: 1, message: 'savedRevisionID does not exist', data: null});
+      assert.deepEqual(await callApi('deleteSavedRevision', {padID}),
+          {code: 1, message: 'savedRevisionID does not exist', data: null});
+      assert.equal(pad.getSavedRevision(savedRevisionID).label, 'Saved through API call');
+    });
+
+    it('sends the saved revisions to the users of the pad', async function () {
+      const socket = await join();
+      const listP = waitForRevisionList(socket);
+      await callApi('saveRevision', {padID, label: 'Draft'});
+      const [savedRev] = await listP;
+      assert.equal(savedRev.label, 'Draft');
+      assert.equal(savedRev.revNum, 1);
+    });
+  });
+
+  describe('socket.io', function () {
+    it('renames saved revisions', async function () {
+      const socket = await join();
+      let listP = waitForRevisionList(socket);
+      await common.sendMessage(socket, {
+        type: 'COLLABROOM',
+        component: 'pad',
+        data: {type: 'SAVE_REVISION'},
+      });
+      const [savedRev] = await listP;
+      assert.equal(savedRev.label, 'Revision 1');
+      listP = waitForRevisionList(socket);
+      await common.sendMessage(socket, {
+        type: 'COLLABROOM',
+        component: 'pad',
+        data: {
+          type: 'CLIENT_MESSAGE',
+          payload: {type: 'savedRevision', savedRevisionID: savedRev.id, label: ' Final '},
+        },
+      });
+      assert.equal((await listP)[0].label, 'Final');
+      assert.equal(pad.getSavedRevision(savedRev.id).label, 'Final');
+    });
+  });
+});
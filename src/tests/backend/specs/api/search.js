@@ -0,0 +1,156 @@
+'use strict';
+
+/*
+ * Tests for the full-text search index: the searchPads API function and the /search endpoint of
+ * the index page.
+ */
+
+const assert = require('assert').strict;
+const common = require('../../common');
+const padManager = require('../../../../node/db/PadManager');
+const searchIndex = require('../../../../node/hooks/searchindex');
+const settings = require('../../../../node/utils/Settings');
+
+let agent;
+const apiKey = common.apiKey;
+const apiVersion = '1.3.4';
+
+const call = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: apiKey})
+      .send(params)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+const search = async (query, groupID) => {
+  const res = await call('searchPads', {query, groupID});
+  assert.equal(res.code, 0, res.message);
+  return res.data.results;
+};
+
+describe(__filename, function () {
+  const padIDs = [];
+  const backups = {};
+  // A word that does not appear in any other pad.
+  let word;
+
+  const createPad = async (text, padID = common.randomString()) => {
+    assert.equal((await call('createPad', {padID, text})).code, 0);
+    padIDs.push(padID);
+    await searchIndex.flush();
+    return padID;
+  };
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    backups.search = {...settings.search};
+    // Tests flush the pending updates explicitly.
+    settings.search.updateDelayMs = 60000;
+    word = common.randomString();
+  });
+
+  afterEach(async function () {
+    while (padIDs.length > 0) {
+      const padID = padIDs.pop();
+      if (await padManager.doesPadExist(padID)) await (await padManager.getPad(padID)).remove();
+    }
+    Object.assign(settings.search, backups.search);
+  });
+
+  describe('searchPads', function () {
+    it('finds pads that contain all words', async function () {
+      const padID = await createPad(`Le café ${word} est prêt.\nDeuxième ligne\n`);
+      await createPad(`Only ${word} here\n`);
+      const results = await search(`CAFE ${word}`);
+      assert.equal(results.length, 1);
+      assert.equal(results[0].padID, padID);
+      assert.match(results[0].readOnlyID, /^r\./);
+      assert.equal(results[0].snippet, `Le café ${word} est prêt. Deuxième ligne`);
+    });
+
+    it('ranks phrase matches first and supports quoted phrases', async function () {
+      const scattered = await createPad(`second ${word} first\n`);
+      const phrase = await createPad(`first ${word} second\n`);
+      assert.deepEqual((await search(`first ${word}`)).map((r) => r.padID), [phrase, scattered]);
+      assert.deepEqual((await search(`"first ${word}"`)).map((r) => r.padID), [phrase]);
+    });
+
+    it('follows edits, copies and removals', async function () {
+      const padID = await createPad(`old ${word}\n`);
+      assert.equal((await call('setText', {padID, text: `new ${word}\n`})).code, 0);
+      await searchIndex.flush();
+      assert.deepEqual(await search(`old ${word}`), []);
+      assert.equal((await search(`new ${word}`)).length, 1);
+
+      const copyID = common.randomString();
+      padIDs.push(copyID);
+      assert.equal((await call('copyPad', {sourceID: padID, destinationID: copyID})).code, 0);
+      assert.deepEqual((await search(word)).map((r) => r.padID).sort(), [padID, copyID].sort());
+
+      assert.equal((await call('deletePad', {padID})).code, 0);
+      assert.deepEqual((await search(word)).map((r) => r.padID), [copyID]);
+    });
+
+    it('restricts results to a group', async function () {
+      const {data: {groupID}} = await call('createGroup');
+      const {data: {padID}} = await call('createGroupPad', {groupID, padName: 'p', text: word});
+      padIDs.push(padID);
+      await createPad(`${word}\n`);
+      await searchIndex.flush();
+      assert.equal((await search(word)).length, 2);
+      assert.deepEqual((await search(word, groupID)).map((r) => r.padID), [padID]);
+      assert.equal((await call('deleteGroup', {groupID})).code, 0);
+    });
+
+    it('rejects invalid arguments', async function () {
+      assert.deepEqual(await call('searchPads', {query: ' ,. '}),
+          {code: 1, message: 'query is empty', data: null});
+      assert.deepEqual(await call('searchPads', {query: word, groupID: 'g.doesnotexist'}),
+          {code: 1, message: 'groupID does not exist', data: null});
+      settings.search.enabled = false;
+      assert.deepEqual(await call('searchPads', {query: word}),
+          {code: 1, message: 'search is disabled', data: null});
+    });
+  });
+
+  describe('/search', function () {
+    it('is disabled by default', async function () {
+      await agent.get('/search').query({query: word}).expect(404);
+    });
+
+    it('returns only read-only IDs of accessible pads', async function () {
+      settings.search.indexPage = true;
+      const publicPad = await createPad(`${word}\n`);
+      const {data: {readOnlyID}} = await call('getReadOnlyID', {padID: publicPad});
+      const {data: {groupID}} = await call('createGroup');
+      const {data: {padID: groupPad}} =
+          await call('createGroupPad', {groupID, padName: 'p', text: word});
+      padIDs.push(groupPad);
+      await searchIndex.flush();
+
+      let res = await agent.get('/search').query({query: word})
+          .expect(200)
+          .expect('Content-Type', /json/);
+      assert.deepEqual(res.body.results, [{readOnlyID, snippet: word}]);
+
+      // Group pads are found by members of the group.
+      const {data: {authorID}} = await call('createAuthor');
+      const validUntil = Math.floor(Date.now() / 1000) + 60;
+      const {data: {sessionID}} = await call('createSession', {groupID, authorID, validUntil});
+      res = await agent.get('/search').query({query: word})
+          .set('Cookie', `sessionID=${sessionID}`)
+          .expect(200);
+      assert.equal(res.body.results.length, 2);
+      assert(res.body.results.every((r) => r.padID === undefined && /^r\./.test(r.readOnlyID)));
+      assert.equal((await call('deleteGroup', {groupID})).code, 0);
+    });
+
+    it('rejects empty queries', async function () {
+      settings.search.indexPage = true;
+      const res = await agent.get('/search').query({query: ''}).expect(400);
+      assert.equal(res.body.error, 'query is empty');
+    });
+  });
+});
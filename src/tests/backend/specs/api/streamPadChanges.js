@@ -0,0 +1,151 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../../common');
+const http = require('http');
+const padManager = require('../../../../node/db/PadManager');
+
+let agent;
+const apiVersion = '1.3.8';
+
+// Opens a stream. The returned object's next() method resolves to the next event.
+const openStream = async (query, headers = {}) => {
+  const url = new URL(`${common.baseUrl}/api/${apiVersion}/streamPadChanges`);
+  for (const [k, v] of Object.entries({apikey: common.apiKey, ...query})) {
+    url.searchParams.set(k, v);
+  }
+  const res = await new Promise((resolve, reject) => {
+    http.get(url, {headers}, resolve).on('error', reject);
+  });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /^text\/event-stream/);
+  res.setEncoding('utf8');
+  const events = [];
+  const waiters = [];
+  let buffer = '';
+  const deliver = () => {
+    while (events.length > 0 && waiters.length > 0) waiters.shift().resolve(events.shift());
+  };
+  res.on('data', (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const event = {};
+      for (const line of buffer.slice(0, end).split('\n')) {
+        if (line.startsWith(':')) continue;
+        const [, field, value] = /^([^:]*): ?(.*)$/.exec(line);
+        event[field] = field === 'data' ? JSON.parse(value) : value;
+      }
+      buffer = buffer.slice(end + 2);
+      if (Object.keys(event).length > 0) events.push(event);
+    }
+    deliver();
+  });
+  res.on('end', () => {
+    events.push(null);
+    deliver();
+  });
+  return {
+    res,
+    next: async () => await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('timed out waiting for an event')), 5000);
+      waiters.push({resolve: (event) => { clearTimeout(timeout); resolve(event); }});
+      deliver();
+    }),
+  };
+};
+
+describe(__filename, function () {
+  this.timeout(30000);
+  const streams = [];
+  let padID;
+  let pad;
+
+  const open = async (query = {}, headers = {}) => {
+    const stream = await openStream({padID, ...query}, headers);
+    streams.push(stream);
+    return stream;
+  };
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    padID = common.randomString();
+    pad = await padManager.getPad(padID, 'hello\n');
+  });
+
+  afterEach(async function () {
+    while (streams.length > 0) streams.pop().res.destroy();
+    if (await padManager.doesPadExist(padID)) await pad.remove();
+  });
+
+  it('streams new revisions', async function () {
+    const stream = await open();
+    await pad.appendText('world\n');
+    const {id, event, data} = await stream.next();
+    assert.equal(id, '1');
+    assert.equal(event, undefined);
+    assert.deepEqual(data, {
+      padID,
+      rev: 1,
+      changeset: (await pad.getRevision(1)).changeset,
+      author: null,
+      timestamp: (await pad.getRevision(1)).meta.timestamp,
+    });
+  });
+
+  it('resumes from the given revision', async function () {
+    await pad.appendText('a');
+    await pad.appendText('b');
+    const stream = await open({since: 0, text: 'true'});
+    assert.deepEqual((await stream.next()).data.text, 'hello\na\n');
+    const {id, data} = await stream.next();
+    assert.equal(id, '2');
+    assert.deepEqual(data.text, 'hello\nab\n');
+    await pad.appendText('c');
+    assert.deepEqual((await stream.next()).data.text, 'hello\nabc\n');
+  });
+
+  it('resumes from the Last-Event-ID header', async function () {
+    await pad.appendText('a');
+    await pad.appendText('b');
+    const stream = await open({since: 0}, {'Last-Event-ID': '1'});
+    assert.equal((await stream.next()).data.rev, 2);
+  });
+
+  it('ends the stream when the pad is removed', async function () {
+    const stream = await open();
+    await pad.remove();
+    assert.deepEqual(await stream.next(), {event: 'padRemoved', data: {padID}});
+    assert.equal(await stream.next(), null);
+  });
+
+  it('ends the stream when the history is compacted', async function () {
+    await pad.appendText('a');
+    await pad.appendText('b');
+    const stream = await open();
+    await pad.compactHistory(1);
+    assert.deepEqual(await stream.next(), {event: 'padCompacted', data: {padID}});
+    assert.equal(await stream.next(), null);
+  });
+
+  it('rejects invalid requests', async function () {
+    const call = async (query) => {
+      const res = await agent.get(`/api/${apiVersion}/streamPadChanges`)
+          .query({apikey: common.apiKey, padID, ...query})
+          .expect('Content-Type', /json/);
+      return res.body;
+    };
+    assert.deepEqual(await call({apikey: 'wrong'}),
+        {code: 4, message: 'no or wrong API Key', data: null});
+    assert.deepEqual(await call({padID: common.randomString()}),
+        {code: 1, message: 'padID does not exist', data: null});
+    assert.deepEqual(await call({since: 'x'}),
+        {code: 1, message: 'since is not a valid revision number', data: null});
+    const res = await agent.get('/api/1.3.7/streamPadChanges')
+        .query({apikey: common.apiKey, padID});
+    assert.equal(res.body.code, 3);
+  });
+});
@@ -0,0 +1,206 @@
+'use strict';
+
+const AttributePool = require('../../../../static/js/AttributePool');
+const Changeset = require('../../../../static/js/Changeset');
+const assert = require('assert').strict;
+const authorManager = require('../../../../node/db/AuthorManager');
+const common = require('../../common');
+const padManager = require('../../../../node/db/PadManager');
+const suggestions = require('../../../../static/js/suggestions');
+
+let agent;
+const apiVersion = '1.3.7';
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+describe(__filename, function () {
+  this.timeout(30000);
+  const sockets = [];
+  let padID;
+  let pad;
+  let bobID;
+
+  // Suggests to replace the text between start and end (on the first line) with newText.
+  const suggest = async (start, end, newText, authorID = bobID) => {
+    const suggestionID = `s.${common.randomString(16)}`;
+    const builder = Changeset.builder(pad.text().length);
+    builder.keep(start);
+    builder.keep(end - start, 0,
+        [[suggestions.deleteKey, suggestionID], [suggestions.authorKey, authorID]], pad.pool);
+    builder.insert(newText, suggestions.insertAttribs(authorID, suggestionID), pad.pool);
+    await pad.appendRevision(builder.toString(), authorID);
+    return suggestionID;
+  };
+
+  const join = async (token) => {
+    const res = await agent.get(`/p/${padID}`).expect(200);
+    const socket = await common.connect(res);
+    sockets.push(socket);
+    const msg = await common.handshake(socket, padID, token);
+    assert.equal(msg.type, 'CLIENT_VARS');
+    return {socket, clientVars: msg.data};
+  };
+
+  const waitForMessage = async (socket, type) => {
+    for (;;) {
+      const msg = await common.waitForSocketEvent(socket, 'message');
+      if (type === 'disconnect' ? msg.disconnect != null : msg.data && msg.data.type === type) {
+        return msg;
+      }
+    }
+  };
+
+  const sendSuggestion = async (socket, payload) => await common.sendMessage(socket, {
+    type: 'COLLABROOM',
+    component: 'pad',
+    data: {type: 'CLIENT_MESSAGE', payload: {type: 'suggestion', ...payload}},
+  });
+
+  before(async function () {
+    agent = await common.init();
+    ({authorID: bobID} = await authorManager.createAuthor('Bob'));
+  });
+
+  beforeEach(async function () {
+    padID = common.randomString();
+    pad = await padManager.getPad(padID, 'hello world\n');
+  });
+
+  afterEach(async function () {
+    while (sockets.length > 0) sockets.pop().close();
+    if (await padManager.doesPadExist(padID)) await pad.remove();
+  });
+
+  describe('HTTP API', function () {
+    it('lists suggestions', async function () {
+      const {authorID} = (await callApi('createAuthor', {name: 'Ann'})).data;
+      const suggestionID = await suggest(6, 11, 'there', authorID);
+      assert.equal(pad.text(), 'hello worldthere\n\n');
+      const {data: {suggestions: list}} = await callApi('listSuggestions', {padID});
+      assert.deepEqual(list, [
+        {suggestionID, authorID, authorName: 'Ann', inserted: 'there', deleted: 'world'},
+      ]);
+    });
+
+    it('accepts a suggestion', async function () {
+      const suggestionID = await suggest(6, 11, 'there');
+      await suggest(0, 0, 'oh, ');
+      assert.equal((await callApi('acceptSuggestion', {padID, suggestionID})).code, 0);
+      assert.equal(pad.text(), 'oh, hello there\n\n');
+      const {data: {suggestions: list}} = await callApi('listSuggestions', {padID});
+      assert.deepEqual(list.map((s) => s.inserted), ['oh, ']);
+    });
+
+    it('rejects a suggestion', async function () {
+      const suggestionID = await suggest(6, 11, 'there');
+      assert.equal((await callApi('rejectSuggestion', {padID, suggestionID})).code, 0);
+      assert.equal(pad.text(), 'hello world\n\n');
+      assert.deepEqual((await callApi('listSuggestions', {padID})).data.suggestions, []);
+    });
+
+    it('accepts and rejects all suggestions', async function () {
+      await suggest(6, 11, 'there');
+      await suggest(0, 5, 'hi');
+      assert.equal((await callApi('acceptAllSuggestions', {padID})).code, 0);
+      assert.equal(pad.text(), 'hi there\n\n');
+      await suggest(0, 2, 'hey');
+      await suggest(6, 11, '');
+      assert.equal((await callApi('rejectAllSuggestions', {padID})).code, 0);
+      assert.equal(pad.text(), 'hi there\n\n');
+      assert.deepEqual((await callApi('listSuggestions', {padID})).data.suggestions, []);
+    });
+
+    it('rejects invalid arguments', async function () {
+      await suggest(6, 11, 'there');
+      for (const suggestionID of [undefined, '', `s.${common.randomString(16)}`]) {
+        assert.deepEqual(await callApi('acceptSuggestion', {padID, suggestionID}),
+            {code: 1, message: 'suggestionID does not exist', data: null});
+      }
+      assert.equal(pad.text(), 'hello worldthere\n\n');
+      assert.deepEqual(await callApi('listSuggestions', {padID: common.randomString()}),
+          {code: 1, message: 'padID does not exist', data: null});
+    });
+  });
+
+  describe('suggesters', function () {
+    let authorID;
+    let socket;
+    let rev;
+
+    beforeEach(async function () {
+      authorID = await authorManager.getAuthor4Token('t.suggestions-a');
+      await pad.setAccessRole('*', 'suggester');
+      let clientVars;
+      ({socket, clientVars} = await join('t.suggestions-a'));
+      assert.equal(clientVars.readonly, false);
+      assert.equal(clientVars.suggestOnly, true);
+      rev = clientVars.collab_client_vars.rev;
+    });
+
+    it('may suggest insertions', async function () {
+      const suggestionID = `s.${common.randomString(16)}`;
+      const apool = new AttributePool();
+      for (const attrib of suggestions.insertAttribs(authorID, suggestionID)) {
+        apool.putAttrib(attrib);
+      }
+      await Promise.all([
+        common.waitForAcceptCommit(socket, rev + 1),
+        common.sendUserChanges(socket, {baseRev: rev, changeset: 'Z:d>3*0*1*2+3$foo', apool}),
+      ]);
+      const {data: {suggestions: list}} = await callApi('listSuggestions', {padID});
+      assert.deepEqual(list.map((s) => [s.suggestionID, s.authorID, s.inserted]),
+          [[suggestionID, authorID, 'foo']]);
+    });
+
+    it('may suggest deletions', async function () {
+      const apool = new AttributePool();
+      apool.putAttrib([suggestions.deleteKey, `s.${common.randomString(16)}`]);
+      apool.putAttrib([suggestions.authorKey, authorID]);
+      await Promise.all([
+        common.waitForAcceptCommit(socket, rev + 1),
+        common.sendUserChanges(socket, {baseRev: rev, changeset: 'Z:d>0*0*1=5$', apool}),
+      ]);
+      assert.equal(pad.text(), 'hello world\n\n');
+      const {data: {suggestions: list}} = await callApi('listSuggestions', {padID});
+      assert.deepEqual(list.map((s) => s.deleted), ['hello']);
+    });
+
+    for (const changeset of ['Z:d>5+5$hello', 'Z:d<5-5$']) {
+      it(`may not edit the text (${changeset})`, async function () {
+        const msgP = waitForMessage(socket, 'disconnect');
+        await common.sendUserChanges(socket, {baseRev: rev, changeset});
+        assert.equal((await msgP).disconnect, 'badChangeset');
+        assert.equal(pad.text(), 'hello world\n\n');
+      });
+    }
+
+    it('may only reject their own suggestions', async function () {
+      const otherID = await suggest(0, 5, 'hi');
+      const ownID = await suggest(6, 11, 'there', authorID);
+      await sendSuggestion(socket, {action: 'accept', suggestionID: ownID});
+      await sendSuggestion(socket, {action: 'reject', suggestionID: otherID});
+      await sendSuggestion(socket, {action: 'accept'});
+      const msgP = waitForMessage(socket, 'NEW_CHANGES');
+      await sendSuggestion(socket, {action: 'reject', suggestionID: ownID});
+      await msgP;
+      assert.equal(pad.text(), 'hellohi world\n\n');
+    });
+  });
+
+  it('editors may accept suggestions', async function () {
+    const suggestionID = await suggest(6, 11, 'there');
+    const {socket, clientVars} = await join('t.suggestions-a');
+    assert.equal(clientVars.suggestOnly, false);
+    const msgP = waitForMessage(socket, 'NEW_CHANGES');
+    await sendSuggestion(socket, {action: 'accept', suggestionID});
+    await msgP;
+    assert.equal(pad.text(), 'hello there\n\n');
+  });
+});
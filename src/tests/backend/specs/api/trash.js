@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../../common');
+const padManager = require('../../../../node/db/PadManager');
+const settings = require('../../../../node/utils/Settings');
+const trashManager = require('../../../../node/db/TrashManager');
+
+let agent;
+const apiVersion = '1.3.13';
+const dayMs = 24 * 60 * 60 * 1000;
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+const callOk = async (fn, params) => {
+  const res = await callApi(fn, params);
+  assert.equal(res.code, 0, res.message);
+  return res.data;
+};
+
+const listedPadIDs = async (params) => {
+  const {pads} = await callOk('listDeletedPads', params);
+  return pads.map(({padID}) => padID);
+};
+
+describe(__filename, function () {
+  this.timeout(60000);
+  let padID;
+  let backup;
+
+  before(async function () {
+    agent = await common.init();
+  });
+
+  beforeEach(async function () {
+    backup = settings.trash;
+    settings.trash = {...backup, retentionDays: 30};
+    padID = common.randomString();
+    await callOk('createPad', {padID, text: 'hello'});
+  });
+
+  afterEach(async function () {
+    settings.trash = backup;
+    if (await padManager.doesPadExist(padID)) await callOk('purgePad', {padID});
+    if ((await trashManager.listDeletedPads()).some((p) => p.padID === padID)) {
+      await trashManager.purgeDeletedPad(padID);
+    }
+  });
+
+  it('moves deleted pads to the trash and restores them', async function () {
+    await callOk('appendText', {padID, text: ' world'});
+    await callOk('appendChatMessage', {padID, text: 'hi', authorID: 'a.test'});
+    const {commentID} = await callOk('createComment', {padID, text: 'A note', start: 0, end: 5});
+    const {readOnlyID} = await callOk('getReadOnlyID', {padID});
+    const before = Date.now();
+    await callOk('deletePad', {padID});
+    assert(!await padManager.doesPadExist(padID));
+    assert.equal((await callApi('getText', {padID})).message, 'padID does not exist');
+    const {pads} = await callOk('listDeletedPads');
+    const entry = pads.find((p) => p.padID === padID);
+    assert(entry.deletedAt >= before);
+    assert.equal(entry.expires, entry.deletedAt + 30 * dayMs);
+
+    await callOk('restorePad', {padID});
+    assert(!(await listedPadIDs()).includes(padID));
+    assert.equal((await callOk('getText', {padID})).text, 'hello world\n');
+    assert.equal((await callOk('getRevisionsCount', {padID})).revisions, 2);
+    assert.equal((await callOk('getChatHistory', {padID})).messages[0].text, 'hi');
+    assert.equal((await callOk('getComment', {padID, commentID})).comment.text, 'A note');
+    assert.deepEqual(await callOk('getReadOnlyID', {padID}), {readOnlyID});
+    await (await padManager.getPad(padID)).check();
+  });
+
+  it('keeps the newest copy of a pad that is deleted twice', async function () {
+    await callOk('deletePad', {padID});
+    await callOk('createPad', {padID, text: 'second'});
+    await callOk('deletePad', {padID});
+    assert.equal((await listedPadIDs()).filter((id) => id === padID).length, 1);
+    await callOk('restorePad', {padID});
+    assert.equal((await callOk('getText', {padID})).text, 'second\n');
+  });
+
+  it('does not restore over an existing pad', async function () {
+    await callOk('deletePad', {padID});
+    await callOk('createPad', {padID, text: 'new'});
+    assert.deepEqual(await callApi('restorePad', {padID}),
+        {code: 1, message: 'padID already exists', data: null});
+    assert.deepEqual(await callApi('restorePad', {padID: common.randomString()}),
+        {code: 1, message: 'padID is not in the trash', data: null});
+  });
+
+  it('purges pads', async function () {
+    await callOk('deletePad', {padID});
+    await callOk('purgePad', {padID});
+    assert(!(await listedPadIDs()).includes(padID));
+    assert.equal((await callApi('restorePad', {padID})).message, 'padID is not in the trash');
+    // Pads that are not in the trash are deleted without going to the trash.
+    await callOk('createPad', {padID, text: 'new'});
+    await callOk('purgePad', {padID});
+    assert(!await padManager.doesPadExist(padID));
+    assert(!(await listedPadIDs()).includes(padID));
+    assert.deepEqual(await callApi('purgePad', {padID}),
+        {code: 1, message: 'padID does not exist', data: null});
+  });
+
+  it('purges the pads that have been in the trash long enough', async function () {
+    await callOk('deletePad', {padID});
+    assert(!(await trashManager.purgeExpiredPads()).includes(padID));
+    settings.trash.retentionDays = 1e-9;
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    assert((await trashManager.purgeExpiredPads()).includes(padID));
+    assert(!(await listedPadIDs()).includes(padID));
+    settings.trash.retentionDays = null;
+    await callOk('createPad', {padID, text: 'kept'});
+    await callOk('deletePad', {padID});
+    const {pads} = await callOk('listDeletedPads');
+    assert.equal(pads.find((p) => p.padID === padID).expires, null);
+    assert(!(await trashManager.purgeExpiredPads()).includes(padID));
+  });
+
+  it('deletes pads immediately if the trash is disabled', async function () {
+    settings.trash.retentionDays = 0;
+    await callOk('deletePad', {padID});
+    assert(!await padManager.doesPadExist(padID));
+    assert(!(await listedPadIDs()).includes(padID));
+  });
+
+  it('purges the pads created by a batch that is rolled back', async function () {
+    await callOk('purgePad', {padID});
+    const res = await callOk('batch', {atomic: true, calls: JSON.stringify([
+      {function: 'createPad', params: {padID}},
+      {function: 'getText', params: {padID: common.randomString()}},
+    ])});
+    assert(res.rolledBack);
+    assert(!await padManager.doesPadExist(padID));
+    assert(!(await listedPadIDs()).includes(padID));
+  });
+
+  describe('groups', function () {
+    const groupMapper = common.randomString();
+    let groupID;
+
+    beforeEach(async function () {
+      ({groupID} = await callOk('createGroupIfNotExistsFor', {groupMapper}));
+      ({padID} = await callOk('createGroupPad', {groupID, padName: 'notes', text: 'group text'}));
+    });
+
+    afterEach(async function () {
+      if ((await callApi('deleteGroup', {groupID})).code === 0) {
+        await trashManager.purgeDeletedPad(padID);
+      }
+    });
+
+    it('moves the pads of a deleted group to the trash and restores the group', async function () {
+      await callOk('deleteGroup', {groupID});
+      assert.equal((await callApi('listPads', {groupID})).message, 'groupID does not exist');
+      assert.deepEqual(await listedPadIDs({groupID}), [padID]);
+      await callOk('restorePad', {padID});
+      assert.deepEqual(await callOk('listPads', {groupID}), {padIDs: [padID]});
+      assert.deepEqual(await callOk('createGroupIfNotExistsFor', {groupMapper}), {groupID});
+      assert.equal((await callOk('getText', {padID})).text, 'group text\n');
+    });
+
+    it('forgets the deleted group when its last pad is purged', async function () {
+      await callOk('deleteGroup', {groupID});
+      await callOk('purgePad', {padID});
+      assert.deepEqual(await callApi('listDeletedPads', {groupID}),
+          {code: 1, message: 'groupID does not exist', data: null});
+      // The group ID can not be used again, so the test cleanup has nothing to do.
+      ({groupID} = await callOk('createGroup'));
+      padID = `${groupID}$x`;
+      await callOk('createGroupPad', {groupID, padName: 'x'});
+    });
+  });
+});
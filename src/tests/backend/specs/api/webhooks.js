@@ -0,0 +1,202 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../../common');
+const http = require('http');
+const settings = require('../../../../node/utils/Settings');
+const webhooks = require('../../../../node/hooks/webhooks');
+
+const {flushUpdates} = webhooks.exportedForTestingOnly;
+
+let agent;
+const apiKey = common.apiKey;
+const apiVersion = '1.3.1';
+
+const call = async (fn, params = {}) => {
+  const res = await agent.get(`/api/${apiVersion}/${fn}`)
+      .query({apikey: apiKey, ...params})
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+describe(__filename, function () {
+  let backup;
+  let server;
+  let url;
+  // Received requests, and callbacks that are waiting for the next one.
+  const received = [];
+  const waiting = [];
+  // Status codes to respond with. 200 once the list is empty.
+  const statuses = [];
+  // The responses to the requests to /slow, which are only sent when the test ends them.
+  const held = [];
+
+  const nextRequest = async () => {
+    if (received.length > 0) return received.shift();
+    return await new Promise((resolve) => waiting.push(resolve));
+  };
+
+  before(async function () {
+    agent = await common.init();
+    backup = {...settings.webhooks};
+    // The pad.update events are queued with flushUpdates() so that the tests do not depend on the
+    // timing of the edits.
+    settings.webhooks.updateDebounceMs = 60000;
+    settings.webhooks.updateMaxWaitMs = 60000;
+    settings.webhooks.retryDelayMs = 100;
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/slow') return held.push(res);
+        res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+        res.end();
+        const request = {headers: req.headers, body};
+        if (waiting.length > 0) waiting.shift()(request);
+        else received.push(request);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+    url = `http://localhost:${server.address().port}/hook`;
+  });
+
+  after(async function () {
+    Object.assign(settings.webhooks, backup);
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe('management', function () {
+    it('rejects unknown events', async function () {
+      const res = await call('createWebhook', {url, events: 'pad.create,pad.explode'});
+      assert.equal(res.code, 1);
+      assert.match(res.message, /unknown event/);
+    });
+
+    it('rejects invalid URLs', async function () {
+      assert.equal((await call('createWebhook', {url: 'not a url'})).code, 1);
+      assert.equal((await call('createWebhook', {url: 'ftp://localhost/'})).code, 1);
+    });
+
+    it('creates, lists and deletes a webhook', async function () {
+      const created = await call('createWebhook', {url, events: 'chat.message'});
+      assert.equal(created.code, 0);
+      const {webhookID, secret} = created.data;
+      assert(secret);
+
+      const {data: {webhooks: list}} = await call('listWebhooks');
+      const webhook = list.find((w) => w.webhookID === webhookID);
+      assert.deepEqual(webhook.events, ['chat.message']);
+      assert.equal(webhook.source, 'api');
+      assert(!('secret' in webhook));
+
+      assert.equal((await call('deleteWebhook', {webhookID})).code, 0);
+      assert.equal((await call('deleteWebhook', {webhookID})).code, 1);
+      assert.equal((await call('listWebhookDeliveries', {webhookID})).code, 1);
+    });
+  });
+
+  describe('delivery', function () {
+    const secret = 'correct horse battery staple';
+    let webhookID;
+    let padID;
+
+    before(async function () {
+      const res = await call('createWebhook', {url, events: 'pad.create,pad.update', secret});
+      assert.equal(res.code, 0);
+      webhookID = res.data.webhookID;
+      padID = `webhooks_${common.randomString()}`;
+    });
+
+    after(async function () {
+      await call('deleteWebhook', {webhookID});
+    });
+
+    it('sends a signed pad.create event', async function () {
+      assert.equal((await call('createPad', {padID})).code, 0);
+      const {headers, body} = await nextRequest();
+      assert.equal(headers['x-etherpad-event'], 'pad.create');
+      assert.equal(headers['x-etherpad-signature'], webhooks.sign(secret, body));
+      const payload = JSON.parse(body);
+      assert.equal(payload.event, 'pad.create');
+      assert.equal(payload.deliveryID, headers['x-etherpad-delivery']);
+      assert.equal(payload.data.padID, padID);
+    });
+
+    it('batches edits into one pad.update event', async function () {
+      assert.equal((await call('setText', {padID, text: 'one'})).code, 0);
+      assert.equal((await call('setText', {padID, text: 'two'})).code, 0);
+      await flushUpdates();
+      const {body} = await nextRequest();
+      const {event, data} = JSON.parse(body);
+      assert.equal(event, 'pad.update');
+      assert.equal(data.padID, padID);
+      assert.equal(data.fromRev, 1);
+      assert.equal(data.rev, 2);
+    });
+
+    it('does not hold up deliveries to other webhooks', async function () {
+      const slow = await call('createWebhook', {url: url.replace(/hook$/, 'slow')});
+      assert.equal(slow.code, 0);
+      try {
+        await call('createPad', {padID: `${padID}_2`});
+        // The other webhook gets the event while the slow one has not responded yet.
+        assert.equal(JSON.parse((await nextRequest()).body).event, 'pad.create');
+        while (held.length === 0) await new Promise((resolve) => setTimeout(resolve, 10));
+      } finally {
+        while (held.length > 0) held.shift().end();
+        // Wait until the delivery has been logged.
+        const {webhookID} = slow.data;
+        while ((await call('listWebhookDeliveries', {webhookID})).data.deliveries.length === 0) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        await call('deleteWebhook', {webhookID});
+        await call('deletePad', {padID: `${padID}_2`});
+      }
+    });
+
+    it('retries failed deliveries', async function () {
+      statuses.push(500);
+      assert.equal((await call('setText', {padID, text: 'three'})).code, 0);
+      await flushUpdates();
+      const first = await nextRequest();
+      const second = await nextRequest();
+      assert.equal(first.headers['x-etherpad-delivery'], second.headers['x-etherpad-delivery']);
+
+      // The attempt is logged after the receiver has responded.
+      let deliveries;
+      do {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        ({data: {deliveries}} = await call('listWebhookDeliveries', {webhookID}));
+      } while (deliveries[0].attempt !== 2);
+      assert.equal(deliveries[0].deliveryID, second.headers['x-etherpad-delivery']);
+      assert.equal(deliveries[0].attempt, 2);
+      assert.equal(deliveries[0].ok, true);
+      assert.equal(deliveries[1].attempt, 1);
+      assert.equal(deliveries[1].status, 500);
+      assert.equal(deliveries[1].ok, false);
+    });
+
+    it('sends pad.update events of pads that are edited continuously', async function () {
+      settings.webhooks.updateMaxWaitMs = 500;
+      try {
+        // Each edit postpones the event by updateDebounceMs, but not beyond updateMaxWaitMs after
+        // the first edit.
+        const start = Date.now();
+        while (received.length === 0) {
+          assert(Date.now() - start < 5000, 'no pad.update event was sent');
+          assert.equal((await call('appendText', {padID, text: 'x'})).code, 0);
+          await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+        assert(Date.now() - start >= 500);
+        const {event, data} = JSON.parse((await nextRequest()).body);
+        assert.equal(event, 'pad.update');
+        assert.equal(data.fromRev, 4);
+        assert(data.rev > data.fromRev);
+      } finally {
+        settings.webhooks.updateMaxWaitMs = 60000;
+        await flushUpdates();
+      }
+    });
+  });
+});
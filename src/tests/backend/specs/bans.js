@@ -0,0 +1,174 @@
+'use strict';
+
+const assert = require('assert').strict;
+const authorManager = require('../../../node/db/AuthorManager');
+const banManager = require('../../../node/db/BanManager');
+const common = require('../common');
+const io = require('socket.io-client');
+const padManager = require('../../../node/db/PadManager');
+const padMessageHandler = require('../../../node/handler/PadMessageHandler');
+const securityManager = require('../../../node/db/SecurityManager');
+const settings = require('../../../node/utils/Settings');
+
+describe(__filename, function () {
+  this.timeout(30000);
+  let agent;
+  let padID;
+  const sockets = [];
+  const backup = {};
+
+  const removeBans = async () => {
+    for (const {banID} of await banManager.listBans()) await banManager.removeBan(banID);
+  };
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    backup.disableIPlogging = settings.disableIPlogging;
+    padID = common.randomString();
+    await padManager.getPad(padID, 'text\n');
+    await removeBans();
+  });
+
+  afterEach(async function () {
+    settings.disableIPlogging = backup.disableIPlogging;
+    while (sockets.length > 0) sockets.pop().close();
+    await removeBans();
+    if (await padManager.doesPadExist(padID)) await (await padManager.getPad(padID)).remove();
+  });
+
+  const join = async (token = `t.${common.randomString(20)}`) => {
+    const res = await agent.get(`/p/${padID}`).expect(200);
+    const socket = await common.connect(res);
+    sockets.push(socket);
+    const msg = await common.handshake(socket, padID, token);
+    assert.equal(msg.type, 'CLIENT_VARS');
+    return {socket, authorID: msg.data.userId};
+  };
+
+  describe('IP ranges', function () {
+    it('matches IPv4 addresses and ranges', async function () {
+      assert(banManager.ipInRange('192.0.2.1', '192.0.2.1'));
+      assert(!banManager.ipInRange('192.0.2.2', '192.0.2.1'));
+      assert(banManager.ipInRange('192.0.2.200', '192.0.2.0/24'));
+      assert(!banManager.ipInRange('192.0.3.1', '192.0.2.0/24'));
+      assert(banManager.ipInRange('203.0.113.7', '0.0.0.0/0'));
+      assert(banManager.ipInRange('::ffff:192.0.2.1', '192.0.2.0/24'));
+    });
+
+    it('matches IPv6 addresses and ranges', async function () {
+      assert(banManager.ipInRange('2001:db8::1', '2001:db8::/32'));
+      assert(banManager.ipInRange('2001:db8:ffff::1', '2001:db8::/32'));
+      assert(!banManager.ipInRange('2001:db9::1', '2001:db8::/32'));
+      assert(banManager.ipInRange('::1', '::1'));
+      assert(!banManager.ipInRange('::1', '0.0.0.0/0'));
+    });
+
+    it('rejects invalid ranges', async function () {
+      for (const range of ['nope', '192.0.2.1/33', '192.0.2.1/', '2001:db8::/129', '1.2.3']) {
+        assert.equal(banManager.parseIPRange(range), null, range);
+        await assert.rejects(banManager.addBan({ipRange: range}), /ipRange is not a valid/);
+      }
+    });
+  });
+
+  describe('bans', function () {
+    it('adds, lists and removes bans', async function () {
+      const ban = await banManager.addBan({authorID: 'a.banned', reason: 'spam'});
+      assert.equal(ban.authorID, 'a.banned');
+      assert.equal(ban.until, null);
+      assert.deepEqual(await banManager.listBans(), [ban]);
+      assert.deepEqual(await banManager.getBan({authorID: 'a.banned'}), ban);
+      assert.equal(await banManager.getBan({authorID: 'a.other'}), null);
+      await banManager.removeBan(ban.banID);
+      assert.deepEqual(await banManager.listBans(), []);
+      await assert.rejects(banManager.removeBan(ban.banID), /banID does not exist/);
+    });
+
+    it('needs either an author ID or an IP range', async function () {
+      await assert.rejects(banManager.addBan({}), /either authorID or ipRange/);
+      await assert.rejects(banManager.addBan({authorID: 'a.x', ipRange: '192.0.2.1'}),
+          /either authorID or ipRange/);
+      await assert.rejects(banManager.addBan({authorID: 'nope'}), /authorID is not valid/);
+    });
+
+    it('ignores and removes expired bans', async function () {
+      await banManager.addBan({authorID: 'a.expired', until: Date.now() - 1});
+      assert.equal(await banManager.getBan({authorID: 'a.expired'}), null);
+      assert.deepEqual(await banManager.listBans(), []);
+    });
+
+    it('denies access to banned authors and IP addresses', async function () {
+      const token = `t.${common.randomString(20)}`;
+      const authorID = await authorManager.getAuthor4Token(token);
+      const check = async (ip) => {
+        const {accessStatus} = await securityManager.checkAccess(padID, null, token, null, ip);
+        return accessStatus;
+      };
+      assert.equal(await check('192.0.2.1'), 'grant');
+      const {banID} = await banManager.addBan({authorID});
+      assert.equal(await check('192.0.2.1'), 'deny');
+      await banManager.removeBan(banID);
+      await banManager.addBan({ipRange: '192.0.2.0/24'});
+      assert.equal(await check('192.0.2.1'), 'deny');
+      assert.equal(await check('198.51.100.1'), 'grant');
+    });
+  });
+
+  describe('sessions', function () {
+    it('lists the connected users', async function () {
+      const {socket, authorID} = await join();
+      const sessions = (await padMessageHandler.listSessions()).filter((s) => s.padID === padID);
+      assert.equal(sessions.length, 1);
+      const [session] = sessions;
+      assert.equal(session.socketID, socket.id);
+      assert.equal(session.authorID, authorID);
+      assert.equal(session.username, null);
+      assert(session.ip && session.ip !== 'ANONYMOUS');
+      assert(session.connectedAt <= Date.now());
+    });
+
+    it('hides the IP addresses if disableIPlogging is true', async function () {
+      settings.disableIPlogging = true;
+      await join();
+      const [session] =
+          (await padMessageHandler.listSessions()).filter((s) => s.padID === padID);
+      assert.equal(session.ip, 'ANONYMOUS');
+    });
+
+    it('disconnects a user', async function () {
+      const {socket} = await join();
+      const msgP = common.waitForSocketEvent(socket, 'message');
+      assert(padMessageHandler.kickSession(socket.id));
+      assert.deepEqual(await msgP, {disconnect: 'kicked'});
+      assert(!padMessageHandler.kickSession(common.randomString()));
+    });
+
+    it('disconnects banned users', async function () {
+      const {socket, authorID} = await join();
+      const {socket: other} = await join();
+      await banManager.addBan({authorID});
+      const msgP = common.waitForSocketEvent(socket, 'message');
+      assert.equal(await padMessageHandler.kickBannedSessions(), 1);
+      assert.deepEqual(await msgP, {disconnect: 'banned'});
+      assert(other.connected);
+    });
+
+    it('disconnects banned IP addresses when they connect', async function () {
+      await banManager.addBan({ipRange: '127.0.0.0/8'});
+      await banManager.addBan({ipRange: '::1'});
+      const socket = io(`${common.baseUrl}/`, {forceNew: true, path: '/socket.io'});
+      sockets.push(socket);
+      assert.deepEqual(await common.waitForSocketEvent(socket, 'message'), {disconnect: 'banned'});
+    });
+
+    it('denies access to banned authors', async function () {
+      const token = `t.${common.randomString(20)}`;
+      await banManager.addBan({authorID: await authorManager.getAuthor4Token(token)});
+      const res = await agent.get(`/p/${padID}`).expect(200);
+      const socket = await common.connect(res);
+      sockets.push(socket);
+      assert.deepEqual(await common.handshake(socket, padID, token), {accessStatus: 'deny'});
+    });
+  });
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+const AttributeMap = require('../../../static/js/AttributeMap');
+const Changeset = require('../../../static/js/Changeset');
+const assert = require('assert').strict;
+const client = require('../../../node/client');
+const common = require('../common');
+const padManager = require('../../../node/db/PadManager');
+
+describe(__filename, function () {
+  this.timeout(30000);
+  const clients = [];
+  let padId;
+  let pad;
+
+  const connect = async (options = {}) => {
+    const c = await client.connect(common.baseUrl, padId, options);
+    clients.push(c);
+    return c;
+  };
+
+  // Waits until the clients have sent all of their changes and have received all revisions.
+  const sync = async (...cs) => {
+    await Promise.all(cs.map(async (c) => await c.flush()));
+    for (let i = 0; i < 100; i++) {
+      if (cs.every((c) => c.rev === pad.getHeadRevisionNumber())) return;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error('the clients did not catch up with the pad');
+  };
+
+  const waitForEvent = async (emitter, event) => await new Promise((resolve) => {
+    emitter.once(event, (...args) => resolve(args));
+  });
+
+  // Returns the value of an attribute at a position in the pad's text.
+  const attribAt = (pos, key) => {
+    for (const op of Changeset.deserializeOps(pad.atext.attribs)) {
+      if (pos < op.chars) return AttributeMap.fromString(op.attribs, pad.pool).get(key);
+      pos -= op.chars;
+    }
+  };
+
+  before(async function () {
+    await common.init();
+  });
+
+  beforeEach(async function () {
+    padId = common.randomString();
+    pad = await padManager.getPad(padId, 'hello world\n');
+  });
+
+  afterEach(async function () {
+    while (clients.length > 0) clients.pop().disconnect();
+    await pad.remove();
+  });
+
+  it('loads the pad', async function () {
+    const c = await connect();
+    assert.equal(c.text(), 'hello world\n\n');
+    assert.equal(c.rev, pad.getHeadRevisionNumber());
+    assert(c.userId.startsWith('a.'));
+  });
+
+  it('edits the pad', async function () {
+    const c = await connect();
+    c.insertText(5, ',');
+    c.replaceText(7, 12, 'there');
+    c.setAttributes(0, 5, [['bold', 'true']]);
+    c.appendLine('bye');
+    assert.equal(c.text(), 'hello, there\nbye\n');
+    await sync(c);
+    assert.equal(pad.text(), 'hello, there\nbye\n');
+    assert.equal(attribAt(0, 'bold'), 'true');
+    assert.equal(attribAt(5, 'author'), c.userId);
+    c.deleteText(5, 12);
+    c.setAttributes(0, 5, [['bold', '']]);
+    await sync(c);
+    assert.equal(pad.text(), 'hello\nbye\n');
+    assert.equal(attribAt(0, 'bold'), undefined);
+    assert.throws(() => c.insertText(pad.text().length, 'x'), RangeError);
+  });
+
+  it('rebases concurrent changes', async function () {
+    const [a, b] = await Promise.all([connect(), connect()]);
+    a.insertText(0, 'A');
+    b.insertText(5, 'B');
+    b.appendLine('from b');
+    a.deleteText(6, 12);
+    await sync(a, b);
+    assert.equal(pad.text(), 'AhelloB\nfrom b\n');
+    assert.equal(a.text(), pad.text());
+    assert.equal(b.text(), pad.text());
+  });
+
+  it('emits changes of other users', async function () {
+    const [a, b] = await Promise.all([connect(), connect()]);
+    const changeP = waitForEvent(a, 'change');
+    b.insertText(0, 'oh, ');
+    const [{changeset, author, rev}] = await changeP;
+    assert.equal(author, b.userId);
+    assert.equal(rev, pad.getHeadRevisionNumber());
+    assert.equal(Changeset.applyToText(changeset, 'hello world\n\n'), 'oh, hello world\n\n');
+    assert.equal(a.text(), 'oh, hello world\n\n');
+  });
+
+  it('sends and receives chat messages', async function () {
+    const [a, b] = await Promise.all([connect(), connect()]);
+    const chatP = waitForEvent(b, 'chat');
+    a.sendChat('hi');
+    const [message] = await chatP;
+    assert.equal(message.text, 'hi');
+    assert.equal(message.authorId, a.userId);
+  });
+
+  it('tracks the other users', async function () {
+    const a = await connect();
+    const joinP = waitForEvent(a, 'userJoin');
+    const b = await connect({name: 'Bob'});
+    const [userInfo] = await joinP;
+    assert.equal(userInfo.userId, b.userId);
+    assert.equal(a.users.get(b.userId).name, 'Bob');
+    const leaveP = waitForEvent(a, 'userLeave');
+    b.disconnect();
+    await leaveP;
+    assert(!a.users.has(b.userId));
+  });
+
+  it('catches up after reconnecting', async function () {
+    const [a, b] = await Promise.all([connect(), connect()]);
+    const reconnectedP = waitForEvent(a, 'reconnected');
+    a._socket.io.engine.close();
+    a.insertText(0, 'A');
+    b.insertText(5, 'B');
+    await sync(b);
+    await reconnectedP;
+    await sync(a, b);
+    assert.equal(pad.text(), 'AhelloB world\n\n');
+    assert.equal(a.text(), pad.text());
+    assert.equal(b.text(), pad.text());
+  });
+
+  it('closes when the pad is deleted', async function () {
+    const c = await connect();
+    const closeP = waitForEvent(c, 'close');
+    await pad.remove();
+    const [reason] = await closeP;
+    assert.equal(reason, 'deleted');
+    assert(c.closed);
+    pad = await padManager.getPad(padId);
+  });
+});
@@ -0,0 +1,361 @@
+'use strict';
+
+const apiHandler = require('../../../node/handler/APIHandler');
+const assert = require('assert').strict;
+const cluster = require('../../../node/hooks/cluster');
+const common = require('../common');
+const db = require('../../../node/db/DB');
+const historyRetention = require('../../../node/hooks/historyretention');
+const http = require('http');
+const padManager = require('../../../node/db/PadManager');
+const plugins = require('../../../static/js/pluginfw/plugin_defs');
+const settings = require('../../../node/utils/Settings');
+
+let agent;
+const apiVersion = '1.3.15';
+
+const callApi = async (fn, params = {}) => {
+  const res = await agent.post(`/api/${apiVersion}/${fn}`)
+      .query({apikey: common.apiKey})
+      .send(params)
+      .expect(200)
+      .expect('Content-Type', /json/);
+  return res.body;
+};
+
+describe(__filename, function () {
+  this.timeout(30000);
+  const backup = {};
+  const bus = new cluster.LoopbackBus();
+  const sockets = [];
+  const streams = [];
+  // The messages received by the other node, node-b, and its message handler.
+  let received;
+  let nodeB;
+  let padId;
+
+  const setLease = async (nodeId, expires = Date.now() + 60000) => {
+    await db.set(`padOwner:${padId}`, {nodeId, expires});
+  };
+
+  const join = async () => {
+    const res = await agent.get(`/p/${padId}`).expect(200);
+    const socket = await common.connect(res);
+    sockets.push(socket);
+    return socket;
+  };
+
+  const waitForMessage = async (socket, type) => {
+    for (;;) {
+      const msg = await common.waitForSocketEvent(socket, 'message');
+      if (msg.type === type || (msg.data && msg.data.type === type)) return msg;
+    }
+  };
+
+  // Opens a streamPadChanges stream. The returned function waits until the stream's data matches.
+  const openStream = async () => {
+    const url = new URL(`${common.baseUrl}/api/1.3.8/streamPadChanges`);
+    url.searchParams.set('apikey', common.apiKey);
+    url.searchParams.set('padID', padId);
+    const res = await new Promise((resolve, reject) => {
+      http.get(url, resolve).on('error', reject);
+    });
+    assert.equal(res.statusCode, 200);
+    streams.push(res);
+    res.setEncoding('utf8');
+    let data = '';
+    res.on('data', (chunk) => { data += chunk; });
+    return async (pattern) => {
+      for (let i = 0; i < 100; i++) {
+        if (pattern.test(data)) return;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      throw new Error(`the stream did not send ${pattern}`);
+    };
+  };
+
+  const waitForReceived = async (predicate) => {
+    for (let i = 0; i < 100; i++) {
+      const message = received.find(predicate);
+      if (message != null) return message;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    throw new Error('node-b did not receive the expected message');
+  };
+
+  before(async function () {
+    agent = await common.init();
+    backup.cluster = {...settings.cluster};
+    settings.cluster.enabled = true;
+    settings.cluster.claimDelay = 50;
+    cluster.setBus(bus);
+    bus.subscribe('node-b', async (message, from) => {
+      received.push(message);
+      return await nodeB(message, from);
+    });
+  });
+
+  beforeEach(async function () {
+    received = [];
+    nodeB = async () => {};
+    padId = common.randomString();
+    const pad = await padManager.getPad(padId, 'dummy text');
+    await pad.setText('\n');
+  });
+
+  afterEach(async function () {
+    while (sockets.length > 0) sockets.pop().close();
+    while (streams.length > 0) streams.pop().destroy();
+    await (await padManager.getPad(padId)).remove();
+  });
+
+  after(async function () {
+    bus.unsubscribe('node-b');
+    cluster.setBus(null);
+    Object.assign(settings.cluster, backup.cluster);
+  });
+
+  it('claims the lease of a pad when a client joins', async function () {
+    assert.equal(await cluster.getLeaseHolder(padId), null);
+    const socket = await join();
+    const {type} = await common.handshake(socket, padId);
+    assert.equal(type, 'CLIENT_VARS');
+    assert.equal(await cluster.getLeaseHolder(padId), cluster.nodeId);
+  });
+
+  it('takes over pads whose lease has expired', async function () {
+    await setLease('node-b', Date.now() - 1);
+    assert.deepEqual(await callApi('getText', {padID: padId}),
+        {code: 0, message: 'ok', data: {text: '\n'}});
+    assert.equal(await cluster.getLeaseHolder(padId), cluster.nodeId);
+    assert.deepEqual(received, []);
+  });
+
+  it('lets only one node claim a pad', async function () {
+    // node-b claims the pad right after this node, which has also found that it has no lease.
+    const {set} = db;
+    db.set = async (key, value) => {
+      await set(key, value);
+      if (key === `padOwner:${padId}` && value.nodeId === cluster.nodeId) {
+        db.set = set;
+        await setLease('node-b');
+      }
+    };
+    try {
+      assert.equal(await cluster.getOwner(padId), 'node-b');
+    } finally {
+      db.set = set;
+    }
+    assert.equal(await cluster.getLeaseHolder(padId), 'node-b');
+  });
+
+  it('compacts only the pads that it owns', async function () {
+    const pad = await padManager.getPad(padId);
+    await pad.appendText('hello');
+    const {keepRevisions} = settings.historyRetention;
+    settings.historyRetention.keepRevisions = 1;
+    try {
+      await historyRetention.run();
+      assert.equal(await cluster.getLeaseHolder(padId), null);
+      assert.equal(pad.getHeadRevisionNumber(), 2);
+      await cluster.getOwner(padId);
+      await historyRetention.run();
+      assert.equal((await padManager.getPad(padId)).getHeadRevisionNumber(), 0);
+    } finally {
+      settings.historyRetention.keepRevisions = keepRevisions;
+    }
+  });
+
+  it('refuses to start without the URL and secret of the HTTP bus', async function () {
+    settings.cluster.url = null;
+    settings.cluster.secret = null;
+    await assert.rejects(cluster.createServer('createServer', {}),
+        /cluster\.url and cluster\.secret must be set/);
+  });
+
+  describe('HTTP bus', function () {
+    const secret = 'secret';
+    let localBus;
+    let remoteBus;
+
+    beforeEach(async function () {
+      localBus = new cluster.HttpBus(common.baseUrl, secret);
+      cluster.setBus(localBus);
+      await localBus.register();
+      remoteBus = new cluster.HttpBus('http://node-b.invalid', secret);
+    });
+
+    afterEach(async function () {
+      await localBus.unregister();
+      cluster.setBus(bus);
+    });
+
+    it('delivers messages and replies', async function () {
+      assert.deepEqual(await remoteBus.request('node-b', cluster.nodeId,
+          {type: 'api', padID: padId, apiVersion, functionName: 'getText', params: {padID: padId}}),
+      {text: '\n'});
+    });
+
+    it('passes errors on to the sender', async function () {
+      await assert.rejects(remoteBus.request('node-b', cluster.nodeId,
+          {type: 'api', padID: padId, apiVersion, functionName: 'getText',
+            params: {padID: padId, rev: 'x'}}),
+      {name: 'apierror', message: 'rev is not a number'});
+    });
+
+    it('rejects messages without the secret', async function () {
+      const message = {from: 'node-b', to: cluster.nodeId, message: {type: 'padChangesWatch'}};
+      await agent.post('/cluster/message').send(message).expect(401);
+      await agent.post('/cluster/message').set('Authorization', 'Bearer wrong')
+          .send(message).expect(401);
+    });
+
+    it('rejects messages to unknown nodes', async function () {
+      await assert.rejects(remoteBus.request('node-b', 'node-c', {type: 'padChangesWatch'}),
+          /cluster node node-c cannot be reached/);
+    });
+  });
+
+  it('forwards API calls to the owner', async function () {
+    await setLease('node-b');
+    nodeB = async () => ({text: 'from node-b'});
+    assert.deepEqual(await callApi('getText', {padID: padId}),
+        {code: 0, message: 'ok', data: {text: 'from node-b'}});
+    assert.deepEqual(received,
+        [{type: 'api', padID: padId, apiVersion, functionName: 'getText', params: {padID: padId}}]);
+    nodeB = async () => {
+      const err = new Error('padID does not exist');
+      err.name = 'apierror';
+      throw err;
+    };
+    assert.deepEqual(await callApi('getText', {padID: padId}),
+        {code: 1, message: 'padID does not exist', data: null});
+  });
+
+  it('forwards merges and overwriting copies to the owner of the changed pad', async function () {
+    // This node owns the fork, node-b the pad that the fork is merged into.
+    const forkId = common.randomString();
+    await cluster.getOwner(forkId);
+    await setLease('node-b');
+    nodeB = async ({functionName}) => functionName === 'mergePad'
+      ? {rev: 2, changes: 1, conflicts: 0} : undefined;
+    assert.deepEqual(await callApi('mergePad', {sourceID: forkId, targetID: padId}),
+        {code: 0, message: 'ok', data: {rev: 2, changes: 1, conflicts: 0}});
+    assert.equal((await callApi('copyPad',
+        {sourceID: forkId, destinationID: padId, force: 'true'})).code, 0);
+    assert.deepEqual(received.map(({functionName, padID}) => [functionName, padID]),
+        [['mergePad', padId], ['copyPad', padId]]);
+  });
+
+  it('forwards the pad changes of the admin pages to the owner', async function () {
+    await setLease('node-b');
+    await apiHandler.callFunction('movePad', {sourceID: padId, destinationID: 'x', force: 'false'});
+    await apiHandler.callFunction('deletePad', {padID: padId});
+    await apiHandler.callFunction('revertAuthorChanges', {padID: padId, authorID: 'a.x'});
+    assert.deepEqual(received.map(({functionName, params}) => [functionName, params]), [
+      ['movePad', {sourceID: padId, destinationID: 'x', force: 'false'}],
+      ['deletePad', {padID: padId}],
+      ['revertAuthorChanges', {padID: padId, authorID: 'a.x'}],
+    ]);
+    assert(await padManager.doesPadExist(padId));
+  });
+
+  it('forwards the messages of clients to the owner', async function () {
+    await setLease('node-b');
+    nodeB = async (message, from) => {
+      if (message.type !== 'socketMessage') return;
+      await bus.request('node-b', from, {
+        type: 'socketSend',
+        socketId: message.socket.id,
+        message: {type: 'COLLABROOM', data: {type: 'hello'}},
+      });
+    };
+    const socket = await join();
+    assert.deepEqual(await common.handshake(socket, padId),
+        {type: 'COLLABROOM', data: {type: 'hello'}});
+    const {socket: {id}, message} = received[0];
+    assert.equal(message.type, 'CLIENT_READY');
+    assert.equal(message.padId, padId);
+    socket.close();
+    const disconnected = await waitForReceived((m) => m.type === 'socketDisconnected');
+    assert.equal(disconnected.socketId, id);
+  });
+
+  it('closes the connection if the owner cannot be reached', async function () {
+    await setLease('node-c');
+    const socket = await join();
+    const disconnectP = common.waitForSocketEvent(socket, 'disconnect');
+    socket.send({component: 'pad', type: 'CLIENT_READY', padId, sessionID: null, token: 't.a'});
+    await disconnectP;
+  });
+
+  it('handles the clients of other nodes', async function () {
+    const socket = await join();
+    const {data: {collab_client_vars: {rev}}} = await common.handshake(socket, padId);
+    const sendFromNodeB = async (message) => await bus.request('node-b', cluster.nodeId, {
+      type: 'socketMessage',
+      socket: {id: 'remote', ip: '127.0.0.1'},
+      message,
+    });
+    const sentByOwner = (type) => waitForReceived((m) => m.type === 'socketSend' &&
+        m.socketId === 'remote' && (m.message.type === type || m.message.data.type === type));
+
+    let msgP = waitForMessage(socket, 'USER_NEWINFO');
+    await sendFromNodeB(
+        {component: 'pad', type: 'CLIENT_READY', padId, sessionID: null, token: 't.remote'});
+    const {message: {data: clientVars}} = await sentByOwner('CLIENT_VARS');
+    assert.equal(clientVars.padId, padId);
+    await msgP;
+
+    msgP = waitForMessage(socket, 'NEW_CHANGES');
+    await sendFromNodeB({
+      component: 'pad',
+      type: 'COLLABROOM',
+      data: {
+        type: 'USER_CHANGES',
+        baseRev: rev,
+        changeset: 'Z:1>5+5$hello',
+        apool: {numToAttrib: {}, nextNum: 0},
+      },
+    });
+    await sentByOwner('ACCEPT_COMMIT');
+    await msgP;
+    // The pad was reloaded when this node took it over.
+    assert.equal((await padManager.getPad(padId)).text(), 'hello\n');
+
+    msgP = waitForMessage(socket, 'USER_LEAVE');
+    await bus.request('node-b', cluster.nodeId, {type: 'socketDisconnected', socketId: 'remote'});
+    await msgP;
+  });
+
+  it('sends the changes of its pads to the streams of other nodes', async function () {
+    await bus.request('node-b', cluster.nodeId, {type: 'padChangesWatch', padID: padId});
+    await (await padManager.getPad(padId)).appendText('hello');
+    await waitForReceived((m) => m.type === 'padChanges' && m.padID === padId && m.event == null);
+  });
+
+  it('streams the changes of pads that are owned by other nodes', async function () {
+    await setLease('node-b');
+    const waitForData = await openStream();
+    await waitForReceived((m) => m.type === 'padChangesWatch' && m.padID === padId);
+    // Change the pad as if node-b did it: the padUpdate hook runs on node-b, not on this node.
+    const backup = plugins.hooks.padUpdate;
+    plugins.hooks.padUpdate = [];
+    try {
+      await (await padManager.getPad(padId)).appendText('hello');
+    } finally {
+      plugins.hooks.padUpdate = backup;
+    }
+    await bus.request('node-b', cluster.nodeId, {type: 'padChanges', padID: padId, event: null});
+    await waitForData(/^id: 2$/m);
+  });
+
+  it('closes the connections to a pad when its lease is lost', async function () {
+    const socket = await join();
+    await common.handshake(socket, padId);
+    await setLease('node-b');
+    const disconnectP = common.waitForSocketEvent(socket, 'disconnect');
+    await cluster.renewLeases();
+    await disconnectP;
+  });
+});
@@ -28,6 +28,10 @@ const knownAttribs = [
   ['lmkr', '1'],
   ['start', '1'],
   ['start', '2'],
+  ['heading', 'blockquote'],
+  ['heading', 'code'],
+  ['heading', 'h1'],
+  ['heading', 'h2'],
 ];
 
 const testCases = [
@@ -305,6 +309,30 @@ pre
     wantAlines: ['+6', '+7'],
     wantText: ['    1 ', 'preline'],
   },
+  {
+    description: 'Headings',
+    html: '<html><body><h1>title</h1><p>text</p><h2>subtitle</h2></body></html>',
+    wantAlines: ['*b*0*6+1+5', '+4', '*c*0*6+1+8'],
+    wantText: ['*title', 'text', '*subtitle'],
+  },
+  {
+    description: 'Block quote',
+    html: '<html><body><blockquote>quoted<br>text</blockquote><p>reply</p></body></html>',
+    wantAlines: ['*9*0*6+1+6', '*9*0*6+1+4', '+5'],
+    wantText: ['*quoted', '*text', 'reply'],
+  },
+  {
+    description: 'Code block',
+    html: '<html><body><pre class="code">a\n  b</pre><p>text</p></body></html>',
+    wantAlines: ['*a*0*6+1+1', '*a*0*6+1+3', '+4'],
+    wantText: ['*a', '*  b', 'text'],
+  },
+  {
+    description: 'Headings in block quotes',
+    html: '<html><body><blockquote><h1>title</h1>quoted</blockquote></body></html>',
+    wantAlines: ['*b*0*6+1+5', '*9*0*6+1+6'],
+    wantText: ['*title', '*quoted'],
+  },
   {
     description: 'Preserve spaces on the beginning and end of a element',
     html: '<html><body>Need<span> more </span>space<i> s </i>!<br></body></html>',
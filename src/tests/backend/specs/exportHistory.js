@@ -0,0 +1,96 @@
+'use strict';
+
+const Changeset = require('../../../static/js/Changeset');
+const assert = require('assert').strict;
+const common = require('../common');
+const padManager = require('../../../node/db/PadManager');
+const readOnlyManager = require('../../../node/db/ReadOnlyManager');
+
+describe(__filename, function () {
+  this.timeout(30000);
+  let agent;
+  let pad;
+
+  const edit = async (author, start, ndel, ins) => await pad.appendRevision(
+      Changeset.makeSplice(pad.text(), start, ndel, ins, [['author', author]], pad.pool), author);
+
+  // Parses a JSON Lines response.
+  const parseLines = (res) => res.text.split('\n').filter((l) => l).map((l) => JSON.parse(l));
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    pad = await padManager.getPad(common.randomString(), 'hello');
+    await edit('a.a', 5, 0, ' world'); // rev 1: "hello world"
+    await edit('a.b', 0, 1, 'H'); // rev 2: "Hello world"
+  });
+
+  afterEach(async function () {
+    await pad.remove();
+  });
+
+  describe('history.jsonl', function () {
+    it('exports every revision', async function () {
+      const res = await agent.get(`/p/${pad.id}/export/history.jsonl`)
+          .expect(200)
+          .expect('Content-Type', /x-ndjson/)
+          .expect('Content-Disposition', /history\.jsonl/);
+      const revisions = parseLines(res);
+      assert.deepEqual(revisions.map(({rev, author}) => [rev, author]),
+          [[0, ''], [1, 'a.a'], [2, 'a.b']]);
+      for (const {rev, timestamp, changeset} of revisions) {
+        assert.equal(timestamp, await pad.getRevisionDate(rev));
+        assert.equal(changeset, await pad.getRevisionChangeset(rev));
+        assert(!('text' in revisions[rev]));
+      }
+    });
+
+    it('exports a range of revisions with their text', async function () {
+      const res =
+          await agent.get(`/p/${pad.id}/export/history.jsonl?start=1&end=2&text=true`).expect(200);
+      assert.deepEqual(parseLines(res).map(({rev, text}) => [rev, text]),
+          [[1, 'hello world\n'], [2, 'Hello world\n']]);
+    });
+
+    it('rejects invalid ranges', async function () {
+      await agent.get(`/p/${pad.id}/export/history.jsonl?start=2&end=1`).expect(400);
+      await agent.get(`/p/${pad.id}/export/history.jsonl?end=3`).expect(400);
+      await agent.get(`/p/${pad.id}/export/history.jsonl?start=x`).expect(400);
+      await agent.get(`/p/${pad.id}/1/export/history.jsonl`).expect(404);
+    });
+  });
+
+  describe('history.html', function () {
+    // Returns the data embedded in the replay.
+    const getData = (res) => JSON.parse(
+        /<script type="application\/json" id="replay-data">(.*?)<\/script>/s.exec(res.text)[1]);
+
+    it('embeds the changesets in a replay', async function () {
+      const res = await agent.get(`/p/${pad.id}/export/history.html?start=1`)
+          .expect(200)
+          .expect('Content-Type', /html/);
+      const data = getData(res);
+      assert.equal(data.padId, pad.id);
+      assert.deepEqual(data.revisions.map(({rev}) => rev), [1, 2]);
+      let text = data.text;
+      assert.equal(text, 'hello\n');
+      for (const {changeset} of data.revisions) text = Changeset.applyToText(changeset, text);
+      assert.equal(text, pad.text());
+      assert.deepEqual(Object.keys(data.authors).sort(), ['a.a', 'a.b']);
+    });
+
+    it('escapes the text of the pad', async function () {
+      await edit('a.a', 0, 0, '</script><b>');
+      const res = await agent.get(`/p/${pad.id}/export/history.html`).expect(200);
+      assert(!res.text.includes('</script><b>'));
+      assert.equal(getData(res).revisions[3].changeset, await pad.getRevisionChangeset(3));
+    });
+
+    it('shows the read-only ID in read-only exports', async function () {
+      const readOnlyId = await readOnlyManager.getReadOnlyId(pad.id);
+      const res = await agent.get(`/p/${readOnlyId}/export/history.html`).expect(200);
+      assert.equal(getData(res).padId, readOnlyId);
+      assert(!res.text.includes(pad.id));
+    });
+  });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../common');
+const padManager = require('../../../node/db/PadManager');
+const settings = require('../../../node/utils/Settings');
+
+describe(__filename, function () {
+  let agent;
+  const backup = {};
+
+  // Returns the value of the sample with the given name and labels, or undefined if there is none.
+  const sample = (text, name) => {
+    const line = text.split('\n').find((l) => l.startsWith(`${name} `));
+    return line == null ? undefined : Number(line.slice(name.length + 1));
+  };
+
+  before(async function () {
+    agent = await common.init();
+    // Make sure that the `connects` meter exists.
+    const socket = await common.connect();
+    socket.close();
+  });
+
+  beforeEach(async function () {
+    backup.settings = {};
+    for (const setting of ['requireAuthentication', 'requireAuthorization']) {
+      backup.settings[setting] = settings[setting];
+    }
+    backup.metrics = {...settings.metrics};
+  });
+
+  afterEach(async function () {
+    Object.assign(settings, backup.settings);
+    Object.assign(settings.metrics, backup.metrics);
+  });
+
+  it('exports the stats in the Prometheus text format', async function () {
+    await agent.get('/health').expect(200); // Measured by the httpRequests timer.
+    const res = await agent.get('/metrics')
+        .expect(200)
+        .expect('Content-Type', /^text\/plain;.*version=0\.0\.4/);
+    const {text} = res;
+    assert.match(text, /^# TYPE etherpad_total_users gauge$/m);
+    assert(sample(text, 'etherpad_total_users') >= 0);
+    assert.match(text, /^# TYPE etherpad_http_requests_seconds histogram$/m);
+    assert(sample(text, 'etherpad_http_requests_seconds_bucket{le="+Inf"}') > 0);
+    assert.equal(sample(text, 'etherpad_http_requests_seconds_bucket{le="+Inf"}'),
+        sample(text, 'etherpad_http_requests_seconds_count'));
+    assert(sample(text, 'etherpad_http_requests_seconds_bucket{le="0.005"}') <=
+           sample(text, 'etherpad_http_requests_seconds_bucket{le="10"}'));
+    assert.match(text, /^# TYPE etherpad_connects_total counter$/m);
+    assert(!text.includes('# EOF'));
+  });
+
+  it('supports the OpenMetrics format', async function () {
+    const res = await agent.get('/metrics')
+        .set('Accept', 'application/openmetrics-text; version=1.0.0')
+        .expect(200)
+        .expect('Content-Type', /^application\/openmetrics-text/);
+    assert.match(res.text, /^# TYPE etherpad_connects counter$/m);
+    assert(res.text.endsWith('# EOF\n'));
+  });
+
+  it('does not require the admin credentials', async function () {
+    settings.requireAuthentication = true;
+    settings.requireAuthorization = true;
+    await agent.get('/metrics').expect(200);
+  });
+
+  describe('authToken', function () {
+    beforeEach(async function () {
+      settings.metrics.authToken = 'scrape-me';
+    });
+
+    it('rejects requests without a token', async function () {
+      await agent.get('/metrics')
+          .expect(401)
+          .expect('WWW-Authenticate', /^Bearer/);
+    });
+
+    it('rejects a wrong token', async function () {
+      await agent.get('/metrics').set('Authorization', 'Bearer scrape-you').expect(401);
+      await agent.get('/metrics').auth('admin', 'scrape-me').expect(401);
+    });
+
+    it('accepts the right token', async function () {
+      await agent.get('/metrics').set('Authorization', 'Bearer scrape-me').expect(200);
+    });
+  });
+
+  describe('groupLabels', function () {
+    let pad;
+    let socket;
+
+    beforeEach(async function () {
+      settings.metrics.groupLabels = true;
+      const padId = common.randomString();
+      pad = await padManager.getPad(padId, 'dummy text');
+      await pad.setText('\n'); // Make sure the pad is created.
+      const res = await agent.get(`/p/${padId}`).expect(200);
+      socket = await common.connect(res);
+      const {data: clientVars} = await common.handshake(socket, padId);
+      const rev = clientVars.collab_client_vars.rev;
+      await Promise.all([
+        common.waitForAcceptCommit(socket, rev + 1),
+        common.sendUserChanges(socket, {baseRev: rev, changeset: 'Z:1>5+5$hello'}),
+      ]);
+    });
+
+    afterEach(async function () {
+      if (socket != null) socket.close();
+      socket = null;
+      if (pad != null) await pad.remove();
+      pad = null;
+    });
+
+    it('exports per-group metrics', async function () {
+      const {text} = await agent.get('/metrics').expect(200);
+      assert(sample(text, 'etherpad_group_users{group=""}') >= 1);
+      assert(sample(text, 'etherpad_group_active_pads{group=""}') >= 1);
+      assert(sample(text, 'etherpad_group_edits_total{group=""}') >= 1);
+    });
+
+    it('are not exported by default', async function () {
+      settings.metrics.groupLabels = false;
+      const {text} = await agent.get('/metrics').expect(200);
+      assert(!text.includes('etherpad_group_'));
+    });
+  });
+});
@@ -0,0 +1,232 @@
+'use strict';
+
+const assert = require('assert').strict;
+const authorManager = require('../../../node/db/AuthorManager');
+const common = require('../common');
+const groupManager = require('../../../node/db/GroupManager');
+const padManager = require('../../../node/db/PadManager');
+const securityManager = require('../../../node/db/SecurityManager');
+const sessionManager = require('../../../node/db/SessionManager');
+const settings = require('../../../node/utils/Settings');
+
+describe(__filename, function () {
+  this.timeout(30000);
+  let agent;
+  let padId;
+  let pad;
+  const sockets = [];
+  const backups = {};
+
+  const callApi = async (fn, params) => {
+    const res = await agent.get(`/api/1.3.3/${fn}`)
+        .query({apikey: common.apiKey, ...params})
+        .expect(200)
+        .expect('Content-Type', /json/);
+    return res.body;
+  };
+
+  // Connects to the pad with the given token and returns the socket and the CLIENT_VARS message.
+  const join = async (token) => {
+    const res = await agent.get(`/p/${padId}`).expect(200);
+    const socket = await common.connect(res);
+    sockets.push(socket);
+    const clientVars = await common.handshake(socket, padId, token);
+    assert.equal(clientVars.type, 'CLIENT_VARS');
+    return {socket, clientVars: clientVars.data};
+  };
+
+  const waitForMessage = async (socket, predicate) => {
+    for (;;) {
+      const msg = await common.waitForSocketEvent(socket, 'message');
+      if (predicate(msg)) return msg;
+    }
+  };
+
+  const sendAccessUpdate = async (socket, principal, role) => await common.sendMessage(socket, {
+    type: 'COLLABROOM',
+    component: 'pad',
+    data: {type: 'CLIENT_MESSAGE', payload: {type: 'padAccessUpdate', principal, role}},
+  });
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    backups.padAccessControl = {...settings.padAccessControl};
+    padId = common.randomString();
+    pad = await padManager.getPad(padId, 'dummy text');
+    await pad.setText('\n');
+  });
+
+  afterEach(async function () {
+    while (sockets.length > 0) sockets.pop().close();
+    if (await padManager.doesPadExist(padId)) await pad.remove();
+    Object.assign(settings.padAccessControl, backups.padAccessControl);
+  });
+
+  describe('HTTP API', function () {
+    it('grants and revokes access', async function () {
+      assert.deepEqual(await callApi('getPadACL', {padID: padId}),
+          {code: 0, message: 'ok', data: {acl: {}}});
+      let res =
+          await callApi('grantPadAccess', {padID: padId, principal: 'user:alice', role: 'owner'});
+      assert.equal(res.code, 0);
+      await callApi('grantPadAccess', {padID: padId, principal: '*', role: 'viewer'});
+      res = await callApi('getPadACL', {padID: padId});
+      assert.deepEqual(res.data.acl, {'user:alice': 'owner', '*': 'viewer'});
+      await callApi('revokePadAccess', {padID: padId, principal: '*'});
+      res = await callApi('getPadACL', {padID: padId});
+      assert.deepEqual(res.data.acl, {'user:alice': 'owner'});
+    });
+
+    it('rejects invalid principals and roles', async function () {
+      let res = await callApi('grantPadAccess', {padID: padId, principal: 'alice', role: 'owner'});
+      assert.deepEqual(res, {code: 1, message: 'principal is invalid', data: null});
+      res = await callApi('grantPadAccess', {padID: padId, principal: 'user:alice', role: 'god'});
+      assert.deepEqual(res, {code: 1, message: 'role is invalid', data: null});
+      res = await callApi('getPadACL', {padID: common.randomString()});
+      assert.deepEqual(res, {code: 1, message: 'padID does not exist', data: null});
+    });
+  });
+
+  describe('checkAccess', function () {
+    let authorID;
+
+    beforeEach(async function () {
+      authorID = await authorManager.getAuthor4Token('t.acl-author');
+    });
+
+    it('does not restrict pads without an access control list', async function () {
+      const {accessStatus, role} = await securityManager.checkAccess(padId, null, 't.acl-author');
+      assert.equal(accessStatus, 'grant');
+      assert.equal(role, null);
+    });
+
+    it('denies users that are not in the list', async function () {
+      await pad.setAccessRole(`author:${authorID}`, 'editor');
+      const {accessStatus} = await securityManager.checkAccess(padId, null, 't.acl-other');
+      assert.equal(accessStatus, 'deny');
+    });
+
+    it('grants the most privileged matching role', async function () {
+      await pad.setAccessRole('*', 'viewer');
+      await pad.setAccessRole(`author:${authorID}`, 'editor');
+      let res = await securityManager.checkAccess(padId, null, 't.acl-other');
+      assert.equal(res.role, 'viewer');
+      res = await securityManager.checkAccess(padId, null, 't.acl-author');
+      assert.equal(res.role, 'editor');
+      const roId = (await callApi('getReadOnlyID', {padID: padId})).data.readOnlyID;
+      res = await securityManager.checkAccess(roId, null, 't.acl-author');
+      assert.equal(res.role, 'editor');
+    });
+
+    it('matches usernames and admins', async function () {
+      await pad.setAccessRole('user:alice', 'commenter');
+      let res = await securityManager.checkAccess(padId, null, 't.acl-author', {username: 'alice'});
+      assert.equal(res.role, 'commenter');
+      res = await securityManager.checkAccess(padId, null, 't.acl-author', {username: 'bob'});
+      assert.equal(res.accessStatus, 'deny');
+      res = await securityManager.checkAccess(
+          padId, null, 't.acl-author', {username: 'bob', is_admin: true});
+      assert.equal(res.role, 'owner');
+    });
+
+    it('matches groups via HTTP API sessions', async function () {
+      const {groupID} = await groupManager.createGroup();
+      const {sessionID} = await sessionManager.createSession(
+          groupID, authorID, Math.floor(Date.now() / 1000) + 60);
+      await pad.setAccessRole(`group:${groupID}`, 'editor');
+      let res = await securityManager.checkAccess(padId, sessionID, 't.acl-other');
+      assert.equal(res.role, 'editor');
+      res = await securityManager.checkAccess(padId, null, 't.acl-other');
+      assert.equal(res.accessStatus, 'deny');
+      await groupManager.deleteGroup(groupID);
+    });
+  });
+
+  describe('pad editor', function () {
+    it('viewers are read-only even with the read-write pad ID', async function () {
+      await pad.setAccessRole('*', 'viewer');
+      const {socket, clientVars} = await join('t.acl-viewer');
+      assert.equal(clientVars.readonly, true);
+      assert.equal(clientVars.padAccess.role, 'viewer');
+      assert.equal(clientVars.padAccess.canManage, false);
+      assert.equal(clientVars.padAccess.acl, null);
+      const rev = clientVars.collab_client_vars.rev;
+      await common.sendUserChanges(socket, {baseRev: rev, changeset: 'Z:1>5+5$hello'});
+      assert.equal(pad.getHeadRevisionNumber(), rev);
+    });
+
+    it('users not in the list are denied', async function () {
+      await pad.setAccessRole('user:alice', 'owner');
+      const res = await agent.get(`/p/${padId}`).expect(200);
+      const socket = await common.connect(res);
+      sockets.push(socket);
+      const msg = await common.handshake(socket, padId, 't.acl-stranger');
+      assert.deepEqual(msg, {accessStatus: 'deny'});
+    });
+
+    it('viewers cannot import', async function () {
+      await pad.setAccessRole('*', 'viewer');
+      await agent.post(`/p/${padId}/import`)
+          .attach('file', Buffer.from('text'), {filename: '/test.txt', contentType: 'text/plain'})
+          .expect(403);
+    });
+
+    it('owners can change the list', async function () {
+      const ownerID = await authorManager.getAuthor4Token('t.acl-owner');
+      await pad.setAccessRole(`author:${ownerID}`, 'owner');
+      const {socket, clientVars} = await join('t.acl-owner');
+      assert.equal(clientVars.readonly, false);
+      assert.deepEqual(clientVars.padAccess,
+          {role: 'owner', canManage: true, acl: {[`author:${ownerID}`]: 'owner'}});
+      const msgP = waitForMessage(socket, (msg) => msg.type === 'COLLABROOM' &&
+          msg.data.type === 'CLIENT_MESSAGE' && msg.data.payload.type === 'padAccess');
+      await sendAccessUpdate(socket, '*', 'viewer');
+      const {data: {payload}} = await msgP;
+      assert.deepEqual(payload.acl, {[`author:${ownerID}`]: 'owner', '*': 'viewer'});
+      assert.deepEqual(pad.getAccessControlList(), payload.acl);
+    });
+
+    it('editors cannot change the list', async function () {
+      const editorID = await authorManager.getAuthor4Token('t.acl-editor');
+      await pad.setAccessRole(`author:${editorID}`, 'editor');
+      const {socket, clientVars} = await join('t.acl-editor');
+      assert.equal(clientVars.padAccess.canManage, false);
+      await sendAccessUpdate(socket, '*', 'owner');
+      assert.deepEqual(pad.getAccessControlList(), {[`author:${editorID}`]: 'editor'});
+    });
+
+    it('users whose access changed are disconnected', async function () {
+      const authorID = await authorManager.getAuthor4Token('t.acl-editor');
+      await pad.setAccessRole(`author:${authorID}`, 'editor');
+      const {socket} = await join('t.acl-editor');
+      const msgP = waitForMessage(socket, (msg) => msg.disconnect != null);
+      const principal = `author:${authorID}`;
+      await callApi('grantPadAccess', {padID: padId, principal, role: 'viewer'});
+      assert.deepEqual(await msgP, {disconnect: 'unauth'});
+    });
+
+    describe('allowClaim', function () {
+      it('is disabled by default', async function () {
+        const {socket, clientVars} = await join('t.acl-claimer');
+        assert.equal(clientVars.padAccess.canManage, false);
+        await sendAccessUpdate(socket, '*', 'viewer');
+        assert(!pad.hasAccessControlList());
+      });
+
+      it('lets editors create a list and become its owner', async function () {
+        settings.padAccessControl.allowClaim = true;
+        const authorID = await authorManager.getAuthor4Token('t.acl-claimer');
+        const {socket, clientVars} = await join('t.acl-claimer');
+        assert.deepEqual(clientVars.padAccess, {role: null, canManage: true, acl: {}});
+        const msgP = waitForMessage(socket, (msg) => msg.type === 'COLLABROOM' &&
+            msg.data.type === 'CLIENT_MESSAGE' && msg.data.payload.type === 'padAccess');
+        await sendAccessUpdate(socket, '*', 'viewer');
+        const {data: {payload}} = await msgP;
+        assert.equal(payload.role, 'owner');
+        assert.deepEqual(pad.getAccessControlList(),
+            {[`author:${authorID}`]: 'owner', '*': 'viewer'});
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../common');
+const padManager = require('../../../node/db/PadManager');
+const padStatsManager = require('../../../node/db/PadStatsManager');
+
+describe(__filename, function () {
+  this.timeout(30000);
+  let agent;
+  let prefix;
+  let pads;
+  const sockets = [];
+
+  const list = async (options) => {
+    const {total, pads} = await padStatsManager.listPads({query: prefix, ...options});
+    return {total, padIDs: pads.map(({padID}) => padID.slice(prefix.length))};
+  };
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    prefix = `${common.randomString()}-`;
+    pads = {};
+    // Pad b has the most revisions, pad c the longest text.
+    const specs = [['b', 'b\n', 3], ['a', 'a\n', 1], ['c', 'c'.repeat(50), 0]];
+    for (const [name, text, edits] of specs) {
+      const pad = await padManager.getPad(`${prefix}${name}`, text);
+      for (let i = 0; i < edits; ++i) await pad.appendText('x');
+      pads[name] = pad;
+    }
+  });
+
+  afterEach(async function () {
+    while (sockets.length > 0) sockets.pop().close();
+    for (const pad of Object.values(pads)) await pad.remove();
+  });
+
+  it('returns the statistics of a pad', async function () {
+    const {b} = pads;
+    assert.deepEqual(await padStatsManager.getPadStats(b.id), {
+      padID: b.id,
+      lastEdited: await b.getLastEdit(),
+      revisionCount: 3,
+      size: b.text().length,
+      userCount: 0,
+    });
+    assert.equal(await padStatsManager.getPadStats(common.randomString()), null);
+  });
+
+  it('sorts, filters and pages the list', async function () {
+    assert.deepEqual(await list(), {total: 3, padIDs: ['a', 'b', 'c']});
+    assert.deepEqual(await list({descending: true}), {total: 3, padIDs: ['c', 'b', 'a']});
+    assert.deepEqual((await list({sortBy: 'revisionCount', descending: true})).padIDs,
+        ['b', 'a', 'c']);
+    assert.deepEqual((await list({sortBy: 'size'})).padIDs, ['a', 'b', 'c']);
+    // Pad c was created last.
+    assert.deepEqual((await list({sortBy: 'lastEdited', descending: true})).padIDs[0], 'c');
+    assert.deepEqual(await list({offset: 1, limit: 1}), {total: 3, padIDs: ['b']});
+    assert.deepEqual(await list({query: `${prefix}A`}), {total: 1, padIDs: ['a']});
+    await assert.rejects(list({sortBy: 'nope'}), /sortBy must be one of/);
+  });
+
+  it('updates the statistics when a pad changes', async function () {
+    const {a} = pads;
+    assert.equal((await padStatsManager.getPadStats(a.id)).revisionCount, 1);
+    await a.appendText('more');
+    assert.equal((await padStatsManager.getPadStats(a.id)).revisionCount, 2);
+    assert.deepEqual((await list({sortBy: 'size', descending: true})).padIDs, ['c', 'a', 'b']);
+  });
+
+  it('counts the connected users', async function () {
+    const res = await agent.get(`/p/${pads.a.id}`).expect(200);
+    const socket = await common.connect(res);
+    sockets.push(socket);
+    await common.handshake(socket, pads.a.id);
+    assert.equal((await padStatsManager.getPadStats(pads.a.id)).userCount, 1);
+    assert.deepEqual((await list({sortBy: 'userCount', descending: true})).padIDs,
+        ['a', 'c', 'b']);
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const Changeset = require('../../../static/js/Changeset');
+const assert = require('assert').strict;
+const authorManager = require('../../../node/db/AuthorManager');
+const common = require('../common');
+const padManager = require('../../../node/db/PadManager');
+
+describe(__filename, function () {
+  this.timeout(30000);
+  let agent;
+  let pad;
+
+  const edit = async (author, start, ndel, ins) => await pad.appendRevision(
+      Changeset.makeSplice(pad.text(), start, ndel, ins, [['author', author]], pad.pool), author);
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    pad = await padManager.getPad(common.randomString(), 'hello');
+    await edit('a.a', 5, 0, ' world'); // rev 1: "hello world"
+    await edit('a.b', 11, 0, '!'); // rev 2: "hello world!"
+    await edit('a.a', 0, 2, ''); // rev 3: "llo world!"
+    await edit('a.b', 5, 0, 'X'); // rev 4: "llo wXorld!"
+    assert.equal(pad.text(), 'llo wXorld!\n');
+  });
+
+  afterEach(async function () {
+    await pad.remove();
+  });
+
+  it('reverts the changes of an author and keeps the later changes of others', async function () {
+    assert.equal(await pad.revertAuthorChanges('a.a'), 2);
+    assert.equal(pad.getHeadRevisionNumber(), 5);
+    assert.equal(pad.text(), 'helloX!\n');
+    await pad.check();
+  });
+
+  it('only reverts the revisions in the range', async function () {
+    assert.equal(await pad.revertAuthorChanges('a.a', 2), 1);
+    assert.equal(pad.text(), 'hello wXorld!\n');
+    assert.equal(await pad.revertAuthorChanges('a.b', 0, 3), 1);
+    assert.equal(pad.text(), 'hello wXorld\n');
+  });
+
+  it('attributes the new revision to the given author', async function () {
+    const head = pad.getHeadRevisionNumber();
+    await pad.revertAuthorChanges('a.a', 0, null, 'a.admin');
+    assert.equal(await pad.getRevisionAuthor(head + 1), 'a.admin');
+  });
+
+  it('does nothing if the author has not changed the pad', async function () {
+    assert.equal(await pad.revertAuthorChanges('a.nobody'), 0);
+    assert.equal(pad.getHeadRevisionNumber(), 4);
+  });
+
+  describe('HTTP API', function () {
+    const callApi = async (params) => {
+      const res = await agent.get('/api/1.3.16/revertAuthorChanges')
+          .query({apikey: common.apiKey, padID: pad.id, ...params})
+          .expect(200)
+          .expect('Content-Type', /json/);
+      return res.body;
+    };
+
+    it('reverts the changes of an author', async function () {
+      assert.deepEqual(await callApi({authorID: 'a.a'}),
+          {code: 0, message: 'ok', data: {revertedRevisions: 2}});
+      assert.equal(pad.text(), 'helloX!\n');
+    });
+
+    it('reverts the changes in a revision range', async function () {
+      assert.deepEqual((await callApi({authorID: 'a.b', startRev: 0, endRev: 3})).data,
+          {revertedRevisions: 1});
+      assert.equal(pad.text(), 'llo wXorld\n');
+    });
+
+    it('checks the revisions', async function () {
+      let res = await callApi({authorID: 'a.a', startRev: 5});
+      assert.equal(res.message, 'rev is higher than the head revision of the pad');
+      res = await callApi({authorID: 'a.a', startRev: 3, endRev: 2});
+      assert.equal(res.message, 'endRev is lower than startRev');
+      res = await callApi({authorID: ''});
+      assert.equal(res.message, 'authorID is not a string');
+    });
+  });
+
+  describe('user list', function () {
+    const sockets = [];
+
+    const revert = async (token, authorID) => {
+      const res = await agent.get(`/p/${pad.id}`).expect(200);
+      const socket = await common.connect(res);
+      sockets.push(socket);
+      const {type} = await common.handshake(socket, pad.id, token);
+      assert.equal(type, 'CLIENT_VARS');
+      await common.sendMessage(socket, {
+        type: 'COLLABROOM',
+        component: 'pad',
+        data: {type: 'CLIENT_MESSAGE', payload: {type: 'revertAuthorChanges', authorID}},
+      });
+    };
+
+    afterEach(async function () {
+      while (sockets.length > 0) sockets.pop().close();
+    });
+
+    it('owners can revert the changes of an author', async function () {
+      const ownerID = await authorManager.getAuthor4Token('t.revert-owner');
+      await pad.setAccessRole(`author:${ownerID}`, 'owner');
+      await revert('t.revert-owner', 'a.a');
+      assert.equal(pad.text(), 'helloX!\n');
+      assert.equal(await pad.getRevisionAuthor(pad.getHeadRevisionNumber()), ownerID);
+    });
+
+    it('editors cannot revert the changes of an author', async function () {
+      const editorID = await authorManager.getAuthor4Token('t.revert-editor');
+      await pad.setAccessRole(`author:${editorID}`, 'editor');
+      await revert('t.revert-editor', 'a.a');
+      assert.equal(pad.getHeadRevisionNumber(), 4);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const assert = require('assert').strict;
+const common = require('../common');
+const password = require('../../../node/utils/password');
+const settings = require('../../../node/utils/Settings');
+const supertest = require('supertest');
+const userManager = require('../../../node/db/UserManager');
+const webaccess = require('../../../node/hooks/express/webaccess');
+
+describe(__filename, function () {
+  this.timeout(30000);
+  let agent;
+  let username;
+  const backups = {};
+
+  before(async function () { agent = await common.init(); });
+
+  beforeEach(async function () {
+    backups.settings = {};
+    for (const setting of ['requireAuthentication', 'requireAuthorization', 'users', 'userStore']) {
+      backups.settings[setting] = settings[setting];
+    }
+    backups.authnFailureDelayMs = webaccess.authnFailureDelayMs;
+    webaccess.authnFailureDelayMs = 0;
+    settings.requireAuthentication = true;
+    settings.requireAuthorization = false;
+    settings.users = {admin: {password: 'admin-password', is_admin: true}};
+    settings.userStore = {enabled: true};
+    username = `user-${common.randomString()}`;
+  });
+
+  afterEach(async function () {
+    Object.assign(settings, backups.settings);
+    webaccess.authnFailureDelayMs = backups.authnFailureDelayMs;
+  });
+
+  describe('password', function () {
+    it('hashes and verifies passwords', async function () {
+      const hash = await password.hash('secret', {ln: 4});
+      assert.match(hash, /^\$scrypt\$ln=4,r=8,p=1\$[^$]+\$[^$]+$/);
+      assert(await password.verify('secret', hash));
+      assert(!(await password.verify('Secret', hash)));
+      assert.notEqual(await password.hash('secret', {ln: 4}), hash);
+    });
+
+    it('rejects unsupported hashes', async function () {
+      assert(!(await password.verify('secret', 'secret')));
+      assert(!(await password.verify('secret', '$md5$abc')));
+      assert(!(await password.verify('secret', '$scrypt$ln=x$abc$def')));
+    });
+
+    it('checks user accounts', async function () {
+      const passwordHash = await password.hash('hashed', {ln: 4});
+      assert(await password.check({password: 'plain'}, 'plain'));
+      assert(!(await password.check({password: 'plain'}, 'plai')));
+      assert(await password.check({password: 'plain', passwordHash}, 'hashed'));
+      assert(!(await password.check({password: 'plain', passwordHash}, 'plain')));
+      assert(!(await password.check({password: null}, '')));
+      assert(!(await password.check({}, 'undefined')));
+    });
+  });
+
+  describe('hashed passwords in settings.users', function () {
+    beforeEach(async function () {
+      settings.users.hashed = {passwordHash: await password.hash('hashed-password', {ln: 4})};
+    });
+
+    it('logs in with the correct password', async function () {
+      await agent.get('/').auth('hashed', 'hashed-password').expect(200);
+    });
+
+    it('rejects a wrong password', async function () {
+      await agent.get('/').auth('hashed', 'wrong-password').expect(401);
+    });
+  });
+
+  describe('UserManager', function () {
+    it('creates users without exposing password hashes', async function () {
+      const {password: pw} = await userManager.createUser(username, 'user-password');
+      assert.equal(pw, 'user-password');
+      const user = await userManager.getUser(username);
+      assert.equal(user.username, username);
+      assert.equal(user.is_admin, false);
+      assert.equal(user.passwordHash, undefined);
+      const {users} = await userManager.listUsers();
+      assert(users.some((u) => u.username === username && u.passwordHash === undefined));
+    });
+
+    it('generates a password if none is given', async function () {
+      const {password: pw} = await userManager.createUser(username);
+      assert(pw.length >= 16);
+      assert(await userManager.authenticate(username, pw));
+    });
+
+    it('rejects invalid and duplicate usernames', async function () {
+      await assert.rejects(userManager.createUser('a:b', 'pw'), {message: 'username is invalid'});
+      await assert.rejects(userManager.createUser('admin', 'pw'),
+          {message: 'username is already used in settings.json'});
+      await userManager.createUser(username, 'pw');
+      await assert.rejects(userManager.createUser(username, 'pw'),
+          {message: 'username already exists'});
+      await assert.rejects(userManager.resetPassword(`${username}x`),
+          {message: 'username does not exist'});
+    });
+  });
+
+  describe('HTTP basic authentication', function () {
+    beforeEach(async function () {
+      await userManager.createUser(username, 'user-password', {readOnly: true});
+    });
+
+    it('logs in users from the store', async function () {
+      await agent.get('/').auth(username, 'user-password').expect(200);
+      await agent.get('/').auth(username, 'wrong-password').expect(401);
+      assert.notEqual((await userManager.getUser(username)).lastLogin, null);
+    });
+
+    it('does not use the store if it is disabled', async function () {
+      settings.userStore.enabled = false;
+      await agent.get('/').auth(username, 'user-password').expect(401);
+    });
+
+    it('does not log in disabled users', async function () {
+      await userManager.setDisabled(username, true);
+      await agent.get('/').auth(username, 'user-password').expect(401);
+      await userManager.setDisabled(username, false);
+      await agent.get('/').auth(username, 'user-password').expect(200);
+    });
+
+    it('only accepts the new password after a reset', async function () {
+      const {password: pw} = await userManager.resetPassword(username);
+      await agent.get('/').auth(username, 'user-password').expect(401);
+      await agent.get('/').auth(username, pw).expect(200);
+    });
+
+    it('ends the sessions of disabled users', async function () {
+      const sessionAgent = supertest.agent(common.baseUrl);
+      await sessionAgent.get('/').auth(username, 'user-password').expect(200);
+      await sessionAgent.get('/').expect(200);
+      await userManager.setDisabled(username, true);
+      await sessionAgent.get('/').expect(401);
+    });
+
+    it('ends the sessions that were started before a password reset', async function () {
+      const oldAgent = supertest.agent(common.baseUrl);
+      await oldAgent.get('/').auth(username, 'user-password').expect(200);
+      const {password: pw} = await userManager.resetPassword(username);
+      const newAgent = supertest.agent(common.baseUrl);
+      await newAgent.get('/').auth(username, pw).expect(200);
+      await oldAgent.get('/').expect(401);
+      await newAgent.get('/').expect(200);
+    });
+  });
+});
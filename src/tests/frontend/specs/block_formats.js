@@ -0,0 +1,55 @@
+'use strict';
+
+describe('block formats', function () {
+  // create a new pad before each test run
+  beforeEach(async function () {
+    await helper.aNewPad();
+  });
+
+  it('makes a line a heading with the block format select', async function () {
+    const inner$ = helper.padInner$;
+    const chrome$ = helper.padChrome$;
+    const originalText = inner$('div').first().text();
+
+    inner$('div').first().sendkeys('{selectall}');
+    chrome$('#blockformat-select').val('h2').change();
+
+    await helper.waitForPromise(() => inner$('div').first().find('h2').length === 1);
+    expect(inner$('div').first().text()).to.eql(originalText);
+
+    chrome$('#blockformat-select').val('').change();
+    await helper.waitForPromise(() => inner$('div').first().find('h2').length === 0);
+  });
+
+  it('toggles a code block on keypress', async function () {
+    const inner$ = helper.padInner$;
+
+    inner$('div').first().sendkeys('{selectall}');
+
+    const pressCmdAltC = () => {
+      const e = new inner$.Event(helper.evtType);
+      e.ctrlKey = true; // Control key
+      e.altKey = true;
+      e.which = 67; // c
+      inner$('#innerdocbody').trigger(e);
+    };
+
+    pressCmdAltC();
+    await helper.waitForPromise(() => inner$('div').first().find('pre').length === 1);
+
+    pressCmdAltC();
+    await helper.waitForPromise(() => inner$('div').first().find('pre').length === 0);
+  });
+
+  it('continues a block quote on enter', async function () {
+    const inner$ = helper.padInner$;
+    const chrome$ = helper.padChrome$;
+
+    inner$('div').first().sendkeys('{selectall}');
+    chrome$('#blockformat-select').val('blockquote').change();
+    await helper.waitForPromise(() => inner$('div').first().find('blockquote').length === 1);
+
+    inner$('div').first().sendkeys('{selectall}{rightarrow}{enter}quoted');
+    await helper.waitForPromise(() => inner$('div').eq(1).find('blockquote').text() === 'quoted');
+  });
+});